@@ -10,6 +10,166 @@ type AValue =
   | undefined;
 type BValue = number | undefined;
 
+type JSONPart = number | 'NaN' | 'Infinity' | '-Infinity' | '-0';
+
+type ComplexJSON = { type: 'Complex'; re: JSONPart; im: JSONPart };
+
+type FormatOptions = {
+  /** Round to at most this number of decimal places */
+  precision?: number;
+  /** Print exactly this number of decimal places */
+  fixedDigits?: number;
+  /** Print this number of significant digits */
+  significantDigits?: number;
+  /** The imaginary unit, 'i' by default */
+  unit?: 'i' | 'j';
+  /** Put spaces around the sign of the imaginary part, true by default */
+  spacing?: boolean;
+  /** 'rect' (default) for a + bi, 'polar' for r∠φ or 'exp' for r e^(iφ) */
+  form?: 'rect' | 'polar' | 'exp';
+  /** Unit of the angle of the polar form, 'rad' by default */
+  angleUnit?: 'rad' | 'deg';
+  /** Parts smaller than this are printed as zero, Complex.EPSILON by default */
+  zeroThreshold?: number;
+  /** Write a literal of another language. Only the digit options apply then and no part is dropped, unless a zeroThreshold is given */
+  dialect?: Dialect;
+};
+
+type Dialect = 'python' | 'matlab' | 'mathematica' | 'julia' | 'fortran';
+
+type ParseErrorReason =
+  | 'UNEXPECTED_TOKEN'
+  | 'DANGLING_SIGN'
+  | 'MISSING_OPERAND'
+  | 'UNKNOWN_NAME'
+  | 'UNSUPPORTED_RESULT'
+  | 'UNSUPPORTED_OBJECT'
+  | 'UNSUPPORTED_TYPE';
+
+/**
+ * Error thrown if an input can't be parsed. For compatibility it is a SyntaxError with the message 'Invalid Param',
+ * but it also carries the input, the offending token and its character offset (or null and -1 if the input is no
+ * string) and a reason code.
+ */
+declare class ComplexParseError extends SyntaxError {
+  reason: ParseErrorReason;
+  input: any;
+  token: string | null;
+  offset: number;
+
+  constructor(reason: ParseErrorReason, input: any, token: string | null, offset: number);
+}
+
+type ComplexArrayLayout = 'interleaved' | 'split';
+
+declare class ComplexArray implements Iterable<Complex> {
+  /**
+   * An array of complex numbers stored in Float64Arrays, either with the given length and filled with zeros,
+   * or with the given values
+   */
+  constructor(lengthOrValues: number | ArrayLike<AValue> | ComplexArray, options?: { layout?: ComplexArrayLayout });
+
+  length: number;
+  layout: ComplexArrayLayout;
+  /** The interleaved buffer [re0, im0, re1, im1, ...], or null in the split layout */
+  data: Float64Array | null;
+  /** The real parts in the split layout, or null */
+  real: Float64Array | null;
+  /** The imaginary parts in the split layout, or null */
+  imag: Float64Array | null;
+
+  /** Creates an array from an iterable or array-like of values, or a string separated by commas, semicolons or line breaks */
+  static from(values: string | Iterable<AValue> | ArrayLike<AValue>, options?: { layout?: ComplexArrayLayout }): ComplexArray;
+  /** Creates an interleaved array, a Float64Array is used directly */
+  static fromInterleaved(data: Float64Array | ArrayLike<number>): ComplexArray;
+  /** Creates a split array, Float64Arrays are used directly */
+  static fromSplit(re: Float64Array | ArrayLike<number>, im?: Float64Array | ArrayLike<number>): ComplexArray;
+
+  get(index: number): Complex | undefined;
+  set(index: number, a: AValue, b?: BValue): this;
+  map(fn: (z: Complex, index: number) => AValue, out?: ComplexArray): ComplexArray;
+  clone(options?: { layout?: ComplexArrayLayout }): ComplexArray;
+  toArray(): Complex[];
+  [Symbol.iterator](): Iterator<Complex>;
+
+  /** Elementwise with another array of the same length or a single value, written to out if given */
+  add(a: ComplexArray | AValue, out?: ComplexArray): ComplexArray;
+  sub(a: ComplexArray | AValue, out?: ComplexArray): ComplexArray;
+  mul(a: ComplexArray | AValue, out?: ComplexArray): ComplexArray;
+  div(a: ComplexArray | AValue, out?: ComplexArray): ComplexArray;
+  pow(a: ComplexArray | AValue, out?: ComplexArray): ComplexArray;
+
+  abs(out?: Float64Array): Float64Array;
+  arg(out?: Float64Array): Float64Array;
+
+  exp(out?: ComplexArray): ComplexArray;
+  expm1(out?: ComplexArray): ComplexArray;
+  log(out?: ComplexArray): ComplexArray;
+  log1p(out?: ComplexArray): ComplexArray;
+  log10(out?: ComplexArray): ComplexArray;
+  log2(out?: ComplexArray): ComplexArray;
+  sqrt(out?: ComplexArray): ComplexArray;
+  cbrt(out?: ComplexArray): ComplexArray;
+  sign(out?: ComplexArray): ComplexArray;
+  inverse(out?: ComplexArray): ComplexArray;
+  conjugate(out?: ComplexArray): ComplexArray;
+  neg(out?: ComplexArray): ComplexArray;
+  sin(out?: ComplexArray): ComplexArray;
+  cos(out?: ComplexArray): ComplexArray;
+  tan(out?: ComplexArray): ComplexArray;
+  cot(out?: ComplexArray): ComplexArray;
+  sec(out?: ComplexArray): ComplexArray;
+  csc(out?: ComplexArray): ComplexArray;
+  asin(out?: ComplexArray): ComplexArray;
+  acos(out?: ComplexArray): ComplexArray;
+  atan(out?: ComplexArray): ComplexArray;
+  acot(out?: ComplexArray): ComplexArray;
+  asec(out?: ComplexArray): ComplexArray;
+  acsc(out?: ComplexArray): ComplexArray;
+  sinh(out?: ComplexArray): ComplexArray;
+  cosh(out?: ComplexArray): ComplexArray;
+  tanh(out?: ComplexArray): ComplexArray;
+  coth(out?: ComplexArray): ComplexArray;
+  csch(out?: ComplexArray): ComplexArray;
+  sech(out?: ComplexArray): ComplexArray;
+  asinh(out?: ComplexArray): ComplexArray;
+  acosh(out?: ComplexArray): ComplexArray;
+  atanh(out?: ComplexArray): ComplexArray;
+  acoth(out?: ComplexArray): ComplexArray;
+  acsch(out?: ComplexArray): ComplexArray;
+  asech(out?: ComplexArray): ComplexArray;
+}
+
+type TransformInput = ComplexArray | ArrayLike<AValue> | Iterable<AValue> | Float64Array | Float32Array | Int32Array | Int16Array | Int8Array | Uint32Array | Uint16Array | Uint8Array;
+
+type TransformOptions = {
+  /** Where the factor 1/n goes: 'backward' (default) into the inverse, 'forward' into the forward transform, 'ortho' 1/sqrt(n) into both */
+  norm?: 'backward' | 'ortho' | 'forward';
+};
+
+type BesselOptions = {
+  /** Multiply the result with the exponential factor that removes its growth, see the functions */
+  scaled?: boolean;
+};
+
+type IncompleteOptions = {
+  /** Divide the result by the complete function, gamma(a) or B(a, b) */
+  regularized?: boolean;
+};
+
+type BranchOptions = {
+  /**
+   * The branch of the logarithm, log(z) + 2 pi i k for an integer k. log() and pow() throw a RangeError for any other
+   * k, pow() also for integer exponents, and for any other option
+   */
+  k?: number;
+};
+
+type SqrtOptions = {
+  /** The principal square root for 1 and its negative for -1, other values and options throw a RangeError */
+  branch?: 1 | -1;
+};
+
 export function Complex(a: AValue, b?: BValue): Complex;
 
 export default Complex;
@@ -34,6 +194,8 @@ export default Complex;
  * '23.1337' - Simple real number
  * '15+3i' - a simple complex number
  * '3-i' - a simple complex number
+ * '2∠45°', '5 cis 30deg' - polar notation
+ * '3e^(iπ/4)', '3*exp(1.2i)' - exponential notation
  *
  * Example:
  *
@@ -78,10 +240,32 @@ export class Complex {
    */
   pow(a: AValue, b?: BValue): Complex;
   /**
-   * Calculate the complex square root
+   * Calculate the power exp(a log z) with the log on branch options.k
+   *
+   */
+  pow(a: AValue, options: BranchOptions): Complex;
+  /**
+   * Calculate the complex square root, the principal one or its negative with options.branch = -1
+   *
+   */
+  sqrt(options?: SqrtOptions): Complex;
+  /**
+   * Calculate the principal cube root, so that the cube root of -8 is 1 + sqrt(3) i
+   *
+   */
+  cbrt(): Complex;
+  /**
+   * Calculate the principal n-th root for an integer n != 0, throws a RangeError for other n.
+   * Infinity and NaN give Complex.INFINITY and Complex.NAN
+   *
+   */
+  nthRoot(n: AValue): Complex;
+  /**
+   * Calculate all n complex n-th roots for an integer n >= 1, ordered by their argument in (-pi, pi],
+   * throws a RangeError for other n. Infinity and NaN give n times Complex.INFINITY or Complex.NAN
    *
    */
-  sqrt(): Complex;
+  roots(n: AValue): Complex[];
   /**
    * Calculate the complex exponent
    *
@@ -96,10 +280,159 @@ export class Complex {
    */
   expm1(): Complex;
   /**
-   * Calculate the natural log
+   * Calculate the Faddeeva function w(z) = exp(-z²) erfc(-iz)
+   *
+   */
+  faddeeva(): Complex;
+  /**
+   * Calculate the scaled complementary error function erfcx(z) = exp(z²) erfc(z)
+   *
+   */
+  erfcx(): Complex;
+  /**
+   * Calculate the complementary error function erfc(z) = 1 - erf(z)
+   *
+   */
+  erfc(): Complex;
+  /**
+   * Calculate the error function
+   *
+   */
+  erf(): Complex;
+  /**
+   * Calculate the imaginary error function erfi(z) = -i erf(iz)
+   *
+   */
+  erfi(): Complex;
+  /**
+   * Calculate the Dawson function D(z) = √π/2 exp(-z²) erfi(z)
+   *
+   */
+  dawson(): Complex;
+  /**
+   * Calculate the generalized exponential integral E_n(z) for an integer n >= 0
+   *
+   */
+  expint(n: number): Complex;
+  /**
+   * Calculate the exponential integral E1(z)
+   *
+   */
+  E1(): Complex;
+  /**
+   * Calculate the exponential integral Ei(z), which is the real principal value on the real axis
+   *
+   */
+  Ei(): Complex;
+  /**
+   * Calculate the sine integral Si(z)
+   *
+   */
+  Si(): Complex;
+  /**
+   * Calculate the cosine integral Ci(z), with the branch cut of log()
+   *
+   */
+  Ci(): Complex;
+  /**
+   * Calculate the hyperbolic sine integral Shi(z)
+   *
+   */
+  Shi(): Complex;
+  /**
+   * Calculate the hyperbolic cosine integral Chi(z), with the branch cut of log()
+   *
+   */
+  Chi(): Complex;
+  /**
+   * Calculate the logarithmic integral li(z) = Ei(log(z))
+   *
+   */
+  li(): Complex;
+  /**
+   * Calculate the natural log, the principal one or the one on branch options.k, which adds 2 pi i k
+   *
+   */
+  log(options?: BranchOptions): Complex;
+  /**
+   * Calculate the natural log of 1 + z.
+   *
+   * This may be more accurate than `Complex(x).add(1).log()` if
+   * `x` is small.
+   *
+   */
+  log1p(): Complex;
+  /**
+   * Calculate the log to base 10, which is exact for powers of 10
+   *
+   */
+  log10(): Complex;
+  /**
+   * Calculate the log to base 2, which is exact for powers of 2
+   *
+   */
+  log2(): Complex;
+  /**
+   * Calculate the log to a complex base, log(z) / log(base)
+   *
+   */
+  logBase(a: AValue, b?: BValue): Complex;
+  /**
+   * Calculate branch k of the Lambert W function, the solutions w of w exp(w) = z
+   *
+   */
+  lambertW(k?: number): Complex;
+  /**
+   * Calculate the complex gamma function, which has poles at 0, -1, -2, ...
+   *
+   */
+  gamma(): Complex;
+  /**
+   * Calculate the principal branch of the log gamma function, whose imaginary part is continuous
+   * everywhere except on the negative real axis
+   *
+   */
+  lgamma(): Complex;
+  /**
+   * Calculate the reciprocal gamma function 1 / gamma(z), which is entire
+   *
+   */
+  rgamma(): Complex;
+  /**
+   * Calculate the factorial z! = gamma(z + 1)
+   *
+   */
+  factorial(): Complex;
+  /**
+   * Calculate the digamma function psi(z) = gamma'(z) / gamma(z), which has poles at 0, -1, -2, ...
+   *
+   */
+  digamma(): Complex;
+  /**
+   * Calculate the polygamma function, the n-th derivative of the digamma function, for an integer n >= 0
+   *
+   */
+  polygamma(n: number): Complex;
+  /**
+   * Calculate the Riemann zeta function, which has a pole at 1
+   *
+   */
+  zeta(): Complex;
+  /**
+   * Calculate the Dirichlet eta function (1 - 2^(1-s)) zeta(s)
+   *
+   */
+  eta(): Complex;
+  /**
+   * Calculate the Riemann xi function s (s - 1) pi^(-s/2) gamma(s/2) zeta(s) / 2, which is entire and symmetric with xi(s) = xi(1 - s)
+   *
+   */
+  xi(): Complex;
+  /**
+   * Calculate the dilogarithm Li2(z), continued to the plane cut along z > 1
    *
    */
-  log(): Complex;
+  dilog(): Complex;
   /**
    * Calculate the magnitude of the complex number
    *
@@ -276,7 +609,34 @@ export class Complex {
    * Gets a string of the actual complex number
    *
    */
-  toString(): string;
+  toString(options?: FormatOptions): string;
+  /**
+   * Gets a string of the actual complex number with the number format of a locale, like 3,5 - 2,1i in de-DE
+   *
+   * Takes the options of toString() and of Intl.NumberFormat.
+   *
+   */
+  toLocaleString(locale?: string | string[], options?: FormatOptions & Intl.NumberFormatOptions): string;
+  /**
+   * Gets a LaTeX string of the actual complex number, like 3 - 4i, 5 e^{-0.9273i} or 5 \angle -53.13^\circ
+   *
+   * Takes the same options as toString(), except for spacing.
+   *
+   */
+  toLatex(options?: FormatOptions): string;
+  /**
+   * Gets a MathML string of the actual complex number, wrapped in a math element
+   *
+   * Takes the same options as toString(), except for spacing.
+   *
+   */
+  toMathML(options?: FormatOptions): string;
+  /**
+   * Returns a tagged object for JSON.stringify(). As JSON has no literals for them, NaN, ±Infinity and -0 are
+   * written as strings, like {"type": "Complex", "re": 1, "im": "NaN"}
+   *
+   */
+  toJSON(): ComplexJSON;
   /**
    * Returns the actual number as a vector
    *
@@ -320,4 +680,365 @@ export class Complex {
   static INFINITY: Complex;
   static NAN: Complex;
   static EPSILON: number;
+  /** Use the special values and signed zeros of C99 Annex G for the arithmetic and the functions of <complex.h>, false by default */
+  static IEEE: boolean;
+
+  /**
+   * Evaluates an arithmetic expression with complex numbers
+   *
+   * Supports + - * / ^, parentheses, unary signs, the constants pi, e and i,
+   * variables passed in `scope` and every prototype method as a function, like sin(z) or pow(z, 2).
+   *
+   */
+  static evaluate(expr: string, scope?: Record<string, AValue>): Complex;
+
+  /**
+   * Parses the input without throwing
+   *
+   */
+  static tryParse(input: any):
+    | { ok: true; value: Complex; error: null }
+    | { ok: false; value: null; error: ComplexParseError };
+
+  static ComplexParseError: typeof ComplexParseError;
+
+  /**
+   * Parses a complex number, optionally written in the syntax of another language, like (1+2j) for Python
+   * or Complex[1, 2] for Mathematica. Without a dialect, the dialect is detected and all other input is
+   * parsed like the constructor does.
+   *
+   */
+  static parse(input: AValue, options?: { dialect?: Dialect | 'auto' }): Complex;
+
+  /**
+   * Parses a string with the number format of a locale, like '3,5 + 2,1i' in de-DE or '1,234.5 - 2i' in en-US,
+   * including the digits of the locale. Misplaced group separators throw a ComplexParseError
+   *
+   */
+  static parseLocale(str: string, locale?: string | string[]): Complex;
+
+  /**
+   * Restores a complex number from the output of toJSON(), either as object or as JSON string
+   *
+   */
+  static fromJSON(json: ComplexJSON | { re: JSONPart; im: JSONPart } | string): Complex;
+
+  /**
+   * A reviver for JSON.parse(), which restores all complex numbers written by toJSON(), no matter how deep,
+   * and leaves invalid ones unchanged
+   *
+   */
+  static reviver(key: string, value: any): any;
+
+  /**
+   * Enumerates the solutions w of sin w = z, (-1)^k asin(z) + k pi for k from kRange[0] to kRange[1], [-1, 1] by default
+   *
+   */
+  static asinAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Enumerates the solutions w of cos w = z, acos(z) + 2 k pi and -acos(z) + 2 k pi for the k in kRange
+   *
+   */
+  static acosAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Enumerates the solutions w of tan w = z, atan(z) + k pi for the k in kRange
+   *
+   */
+  static atanAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Enumerates the solutions w of sinh w = z, (-1)^k asinh(z) + k pi i for the k in kRange
+   *
+   */
+  static asinhAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Enumerates the solutions w of cosh w = z, acosh(z) + 2 k pi i and -acosh(z) + 2 k pi i for the k in kRange
+   *
+   */
+  static acoshAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Enumerates the solutions w of tanh w = z, atanh(z) + k pi i for the k in kRange
+   *
+   */
+  static atanhAll(z: AValue, kRange?: [number, number]): Complex[];
+
+  /**
+   * Calculates the beta function B(a, b) = gamma(a) gamma(b) / gamma(a + b), which is Complex.INFINITY if a or b is a pole of gamma
+   *
+   */
+  static beta(a: AValue, b: AValue): Complex;
+
+  /**
+   * Calculates log B(a, b) = lgamma(a) + lgamma(b) - lgamma(a + b), a logarithm of B(a, b) that is continuous in a and b
+   *
+   */
+  static lbeta(a: AValue, b: AValue): Complex;
+
+  /**
+   * Calculates the Hurwitz zeta function, the sum of (a + k)^-s over k = 0, 1, 2, ... with a = 1 by default
+   *
+   */
+  static hurwitzZeta(s: AValue, a?: AValue): Complex;
+
+  /**
+   * Calculates the lower incomplete gamma function gamma(a, z), or P(a, z) = gamma(a, z) / gamma(a) with options.regularized
+   *
+   */
+  static gammainc(a: AValue, z: AValue, options?: IncompleteOptions): Complex;
+
+  /**
+   * Calculates the upper incomplete gamma function Gamma(a, z), or Q(a, z) = Gamma(a, z) / gamma(a) with options.regularized
+   *
+   */
+  static gammaincc(a: AValue, z: AValue, options?: IncompleteOptions): Complex;
+
+  /**
+   * Calculates the incomplete beta function B(x; a, b), or I_x(a, b) = B(x; a, b) / B(a, b) with options.regularized
+   *
+   */
+  static betainc(x: AValue, a: AValue, b: AValue, options?: IncompleteOptions): Complex;
+
+  /**
+   * Calculates Carlson's symmetric elliptic integral of the first kind R_F(x, y, z)
+   *
+   */
+  static RF(x: AValue, y: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates Carlson's degenerate integral R_C(x, y) = R_F(x, y, y), the Cauchy principal value for y < 0
+   *
+   */
+  static RC(x: AValue, y: AValue): Complex;
+
+  /**
+   * Calculates Carlson's symmetric elliptic integral of the second kind R_D(x, y, z) = R_J(x, y, z, z)
+   *
+   */
+  static RD(x: AValue, y: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates Carlson's symmetric elliptic integral of the third kind R_J(x, y, z, p)
+   *
+   */
+  static RJ(x: AValue, y: AValue, z: AValue, p: AValue): Complex;
+
+  /**
+   * Calculates the complete elliptic integral of the first kind K(m) with the parameter m = k^2
+   *
+   */
+  static ellipK(m: AValue): Complex;
+
+  /**
+   * Calculates the complete elliptic integral of the second kind E(m)
+   *
+   */
+  static ellipE(m: AValue): Complex;
+
+  /**
+   * Calculates the incomplete elliptic integral of the second kind E(phi, m)
+   *
+   */
+  static ellipE(phi: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the incomplete elliptic integral of the first kind F(phi, m)
+   *
+   */
+  static ellipF(phi: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the complete elliptic integral of the third kind Pi(n, m)
+   *
+   */
+  static ellipPi(n: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the incomplete elliptic integral of the third kind Pi(n; phi, m)
+   *
+   */
+  static ellipPi(n: AValue, phi: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the Jacobi elliptic function sn(u | m)
+   *
+   */
+  static sn(u: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the Jacobi elliptic function cn(u | m)
+   *
+   */
+  static cn(u: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the Jacobi elliptic function dn(u | m)
+   *
+   */
+  static dn(u: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the Jacobi amplitude am(u | m), the inverse of F(phi, m)
+   *
+   */
+  static am(u: AValue, m: AValue): Complex;
+
+  /**
+   * Calculates the Bessel function of the first kind J_nu(z), or exp(-|Im z|) J_nu(z) with options.scaled
+   *
+   */
+  static besselJ(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the Bessel function of the second kind Y_nu(z), or exp(-|Im z|) Y_nu(z) with options.scaled
+   *
+   */
+  static besselY(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the modified Bessel function of the first kind I_nu(z), or exp(-|Re z|) I_nu(z) with options.scaled
+   *
+   */
+  static besselI(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the modified Bessel function of the second kind K_nu(z), or exp(z) K_nu(z) with options.scaled
+   *
+   */
+  static besselK(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the Hankel function H1_nu(z) = J_nu(z) + i Y_nu(z), or exp(-iz) H1_nu(z) with options.scaled
+   *
+   */
+  static hankel1(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the Hankel function H2_nu(z) = J_nu(z) - i Y_nu(z), or exp(iz) H2_nu(z) with options.scaled
+   *
+   */
+  static hankel2(nu: AValue, z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the Airy function Ai(z), or exp(zeta) Ai(z) with zeta = 2/3 z^(3/2) with options.scaled
+   *
+   */
+  static airyAi(z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the derivative Ai'(z) of the Airy function, or exp(zeta) Ai'(z) with options.scaled
+   *
+   */
+  static airyAiPrime(z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the Airy function Bi(z), or exp(-|Re zeta|) Bi(z) with zeta = 2/3 z^(3/2) with options.scaled
+   *
+   */
+  static airyBi(z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the derivative Bi'(z) of the Airy function, or exp(-|Re zeta|) Bi'(z) with options.scaled
+   *
+   */
+  static airyBiPrime(z: AValue, options?: BesselOptions): Complex;
+
+  /**
+   * Calculates the confluent hypergeometric limit function 0F1(; b; z)
+   *
+   */
+  static hyp0f1(b: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates Kummer's confluent hypergeometric function 1F1(a; b; z) = M(a, b, z)
+   *
+   */
+  static hyp1f1(a: AValue, b: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates Tricomi's confluent hypergeometric function U(a, b, z)
+   *
+   */
+  static hyperU(a: AValue, b: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates the Gauss hypergeometric function 2F1(a, b; c; z), continued to the plane cut along z > 1
+   *
+   */
+  static hyp2f1(a: AValue, b: AValue, c: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates the generalized hypergeometric function pFq(as; bs; z)
+   *
+   */
+  static hypPFQ(as: AValue[], bs: AValue[], z: AValue): Complex;
+
+  /**
+   * Calculates the polylogarithm Li_s(z), the sum of z^k / k^s over k = 1, 2, 3, ..., continued to the plane cut along z > 1
+   *
+   */
+  static polylog(s: AValue, z: AValue): Complex;
+
+  /**
+   * Calculates the Lerch transcendent Phi(z, s, a), the sum of z^k (a + k)^-s over k = 0, 1, 2, ...
+   *
+   */
+  static lerchPhi(z: AValue, s: AValue, a: AValue): Complex;
+
+  /**
+   * Calculates the Clausen function Cl2(theta)
+   *
+   */
+  static clausen(theta: AValue): Complex;
+
+  /**
+   * Calculates the Clausen function Cl_s(theta), the sum of sin(k theta) / k^s over k = 1, 2, 3, ...
+   *
+   */
+  static clausen(s: AValue, theta: AValue): Complex;
+
+  /**
+   * An array of complex numbers stored in Float64Arrays, with vectorized versions of the prototype methods
+   *
+   */
+  static ComplexArray: typeof ComplexArray;
+
+  /**
+   * Calculates the discrete Fourier transform of a sequence of any length. Typed arrays are real samples
+   *
+   */
+  static fft(input: TransformInput, options?: TransformOptions & { out?: ComplexArray }): ComplexArray;
+
+  /**
+   * Calculates the inverse discrete Fourier transform of a sequence of any length
+   *
+   */
+  static ifft(input: TransformInput, options?: TransformOptions & { out?: ComplexArray }): ComplexArray;
+
+  /**
+   * Calculates the transform of real samples for the frequencies 0 to n/2
+   *
+   */
+  static rfft(input: TransformInput, options?: TransformOptions): ComplexArray;
+
+  /**
+   * Calculates the real samples of n/2 + 1 frequencies, with the length 2 (m - 1) for m frequencies unless n is given
+   *
+   */
+  static irfft(input: TransformInput, options?: TransformOptions & { n?: number }): Float64Array;
+
+  /**
+   * Calculates the 2-D discrete Fourier transform of a matrix, given as a list of rows
+   *
+   */
+  static fft2(rows: TransformInput[], options?: TransformOptions): ComplexArray[];
+
+  /**
+   * Calculates the inverse 2-D discrete Fourier transform of a matrix, given as a list of rows
+   *
+   */
+  static ifft2(rows: TransformInput[], options?: TransformOptions): ComplexArray[];
 }
@@ -26,6 +26,8 @@
  * '23.1337' - Simple real number
  * '15+3i' - a simple complex number
  * '3-i' - a simple complex number
+ * '2∠45°', '5 cis 30deg' - polar notation
+ * '3e^(iπ/4)', '3*exp(1.2i)' - exponential notation
  *
  * Example:
  *
@@ -71,8 +73,34 @@ const hypot = function (x, y) {
   return x * Math.sqrt(1 + y * y);
 };
 
-const parser_exit = function () {
-  throw SyntaxError('Invalid Param');
+/**
+ * Error thrown if an input can't be parsed. For compatibility it is a SyntaxError with the message 'Invalid Param',
+ * but it also carries the input, the offending token and its character offset (or null and -1 if the input is no
+ * string) and one of the following reason codes:
+ *
+ * UNEXPECTED_TOKEN - a token that is not allowed at this position, or null for an unexpected end of the input
+ * DANGLING_SIGN - a + or - sign without an operand
+ * MISSING_OPERAND - the input ends where an operand is expected, or a function gets too few arguments
+ * UNKNOWN_NAME - a name that is neither a variable, a constant nor a function
+ * UNSUPPORTED_RESULT - a function in an expression whose result is neither a complex nor a real number
+ * UNSUPPORTED_OBJECT - an object not of the form {re, im}, {abs, arg}, {r, phi} or [re, im]
+ * UNSUPPORTED_TYPE - an input which is neither an object, a string nor a number
+ */
+class ComplexParseError extends SyntaxError {
+
+  constructor(reason, input, token, offset) {
+    super('Invalid Param');
+    this['reason'] = reason;
+    this['input'] = input;
+    this['token'] = token;
+    this['offset'] = offset;
+  }
+}
+
+const parser_exit = function (reason, input, token, offset) {
+  throw new ComplexParseError(reason, input,
+    token === undefined ? null : token,
+    offset === undefined ? -1 : offset);
 };
 
 /**
@@ -137,1341 +165,9121 @@ function logHypot(a, b) {
   return 0.5 * Math.log(a * a + b * b) + Math.LN2;
 }
 
-const P = { 're': 0, 'im': 0 };
-const parse = function (a, b) {
+const POLAR = /^\s*([+-]?)\s*((?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:e[+-]?\d+)?)?\s*(?:(∠|cis(?![a-z]))|(?:\*\s*)?(e\s*\^|exp)(?=\s*\())(.*)$/;
 
-  const z = P;
+/**
+ * Parses a string in polar or exponential notation, like
+ * '2∠45°', '2∠0.785', '5 cis 30deg', '3e^(iπ/4)' or '3*exp(1.2i)'
+ *
+ * @param {string} str
+ * @returns {Array|null} [radius, angle] or null if the string is not polar
+ */
+const parsePolar = function (str) {
 
-  if (a === undefined || a === null) {
-    z['re'] =
-      z['im'] = 0;
-  } else if (b !== undefined) {
-    z['re'] = a;
-    z['im'] = b;
-  } else
-    switch (typeof a) {
+  const m = str.match(POLAR);
 
-      case 'object':
+  if (m === null) {
+    return null;
+  }
 
-        if ('im' in a && 're' in a) {
-          z['re'] = a['re'];
-          z['im'] = a['im'];
-        } else if ('abs' in a && 'arg' in a) {
-          if (!isFinite(a['abs']) && isFinite(a['arg'])) {
-            return Complex['INFINITY'];
-          }
-          z['re'] = a['abs'] * Math.cos(a['arg']);
-          z['im'] = a['abs'] * Math.sin(a['arg']);
-        } else if ('r' in a && 'phi' in a) {
-          if (!isFinite(a['r']) && isFinite(a['phi'])) {
-            return Complex['INFINITY'];
-          }
-          z['re'] = a['r'] * Math.cos(a['phi']);
-          z['im'] = a['r'] * Math.sin(a['phi']);
-        } else if (a.length === 2) { // Quick array check
-          z['re'] = a[0];
-          z['im'] = a[1];
-        } else {
-          parser_exit();
-        }
-        break;
+  let r = m[2] !== undefined ? parseFloat(m[2].replace(/_/g, '')) : 1;
+  if (m[1] === '-') {
+    r = -r;
+  }
 
-      case 'string':
+  const start = str.length - m[5].length;
 
-        z['im'] = /* void */
-        z['re'] = 0;
+  if (m[3] !== undefined) {
+    // r∠θ and r cis θ with an optional unit on the angle
+    const angle = m[5].match(/^(.*?)\s*(°|deg|rad)?\s*$/);
+    const phi = evaluate(str, null, start, start + angle[1].length);
 
-        const tokens = a.replace(/_/g, '')
-          .match(/\d+\.?\d*e[+-]?\d+|\d+\.?\d*|\.\d+|./g);
-        let plus = 1;
-        let minus = 0;
+    if (phi['im'] !== 0) {
+      parser_exit('UNEXPECTED_TOKEN', str, angle[1], start);
+    }
+    return [r, angle[2] === '°' || angle[2] === 'deg' ? phi['re'] * Math.PI / 180 : phi['re']];
+  }
 
-        if (tokens === null) {
-          parser_exit();
-        }
+  // r e^(w) and r exp(w) = r e^Re(w) ∠ Im(w), the parentheses keep the exponent the same as in evaluate()
+  const w = evaluate(str, null, start, str.length, RULE_CALL);
+  return [w['re'] === 0 ? r : r * Math.exp(w['re']), w['im']];
+};
 
-        for (let i = 0; i < tokens.length; i++) {
+const FLAT_TOKEN = /\d+\.?\d*e[+-]?\d+|\d+\.?\d*|\.\d+|./g;
 
-          const c = tokens[i];
+/**
+ * Gets the offset of the n-th token of the flat string parser in the input, which may contain digit separators
+ *
+ * @param {string} str
+ * @param {number} n
+ * @returns {number}
+ */
+const tokenOffset = function (str, n) {
 
-          if (c === ' ' || c === '\t' || c === '\n') {
-            /* void */
-          } else if (c === '+') {
-            plus++;
-          } else if (c === '-') {
-            minus++;
-          } else if (c === 'i' || c === 'I') {
+  const re = new RegExp(FLAT_TOKEN);
+  const stripped = str.replace(/_/g, '');
 
-            if (plus + minus === 0) {
-              parser_exit();
-            }
+  let m = null;
+  for (let i = 0; i <= n; i++) {
+    m = re.exec(stripped);
+  }
 
-            if (tokens[i + 1] !== ' ' && !isNaN(tokens[i + 1])) {
-              z['im'] += parseFloat((minus % 2 ? '-' : '') + tokens[i + 1]);
-              i++;
-            } else {
-              z['im'] += parseFloat((minus % 2 ? '-' : '') + '1');
-            }
-            plus = minus = 0;
+  // Map the offset back by skipping the removed separators
+  let pos = m.index;
+  let k = 0;
+  for (; k < str.length; k++) {
+    if (str[k] !== '_') {
+      if (pos === 0) break;
+      pos--;
+    }
+  }
+  return k;
+};
 
-          } else {
+/**
+ * Formats a number with the precision, fixedDigits or significantDigits option of toString()
+ *
+ * @param {number} x
+ * @param {Object} opt
+ * @returns {string}
+ */
+const formatNumber = function (x, opt) {
 
-            if (plus + minus === 0 || isNaN(c)) {
-              parser_exit();
-            }
+  if (x === 0) {
+    x = 0; // Drop the sign of -0
+  }
 
-            if (tokens[i + 1] === 'i' || tokens[i + 1] === 'I') {
-              z['im'] += parseFloat((minus % 2 ? '-' : '') + c);
-              i++;
-            } else {
-              z['re'] += parseFloat((minus % 2 ? '-' : '') + c);
-            }
-            plus = minus = 0;
-          }
-        }
+  if (opt['fixedDigits'] !== undefined) {
+    return x.toFixed(opt['fixedDigits']);
+  }
 
-        // Still something on the stack
-        if (plus + minus > 0) {
-          parser_exit();
-        }
-        break;
+  if (opt['significantDigits'] !== undefined) {
+    return x.toPrecision(opt['significantDigits']);
+  }
 
-      case 'number':
-        z['im'] = 0;
-        z['re'] = a;
-        break;
+  if (opt['precision'] !== undefined) {
+    return String(parseFloat(x.toFixed(opt['precision'])) + 0);
+  }
+  return String(x);
+};
 
-      default:
-        parser_exit();
+const FORMAT_OPTIONS = {
+  'precision': 1,
+  'fixedDigits': 1,
+  'significantDigits': 1,
+  'unit': 1,
+  'spacing': 1,
+  'form': 1,
+  'angleUnit': 1,
+  'zeroThreshold': 1
+};
+
+/**
+ * Checks the options of toString(), toLocaleString(), toLatex() and toMathML() before anything is formatted. An
+ * unknown form, angle unit or dialect and digit counts outside of what toFixed() and toPrecision() take throw a
+ * RangeError.
+ *
+ * @param {Object} opt
+ * @returns {Object}
+ */
+const checkFormatOptions = function (opt) {
+
+  const digits = function (name, min) {
+    const v = opt[name];
+    if (v !== undefined && !(Number.isInteger(v) && v >= min && v <= 100)) {
+      throw RangeError('Invalid ' + name + ': ' + v);
     }
+  };
+  digits('precision', 0);
+  digits('fixedDigits', 0);
+  digits('significantDigits', 1);
 
-  if (isNaN(z['re']) || isNaN(z['im'])) {
-    // If a calculation is NaN, we treat it as NaN and don't throw
-    //parser_exit();
+  if (opt['form'] !== undefined && opt['form'] !== 'rect' && opt['form'] !== 'polar' && opt['form'] !== 'exp') {
+    throw RangeError('Unknown form: ' + opt['form']);
   }
 
-  return z;
+  if (opt['angleUnit'] !== undefined && opt['angleUnit'] !== 'rad' && opt['angleUnit'] !== 'deg') {
+    throw RangeError('Unknown angle unit: ' + opt['angleUnit']);
+  }
+
+  if (opt['zeroThreshold'] !== undefined && !(opt['zeroThreshold'] >= 0)) {
+    throw RangeError('Invalid zeroThreshold: ' + opt['zeroThreshold']);
+  }
+
+  if (opt['dialect'] !== undefined && !Object.prototype.hasOwnProperty.call(DIALECTS, opt['dialect'])) {
+    throw RangeError('Unknown dialect: ' + opt['dialect']);
+  }
+  return opt;
 };
 
 /**
- * @constructor
- * @returns {Complex}
+ * Creates a number formatter for toLocaleString() with Intl.NumberFormat. All options which are not
+ * options of toString() are passed on, the digit options of toString() are translated.
+ *
+ * @param {string|Array|undefined} locale
+ * @param {Object} opt
+ * @returns {function(number):string}
  */
-function Complex(a, b) {
+const localeFormat = function (locale, opt) {
 
-  if (!(this instanceof Complex)) {
-    return new Complex(a, b);
-  }
+  const nf = {};
 
-  const z = parse(a, b);
+  for (let k in opt) {
+    if (!Object.prototype.hasOwnProperty.call(FORMAT_OPTIONS, k)) {
+      nf[k] = opt[k];
+    }
+  }
 
-  this['re'] = z['re'];
-  this['im'] = z['im'];
-}
+  if (opt['fixedDigits'] !== undefined) {
+    nf['minimumFractionDigits'] = nf['maximumFractionDigits'] = opt['fixedDigits'];
+  } else if (opt['significantDigits'] !== undefined) {
+    nf['minimumSignificantDigits'] = nf['maximumSignificantDigits'] = opt['significantDigits'];
+  } else if (opt['precision'] !== undefined) {
+    nf['maximumFractionDigits'] = opt['precision'];
+  }
 
-Complex.prototype = {
+  const format = new Intl.NumberFormat(locale, nf);
 
-  're': 0,
-  'im': 0,
+  return x => format.format(x === 0 ? 0 : x); // Drop the sign of -0
+};
 
-  /**
-   * Calculates the sign of a complex number, which is a normalized complex
-   *
-   * @returns {Complex}
-   */
-  'sign': function () {
+const FORM_RECT = 0;
+const FORM_POLAR = 1;
+const FORM_EXP = 2;
+const FORM_SPECIAL = 3;
 
-    const abs = hypot(this['re'], this['im']);
+/**
+ * Splits a complex number into the formatted pieces that toString(), toLatex() and toMathML() put together:
+ *
+ * FORM_RECT: re (null if zero), sign and im (null if zero, '' for a coefficient of one), as in `re sign im·i`
+ * FORM_POLAR: re as radius and phi as angle, which is in degrees if deg is set, as in `re∠phi`
+ * FORM_EXP: re as radius, sign and im of the angle, as in `re e^(sign im·i)`
+ * FORM_SPECIAL: re is 'NaN' or 'Infinity'
+ *
+ * @param {Complex} z
+ * @param {Object} opt
+ * @param {function(number):string=} fmt The number formatter, formatNumber() by default
+ * @returns {Object}
+ */
+const decompose = function (z, opt, fmt) {
 
-    return new Complex(
-      this['re'] / abs,
-      this['im'] / abs);
-  },
+  const p = { form: FORM_RECT, re: null, sign: '', im: null, phi: null, deg: false };
 
-  /**
-   * Adds two complex numbers
-   *
-   * @returns {Complex}
-   */
-  'add': function (a, b) {
+  if (z['isNaN']()) {
+    p.form = FORM_SPECIAL;
+    p.re = 'NaN';
+    return p;
+  }
 
-    const z = parse(a, b);
+  if (z['isInfinite']()) {
+    p.form = FORM_SPECIAL;
+    p.re = 'Infinity';
+    return p;
+  }
 
-    const tInfin = this['isInfinite']();
-    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+  const eps = opt['zeroThreshold'] !== undefined ? opt['zeroThreshold'] : Complex['EPSILON'];
 
-    if (tInfin || zInfin) {
+  fmt = fmt || (x => formatNumber(x, opt));
 
-      if (tInfin && zInfin) {
-        // Infinity + Infinity = NaN
-        return Complex['NAN'];
-      }
-      // Infinity + z = Infinity { where z != Infinity }
-      return Complex['INFINITY'];
-    }
+  // A part is zero if it is below the threshold or rounds to zero
+  const zero = fmt(0);
+  const isZero = x => Math.abs(x) < eps || fmt(Math.abs(x)) === zero;
 
-    return new Complex(
-      this['re'] + z['re'],
-      this['im'] + z['im']);
-  },
+  let a = z['re'];
+  let b = z['im'];
 
-  /**
-   * Subtracts two complex numbers
-   *
-   * @returns {Complex}
-   */
-  'sub': function (a, b) {
+  if (opt['form'] === 'polar' || opt['form'] === 'exp') {
 
-    const z = parse(a, b);
+    const r = z['abs']();
 
-    const tInfin = this['isInfinite']();
-    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+    if (isZero(r)) {
+      p.re = zero;
+      return p;
+    }
 
-    if (tInfin || zInfin) {
+    // Continue with the angle as imaginary part
+    p.re = fmt(r);
+    a = 1;
+    b = z['arg']();
 
-      if (tInfin && zInfin) {
-        // Infinity - Infinity = NaN
-        return Complex['NAN'];
-      }
-      // Infinity - z = Infinity { where z != Infinity }
-      return Complex['INFINITY'];
+    if (opt['form'] === 'polar') {
+      p.form = FORM_POLAR;
+      p.deg = opt['angleUnit'] === 'deg';
+      p.phi = fmt(Math.abs(b) < eps ? 0 : (p.deg ? b * 180 / Math.PI : b));
+      return p;
     }
 
-    return new Complex(
-      this['re'] - z['re'],
-      this['im'] - z['im']);
-  },
-
-  /**
-   * Multiplies two complex numbers
-   *
-   * @returns {Complex}
-   */
-  'mul': function (a, b) {
+    p.form = FORM_EXP;
+    if (Math.abs(b) < eps) {
+      p.im = zero;
+      return p;
+    }
 
-    const z = parse(a, b);
+  } else {
 
-    const tInfin = this['isInfinite']();
-    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
-    const tIsZero = this['re'] === 0 && this['im'] === 0;
-    const zIsZero = z['re'] === 0 && z['im'] === 0;
+    if (isZero(a)) {
+      a = 0;
+    }
 
-    // Infinity * 0 = NaN
-    if (tInfin && zIsZero || zInfin && tIsZero) {
-      return Complex['NAN'];
+    if (isZero(b)) {
+      b = 0;
     }
 
-    // Infinity * z = Infinity { where z != 0 }
-    if (tInfin || zInfin) {
-      return Complex['INFINITY'];
+    if (a !== 0 || b === 0) {
+      p.re = fmt(a);
     }
 
-    // Shortcut for real values
-    if (z['im'] === 0 && this['im'] === 0) {
-      return new Complex(this['re'] * z['re'], 0);
+    // If is real number
+    if (b === 0) {
+      return p;
     }
+  }
 
-    return new Complex(
-      this['re'] * z['re'] - this['im'] * z['im'],
-      this['re'] * z['im'] + this['im'] * z['re']);
-  },
+  if (b < 0) {
+    b = -b;
+    p.sign = '-';
+  }
 
-  /**
-   * Divides two complex numbers
-   *
-   * @returns {Complex}
-   */
-  'div': function (a, b) {
+  p.im = fmt(b); // b is the absolute imaginary part
+  if ("1" === p.im) {
+    p.im = '';
+  }
+  return p;
+};
 
-    const z = parse(a, b);
+/**
+ * Puts the pieces of decompose() together to a string
+ *
+ * @param {Object} p
+ * @param {Object} opt
+ * @returns {string}
+ */
+const joinParts = function (p, opt) {
 
-    const tInfin = this['isInfinite']();
-    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
-    const tIsZero = this['re'] === 0 && this['im'] === 0;
-    const zIsZero = z['re'] === 0 && z['im'] === 0;
+  const unit = opt['unit'] || 'i';
 
-    // 0 / 0 = NaN and Infinity / Infinity = NaN
-    if (tIsZero && zIsZero || tInfin && zInfin) {
-      return Complex['NAN'];
-    }
+  switch (p.form) {
 
-    // Infinity / 0 = Infinity
-    if (zIsZero || tInfin) {
-      return Complex['INFINITY'];
-    }
-
-    // 0 / Infinity = 0
-    if (tIsZero || zInfin) {
-      return Complex['ZERO'];
-    }
+    case FORM_SPECIAL:
+      return p.re;
 
-    if (0 === z['im']) {
-      // Divisor is real
-      return new Complex(this['re'] / z['re'], this['im'] / z['re']);
-    }
+    case FORM_POLAR:
+      return p.re + "∠" + p.phi + (p.deg ? "°" : "");
 
-    if (Math.abs(z['re']) < Math.abs(z['im'])) {
+    case FORM_EXP:
+      // r e^(iφ), written as r e^(φi) to read back with the string parser
+      return p.re + "e^(" + p.sign + p.im + unit + ")";
+  }
 
-      const x = z['re'] / z['im'];
-      const t = z['re'] * x + z['im'];
+  // If is real number
+  if (p.im === null) {
+    return p.re;
+  }
 
-      return new Complex(
-        (this['re'] * x + this['im']) / t,
-        (this['im'] * x - this['re']) / t);
+  if (p.re === null) {
+    return p.sign + p.im + unit;
+  }
 
-    } else {
+  const space = opt['spacing'] === false ? "" : " ";
+  return p.re + space + (p.sign || "+") + space + p.im + unit;
+};
 
-      const x = z['im'] / z['re'];
-      const t = z['im'] * x + z['re'];
+/**
+ * Writes a formatted number like -1.5e-16 as LaTeX
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+const latexNumber = function (str) {
 
-      return new Complex(
-        (this['re'] + this['im'] * x) / t,
-        (this['im'] - this['re'] * x) / t);
-    }
-  },
+  const m = str.match(/^(-?[\d.]+)e\+?(-?\d+)$/);
+  if (m === null) {
+    return str;
+  }
+  return m[1] + " \\times 10^{" + m[2] + "}";
+};
 
-  /**
-   * Calculate the power of two complex numbers
-   *
-   * @returns {Complex}
-   */
-  'pow': function (a, b) {
+/**
+ * Writes a formatted number like -1.5e-16 as MathML
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+const mathmlNumber = function (str) {
 
-    const z = parse(a, b);
+  const m = str.match(/^(-?)([\d.]+)(?:e\+?(-?)(\d+))?$/);
+  if (m === null) {
+    return "<mn>" + str + "</mn>";
+  }
 
-    const tIsZero = this['re'] === 0 && this['im'] === 0;
-    const zIsZero = z['re'] === 0 && z['im'] === 0;
+  let ret = (m[1] ? "<mo>-</mo>" : "") + "<mn>" + m[2] + "</mn>";
+  if (m[4] !== undefined) {
+    ret += "<mo>&#x00D7;</mo><msup><mn>10</mn>" +
+      (m[3] ? "<mrow><mo>-</mo><mn>" + m[4] + "</mn></mrow>" : "<mn>" + m[4] + "</mn>") + "</msup>";
+  }
+  return ret;
+};
 
-    if (zIsZero) {
-      return Complex['ONE'];
-    }
+const JSON_PARTS = {
+  'NaN': NaN,
+  'Infinity': Infinity,
+  '-Infinity': -Infinity,
+  '-0': -0
+};
 
-    // If the exponent is real
-    if (z['im'] === 0) {
+/**
+ * Encodes a part for JSON, which writes NaN, ±Infinity and -0 as the strings 'NaN', 'Infinity', '-Infinity' and '-0'
+ *
+ * @param {number} x
+ * @returns {number|string}
+ */
+const toJSONPart = function (x) {
 
-      if (this['im'] === 0 && this['re'] > 0) {
+  if (x === 0 && 1 / x < 0) {
+    return '-0';
+  }
+  return isFinite(x) ? x : String(x);
+};
 
-        return new Complex(Math.pow(this['re'], z['re']), 0);
+/**
+ * Decodes a part written by toJSONPart()
+ *
+ * @param {*} x
+ * @param {*} input
+ * @returns {number}
+ */
+const fromJSONPart = function (x, input) {
 
-      } else if (this['re'] === 0) { // If base is fully imaginary
+  if (typeof x === 'number') {
+    return x;
+  }
 
-        switch ((z['re'] % 4 + 4) % 4) {
-          case 0:
-            return new Complex(Math.pow(this['im'], z['re']), 0);
-          case 1:
-            return new Complex(0, Math.pow(this['im'], z['re']));
-          case 2:
-            return new Complex(-Math.pow(this['im'], z['re']), 0);
-          case 3:
-            return new Complex(0, -Math.pow(this['im'], z['re']));
-        }
-      }
-    }
+  if (typeof x === 'string' && Object.prototype.hasOwnProperty.call(JSON_PARTS, x)) {
+    return JSON_PARTS[x];
+  }
+  parser_exit('UNSUPPORTED_OBJECT', input);
+};
 
-    /* I couldn't find a good formula, so here is a derivation and optimization
-     *
-     * z_1^z_2 = (a + bi)^(c + di)
-     *         = exp((c + di) * log(a + bi)
-     *         = pow(a^2 + b^2, (c + di) / 2) * exp(i(c + di)atan2(b, a))
-     * =>...
-     * Re = (pow(a^2 + b^2, c / 2) * exp(-d * atan2(b, a))) * cos(d * log(a^2 + b^2) / 2 + c * atan2(b, a))
-     * Im = (pow(a^2 + b^2, c / 2) * exp(-d * atan2(b, a))) * sin(d * log(a^2 + b^2) / 2 + c * atan2(b, a))
-     *
-     * =>...
-     * Re = exp(c * log(sqrt(a^2 + b^2)) - d * atan2(b, a)) * cos(d * log(sqrt(a^2 + b^2)) + c * atan2(b, a))
-     * Im = exp(c * log(sqrt(a^2 + b^2)) - d * atan2(b, a)) * sin(d * log(sqrt(a^2 + b^2)) + c * atan2(b, a))
-     *
-     * =>
-     * Re = exp(c * logsq2 - d * arg(z_1)) * cos(d * logsq2 + c * arg(z_1))
-     * Im = exp(c * logsq2 - d * arg(z_1)) * sin(d * logsq2 + c * arg(z_1))
-     *
-     */
+/**
+ * Checks if a value is an object written by toJSON()
+ *
+ * @param {*} x
+ * @returns {boolean}
+ */
+const isComplexJSON = function (x) {
 
-    if (tIsZero && z['re'] > 0) { // Same behavior as Wolframalpha, Zero if real part is zero
-      return Complex['ZERO'];
-    }
+  return x !== null && typeof x === 'object' && x['type'] === 'Complex' && 're' in x && 'im' in x;
+};
 
-    const arg = Math.atan2(this['im'], this['re']);
-    const loh = logHypot(this['re'], this['im']);
+const NUM_DEC = '(?:\\d[\\d_]*\\.?[\\d_]*|\\.\\d[\\d_]*)';
 
-    let re = Math.exp(z['re'] * loh - z['im'] * arg);
-    let im = z['im'] * loh + z['re'] * arg;
-    return new Complex(
-      re * Math.cos(im),
-      re * Math.sin(im));
+/**
+ * The number syntax and imaginary unit of other numeric ecosystems. A dialect has
+ *
+ * num - the regex source of an unsigned number
+ * mul - the regex source of what may stand between a number and the imaginary unit
+ * unit - the regex source of the imaginary unit
+ * wrap - a regex for a pair notation like (re, im) or null
+ * special - names of complex values or null
+ * infinity - a regex for an infinity in the direction of a number, or null
+ * toNumber - converts a matched number into a double
+ * parens - whether a sum may be enclosed in parentheses
+ */
+const DIALECTS = {
+  'python': {
+    num: NUM_DEC + '(?:[eE][+-]?\\d[\\d_]*)?|[iI][nN][fF](?:[iI][nN][iI][tT][yY])?|[nN][aA][nN]',
+    mul: '',
+    unit: '[jJ]',
+    wrap: null,
+    special: null,
+    infinity: null,
+    parens: true,
+    toNumber: x => parseFloat(x.replace(/_/g, '').replace(/^nan$/i, 'NaN').replace(/^inf(inity)?$/i, 'Infinity'))
+  },
+  'matlab': {
+    num: NUM_DEC + '(?:[eEdD][+-]?\\d+)?|Inf|inf|NaN|nan',
+    mul: '(?:\\s*\\*\\s*)?',
+    unit: '[iIjJ]',
+    wrap: /^\s*complex\s*\(\s*([^,]+?)\s*,\s*([^,]+?)\s*\)\s*$/,
+    special: null,
+    infinity: null,
+    parens: false,
+    toNumber: x => parseFloat(x.replace(/[dD]/, 'e').replace(/^inf$/i, 'Infinity').replace(/^nan$/i, 'NaN'))
+  },
+  'mathematica': {
+    num: '(?:\\d+\\.?\\d*|\\.\\d+)(?:`[\\d.]*)?(?:\\*\\^[+-]?\\d+)?|Infinity|Indeterminate',
+    mul: '(?:\\s*\\*\\s*|\\s+)?',
+    unit: 'I',
+    wrap: /^\s*Complex\s*\[\s*([^,]+?)\s*,\s*([^,]+?)\s*\]\s*$/,
+    special: { 'ComplexInfinity': [Infinity, Infinity], 'Indeterminate': [NaN, NaN] },
+    infinity: /^\s*DirectedInfinity\s*\[(.+)\]\s*$/,
+    parens: false,
+    toNumber: x => x === 'Indeterminate' ? NaN : parseFloat(x.replace(/`[\d.]*/, '').replace('*^', 'e'))
   },
+  'julia': {
+    num: NUM_DEC + '(?:[eEf][+-]?\\d+)?|Inf(?:64)?|NaN(?:64)?',
+    mul: '(?:\\s*\\*\\s*)?',
+    unit: 'im',
+    wrap: /^\s*[cC]omplex\s*\(\s*([^,]+?)\s*,\s*([^,]+?)\s*\)\s*$/,
+    special: null,
+    infinity: null,
+    parens: false,
+    toNumber: x => parseFloat(x.replace(/_/g, '').replace(/^([\d.]+)f/, '$1e').replace(/^Inf(64)?$/, 'Infinity').replace(/^NaN(64)?$/, 'NaN'))
+  },
+  'fortran': {
+    num: '(?:\\d+\\.?\\d*|\\.\\d+)(?:[eEdDqQ][+-]?\\d+)?(?:_\\w+)?|[iI][nN][fF](?:[iI][nN][iI][tT][yY])?|[nN][aA][nN]',
+    mul: null,
+    unit: null,
+    wrap: /^\s*\(\s*([^,]+?)\s*,\s*([^,]+?)\s*\)\s*$/,
+    special: null,
+    infinity: null,
+    parens: false,
+    toNumber: x => parseFloat(x.replace(/_\w+$/, '').replace(/[dDqQ]/, 'e').replace(/^nan$/i, 'NaN').replace(/^inf(inity)?$/i, 'Infinity'))
+  }
+};
 
-  /**
-   * Calculate the complex square root
-   *
-   * @returns {Complex}
-   */
-  'sqrt': function () {
+/**
+ * Reads a signed number of a dialect
+ *
+ * @param {string} str
+ * @param {Object} d
+ * @returns {number|null}
+ */
+const parseDialectNumber = function (str, d) {
 
-    const a = this['re'];
-    const b = this['im'];
+  const m = str.match(new RegExp('^([+-]?)\\s*(' + d.num + ')$'));
+  if (m === null) {
+    return null;
+  }
 
-    if (b === 0) {
-      // Real number case
-      if (a >= 0) {
-        return new Complex(Math.sqrt(a), 0);
-      } else {
-        return new Complex(0, Math.sqrt(-a));
-      }
-    }
+  const x = d.toNumber(m[2]);
+  return m[1] === '-' ? -x : x;
+};
 
-    const r = hypot(a, b);
+/**
+ * Reads a complex number in the syntax of a dialect, like '(1+2j)' for Python or 'Complex[1, 2]' for Mathematica
+ *
+ * @param {string} str
+ * @param {Object} d
+ * @returns {Array} [re, im] or [null, offset] if str is not written in the dialect
+ */
+const parseDialect = function (str, d) {
 
-    let re = Math.sqrt(0.5 * (r + Math.abs(a))); // sqrt(2x) / 2 = sqrt(x / 2)
-    let im = Math.abs(b) / (2 * re);
+  if (d.special !== null && Object.prototype.hasOwnProperty.call(d.special, str.trim())) {
+    return d.special[str.trim()];
+  }
 
-    if (a >= 0) {
-      return new Complex(re, b < 0 ? -im : im);
-    } else {
-      return new Complex(im, b < 0 ? -re : re);
-    }
-  },
+  // An infinite part for every non-zero part of the direction
+  const inf = d.infinity !== null ? str.match(d.infinity) : null;
+  if (inf !== null) {
+    const dir = parseDialect(inf[1], d);
 
-  /**
-   * Calculate the complex exponent
-   *
-   * @returns {Complex}
-   */
-  'exp': function () {
+    if (dir[0] !== null) {
+      return dir.map(x => x === 0 ? 0 : x * Infinity);
+    }
+  }
 
-    const er = Math.exp(this['re']);
+  // Pair notation, like Complex[re, im] or (re, im)
+  const w = d.wrap !== null ? str.match(d.wrap) : null;
+  if (w !== null) {
+    const re = parseDialectNumber(w[1], d);
+    const im = parseDialectNumber(w[2], d);
 
-    if (this['im'] === 0) {
-      return new Complex(er, 0);
+    if (re !== null && im !== null) {
+      return [re, im];
     }
-    return new Complex(
-      er * Math.cos(this['im']),
-      er * Math.sin(this['im']));
-  },
+  }
 
-  /**
-   * Calculate the complex exponent and subtracts one.
-   *
-   * This may be more accurate than `Complex(x).exp().sub(1)` if
-   * `x` is small.
-   *
-   * @returns {Complex}
-   */
-  'expm1': function () {
+  if (d.unit === null) {
+    return [null, 0];
+  }
 
-    /**
-     * exp(a + i*b) - 1
-     = exp(a) * (cos(b) + j*sin(b)) - 1
-     = expm1(a)*cos(b) + cosm1(b) + j*exp(a)*sin(b)
-     */
+  let from = 0;
+  let to = str.length;
 
-    const a = this['re'];
-    const b = this['im'];
+  const p = d.parens ? str.match(/^(\s*\()(.*)\)\s*$/) : null;
+  if (p !== null) {
+    from = p[1].length;
+    to = from + p[2].length;
+  }
 
-    return new Complex(
-      Math.expm1(a) * Math.cos(b) + cosm1(b),
-      Math.exp(a) * Math.sin(b));
-  },
+  // A sum of terms, each a number, a number times the unit or the unit
+  const term = new RegExp('\\s*([+-]?)\\s*(?:(' + d.num + ')(?:' + d.mul + '(' + d.unit + '))?|(' + d.unit + '))(?![\\w.])\\s*', 'y');
 
-  /**
-   * Calculate the natural log
-   *
-   * @returns {Complex}
-   */
-  'log': function () {
+  let re = null;
+  let im = null;
 
-    const a = this['re'];
-    const b = this['im'];
+  term.lastIndex = from;
+  while (term.lastIndex < to) {
 
-    if (b === 0 && a > 0) {
-      return new Complex(Math.log(a), 0);
-    }
+    const pos = term.lastIndex;
+    const m = term.exec(str);
 
-    return new Complex(
-      logHypot(a, b),
-      Math.atan2(b, a));
-  },
+    // Only the first term goes without a sign
+    if (m === null || m.index + m[0].length > to || pos > from && m[1] === '') {
+      return [null, pos];
+    }
 
-  /**
-   * Calculate the magnitude of the complex number
-   *
-   * @returns {number}
-   */
-  'abs': function () {
+    const x = (m[1] === '-' ? -1 : 1) * (m[2] !== undefined ? d.toNumber(m[2]) : 1);
 
-    return hypot(this['re'], this['im']);
-  },
+    if (m[2] === undefined || m[3] !== undefined) {
+      im = im === null ? x : im + x;
+    } else {
+      re = re === null ? x : re + x;
+    }
+  }
 
-  /**
-   * Calculate the angle of the complex number
-   *
-   * @returns {number}
-   */
-  'arg': function () {
+  if (re === null && im === null) {
+    return [null, to];
+  }
+  return [re === null ? 0 : re, im === null ? 0 : im];
+};
 
-    return Math.atan2(this['im'], this['re']);
-  },
+/**
+ * Writes a number for a dialect, with its notation of NaN, ±Infinity and -0
+ *
+ * @param {number} x
+ * @param {string} dialect
+ * @param {Object} opt
+ * @returns {string}
+ */
+const dialectNumber = function (x, dialect, opt) {
 
-  /**
-   * Calculate the sine of the complex number
-   *
-   * @returns {Complex}
-   */
-  'sin': function () {
+  let str;
 
-    // sin(z) = ( e^iz - e^-iz ) / 2i 
-    //        = sin(a)cosh(b) + i cos(a)sinh(b)
+  switch (dialect) {
 
-    const a = this['re'];
-    const b = this['im'];
+    case 'python':
+      if (isNaN(x)) return 'nan';
+      if (!isFinite(x)) return x < 0 ? '-inf' : 'inf';
+      if (x === 0) return 1 / x < 0 ? '-0' : '0';
+      // Python writes exponents with at least two digits
+      return formatNumber(x, opt).replace(/e([+-])(\d)$/, 'e$10$2');
 
-    return new Complex(
-      Math.sin(a) * cosh(b),
-      Math.cos(a) * sinh(b));
-  },
+    case 'matlab':
+      if (isNaN(x)) return 'NaN';
+      if (!isFinite(x)) return x < 0 ? '-Inf' : 'Inf';
+      return formatNumber(x, opt);
 
-  /**
-   * Calculate the cosine
-   *
-   * @returns {Complex}
-   */
-  'cos': function () {
+    case 'mathematica':
+      return formatNumber(x, opt).replace(/e\+?/, '*^');
 
-    // cos(z) = ( e^iz + e^-iz ) / 2 
-    //        = cos(a)cosh(b) - i sin(a)sinh(b)
+    default: // julia and fortran
+      if (isNaN(x)) return 'NaN';
+      if (!isFinite(x)) return x < 0 ? '-Inf' : 'Inf';
+      if (x === 0 && 1 / x < 0) return '-0.0';
 
-    const a = this['re'];
+      // Both read integers as integer type
+      str = formatNumber(x, opt);
+      if (!/[.e]/.test(str)) {
+        str += '.0';
+      }
+      return dialect === 'fortran' ? str.toUpperCase() : str;
+  }
+};
+
+/**
+ * Writes a complex number in the syntax of a dialect, like (1+2j) for Python or Complex[1, 2] for Mathematica
+ *
+ * @param {Complex} z
+ * @param {Object} opt
+ * @returns {string}
+ */
+const dialectString = function (z, opt) {
+
+  const dialect = opt['dialect'];
+  const eps = opt['zeroThreshold'] || 0;
+
+  let a = z['re'];
+  let b = z['im'];
+
+  if (Math.abs(a) < eps) {
+    a = 0;
+  }
+
+  if (Math.abs(b) < eps) {
+    b = 0;
+  }
+
+  const num = x => dialectNumber(x, dialect, opt);
+
+  // Sign of the imaginary part, including the sign of -0
+  const sign = b < 0 || b === 0 && 1 / b < 0 ? '-' : '+';
+  const abs = sign === '-' ? -b : b;
+
+  switch (dialect) {
+
+    case 'python':
+      if (a === 0 && 1 / a > 0) {
+        return (sign === '-' ? '-' : '') + num(abs) + 'j';
+      }
+      return '(' + num(a) + sign + num(abs) + 'j)';
+
+    case 'matlab':
+      if (!z['isFinite']()) {
+        return 'complex(' + num(a) + ', ' + num(b) + ')';
+      }
+      return num(a) + ' ' + sign + ' ' + num(abs) + 'i';
+
+    case 'mathematica':
+      // Mathematica has no NaN parts, and an infinity has a direction or none at all
+      if (z['isNaN']()) {
+        return 'Indeterminate';
+      }
+      if (!z['isInfinite']()) {
+        return 'Complex[' + num(a) + ', ' + num(b) + ']';
+      }
+      if (isNaN(a) || isNaN(b) || a === Infinity && b === Infinity) {
+        return 'ComplexInfinity';
+      }
+      if (isFinite(a) || isFinite(b)) {
+        return 'DirectedInfinity[' + (isFinite(b) ? Math.sign(a) : b < 0 ? '-I' : 'I') + ']';
+      }
+      return 'DirectedInfinity[' + Math.sign(a) + ' ' + (b < 0 ? '-' : '+') + ' I]';
+
+    case 'julia':
+      return num(a) + ' ' + sign + ' ' + num(abs) + (isFinite(abs) ? 'im' : '*im');
+
+    case 'fortran':
+      return '(' + num(a) + ',' + num(b) + ')';
+  }
+  throw Error('Unknown dialect: ' + dialect);
+};
+
+const P = { 're': 0, 'im': 0 };
+const parse = function (a, b) {
+
+  const z = P;
+
+  if (a === undefined || a === null) {
+    z['re'] =
+      z['im'] = 0;
+  } else if (b !== undefined) {
+    z['re'] = a;
+    z['im'] = b;
+  } else
+    switch (typeof a) {
+
+      case 'object':
+
+        if ('im' in a && 're' in a) {
+          z['re'] = a['re'];
+          z['im'] = a['im'];
+        } else if ('abs' in a && 'arg' in a) {
+          if (!isFinite(a['abs']) && isFinite(a['arg'])) {
+            return Complex['INFINITY'];
+          }
+          z['re'] = a['abs'] * Math.cos(a['arg']);
+          z['im'] = a['abs'] * Math.sin(a['arg']);
+        } else if ('r' in a && 'phi' in a) {
+          if (!isFinite(a['r']) && isFinite(a['phi'])) {
+            return Complex['INFINITY'];
+          }
+          z['re'] = a['r'] * Math.cos(a['phi']);
+          z['im'] = a['r'] * Math.sin(a['phi']);
+        } else if (a.length === 2) { // Quick array check
+          z['re'] = a[0];
+          z['im'] = a[1];
+        } else {
+          parser_exit('UNSUPPORTED_OBJECT', a);
+        }
+        break;
+
+      case 'string':
+
+        const polar = parsePolar(a);
+        if (polar !== null) {
+          if (!isFinite(polar[0]) && isFinite(polar[1])) {
+            return Complex['INFINITY'];
+          }
+          z['re'] = polar[0] * Math.cos(polar[1]);
+          z['im'] = polar[0] * Math.sin(polar[1]);
+          break;
+        }
+
+        // The parts start at -0, so that -0 + -0 keeps the sign of a zero like in '-0' or '1 - 0i', and turn
+        // into +0 below if they don't appear at all
+        z['im'] = /* void */
+        z['re'] = -0;
+        let hasRe = false;
+        let hasIm = false;
+
+        const tokens = a.replace(/_/g, '').match(FLAT_TOKEN);
+        let plus = 1;
+        let minus = 0;
+        let sign = -1;
+
+        if (tokens === null) {
+          parser_exit('MISSING_OPERAND', a, null, 0);
+        }
+
+        for (let i = 0; i < tokens.length; i++) {
+
+          const c = tokens[i];
+
+          if (c === ' ' || c === '\t' || c === '\n') {
+            /* void */
+          } else if (c === '+') {
+            plus++;
+            sign = i;
+          } else if (c === '-') {
+            minus++;
+            sign = i;
+          } else if (c === 'i' || c === 'I') {
+
+            if (plus + minus === 0) {
+              parser_exit('UNEXPECTED_TOKEN', a, c, tokenOffset(a, i));
+            }
+
+            if (tokens[i + 1] !== ' ' && !isNaN(tokens[i + 1])) {
+              z['im'] += parseFloat((minus % 2 ? '-' : '') + tokens[i + 1]);
+              i++;
+            } else {
+              z['im'] += parseFloat((minus % 2 ? '-' : '') + '1');
+            }
+            hasIm = true;
+            plus = minus = 0;
+
+          } else {
+
+            if (plus + minus === 0 || isNaN(c)) {
+              parser_exit('UNEXPECTED_TOKEN', a, c, tokenOffset(a, i));
+            }
+
+            if (tokens[i + 1] === 'i' || tokens[i + 1] === 'I') {
+              z['im'] += parseFloat((minus % 2 ? '-' : '') + c);
+              hasIm = true;
+              i++;
+            } else {
+              z['re'] += parseFloat((minus % 2 ? '-' : '') + c);
+              hasRe = true;
+            }
+            plus = minus = 0;
+          }
+        }
+
+        if (!hasRe) {
+          z['re'] = 0;
+        }
+        if (!hasIm) {
+          z['im'] = 0;
+        }
+
+        // Still something on the stack
+        if (plus + minus > 0) {
+          if (sign < 0) {
+            parser_exit('MISSING_OPERAND', a, null, a.length);
+          }
+          parser_exit('DANGLING_SIGN', a, tokens[sign], tokenOffset(a, sign));
+        }
+        break;
+
+      case 'number':
+        z['im'] = 0;
+        z['re'] = a;
+        break;
+
+      default:
+        parser_exit('UNSUPPORTED_TYPE', a);
+    }
+
+  if (isNaN(z['re']) || isNaN(z['im'])) {
+    // If a calculation is NaN, we treat it as NaN and don't throw
+    //parser_exit();
+  }
+
+  return z;
+};
+
+const TOKEN_NUMBER = 1;
+const TOKEN_NAME = 2;
+const TOKEN_OP = 3;
+
+const RULE_CALL = 1;
+
+/**
+ * Splits an arithmetic expression into number, name and operator tokens.
+ * The letter π is always a token of its own, so that `iπ` reads as `i * π`.
+ *
+ * @param {string} str
+ * @param {number} offset Position of str in the whole input
+ * @returns {Array}
+ */
+const tokenize = function (str, offset) {
+
+  const tokens = [];
+  const re = /(\s+)|((?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:e[+-]?\d+)?)|([a-zA-Z_\u0370-\u03bf\u03c1-\u03ff][\w\u0370-\u03bf\u03c1-\u03ff]*|\u03c0)|(.)/g;
+
+  let m;
+  while ((m = re.exec(str)) !== null) {
+
+    if (m[1] !== undefined) {
+      continue;
+    }
+
+    tokens.push({
+      type: m[2] !== undefined ? TOKEN_NUMBER : (m[3] !== undefined ? TOKEN_NAME : TOKEN_OP),
+      value: m[0],
+      pos: offset + m.index
+    });
+  }
+  return tokens;
+};
+
+const CONSTANTS = {
+  'i': [0, 1],
+  'I': [0, 1],
+  'e': [Math.E, 0],
+  'pi': [Math.PI, 0],
+  'π': [Math.PI, 0]
+};
+
+// The mathematical prototype methods, which can be called as functions inside an expression, with the least and
+// the most number of arguments, the number itself included
+const EXPR_FUNCTIONS = {};
+[
+  [1, 1, 'sign sqrt cbrt exp expm1 faddeeva erfcx erfc erf erfi dawson E1 Ei Si Ci Shi Chi li log log1p log10 log2 ' +
+    'gamma lgamma rgamma factorial digamma zeta eta xi dilog abs arg sin cos tan cot sec csc asin acos atan acot ' +
+    'asec acsc sinh cosh tanh coth csch sech asinh acosh atanh acoth acsch asech inverse conjugate neg'],
+  [2, 2, 'add sub mul div pow nthRoot expint logBase polygamma'],
+  [1, 2, 'lambertW ceil floor round']
+].forEach(([min, max, names]) => names.split(' ').forEach(name => {
+  EXPR_FUNCTIONS[name] = [min, max];
+}));
+
+/**
+ * Checks if a name can be called as a function inside an expression
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isExprFunction = function (name) {
+
+  return Object.prototype.hasOwnProperty.call(EXPR_FUNCTIONS, name);
+};
+
+/**
+ * Evaluates an arithmetic expression using recursive descent
+ *
+ * expr    := term (('+' | '-') term)*
+ * term    := unary (('*' | '/') unary | power)*
+ * unary   := ('+' | '-') unary | power
+ * power   := primary ('^' unary)?
+ * primary := number | name | name '(' expr (',' expr)* ')' | '(' expr ')'
+ *
+ * A term followed directly by a name or a parenthesis is multiplied implicitly, so `2i`, `2pi` and `3(1+i)` work.
+ *
+ * @param {string} input
+ * @param {Object|null} scope
+ * @param {number=} from Start of the expression in input
+ * @param {number=} to End of the expression in input
+ * @param {number=} rule Parse only a parenthesized expression (RULE_CALL)
+ * @returns {Complex}
+ */
+const evaluate = function (input, scope, from, to, rule) {
+
+  from = from || 0;
+  to = to === undefined ? input.length : to;
+
+  const tokens = tokenize(input.slice(from, to), from);
+  const END = { type: 0, value: null, pos: to };
+
+  let pos = 0;
+
+  const peek = () => tokens[pos] || END;
+
+  const fail = (reason, t) => parser_exit(reason, input, t.value, t.pos);
+
+  const expect = (value) => {
+    if (peek().value !== value) {
+      fail('UNEXPECTED_TOKEN', peek());
+    }
+    pos++;
+  };
+
+  const expr = function () {
+
+    let z = term();
+
+    for (let t = peek(); t.value === '+' || t.value === '-'; t = peek()) {
+      pos++;
+      z = t.value === '+' ? z['add'](term()) : z['sub'](term());
+    }
+    return z;
+  };
+
+  const term = function () {
+
+    let z = unary();
+
+    for (; ;) {
+      const t = peek();
+      if (t.value === '*' || t.value === '/') {
+        pos++;
+        z = t.value === '*' ? z['mul'](unary()) : z['div'](unary());
+      } else if (t.type === TOKEN_NAME || t.value === '(') {
+        z = z['mul'](power());
+      } else {
+        return z;
+      }
+    }
+  };
+
+  const unary = function () {
+
+    const t = peek();
+    if (t.value === '-') {
+      pos++;
+      // 0 - z instead of z.neg(), which would turn -1 into -1 - 0i and move it to the other side of the branch cuts
+      return Complex['ZERO']['sub'](unary());
+    }
+    if (t.value === '+') {
+      pos++;
+      return unary();
+    }
+    return power();
+  };
+
+  const power = function () {
+
+    const z = primary();
+    if (peek().value === '^') {
+      pos++;
+      return z['pow'](unary());
+    }
+    return z;
+  };
+
+  const primary = function () {
+
+    const t = peek();
+    pos++;
+
+    if (t.type === TOKEN_NUMBER) {
+      return new Complex(parseFloat(t.value.replace(/_/g, '')));
+    }
+
+    if (t.type === TOKEN_NAME) {
+
+      const name = t.value;
+      const isVar = scope != null && Object.prototype.hasOwnProperty.call(scope, name);
+
+      if (!isVar && peek().value === '(' && isExprFunction(name)) {
+
+        pos++;
+        const arity = EXPR_FUNCTIONS[name];
+        const args = [expr()];
+        while (peek().value === ',') {
+          if (args.length === arity[1]) {
+            fail('UNEXPECTED_TOKEN', peek());
+          }
+          pos++;
+          args.push(expr());
+        }
+        if (args.length < arity[0] && peek().value === ')') {
+          fail('MISSING_OPERAND', peek());
+        }
+        expect(')');
+
+        const res = Complex.prototype[name].apply(args[0], args.slice(1));
+        if (res instanceof Complex) {
+          return res;
+        }
+        if (typeof res === 'number') {
+          return new Complex(res, 0);
+        }
+        fail('UNSUPPORTED_RESULT', t);
+      }
+
+      if (isVar) {
+        return new Complex(scope[name]);
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+        return new Complex(CONSTANTS[name][0], CONSTANTS[name][1]);
+      }
+      fail('UNKNOWN_NAME', t);
+    }
+
+    if (t.value === '(') {
+      const z = expr();
+      expect(')');
+      return z;
+    }
+
+    if (t === END) {
+      const prev = tokens[pos - 2];
+      if (prev !== undefined && (prev.value === '+' || prev.value === '-')) {
+        fail('DANGLING_SIGN', prev);
+      }
+      fail('MISSING_OPERAND', t);
+    }
+    fail('UNEXPECTED_TOKEN', t);
+  };
+
+  let z;
+  if (rule === RULE_CALL) {
+    expect('(');
+    z = expr();
+    expect(')');
+  } else {
+    z = expr();
+  }
+
+  // Still something on the stack
+  if (pos < tokens.length) {
+    fail('UNEXPECTED_TOKEN', peek());
+  }
+  return z;
+};
+
+/**
+ * Calculates sin(πx) with an exact reduction of the argument, which keeps the zeros at the integers
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+const sinPi = function (x) {
+
+  if (x % 1 === 0) {
+    return 0;
+  }
+
+  const n = Math.round(2 * x);
+  const f = Math.PI * (x - n / 2);
+
+  switch ((n % 4 + 4) % 4) {
+    case 0:
+      return Math.sin(f);
+    case 1:
+      return Math.cos(f);
+    case 2:
+      return -Math.sin(f);
+  }
+  return -Math.cos(f);
+};
+
+/**
+ * Calculates cos(πx) with an exact reduction of the argument, which keeps the zeros at the half integers
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+const cosPi = function (x) {
+
+  const n = Math.round(2 * x);
+  const f = Math.PI * (x - n / 2);
+
+  if (f === 0 && n % 2 !== 0) {
+    return 0;
+  }
+
+  switch ((n % 4 + 4) % 4) {
+    case 0:
+      return Math.cos(f);
+    case 1:
+      return -Math.sin(f);
+    case 2:
+      return -Math.cos(f);
+  }
+  return Math.sin(f);
+};
+
+/**
+ * Reads the order of a root, which can be given like any other number but must be a real integer >= min or <= -min
+ *
+ * @param {*} n
+ * @param {number} min
+ * @returns {number}
+ */
+const rootOrder = function (n, min) {
+
+  const m = parse(n);
+  if (m['im'] !== 0 || !Number.isInteger(m['re']) || Math.abs(m['re']) < min) {
+    throw RangeError('Invalid root: ' + n);
+  }
+  return m['re'];
+};
+
+/**
+ * Calculates the real n-th root of x >= 0 for an integer n >= 1. A Newton step on Math.pow(x, 1 / n) makes exact
+ * roots like 32^(1/5) = 2 exact, as 1 / n itself is rounded.
+ *
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+const nthRootReal = function (x, n) {
+
+  const r = Math.pow(x, 1 / n);
+  const p = Math.pow(r, n - 1);
+
+  if (r === 0 || !isFinite(p * r)) {
+    return r;
+  }
+  return r - (p * r - x) / (n * p);
+};
+
+/**
+ * Calculates cos(πp/n) and sin(πp/n) for a fraction p/n, with the reduction to an eighth of a turn done on the
+ * numerator d = 2p - qn, which is exact for the integers p of the roots of real numbers
+ *
+ * @param {number} p
+ * @param {number} n
+ * @returns {Array<number>}
+ */
+const cosSinPiFraction = function (p, n) {
+
+  const q = Math.round(2 * p / n);
+  const d = 2 * p - q * n;
+  const f = Math.PI * d / (2 * n);
+
+  // Correctly rounded values for the angles π/4 and π/6 of the common roots of unity
+  let c = Math.cos(f);
+  let s = Math.sin(f);
+  if (4 * Math.abs(d) === 2 * n) {
+    c = Math.SQRT1_2;
+    s = d < 0 ? -c : c;
+  } else if (6 * Math.abs(d) === 2 * n) {
+    c = Math.sqrt(3) / 2;
+    s = d < 0 ? -0.5 : 0.5;
+  }
+
+  switch ((q % 4 + 4) % 4) {
+    case 0:
+      return [c, s];
+    case 1:
+      return [f === 0 ? 0 : -s, c];
+    case 2:
+      return [-c, f === 0 ? 0 : -s];
+  }
+  return [s, -c];
+};
+
+/**
+ * Calculates sin(πz) with sinPi and cosPi
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const sinPiComplex = function (a, b) {
+
+  if (b === 0) {
+    return new Complex(sinPi(a), 0);
+  }
+  return new Complex(
+    sinPi(a) * cosh(Math.PI * b),
+    cosPi(a) * sinh(Math.PI * b));
+};
+
+/**
+ * Calculates cos(πz) for z = a + bi
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const cosPiComplex = function (a, b) {
+
+  if (b === 0) {
+    return new Complex(cosPi(a), 0);
+  }
+  return new Complex(
+    cosPi(a) * cosh(Math.PI * b),
+    -sinPi(a) * sinh(Math.PI * b));
+};
+
+/**
+ * Calculates a logarithm of sin(πz) for b >= 0, which is continuous in the upper half plane:
+ *
+ * log sin(πz) = -log 2 + iπ/2 - iπz + log(1 - exp(2πiz))
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const logSinPi = function (a, b) {
+
+  // 1 - exp(2πiz) without cancellation near the integers
+  const u = -Math.expm1(-2 * Math.PI * b) * cosPi(2 * a) + 2 * sinPi(a) * sinPi(a);
+  const v = -Math.exp(-2 * Math.PI * b) * sinPi(2 * a);
+
+  return new Complex(
+    Math.PI * b - Math.LN2 + logHypot(u, v),
+    Math.PI / 2 - Math.PI * a + Math.atan2(v, u));
+};
+
+/**
+ * Calculates log(1 + z) without cancellation for small z
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const log1pComplex = function (z) {
+
+  const a = z['re'];
+  const b = z['im'];
+
+  return new Complex(
+    Math.log1p(a * (2 + a) + b * b) / 2,
+    Math.atan2(b, 1 + a));
+};
+
+const LOG_PI = 1.1447298858494002;
+const LOG_SQRT_2PI = 0.9189385332046728;
+const EULER = 0.5772156649015329;
+
+// B_2k / (2k (2k - 1)), the coefficients of Stirling's series
+const STIRLING = [1 / 12, -1 / 360, 1 / 1260, -1 / 1680, 1 / 1188, -691 / 360360, 1 / 156, -3617 / 122400];
+
+// -γ and (-1)^k ζ(k) / k for k = 2, 3, ..., the Taylor series of log Γ(1 + z)
+const LGAMMA_TAYLOR = [
+  -EULER, 0.8224670334241132, -0.40068563438653143, 0.27058080842778454, -0.20738555102867398,
+  0.16955717699740819, -0.14404989676884611, 0.12550966952474304, -0.11133426586956469,
+  0.10009945751278181, -0.090954017145829041, 0.083353840546109004, -0.076932516411352195,
+  0.07143294629536133, -0.066668705882420465, 0.062500955141213038, -0.058823978658684585,
+  0.055555767627403614, -0.052631679379616658, 0.050000047698101693, -0.047619070330142226,
+  0.045454556293204669, -0.043478266053040261, 0.041666669150341208, -0.040000001192140137];
+
+/**
+ * Calculates the sum of Stirling's series B_2k / (2k (2k - 1) z^(2k - 1))
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const stirlingSeries = function (z) {
+
+  const w = z['inverse']();
+  const w2 = w['mul'](w);
+
+  let s = new Complex(STIRLING[STIRLING.length - 1], 0);
+  for (let k = STIRLING.length - 2; k >= 0; k--) {
+    s = s['mul'](w2)['add'](STIRLING[k]);
+  }
+  return s['mul'](w);
+};
+
+/**
+ * Calculates log Γ(z) with Stirling's series, which is accurate for |z| >= 10 and re z > 0
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const lgammaStirling = function (z) {
+
+  // (z - 1/2) log z - z + log sqrt(2π) + sum B_2k / (2k (2k - 1) z^(2k - 1))
+  return new Complex(z['re'] - 0.5, z['im'])['mul'](z['log']())['sub'](z)['add'](LOG_SQRT_2PI)['add'](stirlingSeries(z));
+};
+
+/**
+ * Calculates log Γ(a) - log Γ(a + b) with Stirling's series for large a and a + b in the right half plane,
+ * without the cancellation of the two large logarithms:
+ *
+ * -b log a - (a + b - 1/2) log(1 + b / a) + b + S(a) - S(a + b)
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @returns {Complex}
+ */
+const lgammaRatio = function (a, b) {
+
+  const c = a['add'](b);
+
+  return b['neg']()['mul'](a['log']())
+    ['sub'](new Complex(c['re'] - 0.5, c['im'])['mul'](log1pComplex(b['div'](a))))
+    ['add'](b)
+    ['add'](stirlingSeries(a))['sub'](stirlingSeries(c));
+};
+
+/**
+ * Calculates the principal log Γ(z) for re z >= 0.5
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const lgammaRight = function (z) {
+
+  const a = z['re'];
+  const b = z['im'];
+
+  // Taylor series around the zeros at 1 and 2, with log Γ(2 + z) = log Γ(1 + z) + log(1 + z)
+  if (hypot(a - 1, b) < 0.2 || hypot(a - 2, b) < 0.2) {
+
+    const e = new Complex(a < 1.5 ? a - 1 : a - 2, b);
+
+    let s = new Complex(LGAMMA_TAYLOR[LGAMMA_TAYLOR.length - 1], 0);
+    for (let k = LGAMMA_TAYLOR.length - 2; k >= 0; k--) {
+      s = s['mul'](e)['add'](LGAMMA_TAYLOR[k]);
+    }
+    s = s['mul'](e);
+
+    return a < 1.5 ? s : s['add'](log1pComplex(e));
+  }
+
+  // log Γ(z) = log Γ(z + n) - log z - log(z + 1) - ... - log(z + n - 1), which stays on the principal branch
+  let w = z;
+  let l = Complex['ZERO'];
+  while (hypot(w['re'], w['im']) < 10) {
+    l = l['add'](w['log']());
+    w = new Complex(w['re'] + 1, b);
+  }
+  return lgammaStirling(w)['sub'](l);
+};
+
+/**
+ * Calculates Γ(z) for re z >= 0.5 with Γ(z) = Γ(z + n) / (z (z + 1) ... (z + n - 1))
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const gammaRight = function (z) {
+
+  let w = z;
+  let p = Complex['ONE'];
+  while (hypot(w['re'], w['im']) < 10) {
+    p = p['mul'](w);
+    w = new Complex(w['re'] + 1, w['im']);
+  }
+  return lgammaStirling(w)['exp']()['div'](p);
+};
+
+/**
+ * Calculates (n - 1)! exactly as far as possible for the integers 1 <= n <= 171, where Γ(n) is finite
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+const gammaInteger = function (n) {
+
+  let f = 1;
+  for (let k = 2; k < n; k++) {
+    f *= k;
+  }
+  return f;
+};
+
+/**
+ * Checks if z is one of the poles 0, -1, -2, ... of the gamma function
+ *
+ * @param {Complex} z
+ * @returns {boolean}
+ */
+const isGammaPole = function (z) {
+
+  return z['im'] === 0 && z['re'] <= 0 && z['re'] % 1 === 0;
+};
+
+/**
+ * Calculates cot(πz) = (sin 2πa - i sinh 2πb) / (cosh 2πb - cos 2πa) with sinPi, which keeps the poles
+ * at the integers
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const cotPi = function (a, b) {
+
+  if (Math.abs(b) > 100) {
+    // cot(πz) = ∓i up to exp(-2π|b|)
+    return new Complex(0, b > 0 ? -1 : 1);
+  }
+
+  // cosh 2πb - cos 2πa = 2 sinh²(πb) + 2 sin²(πa) without cancellation
+  const sa = sinPi(a);
+  const sb = sinh(Math.PI * b);
+  const d = 2 * (sb * sb + sa * sa);
+
+  return new Complex(sinPi(2 * a) / d, -sinh(2 * Math.PI * b) / d);
+};
+
+// B_2k / 2k, the coefficients of the asymptotic series of the digamma function
+const DIGAMMA = [1 / 12, -1 / 120, 1 / 252, -1 / 240, 1 / 132, -691 / 32760, 1 / 12, -3617 / 8160];
+
+// The Bernoulli numbers B_2, B_4, ..., B_20
+const BERNOULLI = [1 / 6, -1 / 30, 1 / 42, -1 / 30, 5 / 66, -691 / 2730, 7 / 6, -3617 / 510, 43867 / 798, -174611 / 330];
+
+/**
+ * Calculates z^n for an integer n >= 0 by repeated squaring
+ *
+ * @param {Complex} z
+ * @param {number} n
+ * @returns {Complex}
+ */
+const powInteger = function (z, n) {
+
+  let r = Complex['ONE'];
+  for (; n > 0; n >>= 1) {
+    if (n & 1) {
+      r = r['mul'](z);
+    }
+    z = z['mul'](z);
+  }
+  return r;
+};
+
+/**
+ * Calculates the polygamma function of order n >= 1 for re z >= 0.5 with
+ *
+ * ψ⁽ⁿ⁾(z) = ψ⁽ⁿ⁾(z + m) + (-1)^(n+1) n! sum 1 / (z + k)^(n+1)
+ *
+ * and the asymptotic series for ψ⁽ⁿ⁾(z + m)
+ *
+ * (-1)^(n+1) (n - 1)! / z^n (1 + n / 2z + sum B_2k (n + 2k - 1)! / ((n - 1)! (2k)! z^2k))
+ *
+ * @param {Complex} z
+ * @param {number} n
+ * @returns {Complex}
+ */
+const polygammaRight = function (z, n) {
+
+  const sign = n % 2 === 0 ? -1 : 1;
+
+  let w = z;
+  let s = Complex['ZERO'];
+  while (hypot(w['re'], w['im']) < 10 + 1.5 * n) {
+    s = s['add'](powInteger(w['inverse'](), n + 1));
+    w = new Complex(w['re'] + 1, w['im']);
+  }
+
+  const v = w['inverse']();
+  const v2 = v['mul'](v);
+
+  // The terms of the series from k = 1, with t = (n + 2k - 1)! / ((n - 1)! (2k)!)
+  let t = 1;
+  let p = Complex['ONE'];
+  let a = new Complex(1 + n * v['re'] / 2, n * v['im'] / 2);
+  for (let k = 1; k <= BERNOULLI.length; k++) {
+    t *= (n + 2 * k - 2) * (n + 2 * k - 1) / ((2 * k - 1) * 2 * k);
+    p = p['mul'](v2);
+    a = a['add'](p['mul'](BERNOULLI[k - 1] * t));
+  }
+
+  const f = gammaInteger(n);
+  return powInteger(v, n)['mul'](a)['mul'](sign * f)['add'](s['mul'](sign * f * n));
+};
+
+/**
+ * Calculates π^(n+1) dⁿ/dzⁿ cot(πz) for n >= 1. The derivatives are Pₙ(cot πz) with P₀(c) = c and
+ * Pₙ₊₁(c) = -(1 + c²) Pₙ'(c), which is written as (1 + c²) Qₙ(c), where 1 + c² = 1 / sin²(πz) is accurate
+ * also far from the real axis.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} n
+ * @returns {Complex}
+ */
+const cotPiDerivative = function (a, b, n) {
+
+  // Q₁ = -1 and Qₙ₊₁[m] = -(m + 1) (Qₙ[m - 1] + Qₙ[m + 1])
+  let q = [-1];
+  for (let k = 1; k < n; k++) {
+    const r = [];
+    for (let m = 0; m <= k; m++) {
+      r.push(-(m + 1) * ((m > 0 ? q[m - 1] : 0) + (m + 1 < q.length ? q[m + 1] : 0)));
+    }
+    q = r;
+  }
+
+  const c = cotPi(a, b);
+  let s = new Complex(q[q.length - 1], 0);
+  for (let m = q.length - 2; m >= 0; m--) {
+    s = s['mul'](c)['add'](q[m]);
+  }
+
+  const sin = sinPiComplex(a, b);
+  return s['div'](sin['mul'](sin))['mul'](Math.pow(Math.PI, n + 1));
+};
+
+// (2k)! for k = 1, 2, ..., 10, to go with BERNOULLI
+const FACTORIAL_EVEN = [2, 24, 720, 40320, 3628800, 479001600, 87178291200, 20922789888000, 6402373705728000, 2432902008176640000];
+
+// The most terms the Euler-Maclaurin formula may take, which run for less than 0.1 s
+const ZETA_MAX_TERMS = 100000;
+
+/**
+ * Calculates the Hurwitz zeta function sum (a + k)^-s with the Euler-Maclaurin formula
+ *
+ * sum_{k < n} (a + k)^-s + w^(1-s) / (s - 1) + w^-s / 2 + sum B_2j / (2j)! s (s + 1) ... (s + 2j - 2) w^(-s-2j+1)
+ *
+ * with w = a + n. The n terms are chosen such that the remainder is below the double precision, which
+ * takes about |s| terms. More than ZETA_MAX_TERMS of them give NaN. For re s >= 60 and a > 0 the first terms
+ * of the sum are enough, as the tail after a + k is below (a + k + 1)^-σ (1 + (a + k + 1) / (σ - 1)).
+ *
+ * @param {Complex} s
+ * @param {Complex} a
+ * @returns {Complex}
+ */
+const zetaEulerMaclaurin = function (s, a) {
+
+  const ms = s['neg']();
+
+  if (s['re'] >= 60 && a['im'] === 0 && a['re'] > 0) {
+    let sum = Complex['ZERO'];
+    for (let k = 0; k < 200; k++) {
+      const w = a['re'] + k;
+      sum = sum['add'](new Complex(w, 0)['pow'](ms));
+      // Both parts must be accurate, the imaginary one of ζ(s) starts only with 2^-s
+      const m = s['im'] === 0 ? Math.abs(sum['re']) : Math.min(Math.abs(sum['re']), Math.abs(sum['im']));
+      if (Math.exp(-s['re'] * Math.log(w + 1)) * (1 + (w + 1) / (s['re'] - 1)) <= 1e-17 * m) {
+        return sum;
+      }
+    }
+  }
+
+  const n = Math.max(0, Math.ceil(-a['re'])) + Math.ceil(hypot(s['re'], s['im'])) + 20;
+  if (!(n <= ZETA_MAX_TERMS)) {
+    return Complex['NAN'];
+  }
+
+  let sum = Complex['ZERO'];
+  for (let k = 0; k < n; k++) {
+    sum = sum['add'](new Complex(a['re'] + k, a['im'])['pow'](ms));
+  }
+
+  const w = new Complex(a['re'] + n, a['im']);
+  const w2 = w['mul'](w);
+  const wpow = w['pow'](ms);
+
+  sum = sum['add'](w['mul'](wpow)['div'](new Complex(s['re'] - 1, s['im'])))['add'](wpow['div'](2));
+
+  // t = s (s + 1) ... (s + 2j - 2) w^(-s-2j+1)
+  let t = s['mul'](wpow)['div'](w);
+  for (let j = 1; j <= BERNOULLI.length; j++) {
+    sum = sum['add'](t['mul'](BERNOULLI[j - 1] / FACTORIAL_EVEN[j - 1]));
+    t = t['mul'](new Complex(s['re'] + 2 * j - 1, s['im']))['mul'](new Complex(s['re'] + 2 * j, s['im']))['div'](w2);
+  }
+  return sum;
+};
+
+const SQRT_PI = 1.7724538509055159;
+
+/**
+ * Calculates the Faddeeva function w(z) = exp(-z²) erfc(-iz) in the upper half plane b >= 0
+ *
+ * Below b = 6 it uses the trapezoidal rule with step 1/2 on w(z) = i/π ∫ exp(-t²) / (z - t) dt and the
+ * correction 2 exp(-z²) / (1 - exp(-2πiz/h)) for the pole at t = z, which leaves an error of about exp(-π²/h²).
+ * As the sum and the correction both grow close to a node, the grid of nodes t = nh or t = (n + 1/2)h is used
+ * which keeps further away from z. Above b = 6 the continued fraction of Laplace converges quickly.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const faddeevaUpper = function (a, b) {
+
+  if (b >= 6) {
+
+    // w(z) = i/√π / (z - (1/2) / (z - 1 / (z - (3/2) / (z - ...))))
+    let r = 0;
+    let i = 0;
+    for (let k = 20; k >= 0; k--) {
+      const dr = a - r;
+      const di = b - i;
+      const d = dr * dr + di * di;
+      const c = k === 0 ? 1 / SQRT_PI : k / 2;
+      r = c * dr / d;
+      i = -c * di / d;
+    }
+    // The last step gave c / (z - ...), multiply by i
+    return new Complex(-i, r);
+  }
+
+  const h = 0.5;
+  const f = a / h - Math.round(a / h);
+  const shift = Math.abs(f) < 0.25 ? 0.5 : 0;
+
+  let sr = 0;
+  let si = 0;
+  for (let n = -15; n <= 15; n++) {
+    const t = (n + shift) * h;
+    const e = Math.exp(-t * t);
+    const dr = a - t;
+    const d = dr * dr + b * b;
+    sr += e * dr / d;
+    si -= e * b / d;
+  }
+
+  // 2 exp(-z²) / (1 ∓ exp(-2πiz/h)), where the sign is + for the shifted grid
+  const ez = Math.exp(b * b - a * a);
+  const er = 2 * ez * Math.cos(2 * a * b);
+  const ei = -2 * ez * Math.sin(2 * a * b);
+
+  const E = Math.exp(2 * Math.PI * b / h);
+  const qr = shift ? 1 + E * cosPi(4 * a) : 1 - E * cosPi(4 * a);
+  const qi = shift ? -E * sinPi(4 * a) : E * sinPi(4 * a);
+  const q = qr * qr + qi * qi;
+
+  return new Complex(
+    -si * h / Math.PI + (er * qr + ei * qi) / q,
+    // w(iy) is real
+    a === 0 ? 0 : sr * h / Math.PI + (ei * qr - er * qi) / q);
+};
+
+/**
+ * Calculates the Faddeeva function in the whole plane with w(z) = 2 exp(-z²) - w(-z) for the lower half
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const faddeeva = function (a, b) {
+
+  if (b >= 0) {
+    return faddeevaUpper(a, b);
+  }
+
+  const w = faddeevaUpper(-a, -b);
+  const ez = 2 * Math.exp(b * b - a * a);
+
+  return new Complex(
+    ez * Math.cos(2 * a * b) - w['re'],
+    -ez * Math.sin(2 * a * b) - w['im']);
+};
+
+/**
+ * Calculates exp(-z²) without the cancellation of exp(b² - a²) exp(-2iab) in z² first
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {Complex}
+ */
+const expNegSquare = function (a, b) {
+
+  const e = Math.exp((b - a) * (b + a));
+  return new Complex(e * Math.cos(2 * a * b), -e * Math.sin(2 * a * b));
+};
+
+/**
+ * Calculate erf(z) = 2/√π sum (-1)^n z^(2n+1) / (n! (2n + 1)) for small |z|
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const erfTaylor = function (z) {
+
+  const z2 = z['mul'](z)['neg']();
+
+  let t = z;
+  let s = z;
+  for (let n = 1; n < 30 && t['abs']() > 1e-17 * s['abs'](); n++) {
+    t = t['mul'](z2)['div'](n);
+    s = s['add'](t['div'](2 * n + 1));
+  }
+  return s['mul'](2 / SQRT_PI);
+};
+
+/**
+ * Calculate the Dawson function D(z) = sum (-2)^n z^(2n+1) / (1 3 5 ... (2n + 1)) for small |z|
+ *
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const dawsonTaylor = function (z) {
+
+  const z2 = z['mul'](z)['mul'](-2);
+
+  let t = z;
+  let s = z;
+  for (let n = 1; n < 30 && t['abs']() > 1e-17 * s['abs'](); n++) {
+    t = t['mul'](z2)['div'](2 * n + 1);
+    s = s['add'](t);
+  }
+  return s;
+};
+
+/**
+ * Calculates the generalized exponential integral E_n(z) for an integer n >= 1 and z != 0, with the cut of log() on
+ * the negative real axis. It takes the power series close to 0 and close to the cut, where the continued fraction
+ * converges slowly, the asymptotic series far out on the cut and the continued fraction everywhere else.
+ *
+ * @param {number} n
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const expintN = function (n, z) {
+
+  const a = z['re'];
+  const b = z['im'];
+  const r = z['abs']();
+  const cut = a < -2 * Math.abs(b);
+
+  // The terms of the series grow to about exp(|z|) while E_n(z) is about exp(-re z)
+  if (r <= 1 || a < 0 && r + a < 3 && r < 40) {
+
+    // E_n(z) = (-z)^(n-1) / (n-1)! (ψ(n) - log z) - sum (-z)^k / ((k - n + 1) k!) over k != n - 1
+    let psi = -EULER;
+    let p = Complex['ONE'];
+    for (let k = 1; k < n; k++) {
+      psi += 1 / k;
+      p = p['mul'](z)['div'](-k);
+    }
+
+    let t = Complex['ONE'];
+    let s = p['mul'](z['log']()['neg']()['add'](psi));
+    for (let k = 0; k < 1000; k++) {
+      if (k > 0) {
+        t = t['mul'](z)['div'](-k);
+      }
+      if (k !== n - 1) {
+        const u = t['div'](k - n + 1);
+        s = s['sub'](u);
+        if (k >= n && u['abs']() <= 1e-17 * s['abs']()) {
+          break;
+        }
+      }
+    }
+    return s;
+  }
+
+  if (cut && r >= 40) {
+
+    // E_n(z) ~ exp(-z) / z sum (n)_k (-1/z)^k, and the jump of -(-z)^(n-1) / (n-1)! log z on the cut
+    const w = z['inverse']()['neg']();
+
+    let t = Complex['ONE'];
+    let s = t;
+    for (let k = 0; k < 100; k++) {
+      const u = t['mul'](w)['mul'](n + k);
+      if (u['abs']() > t['abs']() || u['abs']() <= 1e-17 * s['abs']()) {
+        break;
+      }
+      t = u;
+      s = s['add'](t);
+    }
+
+    let p = new Complex(0, Math.atan2(b, -1) > 0 ? -Math.PI : Math.PI);
+    for (let k = 1; k < n; k++) {
+      p = p['mul'](z)['div'](-k);
+    }
+    return z['neg']()['exp']()['div'](z)['mul'](s)['add'](p);
+  }
+
+  // E_n(z) = exp(-z) / (z + n - 1 n / (z + n + 2 - 2 (n + 1) / (z + n + 4 - ...))) with the modified Lentz method
+  const tiny = 1e-150;
+  let q = z['add'](n);
+  let c = new Complex(1 / tiny, 0);
+  let d = q['inverse']();
+  let h = d;
+  for (let i = 1; i < 10000; i++) {
+    const an = -i * (n - 1 + i);
+    q = q['add'](2);
+    d = d['mul'](an)['add'](q);
+    if (d['isZero']()) {
+      d = new Complex(tiny, 0);
+    }
+    c = q['add'](c['inverse']()['mul'](an));
+    if (c['isZero']()) {
+      c = new Complex(tiny, 0);
+    }
+    d = d['inverse']();
+    const delta = c['mul'](d);
+    h = h['mul'](delta);
+    if (delta['sub'](1)['abs']() <= 1e-16) {
+      break;
+    }
+  }
+  return h['mul'](z['neg']()['exp']());
+};
+
+// Coefficients of W = -1 + p - p²/3 + 11/72 p³ - ... in p = ±sqrt(2 (e z + 1)) around the branch point -1/e
+const LAMBERTW_BRANCH = [-1, 1, -1 / 3, 11 / 72, -43 / 540, 769 / 17280, -221 / 8505, 680863 / 43545600];
+
+/**
+ * Calculates a starting value for Halley's method on branch k of the Lambert W function, or the value itself
+ * close to the branch point, where the iteration converges poorly
+ *
+ * @param {Complex} z
+ * @param {Complex} l The logarithm of z
+ * @param {number} k
+ * @returns {Array<Complex|boolean>}
+ */
+const lambertWStart = function (z, l, k) {
+
+  const a = z['re'];
+  const b = z['im'];
+
+  // The branch point series belongs to W_0 with +p, to W_-1 above and to W_1 below the real axis with -p
+  if (k === 0 || k === -1 && b >= 0 || k === 1 && b < 0) {
+
+    // 2 (e z + 1) = 2e (z + 1/e) with 1/e in two parts, which keeps z + 1/e exact close to the branch point
+    const q = new Complex(a + 0.36787944117144233 - 1.2428753672788363e-17, b)['mul'](2 * Math.E);
+    if (q['abs']() < 1.6) {
+
+      const p = q['sqrt']()['mul'](k === 0 ? 1 : -1);
+      let w = new Complex(LAMBERTW_BRANCH[LAMBERTW_BRANCH.length - 1], 0);
+      for (let i = LAMBERTW_BRANCH.length - 2; i >= 0; i--) {
+        w = w['mul'](p)['add'](LAMBERTW_BRANCH[i]);
+      }
+      return [w, q['abs']() < 1e-6];
+    }
+  }
+
+  if (k === 0 && -1 < a && a < 1.5 && Math.abs(b) < 1 && -2.5 * Math.abs(b) - 0.2 < a) {
+    // Padé approximant of W around 0
+    const n = z['add'](12.34042553191489361902)['mul'](z)['add'](12.85106382978723404255);
+    const d = z['add'](14.34042553191489361702)['mul'](z)['add'](32.53191489361702127660);
+    return [z['mul'](n)['div'](d), false];
+  }
+
+  // W_-1 is real on (-1/e, 0), where W ~ log(-z) - log(-log(-z))
+  const real = k === -1 && b === 0 && a < 0 && a > -1 / Math.E;
+  const l1 = real ? new Complex(Math.log(-a), 0) : l['add'](new Complex(0, 2 * Math.PI * k));
+  const l2 = real ? new Complex(Math.log(-l1['re']), 0) : l1['log']();
+
+  // W = L1 - L2 + L2 / L1 + L2 (L2 - 2) / (2 L1²) + ...
+  return [l1['sub'](l2)['add'](l2['div'](l1))['add'](l2['mul'](l2['sub'](2))['div'](l1['mul'](l1)['mul'](2))), false];
+};
+
+/**
+ * Returns |x| with the sign of y, where -0 counts as negative like in C's copysign()
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+const copySign = function (x, y) {
+  return y < 0 || y === 0 && 1 / y < 0 ? -Math.abs(x) : Math.abs(x);
+};
+
+/**
+ * Calculates log|x + iy| for finite x, y without overflow and, with log1p(), without the cancellation close to |z| = 1
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+const annexGLogAbs = function (x, y) {
+
+  const a = Math.max(Math.abs(x), Math.abs(y));
+  const b = Math.min(Math.abs(x), Math.abs(y));
+
+  if (a > 1e300) {
+    return Math.log(Math.hypot(0.5 * a, 0.5 * b)) + Math.LN2;
+  }
+
+  const h = Math.hypot(a, b);
+  if (h > 0.71 && h < 1.73) {
+    // |z|^2 - 1 = (a - 1)(a + 1) + b^2
+    return 0.5 * Math.log1p((a - 1) * (a + 1) + b * b);
+  }
+  return Math.log(h);
+};
+
+/**
+ * Calculates sqrt(x + iy) for finite x, y with Kahan's conventions, the imaginary part has the sign of y, including -0
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {Complex}
+ */
+const annexGSqrt = function (x, y) {
+
+  if (x === 0 && y === 0) {
+    return new Complex(0, y);
+  }
+
+  // Scale huge values, so that |x| + |z| doesn't overflow
+  let a = Math.abs(x);
+  let b = Math.abs(y);
+  let s = 1;
+  if (a > 1e300 || b > 1e300) {
+    a *= 0.25;
+    b *= 0.25;
+    s = 2;
+  }
+
+  const t = s * Math.sqrt(0.5 * (a + Math.hypot(a, b)));
+
+  if (x >= 0) {
+    return new Complex(t, y / (2 * t));
+  }
+  return new Complex(Math.abs(y) / (2 * t), copySign(t, y));
+};
+
+/**
+ * Calculates asinh(x + iy) for finite x, y with Kahan's algorithm for asin(z) = atan(Re z / Re(sqrt(1 - z) sqrt(1 + z))) +
+ * i asinh(Im(conj(sqrt(1 - z)) sqrt(1 + z))), which keeps the signed zeros on the branch cuts
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {Complex}
+ */
+const annexGAsinh = function (x, y) {
+
+  if (Math.abs(x) > 1e150 || Math.abs(y) > 1e150) {
+    // asinh(z) = log(2z) + O(1/z^2)
+    return new Complex(copySign(Math.LN2 + annexGLogAbs(x, y), x), Math.atan2(y, Math.abs(x)));
+  }
+
+  // asinh(z) = -i asin(iz) with iz = -y + ix
+  const s1 = annexGSqrt(1 + y, -x);
+  const s2 = annexGSqrt(1 - y, x);
+
+  return new Complex(
+    Math.asinh(s1['re'] * s2['im'] - s1['im'] * s2['re']),
+    -Math.atan2(-y, s1['re'] * s2['re'] - s1['im'] * s2['im']));
+};
+
+/**
+ * Calculates acosh(x + iy) for finite x, y with Kahan's algorithm,
+ * acosh(z) = asinh(Re(conj(sqrt(z - 1)) sqrt(z + 1))) + 2i atan(Im sqrt(z - 1) / Re sqrt(z + 1))
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {Complex}
+ */
+const annexGAcosh = function (x, y) {
+
+  if (Math.abs(x) > 1e150 || Math.abs(y) > 1e150) {
+    // acosh(z) = log(2z) + O(1/z^2)
+    return new Complex(Math.LN2 + annexGLogAbs(x, y), Math.atan2(y, x));
+  }
+
+  const s1 = annexGSqrt(x - 1, y);
+  const s2 = annexGSqrt(x + 1, y);
+
+  return new Complex(
+    Math.asinh(s1['re'] * s2['re'] + s1['im'] * s2['im']),
+    2 * Math.atan2(s1['im'], s2['re']));
+};
+
+/**
+ * Calculates atanh(x + iy) for finite x, y with Kahan's formulas,
+ * atanh(z) = log1p(4x / ((1 - x)^2 + y^2)) / 4 + i atan2(2y, (1 - x)(1 + x) - y^2) / 2
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {Complex}
+ */
+const annexGAtanh = function (x, y) {
+
+  const a = Math.abs(x);
+
+  if (a === 1 && y === 0) {
+    return new Complex(copySign(Infinity, x), y);
+  }
+
+  if (a > 1e150 || Math.abs(y) > 1e150) {
+    // atanh(z) = 1 / z ± iπ/2 + O(1/z^3)
+    const h = Math.hypot(x, y);
+    return new Complex(x / h / h, copySign(Math.PI / 2, y));
+  }
+
+  // The real part is odd in x, so work with |x| to avoid the cancellation of log1p() close to x = -1
+  const d = (1 - a) * (1 - a) + y * y;
+  const re = d < 1e-290 ? 0.5 * (annexGLogAbs(1 + a, y) - annexGLogAbs(1 - a, y)) : 0.25 * Math.log1p(4 * a / d);
+
+  return new Complex(
+    copySign(re, x),
+    0.5 * Math.atan2(2 * y, (1 - a) * (1 + a) - y * y));
+};
+
+/**
+ * Calculates the binary exponent floor(log2(|x|)) like C's logb(), -Infinity for 0 and Infinity for an infinite x
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+const logb = function (x) {
+  x = Math.abs(x);
+  return x === 0 || !isFinite(x) ? Math.log2(x) : Math.floor(Math.log2(x));
+};
+
+/**
+ * Calculates x 2^n in two steps, so that 2^n doesn't overflow or underflow for the exponents of subnormal numbers
+ *
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+const scalbn = function (x, n) {
+  const h = Math.trunc(n / 2);
+  return x * Math.pow(2, h) * Math.pow(2, n - h);
+};
+
+/**
+ * The arithmetic and the elementary functions of C99 Annex G (IEC 60559-compatible complex arithmetic), which the
+ * prototype methods use if Complex.IEEE is set. Zeros keep their sign, which selects the side of a branch cut, and a
+ * number with one infinite part is an infinity, even if the other part is NaN. The special values follow the tables
+ * of Annex G.6 and of C23 for tanh(±0 + iNaN).
+ */
+const ANNEX_G = {
+
+  // (a + bi)(c + di), where NaN + NaNi results of infinite factors are recomputed as infinities
+  'mul': function (a, b, c, d) {
+
+    const ac = a * c;
+    const bd = b * d;
+    const ad = a * d;
+    const bc = b * c;
+
+    let x = ac - bd;
+    let y = ad + bc;
+
+    if (isNaN(x) && isNaN(y)) {
+
+      let recalc = false;
+
+      if (Math.abs(a) === Infinity || Math.abs(b) === Infinity) {
+        // Box the infinity and change NaNs in the other factor to 0
+        a = copySign(Math.abs(a) === Infinity ? 1 : 0, a);
+        b = copySign(Math.abs(b) === Infinity ? 1 : 0, b);
+        if (isNaN(c)) c = copySign(0, c);
+        if (isNaN(d)) d = copySign(0, d);
+        recalc = true;
+      }
+
+      if (Math.abs(c) === Infinity || Math.abs(d) === Infinity) {
+        c = copySign(Math.abs(c) === Infinity ? 1 : 0, c);
+        d = copySign(Math.abs(d) === Infinity ? 1 : 0, d);
+        if (isNaN(a)) a = copySign(0, a);
+        if (isNaN(b)) b = copySign(0, b);
+        recalc = true;
+      }
+
+      if (!recalc && (Math.abs(ac) === Infinity || Math.abs(bd) === Infinity ||
+        Math.abs(ad) === Infinity || Math.abs(bc) === Infinity)) {
+        // Recover infinities from overflow by changing NaNs to 0
+        if (isNaN(a)) a = copySign(0, a);
+        if (isNaN(b)) b = copySign(0, b);
+        if (isNaN(c)) c = copySign(0, c);
+        if (isNaN(d)) d = copySign(0, d);
+        recalc = true;
+      }
+
+      if (recalc) {
+        x = Infinity * (a * c - b * d);
+        y = Infinity * (a * d + b * c);
+      }
+    }
+    return new Complex(x, y);
+  },
+
+  // (a + bi) / (c + di) with the scaling of _Cdivd in Annex G.5.1
+  'div': function (a, b, c, d) {
+
+    // logb(fmax(|c|, |d|)), where fmax() ignores a NaN argument
+    let ilogbw = 0;
+    const logbw = logb(isNaN(c) ? d : isNaN(d) ? c : Math.max(Math.abs(c), Math.abs(d)));
+
+    if (isFinite(logbw)) {
+      ilogbw = logbw;
+      c = scalbn(c, -ilogbw);
+      d = scalbn(d, -ilogbw);
+    }
+
+    const denom = c * c + d * d;
+
+    let x = scalbn((a * c + b * d) / denom, -ilogbw);
+    let y = scalbn((b * c - a * d) / denom, -ilogbw);
+
+    if (isNaN(x) && isNaN(y)) {
+
+      if (denom === 0 && (!isNaN(a) || !isNaN(b))) {
+        x = copySign(Infinity, c) * a;
+        y = copySign(Infinity, c) * b;
+      } else if ((Math.abs(a) === Infinity || Math.abs(b) === Infinity) && isFinite(c) && isFinite(d)) {
+        a = copySign(Math.abs(a) === Infinity ? 1 : 0, a);
+        b = copySign(Math.abs(b) === Infinity ? 1 : 0, b);
+        x = Infinity * (a * c + b * d);
+        y = Infinity * (b * c - a * d);
+      } else if (logbw === Infinity && isFinite(a) && isFinite(b)) {
+        c = copySign(Math.abs(c) === Infinity ? 1 : 0, c);
+        d = copySign(Math.abs(d) === Infinity ? 1 : 0, d);
+        x = 0 * (a * c + b * d);
+        y = 0 * (b * c - a * d);
+      }
+    }
+    return new Complex(x, y);
+  },
+
+  'exp': function (a, b) {
+
+    if (!isFinite(b)) {
+      if (a === Infinity) {
+        return new Complex(Infinity, NaN);
+      }
+      return a === -Infinity ? new Complex(0, 0) : new Complex(NaN, NaN);
+    }
+
+    if (isNaN(a)) {
+      return new Complex(NaN, b === 0 ? b : NaN);
+    }
+
+    if (b === 0) {
+      return new Complex(Math.exp(a), b);
+    }
+
+    if (a > 709) {
+      // e^a overflows before the product with cos(b) or sin(b)
+      const h = Math.exp(0.5 * a);
+      return new Complex(h * Math.cos(b) * h, h * Math.sin(b) * h);
+    }
+
+    const er = Math.exp(a);
+    return new Complex(er * Math.cos(b), er * Math.sin(b));
+  },
+
+  'log': function (a, b) {
+
+    // atan2() already follows the signed zeros and infinities of Annex G
+    if (Math.abs(a) === Infinity || Math.abs(b) === Infinity) {
+      return new Complex(Infinity, Math.atan2(b, a));
+    }
+
+    if (isNaN(a) || isNaN(b)) {
+      return new Complex(NaN, NaN);
+    }
+
+    if (a === 0 && b === 0) {
+      return new Complex(-Infinity, Math.atan2(b, a));
+    }
+    return new Complex(annexGLogAbs(a, b), Math.atan2(b, a));
+  },
+
+  'sqrt': function (a, b) {
+
+    if (Math.abs(b) === Infinity) {
+      return new Complex(Infinity, b);
+    }
+
+    if (a === -Infinity) {
+      return isNaN(b) ? new Complex(NaN, Infinity) : new Complex(0, copySign(Infinity, b));
+    }
+
+    if (a === Infinity) {
+      return new Complex(Infinity, isNaN(b) ? b : copySign(0, b));
+    }
+
+    if (isNaN(a) || isNaN(b)) {
+      return new Complex(NaN, NaN);
+    }
+    return annexGSqrt(a, b);
+  },
+
+  'sinh': function (a, b) {
+
+    if (isNaN(a)) {
+      return new Complex(NaN, b === 0 ? b : NaN);
+    }
+
+    if (!isFinite(b)) {
+      return a === 0 || !isFinite(a) ? new Complex(a, NaN) : new Complex(NaN, NaN);
+    }
+
+    if (!isFinite(a)) {
+      return b === 0 ? new Complex(a, b) : new Complex(a * Math.cos(b), Infinity * Math.sin(b));
+    }
+
+    if (Math.abs(a) > 709) {
+      // sinh(a) and cosh(a) overflow before the product with cos(b) or sin(b)
+      const h = Math.exp(0.5 * Math.abs(a));
+      return new Complex((a < 0 ? -0.5 : 0.5) * h * Math.cos(b) * h, 0.5 * h * Math.sin(b) * h);
+    }
+    return new Complex(sinh(a) * Math.cos(b), cosh(a) * Math.sin(b));
+  },
+
+  'cosh': function (a, b) {
+
+    if (isNaN(a)) {
+      return new Complex(NaN, b === 0 ? b : NaN);
+    }
+
+    if (!isFinite(b)) {
+      if (a === 0) {
+        return new Complex(NaN, 0);
+      }
+      return isFinite(a) ? new Complex(NaN, NaN) : new Complex(Infinity, NaN);
+    }
+
+    if (!isFinite(a)) {
+      return b === 0 ? new Complex(Infinity, a > 0 ? b : -b) : new Complex(Infinity * Math.cos(b), a * Math.sin(b));
+    }
+
+    if (Math.abs(a) > 709) {
+      const h = Math.exp(0.5 * Math.abs(a));
+      return new Complex(0.5 * h * Math.cos(b) * h, (a < 0 ? -0.5 : 0.5) * h * Math.sin(b) * h);
+    }
+    return new Complex(cosh(a) * Math.cos(b), sinh(a) * Math.sin(b));
+  },
+
+  'tanh': function (a, b) {
+
+    if (isNaN(a)) {
+      return new Complex(NaN, b === 0 ? b : NaN);
+    }
+
+    if (!isFinite(a)) {
+      return new Complex(copySign(1, a), copySign(0, isFinite(b) ? Math.sin(2 * b) : b));
+    }
+
+    if (!isFinite(b)) {
+      return a === 0 ? new Complex(a, NaN) : new Complex(NaN, NaN);
+    }
+
+    if (Math.abs(a) > 22) {
+      // tanh(z) = ±1 + 4i sin(b) cos(b) e^(-2|a|) + ..., which is ±1 in double precision
+      return new Complex(copySign(1, a), 4 * Math.sin(b) * Math.cos(b) * Math.exp(-2 * Math.abs(a)));
+    }
+
+    // cosh(2a) + cos(2b) = 2 (sinh(a)^2 + cos(b)^2) without the cancellation close to the poles
+    const s = sinh(a);
+    const c = Math.cos(b);
+    const d = s * s + c * c;
+
+    return new Complex(s * cosh(a) / d, Math.sin(b) * c / d);
+  },
+
+  'asinh': function (a, b) {
+
+    if (isNaN(a)) {
+      if (b === 0) {
+        return new Complex(NaN, b);
+      }
+      return Math.abs(b) === Infinity ? new Complex(Infinity, NaN) : new Complex(NaN, NaN);
+    }
+
+    if (Math.abs(a) === Infinity) {
+      if (isNaN(b)) {
+        return new Complex(a, NaN);
+      }
+      return new Complex(a, copySign(isFinite(b) ? 0 : Math.PI / 4, b));
+    }
+
+    if (Math.abs(b) === Infinity) {
+      return new Complex(copySign(Infinity, a), copySign(Math.PI / 2, b));
+    }
+
+    if (isNaN(b)) {
+      return new Complex(NaN, NaN);
+    }
+    return annexGAsinh(a, b);
+  },
+
+  'acosh': function (a, b) {
+
+    if (isNaN(a)) {
+      return new Complex(Math.abs(b) === Infinity ? Infinity : NaN, NaN);
+    }
+
+    if (Math.abs(a) === Infinity) {
+      if (isNaN(b)) {
+        return new Complex(Infinity, NaN);
+      }
+      if (isFinite(b)) {
+        return new Complex(Infinity, copySign(a > 0 ? 0 : Math.PI, b));
+      }
+      return new Complex(Infinity, copySign(a > 0 ? Math.PI / 4 : 3 * Math.PI / 4, b));
+    }
+
+    if (Math.abs(b) === Infinity) {
+      return new Complex(Infinity, copySign(Math.PI / 2, b));
+    }
+
+    if (isNaN(b)) {
+      return new Complex(NaN, NaN);
+    }
+    return annexGAcosh(a, b);
+  },
+
+  'atanh': function (a, b) {
+
+    if (isNaN(a)) {
+      return Math.abs(b) === Infinity ? new Complex(0, copySign(Math.PI / 2, b)) : new Complex(NaN, NaN);
+    }
+
+    if (Math.abs(a) === Infinity || Math.abs(b) === Infinity) {
+      return new Complex(copySign(0, a), isNaN(b) ? b : copySign(Math.PI / 2, b));
+    }
+
+    if (isNaN(b)) {
+      return a === 0 ? new Complex(a, NaN) : new Complex(NaN, NaN);
+    }
+    return annexGAtanh(a, b);
+  },
+
+  // sin(z) = -i sinh(iz)
+  'sin': function (a, b) {
+    const w = ANNEX_G['sinh'](-b, a);
+    return new Complex(w['im'], -w['re']);
+  },
+
+  // cos(z) = cosh(iz)
+  'cos': function (a, b) {
+    return ANNEX_G['cosh'](-b, a);
+  },
+
+  // tan(z) = -i tanh(iz)
+  'tan': function (a, b) {
+    const w = ANNEX_G['tanh'](-b, a);
+    return new Complex(w['im'], -w['re']);
+  },
+
+  // asin(z) = -i asinh(iz)
+  'asin': function (a, b) {
+    const w = ANNEX_G['asinh'](-b, a);
+    return new Complex(w['im'], -w['re']);
+  },
+
+  // acos(z) = -i acosh(z) in the upper half plane and acos(conj z) = conj acos(z)
+  'acos': function (a, b) {
+
+    if (a === 0 && isNaN(b)) {
+      return new Complex(Math.PI / 2, NaN);
+    }
+
+    const lower = b < 0 || b === 0 && 1 / b < 0;
+    const w = ANNEX_G['acosh'](a, lower ? -b : b);
+    return new Complex(w['im'], lower ? w['re'] : -w['re']);
+  },
+
+  // atan(z) = -i atanh(iz)
+  'atan': function (a, b) {
+    const w = ANNEX_G['atanh'](-b, a);
+    return new Complex(w['im'], -w['re']);
+  }
+};
+
+/**
+ * @constructor
+ * @returns {Complex}
+ */
+function Complex(a, b) {
+
+  if (!(this instanceof Complex)) {
+    return new Complex(a, b);
+  }
+
+  const z = parse(a, b);
+
+  this['re'] = z['re'];
+  this['im'] = z['im'];
+}
+
+Complex.prototype = {
+
+  're': 0,
+  'im': 0,
+
+  /**
+   * Calculates the sign of a complex number, which is a normalized complex
+   *
+   * @returns {Complex}
+   */
+  'sign': function () {
+
+    const abs = hypot(this['re'], this['im']);
+
+    return new Complex(
+      this['re'] / abs,
+      this['im'] / abs);
+  },
+
+  /**
+   * Adds two complex numbers
+   *
+   * @returns {Complex}
+   */
+  'add': function (a, b) {
+
+    const z = parse(a, b);
+
+    const tInfin = this['isInfinite']();
+    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+
+    if ((tInfin || zInfin) && !Complex['IEEE']) {
+
+      if (tInfin && zInfin) {
+        // Infinity + Infinity = NaN
+        return Complex['NAN'];
+      }
+      // Infinity + z = Infinity { where z != Infinity }
+      return Complex['INFINITY'];
+    }
+
+    return new Complex(
+      this['re'] + z['re'],
+      this['im'] + z['im']);
+  },
+
+  /**
+   * Subtracts two complex numbers
+   *
+   * @returns {Complex}
+   */
+  'sub': function (a, b) {
+
+    const z = parse(a, b);
+
+    const tInfin = this['isInfinite']();
+    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+
+    if ((tInfin || zInfin) && !Complex['IEEE']) {
+
+      if (tInfin && zInfin) {
+        // Infinity - Infinity = NaN
+        return Complex['NAN'];
+      }
+      // Infinity - z = Infinity { where z != Infinity }
+      return Complex['INFINITY'];
+    }
+
+    return new Complex(
+      this['re'] - z['re'],
+      this['im'] - z['im']);
+  },
+
+  /**
+   * Multiplies two complex numbers
+   *
+   * @returns {Complex}
+   */
+  'mul': function (a, b) {
+
+    const z = parse(a, b);
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['mul'](this['re'], this['im'], z['re'], z['im']);
+    }
+
+    const tInfin = this['isInfinite']();
+    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+    const tIsZero = this['re'] === 0 && this['im'] === 0;
+    const zIsZero = z['re'] === 0 && z['im'] === 0;
+
+    // Infinity * 0 = NaN
+    if (tInfin && zIsZero || zInfin && tIsZero) {
+      return Complex['NAN'];
+    }
+
+    // Infinity * z = Infinity { where z != 0 }
+    if (tInfin || zInfin) {
+      return Complex['INFINITY'];
+    }
+
+    // Shortcut for real values
+    if (z['im'] === 0 && this['im'] === 0) {
+      return new Complex(this['re'] * z['re'], 0);
+    }
+
+    return new Complex(
+      this['re'] * z['re'] - this['im'] * z['im'],
+      this['re'] * z['im'] + this['im'] * z['re']);
+  },
+
+  /**
+   * Divides two complex numbers
+   *
+   * @returns {Complex}
+   */
+  'div': function (a, b) {
+
+    const z = parse(a, b);
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['div'](this['re'], this['im'], z['re'], z['im']);
+    }
+
+    const tInfin = this['isInfinite']();
+    const zInfin = !(isFinite(z['re']) && isFinite(z['im']));
+    const tIsZero = this['re'] === 0 && this['im'] === 0;
+    const zIsZero = z['re'] === 0 && z['im'] === 0;
+
+    // 0 / 0 = NaN and Infinity / Infinity = NaN
+    if (tIsZero && zIsZero || tInfin && zInfin) {
+      return Complex['NAN'];
+    }
+
+    // Infinity / 0 = Infinity
+    if (zIsZero || tInfin) {
+      return Complex['INFINITY'];
+    }
+
+    // 0 / Infinity = 0
+    if (tIsZero || zInfin) {
+      return Complex['ZERO'];
+    }
+
+    if (0 === z['im']) {
+      // Divisor is real
+      return new Complex(this['re'] / z['re'], this['im'] / z['re']);
+    }
+
+    if (Math.abs(z['re']) < Math.abs(z['im'])) {
+
+      const x = z['re'] / z['im'];
+      const t = z['re'] * x + z['im'];
+
+      return new Complex(
+        (this['re'] * x + this['im']) / t,
+        (this['im'] * x - this['re']) / t);
+
+    } else {
+
+      const x = z['im'] / z['re'];
+      const t = z['im'] * x + z['re'];
+
+      return new Complex(
+        (this['re'] + this['im'] * x) / t,
+        (this['im'] - this['re'] * x) / t);
+    }
+  },
+
+  /**
+   * Calculate the power of two complex numbers, exp(w log z) with the principal log or with the log on branch
+   * options.k, log z + 2πik
+   *
+   * @returns {Complex}
+   */
+  'pow': function (a, b) {
+
+    let options = null;
+    if (b !== null && typeof b === 'object') {
+      options = b;
+      b = undefined;
+    }
+
+    // A branch that does not exist is rejected, even where all branches agree
+    const k = branchOption(options, 'k');
+
+    const z = parse(a, b);
+
+    // cpow(z, w) = cexp(w clog(z)) like in C, except for z^0 = 1 and small integer exponents, which are
+    // multiplied out and stay exact like (1 + i)^2 = 2i
+    if (Complex['IEEE']) {
+      const w = new Complex(z['re'], z['im']);
+      if (w['im'] === 0 && w['re'] === 0) {
+        return new Complex(1, 0);
+      }
+      if (w['im'] === 0 && Number.isInteger(w['re']) && Math.abs(w['re']) <= 1024) {
+        const p = powInteger(this, Math.abs(w['re']));
+        return w['re'] < 0 ? p['inverse']() : p;
+      }
+      return this['log'](options)['mul'](w)['exp']();
+    }
+
+    // Integer exponents have the same value on all branches
+    if (k !== undefined && k !== 0 && !(z['im'] === 0 && Number.isInteger(z['re'])) &&
+      !(this['re'] === 0 && this['im'] === 0)) {
+      const w = new Complex(z['re'], z['im']);
+      return this['log'](options)['mul'](w)['exp']();
+    }
+
+    const tIsZero = this['re'] === 0 && this['im'] === 0;
+    const zIsZero = z['re'] === 0 && z['im'] === 0;
+
+    if (zIsZero) {
+      return Complex['ONE'];
+    }
+
+    // If the exponent is real
+    if (z['im'] === 0) {
+
+      if (this['im'] === 0 && this['re'] > 0) {
+
+        return new Complex(Math.pow(this['re'], z['re']), 0);
+
+      } else if (this['re'] === 0) { // If base is fully imaginary
+
+        switch ((z['re'] % 4 + 4) % 4) {
+          case 0:
+            return new Complex(Math.pow(this['im'], z['re']), 0);
+          case 1:
+            return new Complex(0, Math.pow(this['im'], z['re']));
+          case 2:
+            return new Complex(-Math.pow(this['im'], z['re']), 0);
+          case 3:
+            return new Complex(0, -Math.pow(this['im'], z['re']));
+        }
+      }
+    }
+
+    /* I couldn't find a good formula, so here is a derivation and optimization
+     *
+     * z_1^z_2 = (a + bi)^(c + di)
+     *         = exp((c + di) * log(a + bi)
+     *         = pow(a^2 + b^2, (c + di) / 2) * exp(i(c + di)atan2(b, a))
+     * =>...
+     * Re = (pow(a^2 + b^2, c / 2) * exp(-d * atan2(b, a))) * cos(d * log(a^2 + b^2) / 2 + c * atan2(b, a))
+     * Im = (pow(a^2 + b^2, c / 2) * exp(-d * atan2(b, a))) * sin(d * log(a^2 + b^2) / 2 + c * atan2(b, a))
+     *
+     * =>...
+     * Re = exp(c * log(sqrt(a^2 + b^2)) - d * atan2(b, a)) * cos(d * log(sqrt(a^2 + b^2)) + c * atan2(b, a))
+     * Im = exp(c * log(sqrt(a^2 + b^2)) - d * atan2(b, a)) * sin(d * log(sqrt(a^2 + b^2)) + c * atan2(b, a))
+     *
+     * =>
+     * Re = exp(c * logsq2 - d * arg(z_1)) * cos(d * logsq2 + c * arg(z_1))
+     * Im = exp(c * logsq2 - d * arg(z_1)) * sin(d * logsq2 + c * arg(z_1))
+     *
+     */
+
+    if (tIsZero && z['re'] > 0) { // Same behavior as Wolframalpha, Zero if real part is zero
+      return Complex['ZERO'];
+    }
+
+    const arg = Math.atan2(this['im'], this['re']);
+    const loh = logHypot(this['re'], this['im']);
+
+    let re = Math.exp(z['re'] * loh - z['im'] * arg);
+    let im = z['im'] * loh + z['re'] * arg;
+    return new Complex(
+      re * Math.cos(im),
+      re * Math.sin(im));
+  },
+
+  /**
+   * Calculate the complex square root, the principal one or its negative with options.branch = -1
+   *
+   * @returns {Complex}
+   */
+  'sqrt': function (options) {
+
+    if (branchOption(options, 'branch') === -1) {
+      return this['sqrt']()['neg']();
+    }
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['sqrt'](a, b);
+    }
+
+    if (b === 0) {
+      // Real number case
+      if (a >= 0) {
+        return new Complex(Math.sqrt(a), 0);
+      } else {
+        return new Complex(0, Math.sqrt(-a));
+      }
+    }
+
+    const r = hypot(a, b);
+
+    let re = Math.sqrt(0.5 * (r + Math.abs(a))); // sqrt(2x) / 2 = sqrt(x / 2)
+    let im = Math.abs(b) / (2 * re);
+
+    if (a >= 0) {
+      return new Complex(re, b < 0 ? -im : im);
+    } else {
+      return new Complex(im, b < 0 ? -re : re);
+    }
+  },
+
+  /**
+   * Calculate the principal cube root, so that the cube root of -8 is 1 + √3i
+   *
+   * @returns {Complex}
+   */
+  'cbrt': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+      const r = Math.cbrt(Math.abs(a));
+      if (a >= 0) {
+        return new Complex(r, 0);
+      }
+      // exp(±iπ/3) with the sign of -0 like log()
+      return new Complex(r / 2, (1 / b < 0 ? -r : r) * Math.sqrt(3) / 2);
+    }
+
+    if (a === 0) {
+      // exp(±iπ/6)
+      const r = Math.cbrt(Math.abs(b));
+      return new Complex(r * Math.sqrt(3) / 2, b < 0 ? -r / 2 : r / 2);
+    }
+
+    const r = Math.cbrt(hypot(a, b));
+    const t = Math.atan2(b, a) / 3;
+    return new Complex(r * Math.cos(t), r * Math.sin(t));
+  },
+
+  /**
+   * Calculate the principal n-th root for an integer n != 0, which is z^(1/n) with the argument of z divided by n
+   *
+   * @returns {Complex}
+   */
+  'nthRoot': function (n) {
+
+    n = rootOrder(n, 1);
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (n < 0) {
+      return this['nthRoot'](-n)['inverse']();
+    }
+
+    if (this['isInfinite']()) {
+      return Complex['INFINITY'];
+    }
+
+    if (n === 1) {
+      return new Complex(this['re'], this['im']);
+    } else if (n === 2) {
+      return this['sqrt']();
+    } else if (n === 3) {
+      return this['cbrt']();
+    }
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0 && a >= 0) {
+      return new Complex(nthRootReal(a, n), 0);
+    }
+
+    const r = nthRootReal(hypot(a, b), n);
+    const w = cosSinPiFraction(Math.atan2(b, a) / Math.PI, n);
+    return new Complex(r * w[0], r * w[1]);
+  },
+
+  /**
+   * Calculate all n complex n-th roots for an integer n >= 1, ordered by their argument in (-π, π]
+   *
+   * @returns {Array<Complex>}
+   */
+  'roots': function (n) {
+
+    n = rootOrder(n, 1);
+    if (n < 0) {
+      throw RangeError('Invalid root: ' + n);
+    }
+
+    const a = this['re'];
+    const b = this['im'];
+
+    const res = new Array(n);
+    if (!this['isFinite']()) {
+      return res.fill(this['isNaN']() ? Complex['NAN'] : Complex['INFINITY']);
+    }
+    if (a === 0 && b === 0) {
+      for (let k = 0; k < n; k++) {
+        res[k] = new Complex(0, 0);
+      }
+      return res;
+    }
+
+    const r = nthRootReal(hypot(a, b), n);
+    const t = Math.atan2(b, a) / Math.PI;
+
+    // The arguments (t + 2j) π / n in (-π, π] start with the smallest j > -(n + t) / 2
+    const j = Math.floor(-(n + t) / 2) + 1;
+
+    for (let k = 0; k < n; k++) {
+      const w = cosSinPiFraction(t + 2 * (j + k), n);
+      res[k] = new Complex(r * w[0], r * w[1]);
+    }
+    return res;
+  },
+
+  /**
+   * Calculate the complex exponent
+   *
+   * @returns {Complex}
+   */
+  'exp': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['exp'](this['re'], this['im']);
+    }
+
+    const er = Math.exp(this['re']);
+
+    if (this['im'] === 0) {
+      return new Complex(er, 0);
+    }
+    return new Complex(
+      er * Math.cos(this['im']),
+      er * Math.sin(this['im']));
+  },
+
+  /**
+   * Calculate the complex exponent and subtracts one.
+   *
+   * This may be more accurate than `Complex(x).exp().sub(1)` if
+   * `x` is small.
+   *
+   * @returns {Complex}
+   */
+  'expm1': function () {
+
+    /**
+     * exp(a + i*b) - 1
+     = exp(a) * (cos(b) + j*sin(b)) - 1
+     = expm1(a)*cos(b) + cosm1(b) + j*exp(a)*sin(b)
+     */
+
+    const a = this['re'];
+    const b = this['im'];
+
+    return new Complex(
+      Math.expm1(a) * Math.cos(b) + cosm1(b),
+      Math.exp(a) * Math.sin(b));
+  },
+
+  /**
+   * Calculate the Faddeeva function w(z) = exp(-z²) erfc(-iz), also known as the plasma dispersion function
+   * up to a factor i√π. Its real part on lines parallel to the real axis is the Voigt profile.
+   *
+   * @returns {Complex}
+   */
+  'faddeeva': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (!this['isFinite']()) {
+      // w(z) vanishes towards infinity, except in the lower half plane, where it grows like exp(-z²)
+      return b === -Infinity ? Complex['INFINITY'] : new Complex(0, 0);
+    }
+    return faddeeva(a, b);
+  },
+
+  /**
+   * Calculate the scaled complementary error function erfcx(z) = exp(z²) erfc(z) = w(iz)
+   *
+   * @returns {Complex}
+   */
+  'erfcx': function () {
+
+    return new Complex(-this['im'], this['re'])['faddeeva']();
+  },
+
+  /**
+   * Calculate the complementary error function erfc(z) = 1 - erf(z)
+   *
+   * @returns {Complex}
+   */
+  'erfc': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (a < 0) {
+      // erfc(z) = 2 - erfc(-z)
+      return new Complex(2, 0)['sub'](new Complex(-a, -b)['erfc']());
+    }
+
+    if (a === Infinity && isFinite(b)) {
+      return new Complex(0, 0);
+    }
+
+    // erfc(z) = exp(-z²) w(iz), which keeps the relative accuracy where erfc(z) is tiny
+    return expNegSquare(a, b)['mul'](faddeeva(-b, a));
+  },
+
+  /**
+   * Calculate the error function erf(z) = 2/√π ∫ exp(-t²) dt from 0 to z
+   *
+   * @returns {Complex}
+   */
+  'erf': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (a < 0 || a === 0 && 1 / a < 0) {
+      return new Complex(-a, -b)['erf']()['neg']();
+    }
+
+    if (b < 0) {
+      return new Complex(a, -b)['erf']()['conjugate']();
+    }
+
+    if (hypot(a, b) < 0.5) {
+      return erfTaylor(this);
+    }
+
+    if (a === Infinity) {
+      return isFinite(b) ? new Complex(1, 0) : Complex['NAN'];
+    }
+
+    if (a < 0.5 && a * b < 0.01) {
+
+      // Close to the imaginary axis, the real part of 1 - erfc(z) would cancel. Expand around iy instead:
+      // erf(x + iy) = i erfi(y) + 2/√π exp(y²) sum x^k (-i)^(k-1) h(k-1) / k!, where i^n h(n) = H_n(iy) are
+      // the Hermite polynomials with h(n+1) = 2y h(n) + 2n h(n-1)
+      const ey = Math.exp(b * b);
+
+      let re = 0;
+      let im = ey * faddeeva(b, 0)['im'];
+      let h0 = 0;
+      let h1 = 1;
+      let t = 2 / SQRT_PI * ey;
+
+      for (let k = 1; k <= 20 && t * h1 !== 0; k++) {
+        t *= a / k;
+        switch (k % 4) {
+          case 1: re += t * h1; break;
+          case 2: im -= t * h1; break;
+          case 3: re -= t * h1; break;
+          default: im += t * h1;
+        }
+        [h0, h1] = [h1, 2 * b * h1 + 2 * (k - 1) * h0];
+      }
+      return new Complex(re, im);
+    }
+
+    return Complex['ONE']['sub'](this['erfc']());
+  },
+
+  /**
+   * Calculate the imaginary error function erfi(z) = -i erf(iz)
+   *
+   * @returns {Complex}
+   */
+  'erfi': function () {
+
+    const e = new Complex(-this['im'], this['re'])['erf']();
+    return new Complex(e['im'], -e['re']);
+  },
+
+  /**
+   * Calculate the Dawson function D(z) = √π/2 exp(-z²) erfi(z)
+   *
+   * @returns {Complex}
+   */
+  'dawson': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (a < 0 || a === 0 && 1 / a < 0) {
+      return new Complex(-a, -b)['dawson']()['neg']();
+    }
+
+    if (b < 0) {
+      return new Complex(a, -b)['dawson']()['conjugate']();
+    }
+
+    if (hypot(a, b) < 0.5) {
+      return dawsonTaylor(this);
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 ? new Complex(0, 0) : Complex['NAN'];
+    }
+
+    if (b < 0.01 && a < 5) {
+
+      // Close to the real axis, the imaginary part of the formula below would cancel. Expand around x instead:
+      // D(x + iy) = sum (iy)^k D⁽ᵏ⁾(x) / k! with D' = 1 - 2xD and D⁽ⁿ⁺¹⁾ = -2n D⁽ⁿ⁻¹⁾ - 2x D⁽ⁿ⁾
+      let d0 = SQRT_PI / 2 * faddeeva(a, 0)['im'];
+      let d1 = 1 - 2 * a * d0;
+
+      let re = d0;
+      let im = 0;
+      let t = 1;
+
+      for (let k = 1; k <= 12; k++) {
+        t *= b / k;
+        switch (k % 4) {
+          case 1: im += t * d1; break;
+          case 2: re -= t * d1; break;
+          case 3: im -= t * d1; break;
+          default: re += t * d1;
+        }
+        [d0, d1] = [d1, -2 * k * d0 - 2 * a * d1];
+      }
+      return new Complex(re, im);
+    }
+
+    // D(z) = i√π/2 (exp(-z²) - w(z))
+    const e = expNegSquare(a, b);
+    const w = faddeeva(a, b);
+
+    return new Complex(
+      -SQRT_PI / 2 * (e['im'] - w['im']),
+      SQRT_PI / 2 * (e['re'] - w['re']));
+  },
+
+  /**
+   * Calculate the generalized exponential integral E_n(z) = int_1^∞ exp(-zt) / t^n dt for an integer n >= 0,
+   * with the branch cut of log() along the negative real axis
+   *
+   * @returns {Complex}
+   */
+  'expint': function (n) {
+
+    const m = parse(n);
+    n = m['re'];
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (m['im'] !== 0 || !(n >= 0) || n % 1 !== 0 || this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (this['isZero']()) {
+      return n > 1 ? new Complex(1 / (n - 1), 0) : Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return a === Infinity && b === 0 ? new Complex(0, 0) : Complex['NAN'];
+    }
+
+    if (n === 0) {
+      return this['neg']()['exp']()['div'](this);
+    }
+
+    const w = expintN(n, this);
+    return b === 0 && a > 0 ? new Complex(w['re'], 0) : w;
+  },
+
+  /**
+   * Calculate the exponential integral E1(z) = int_z^∞ exp(-t) / t dt
+   *
+   * @returns {Complex}
+   */
+  'E1': function () {
+
+    return this['expint'](1);
+  },
+
+  /**
+   * Calculate the exponential integral Ei(z) = -E1(-z) + log(z) - log(-z), which is the real principal value on
+   * the real axis
+   *
+   * @returns {Complex}
+   */
+  'Ei': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (this['isZero']()) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 ? (a > 0 ? Complex['INFINITY'] : new Complex(0, 0)) : Complex['NAN'];
+    }
+
+    const w = expintN(1, new Complex(-a, -b))['neg']();
+    if (b === 0) {
+      return new Complex(w['re'], 0);
+    }
+    return w['add'](new Complex(0, b > 0 ? Math.PI : -Math.PI));
+  },
+
+  /**
+   * Calculate the sine integral Si(z) = int_0^z sin(t) / t dt
+   *
+   * @returns {Complex}
+   */
+  'Si': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 ? new Complex(a > 0 ? Math.PI / 2 : -Math.PI / 2, 0) : Complex['NAN'];
+    }
+
+    if (a < 0) {
+      return new Complex(-a, -b)['Si']()['neg']();
+    }
+
+    let w;
+    if (this['abs']() <= 2) {
+      // Si(z) = sum (-1)^k z^(2k+1) / ((2k + 1) (2k + 1)!)
+      const z2 = this['mul'](this)['neg']();
+      let t = this;
+      w = t;
+      for (let k = 1; k < 50; k++) {
+        t = t['mul'](z2)['div'](2 * k * (2 * k + 1));
+        const u = t['div'](2 * k + 1);
+        w = w['add'](u);
+        if (u['abs']() <= 1e-17 * w['abs']()) {
+          break;
+        }
+      }
+    } else {
+      // Si(z) = π/2 + (E1(iz) - E1(-iz)) / 2i for re z >= 0, where re z = -0 is taken as +0 to get the limit
+      // from the right half plane for ±iz on the cut of E1
+      const x = Math.abs(a);
+      const e = expintN(1, new Complex(-b, x))['sub'](expintN(1, new Complex(b, -x)));
+      w = new Complex(Math.PI / 2 + e['im'] / 2, -e['re'] / 2);
+    }
+    return b === 0 ? new Complex(w['re'], 0) : w;
+  },
+
+  /**
+   * Calculate the cosine integral Ci(z) = γ + log(z) + int_0^z (cos(t) - 1) / t dt, with the branch cut of log()
+   *
+   * @returns {Complex}
+   */
+  'Ci': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (this['isZero']()) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 ? new Complex(0, a > 0 ? 0 : Math.PI) : Complex['NAN'];
+    }
+
+    if (a < 0) {
+      // Ci(z) - log(z) is even
+      const z = new Complex(-a, -b);
+      return z['Ci']()['add'](this['log']())['sub'](z['log']());
+    }
+
+    let w;
+    if (this['abs']() <= 2) {
+      // Ci(z) = γ + log(z) + sum (-1)^k z^(2k) / (2k (2k)!)
+      const z2 = this['mul'](this)['neg']();
+      let t = Complex['ONE'];
+      let s = Complex['ZERO'];
+      for (let k = 1; k < 50; k++) {
+        t = t['mul'](z2)['div'](2 * k * (2 * k - 1));
+        const u = t['div'](2 * k);
+        s = s['add'](u);
+        if (u['abs']() <= 1e-17 * s['abs']()) {
+          break;
+        }
+      }
+      w = this['log']()['add'](EULER)['add'](s);
+    } else {
+      // Ci(z) = -(E1(iz) + E1(-iz)) / 2 for re z >= 0, with re z = -0 taken as +0 like in Si()
+      const x = Math.abs(a);
+      w = expintN(1, new Complex(-b, x))['add'](expintN(1, new Complex(b, -x)))['div'](-2);
+    }
+    return b === 0 ? new Complex(w['re'], 0) : w;
+  },
+
+  /**
+   * Calculate the hyperbolic sine integral Shi(z) = int_0^z sinh(t) / t dt = -i Si(iz)
+   *
+   * @returns {Complex}
+   */
+  'Shi': function () {
+
+    if (this['im'] === 0 && Math.abs(this['re']) === Infinity) {
+      return new Complex(this['re'], 0);
+    }
+
+    const w = new Complex(-this['im'], this['re'])['Si']();
+    return new Complex(w['im'], this['im'] === 0 ? 0 : -w['re']);
+  },
+
+  /**
+   * Calculate the hyperbolic cosine integral Chi(z) = γ + log(z) + int_0^z (cosh(t) - 1) / t dt = Ci(iz) + log(z) - log(iz)
+   *
+   * @returns {Complex}
+   */
+  'Chi': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 ? new Complex(Infinity, a > 0 ? 0 : Math.PI) : Complex['NAN'];
+    }
+
+    const z = new Complex(-b, a);
+    const w = z['Ci']()['add'](this['log']())['sub'](z['log']());
+    return b === 0 && a > 0 ? new Complex(w['re'], 0) : w;
+  },
+
+  /**
+   * Calculate the logarithmic integral li(z) = Ei(log(z)), which is the real principal value for z > 0
+   *
+   * @returns {Complex}
+   */
+  'li': function () {
+
+    if (this['isZero']()) {
+      return new Complex(0, 0);
+    }
+    return this['log']()['Ei']();
+  },
+
+  /**
+   * Calculate the natural log, the principal one or the one on branch options.k for an integer k, which adds 2πik
+   *
+   * @returns {Complex}
+   */
+  'log': function (options) {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    const k = branchOption(options, 'k');
+    if (k !== undefined && k !== 0) {
+      const w = this['log']();
+      return new Complex(w['re'], w['im'] + 2 * Math.PI * k);
+    }
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['log'](a, b);
+    }
+
+    if (b === 0 && a > 0) {
+      return new Complex(Math.log(a), 0);
+    }
+
+    return new Complex(
+      logHypot(a, b),
+      Math.atan2(b, a));
+  },
+
+  /**
+   * Calculate the natural log of 1 + z.
+   *
+   * This may be more accurate than `Complex(x).add(1).log()` if
+   * `x` is small.
+   *
+   * @returns {Complex}
+   */
+  'log1p': function () {
+
+    /**
+     * log(1 + a + i*b)
+     = log((1 + a)^2 + b^2) / 2 + j*atan2(b, 1 + a)
+     = log1p(a*(2 + a) + b^2) / 2 + j*atan2(b, 1 + a)
+     */
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0 && a > -1) {
+      return new Complex(Math.log1p(a), 0);
+    }
+
+    return new Complex(
+      hypot(a, b) < 0.5 ? Math.log1p(a * (2 + a) + b * b) / 2 : logHypot(1 + a, b),
+      Math.atan2(b, 1 + a));
+  },
+
+  /**
+   * Calculate the log to base 10, which is exact for powers of 10
+   *
+   * @returns {Complex}
+   */
+  'log10': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 0 || b === 0) {
+      return new Complex(Math.log10(Math.abs(a + b)), Math.atan2(b, a) / Math.LN10);
+    }
+
+    return new Complex(
+      logHypot(a, b) / Math.LN10,
+      Math.atan2(b, a) / Math.LN10);
+  },
+
+  /**
+   * Calculate the log to base 2, which is exact for powers of 2
+   *
+   * @returns {Complex}
+   */
+  'log2': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 0 || b === 0) {
+      return new Complex(Math.log2(Math.abs(a + b)), Math.atan2(b, a) / Math.LN2);
+    }
+
+    return new Complex(
+      logHypot(a, b) / Math.LN2,
+      Math.atan2(b, a) / Math.LN2);
+  },
+
+  /**
+   * Calculate the log to a complex base, log(z) / log(base)
+   *
+   * @returns {Complex}
+   */
+  'logBase': function (a, b) {
+
+    const base = new Complex(a, b);
+
+    if (base['im'] === 0) {
+      if (base['re'] === 10) {
+        return this['log10']();
+      } else if (base['re'] === 2) {
+        return this['log2']();
+      } else if (base['re'] > 0 && this['im'] === 0 && this['re'] > 0) {
+        // Integer powers of the base give integers
+        const x = Math.log(this['re']) / Math.log(base['re']);
+        const n = Math.round(x);
+        return new Complex(Math.pow(base['re'], n) === this['re'] ? n : x, 0);
+      }
+    }
+    return this['log']()['div'](base['log']());
+  },
+
+  /**
+   * Calculate branch k of the Lambert W function, the solutions w of w exp(w) = z
+   *
+   * @returns {Complex}
+   */
+  'lambertW': function (k) {
+
+    const m = parse(k === undefined ? 0 : k);
+    k = m['re'];
+
+    if (m['im'] !== 0 || k % 1 !== 0 || this['isNaN']()) {
+      return Complex['NAN'];
+    }
+
+    if (this['isZero']()) {
+      return k === 0 ? new Complex(0, 0) : Complex['INFINITY'];
+    }
+
+    if (this['isInfinite']()) {
+      return Complex['INFINITY'];
+    }
+
+    const a = this['re'];
+    const b = this['im'];
+
+    const s = Math.max(Math.abs(a), Math.abs(b));
+
+    if (k === 0 && s < 1e-4) {
+      // W(z) = z - z² + 3/2 z³ - 8/3 z⁴ + ...
+      return this['mul'](-8 / 3)['add'](1.5)['mul'](this)['sub'](1)['mul'](this)['add'](1)['mul'](this);
+    }
+
+    // log z, without squaring |z| like log() does
+    const l = new Complex(Math.log(s) + logHypot(a / s, b / s), Math.atan2(b, a));
+
+    let [w, exact] = lambertWStart(this, l, k);
+
+    // Halley's method on f(w) = w - z exp(-w), which neither overflows nor underflows like w exp(w) - z
+    for (let i = 0; i < 100 && !exact; i++) {
+      const t = l['sub'](w)['exp']();
+      const f = w['sub'](t);
+      const d = t['add'](1);
+      const v = w['sub'](f['mul'](d)['mul'](2)['div'](d['mul'](d)['mul'](2)['add'](f['mul'](t))));
+
+      if (v['sub'](w)['abs']() <= 1e-15 * v['abs']() || !v['isFinite']()) {
+        w = v['isFinite']() ? v : w;
+        break;
+      }
+      w = v;
+    }
+
+    // W_0 is real on [-1/e, ∞) and W_-1 on [-1/e, 0), where the complex log of z leaves rounding in the imaginary part
+    if (b === 0 && a >= -1 / Math.E && (k === 0 || k === -1 && a < 0)) {
+      return new Complex(w['re'], 0);
+    }
+    return w;
+  },
+
+  /**
+   * Calculate the complex gamma function, which has poles at 0, -1, -2, ...
+   *
+   * @returns {Complex}
+   */
+  'gamma': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+      if (a <= 0 && a % 1 === 0) {
+        return Complex['INFINITY'];
+      }
+      if (a % 1 === 0 && a <= 171) {
+        return new Complex(gammaInteger(a), 0);
+      }
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(Infinity, 0) : Complex['NAN'];
+    }
+
+    if (a < 0.5) {
+
+      // Reflection Γ(z) = π / (sin(πz) Γ(1 - z)), unless the factors overflow
+      const d = sinPiComplex(a, b)['mul'](gammaRight(new Complex(1 - a, -b)));
+      if (d['isFinite']()) {
+        return new Complex(Math.PI, 0)['div'](d);
+      }
+      return this['lgamma']()['exp']();
+    }
+    return gammaRight(this);
+  },
+
+  /**
+   * Calculate the principal branch of the log gamma function, whose imaginary part is continuous
+   * everywhere except on the negative real axis. It is not log(gamma(z)), which jumps by multiples of 2πi.
+   *
+   * @returns {Complex}
+   */
+  'lgamma': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0 && a <= 0 && a % 1 === 0) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(Infinity, 0) : Complex['NAN'];
+    }
+
+    if (a >= 0.5) {
+      return lgammaRight(this);
+    }
+
+    if (b < 0) {
+      return new Complex(a, -b)['lgamma']()['conjugate']();
+    }
+
+    // Reflection log Γ(z) = log π - log sin(πz) - log Γ(1 - z) in the upper half plane
+    return new Complex(LOG_PI, 0)['sub'](logSinPi(a, b))['sub'](lgammaRight(new Complex(1 - a, -b)));
+  },
+
+  /**
+   * Calculate the reciprocal gamma function 1 / Γ(z), which is entire and zero at 0, -1, -2, ...
+   *
+   * @returns {Complex}
+   */
+  'rgamma': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+      if (a <= 0 && a % 1 === 0) {
+        return new Complex(0, 0);
+      }
+      if (a % 1 === 0 && a <= 171) {
+        return new Complex(1 / gammaInteger(a), 0);
+      }
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(0, 0) : Complex['NAN'];
+    }
+
+    if (a < 0.5) {
+
+      // Reflection 1 / Γ(z) = sin(πz) Γ(1 - z) / π, unless the factors overflow
+      const d = sinPiComplex(a, b)['mul'](gammaRight(new Complex(1 - a, -b)));
+      if (d['isFinite']()) {
+        return d['div'](Math.PI);
+      }
+    } else {
+
+      const g = gammaRight(this);
+      if (g['isFinite']()) {
+        // inverse() would square |Γ(z)|, which overflows above 1e154, so both parts are scaled down first
+        const m = Math.max(Math.abs(g['re']), Math.abs(g['im']));
+        const x = g['re'] / m;
+        const y = g['im'] / m;
+        const d = (x * x + y * y) * m;
+        return new Complex(x / d, -y / d);
+      }
+    }
+
+    if (b === 0) {
+      // Real z, where Γ(z) has the sign (-1)^n on (-n, 1 - n) and the imaginary part of lgamma would be rounded
+      const r = Math.exp(-this['lgamma']()['re']);
+      return new Complex(a < 0 && Math.ceil(-a) % 2 === 1 ? -r : r, 0);
+    }
+    return this['lgamma']()['neg']()['exp']();
+  },
+
+  /**
+   * Calculate the factorial z! = Γ(z + 1)
+   *
+   * @returns {Complex}
+   */
+  'factorial': function () {
+
+    return new Complex(this['re'] + 1, this['im'])['gamma']();
+  },
+
+  /**
+   * Calculate the digamma function ψ(z) = Γ'(z) / Γ(z), which has poles at 0, -1, -2, ...
+   *
+   * @returns {Complex}
+   */
+  'digamma': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (isGammaPole(this)) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(Infinity, 0) : Complex['NAN'];
+    }
+
+    if (a < 0.5) {
+      // Reflection ψ(z) = ψ(1 - z) - π cot(πz)
+      return new Complex(1 - a, -b)['digamma']()['sub'](cotPi(a, b)['mul'](Math.PI));
+    }
+
+    // ψ(z) = ψ(z + n) - 1 / z - 1 / (z + 1) - ... - 1 / (z + n - 1)
+    let w = this;
+    let s = Complex['ZERO'];
+    while (hypot(w['re'], w['im']) < 10) {
+      s = s['add'](w['inverse']());
+      w = new Complex(w['re'] + 1, b);
+    }
+
+    // ψ(z) = log z - 1 / 2z - sum B_2k / (2k z^2k)
+    const v = w['inverse']();
+    const v2 = v['mul'](v);
+
+    let t = new Complex(DIGAMMA[DIGAMMA.length - 1], 0);
+    for (let k = DIGAMMA.length - 2; k >= 0; k--) {
+      t = t['mul'](v2)['add'](DIGAMMA[k]);
+    }
+    return w['log']()['sub'](v['div'](2))['sub'](t['mul'](v2))['sub'](s);
+  },
+
+  /**
+   * Calculate the polygamma function ψ⁽ⁿ⁾(z), the n-th derivative of the digamma function, for an integer n >= 0
+   *
+   * @returns {Complex}
+   */
+  'polygamma': function (n) {
+
+    const m = parse(n);
+    n = m['re'];
+
+    if (m['im'] !== 0 || !(n >= 0) || n % 1 !== 0) {
+      return Complex['NAN'];
+    }
+
+    if (n === 0) {
+      return this['digamma']();
+    }
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (isGammaPole(this)) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(0, 0) : Complex['NAN'];
+    }
+
+    if (a < 0.5) {
+      // Reflection ψ⁽ⁿ⁾(z) = (-1)ⁿ ψ⁽ⁿ⁾(1 - z) - π dⁿ/dzⁿ cot(πz)
+      return polygammaRight(new Complex(1 - a, -b), n)['mul'](n % 2 === 0 ? 1 : -1)['sub'](cotPiDerivative(a, b, n));
+    }
+    return polygammaRight(this, n);
+  },
+
+  /**
+   * Calculate the Riemann zeta function, which has a pole at 1
+   *
+   * @returns {Complex}
+   */
+  'zeta': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 1 && b === 0) {
+      return Complex['INFINITY'];
+    }
+
+    if (!this['isFinite']()) {
+      return b === 0 && a === Infinity ? new Complex(1, 0) : Complex['NAN'];
+    }
+
+    if (a >= 0) {
+      return zetaEulerMaclaurin(this, Complex['ONE']);
+    }
+
+    // Functional equation ζ(s) = (2π)^s / π sin(πs/2) Γ(1 - s) ζ(1 - s), with the factors in logarithms
+    // which don't overflow
+    if (b === 0) {
+
+      const sin = sinPi(a / 2);
+      if (sin === 0) {
+        // The trivial zeros at -2, -4, -6, ...
+        return new Complex(0, 0);
+      }
+
+      const l = a * Math.log(2 * Math.PI) + Math.log(Math.abs(sin)) + lgammaRight(new Complex(1 - a, 0))['re'];
+      return new Complex(Math.sign(sin) * Math.exp(l) * zetaEulerMaclaurin(new Complex(1 - a, 0), Complex['ONE'])['re'] / Math.PI, 0);
+    }
+
+    if (b < 0) {
+      return new Complex(a, -b)['zeta']()['conjugate']();
+    }
+
+    const t = new Complex(1 - a, -b);
+    const l = this['mul'](Math.log(2 * Math.PI))['add'](logSinPi(a / 2, b / 2))['add'](t['lgamma']());
+
+    return l['exp']()['mul'](t['zeta']())['div'](Math.PI);
+  },
+
+  /**
+   * Calculate the Dirichlet eta function η(s) = (1 - 2^(1-s)) ζ(s), the alternating zeta function
+   *
+   * @returns {Complex}
+   */
+  'eta': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 1 && b === 0) {
+      return new Complex(Math.LN2, 0);
+    }
+
+    // 1 - 2^(1-s) = -expm1((1 - s) log 2) is accurate near the removed pole at 1
+    return new Complex((1 - a) * Math.LN2, -b * Math.LN2)['expm1']()['neg']()['mul'](this['zeta']());
+  },
+
+  /**
+   * Calculate the Riemann xi function ξ(s) = s (s - 1) π^(-s/2) Γ(s/2) ζ(s) / 2, which is entire and
+   * symmetric with ξ(s) = ξ(1 - s)
+   *
+   * @returns {Complex}
+   */
+  'xi': function () {
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a < 0.5) {
+      return new Complex(1 - a, -b)['xi']();
+    }
+
+    if (a === 1 && b === 0) {
+      return new Complex(0.5, 0);
+    }
+
+    // π^(-s/2) Γ(s/2) = exp(-s/2 log π + log Γ(s/2)) doesn't overflow
+    const h = new Complex(a / 2, b / 2);
+    const l = h['lgamma']()['sub'](h['mul'](LOG_PI));
+
+    return this['mul'](new Complex(a - 1, b))['mul'](l['exp']())['mul'](this['zeta']())['div'](2);
+  },
+
+  /**
+   * Calculate the dilogarithm Li₂(z) = Σ z^k / k², continued to the plane cut along z > 1, where it takes the
+   * limit from below like -log(1 - z)
+   *
+   * @returns {Complex}
+   */
+  'dilog': function () {
+
+    let z = this;
+
+    if (!z['isFinite']()) {
+      return Complex['NAN'];
+    }
+
+    if (z['im'] === 0) {
+      if (z['re'] === 1) {
+        return new Complex(Math.PI * Math.PI / 6, 0);
+      }
+      if (z['re'] > 1) {
+        z = new Complex(z['re'], -0);
+      }
+    }
+
+    // Li₂(z) = -Li₂(1/z) - π²/6 - log²(-z) / 2 and Li₂(z) = -Li₂(1 - z) + π²/6 - log(z) log(1 - z) lead to
+    // |z| <= 1 and re z <= 1/2
+    let add = Complex['ZERO'];
+    let sign = 1;
+    if (z['abs']() > 1) {
+      const l = z['neg']()['log']();
+      add = l['mul'](l)['div'](-2)['sub'](Math.PI * Math.PI / 6);
+      sign = -1;
+      z = z['inverse']();
+    }
+    if (z['re'] > 0.5) {
+      const w = Complex['ONE']['sub'](z);
+      add = add['add'](z['log']()['mul'](w['log']())['neg']()['add'](Math.PI * Math.PI / 6)['mul'](sign));
+      sign = -sign;
+      z = w;
+    }
+
+    // Li₂(z) = Σ B_k u^(k+1) / (k+1)! with u = -log(1 - z), where |u| <= 1.2 and the series converges quickly.
+    // log1p keeps u accurate for small z, where 1 - z would round
+    const u = z['neg']()['log1p']()['neg']();
+    const u2 = u['mul'](u);
+    let sum = u['sub'](u2['div'](4));
+    let t = u['mul'](u2);
+    for (let j = 1; j <= BERNOULLI.length; j++) {
+      sum = sum['add'](t['mul'](BERNOULLI[j - 1] / FACTORIAL_EVEN[j - 1] / (2 * j + 1)));
+      t = t['mul'](u2);
+    }
+
+    const w = add['add'](sum['mul'](sign));
+    return this['im'] === 0 && this['re'] <= 1 ? new Complex(w['re'], 0) : w;
+  },
+
+  /**
+   * Calculate the magnitude of the complex number
+   *
+   * @returns {number}
+   */
+  'abs': function () {
+
+    if (Complex['IEEE'] && this['isInfinite']()) {
+      return Infinity;
+    }
+    return hypot(this['re'], this['im']);
+  },
+
+  /**
+   * Calculate the angle of the complex number
+   *
+   * @returns {number}
+   */
+  'arg': function () {
+
+    return Math.atan2(this['im'], this['re']);
+  },
+
+  /**
+   * Calculate the sine of the complex number
+   *
+   * @returns {Complex}
+   */
+  'sin': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['sin'](this['re'], this['im']);
+    }
+
+    // sin(z) = ( e^iz - e^-iz ) / 2i 
+    //        = sin(a)cosh(b) + i cos(a)sinh(b)
+
+    const a = this['re'];
+    const b = this['im'];
+
+    return new Complex(
+      Math.sin(a) * cosh(b),
+      Math.cos(a) * sinh(b));
+  },
+
+  /**
+   * Calculate the cosine
+   *
+   * @returns {Complex}
+   */
+  'cos': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['cos'](this['re'], this['im']);
+    }
+
+    // cos(z) = ( e^iz + e^-iz ) / 2 
+    //        = cos(a)cosh(b) - i sin(a)sinh(b)
+
+    const a = this['re'];
+    const b = this['im'];
+
+    return new Complex(
+      Math.cos(a) * cosh(b),
+      -Math.sin(a) * sinh(b));
+  },
+
+  /**
+   * Calculate the tangent
+   *
+   * @returns {Complex}
+   */
+  'tan': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['tan'](this['re'], this['im']);
+    }
+
+    // tan(z) = sin(z) / cos(z) 
+    //        = ( e^iz - e^-iz ) / ( i( e^iz + e^-iz ) )
+    //        = ( e^2iz - 1 ) / i( e^2iz + 1 )
+    //        = ( sin(2a) + i sinh(2b) ) / ( cos(2a) + cosh(2b) )
+
+    const a = 2 * this['re'];
+    const b = 2 * this['im'];
+    const d = Math.cos(a) + cosh(b);
+
+    return new Complex(
+      Math.sin(a) / d,
+      sinh(b) / d);
+  },
+
+  /**
+   * Calculate the cotangent
+   *
+   * @returns {Complex}
+   */
+  'cot': function () {
+
+    // cot(c) = i(e^(ci) + e^(-ci)) / (e^(ci) - e^(-ci))
+
+    const a = 2 * this['re'];
+    const b = 2 * this['im'];
+    const d = Math.cos(a) - cosh(b);
+
+    return new Complex(
+      -Math.sin(a) / d,
+      sinh(b) / d);
+  },
+
+  /**
+   * Calculate the secant
+   *
+   * @returns {Complex}
+   */
+  'sec': function () {
+
+    // sec(c) = 2 / (e^(ci) + e^(-ci))
+
+    const a = this['re'];
+    const b = this['im'];
+    const d = 0.5 * cosh(2 * b) + 0.5 * Math.cos(2 * a);
+
+    return new Complex(
+      Math.cos(a) * cosh(b) / d,
+      Math.sin(a) * sinh(b) / d);
+  },
+
+  /**
+   * Calculate the cosecans
+   *
+   * @returns {Complex}
+   */
+  'csc': function () {
+
+    // csc(c) = 2i / (e^(ci) - e^(-ci))
+
+    const a = this['re'];
+    const b = this['im'];
+    const d = 0.5 * cosh(2 * b) - 0.5 * Math.cos(2 * a);
+
+    return new Complex(
+      Math.sin(a) * cosh(b) / d,
+      -Math.cos(a) * sinh(b) / d);
+  },
+
+  /**
+   * Calculate the complex arcus sinus
+   *
+   * @returns {Complex}
+   */
+  'asin': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['asin'](this['re'], this['im']);
+    }
+
+    // asin(c) = -i * log(ci + sqrt(1 - c^2))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    const t1 = new Complex(
+      b * b - a * a + 1,
+      -2 * a * b)['sqrt']();
+
+    const t2 = new Complex(
+      t1['re'] - b,
+      t1['im'] + a)['log']();
+
+    return new Complex(t2['im'], -t2['re']);
+  },
+
+  /**
+   * Calculate the complex arcus cosinus
+   *
+   * @returns {Complex}
+   */
+  'acos': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['acos'](this['re'], this['im']);
+    }
+
+    // acos(c) = i * log(c - i * sqrt(1 - c^2))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    const t1 = new Complex(
+      b * b - a * a + 1,
+      -2 * a * b)['sqrt']();
+
+    const t2 = new Complex(
+      t1['re'] - b,
+      t1['im'] + a)['log']();
+
+    return new Complex(Math.PI / 2 - t2['im'], t2['re']);
+  },
+
+  /**
+   * Calculate the complex arcus tangent
+   *
+   * @returns {Complex}
+   */
+  'atan': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['atan'](this['re'], this['im']);
+    }
+
+    // atan(c) = i / 2 log((i + x) / (i - x))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 0) {
+
+      if (b === 1) {
+        return new Complex(0, Infinity);
+      }
+
+      if (b === -1) {
+        return new Complex(0, -Infinity);
+      }
+    }
+
+    const d = a * a + (1.0 - b) * (1.0 - b);
+
+    const t1 = new Complex(
+      (1 - b * b - a * a) / d,
+      -2 * a / d).log();
+
+    return new Complex(-0.5 * t1['im'], 0.5 * t1['re']);
+  },
+
+  /**
+   * Calculate the complex arcus cotangent
+   *
+   * @returns {Complex}
+   */
+  'acot': function () {
+
+    // acot(c) = i / 2 log((c - i) / (c + i))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+      return new Complex(Math.atan2(1, a), 0);
+    }
+
+    const d = a * a + b * b;
+    return (d !== 0)
+      ? new Complex(
+        a / d,
+        -b / d).atan()
+      : new Complex(
+        (a !== 0) ? a / 0 : 0,
+        (b !== 0) ? -b / 0 : 0).atan();
+  },
+
+  /**
+   * Calculate the complex arcus secant
+   *
+   * @returns {Complex}
+   */
+  'asec': function () {
+
+    // asec(c) = -i * log(1 / c + sqrt(1 - i / c^2))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 0 && b === 0) {
+      return new Complex(0, Infinity);
+    }
+
+    const d = a * a + b * b;
+    return (d !== 0)
+      ? new Complex(
+        a / d,
+        -b / d).acos()
+      : new Complex(
+        (a !== 0) ? a / 0 : 0,
+        (b !== 0) ? -b / 0 : 0).acos();
+  },
+
+  /**
+   * Calculate the complex arcus cosecans
+   *
+   * @returns {Complex}
+   */
+  'acsc': function () {
+
+    // acsc(c) = -i * log(i / c + sqrt(1 - 1 / c^2))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (a === 0 && b === 0) {
+      return new Complex(Math.PI / 2, Infinity);
+    }
+
+    const d = a * a + b * b;
+    return (d !== 0)
+      ? new Complex(
+        a / d,
+        -b / d).asin()
+      : new Complex(
+        (a !== 0) ? a / 0 : 0,
+        (b !== 0) ? -b / 0 : 0).asin();
+  },
+
+  /**
+   * Calculate the complex sinh
+   *
+   * @returns {Complex}
+   */
+  'sinh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['sinh'](this['re'], this['im']);
+    }
+
+    // sinh(c) = (e^c - e^-c) / 2
+
+    const a = this['re'];
+    const b = this['im'];
+
+    return new Complex(
+      sinh(a) * Math.cos(b),
+      cosh(a) * Math.sin(b));
+  },
+
+  /**
+   * Calculate the complex cosh
+   *
+   * @returns {Complex}
+   */
+  'cosh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['cosh'](this['re'], this['im']);
+    }
+
+    // cosh(c) = (e^c + e^-c) / 2
+
+    const a = this['re'];
+    const b = this['im'];
+
+    return new Complex(
+      cosh(a) * Math.cos(b),
+      sinh(a) * Math.sin(b));
+  },
+
+  /**
+   * Calculate the complex tanh
+   *
+   * @returns {Complex}
+   */
+  'tanh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['tanh'](this['re'], this['im']);
+    }
+
+    // tanh(c) = (e^c - e^-c) / (e^c + e^-c)
+
+    const a = 2 * this['re'];
+    const b = 2 * this['im'];
+    const d = cosh(a) + Math.cos(b);
+
+    return new Complex(
+      sinh(a) / d,
+      Math.sin(b) / d);
+  },
+
+  /**
+   * Calculate the complex coth
+   *
+   * @returns {Complex}
+   */
+  'coth': function () {
+
+    // coth(c) = (e^c + e^-c) / (e^c - e^-c)
+
+    const a = 2 * this['re'];
+    const b = 2 * this['im'];
+    const d = cosh(a) - Math.cos(b);
+
+    return new Complex(
+      sinh(a) / d,
+      -Math.sin(b) / d);
+  },
+
+  /**
+   * Calculate the complex csch
+   *
+   * @returns {Complex}
+   */
+  'csch': function () {
+
+    // csch(c) = 2 / (e^c - e^-c)
+
+    const a = this['re'];
+    const b = this['im'];
+    const d = Math.cos(2 * b) - cosh(2 * a);
+
+    return new Complex(
+      -2 * sinh(a) * Math.cos(b) / d,
+      2 * cosh(a) * Math.sin(b) / d);
+  },
+
+  /**
+   * Calculate the complex sech
+   *
+   * @returns {Complex}
+   */
+  'sech': function () {
+
+    // sech(c) = 2 / (e^c + e^-c)
+
+    const a = this['re'];
+    const b = this['im'];
+    const d = Math.cos(2 * b) + cosh(2 * a);
+
+    return new Complex(
+      2 * cosh(a) * Math.cos(b) / d,
+      -2 * sinh(a) * Math.sin(b) / d);
+  },
+
+  /**
+   * Calculate the complex asinh
+   *
+   * @returns {Complex}
+   */
+  'asinh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['asinh'](this['re'], this['im']);
+    }
+
+    // asinh(z) = log(z + sqrt(z^2 + 1))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+
+      if (a === 0) {
+        return new Complex(0, 0);
+      }
+
+      // Use |a| to keep asinh(-a) = -asinh(a) and avoid cancellation for large -a
+      const x = Math.abs(a);
+      const r = Math.log(x + Math.sqrt(x * x + 1));
+
+      return new Complex(a < 0 ? -r : r, 0);
+    }
+
+    // z^2 + 1 = (a^2 - b^2 + 1) + i (2ab)
+    const re2 = a * a - b * b + 1;
+    const im2 = 2 * a * b;
+
+    const t = new Complex(re2, im2)['sqrt'](); // sqrt(z^2 + 1)
+
+    return new Complex(a + t['re'], b + t['im'])['log']();
+  },
+
+  /**
+   * Calculate the complex acosh
+   *
+   * @returns {Complex}
+   */
+  'acosh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['acosh'](this['re'], this['im']);
+    }
+
+    // acosh(z)= log(z + sqrt(z^2 - 1)) = log(z + sqrt(z - 1) * sqrt(z + 1))
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+
+      // z = a is real
+      if (a > 1) {
+        // acosh(a) = log(a + sqrt(a - 1) * sqrt(a + 1)),  a > 1
+        return new Complex(
+          Math.log(a + Math.sqrt(a - 1) * Math.sqrt(a + 1)), 0);
+      }
+
+      if (a < -1) {
+        // acosh(a) = log(-a + sqrt(a^2 - 1)) + i*pi,  a < -1
+        const t = Math.sqrt(a * a - 1);
+        return new Complex(Math.log(-a + t), Math.PI);
+      }
+
+      // -1 <= a <= 1 : purely imaginary
+      // acosh(a) = i * acos(a)
+      return new Complex(0, Math.acos(a));
+    }
+
+    const t1 = new Complex(a - 1, b)['sqrt'](); // sqrt(z - 1)
+    const t2 = new Complex(a + 1, b)['sqrt'](); // sqrt(z + 1)
+
+    return new Complex(
+      a + t1['re'] * t2['re'] - t1['im'] * t2['im'],
+      b + t1['re'] * t2['im'] + t1['im'] * t2['re']
+    )['log']();
+  },
+
+  /**
+   * Calculate the complex atanh
+   *
+   * @returns {Complex}
+   */
+  'atanh': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['atanh'](this['re'], this['im']);
+    }
+
+    // atanh(z) = log((1 + z) / (1 - z)) / 2
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+
+      if (a === 0) {
+        return new Complex(0, 0);
+      }
+
+      if (a === 1) {
+        // limit x -> 1^- atanh(x) = +Infinity
+        return new Complex(Infinity, 0);
+      }
+
+      if (a === -1) {
+        // limit x -> -1^+ atanh(x) = -Infinity
+        return new Complex(-Infinity, 0);
+      }
+
+      if (-1 < a && a < 1) {
+        // Purely real
+        return new Complex(
+          0.5 * Math.log((1 + a) / (1 - a)),
+          0
+        );
+      }
+
+      if (a > 1) {
+        // Our branch: Im(atanh(a)) = -π/2 for a > 1
+        const t = (a + 1) / (a - 1); // > 0
+        return new Complex(
+          0.5 * Math.log(t),
+          -Math.PI / 2
+        );
+      }
+
+      // a < -1: Im(atanh(a)) = +π/2
+      const t = (1 + a) / (1 - a); // < 0
+      return new Complex(
+        0.5 * Math.log(-t), // log((1 - a)/(1 + a))
+        Math.PI / 2
+      );
+    }
+
+    // Use atanh(z) = 0.5 * Log((1+z)/(1-z)) with principal Log.
+    const oneMinus = 1 - a;
+    const onePlus = 1 + a;
+    const d = oneMinus * oneMinus + b * b; // |1 - z|^2
+
+    if (d === 0) {
+      // (1 - z) == 0 for finite z only at z = 1+0i, already handled above.
+      // If we ever get here, just propagate infinities consistently:
+      return new Complex(
+        (a !== -1) ? (a / 0) : 0,
+        (b !== 0) ? (b / 0) : 0
+      );
+    }
+
+    // (1 + z) / (1 - z) with a single complex division
+    const xr = (onePlus * oneMinus - b * b) / d;
+    const xi = (b * oneMinus + onePlus * b) / d;
+
+    // 0.5 * log(xr + i xi)
+    return new Complex(
+      logHypot(xr, xi) / 2,
+      Math.atan2(xi, xr) / 2
+    );
+  },
+
+  /**
+   * Calculate the complex acoth
+   *
+   * @returns {Complex}
+   */
+  'acoth': function () {
+
+    // acoth(z) = log((z + 1) / (z - 1)) / 2 = atanh(1 / z)
+
+    const a = this['re'];
+    const b = this['im'];
+
+    // z = 0 -> acoth(0) = i * π / 2  (log((1+0)/(1-0))/2 = log(-1)/2)
+    if (a === 0 && b === 0) {
+      return new Complex(0, Math.PI / 2);
+    }
+
+    const d = a * a + b * b;
+
+    if (d !== 0) {
+      // 1 / z = (a - i b) / (a^2 + b^2)
+      return new Complex(a / d, -b / d)['atanh']();
+    }
+
+    // Fallback for weird infinities/NaNs: mirror other functions' style
+    return new Complex(
+      (a !== 0) ? a / 0 : 0,
+      (b !== 0) ? -b / 0 : 0
+    )['atanh']();
+  },
+
+  /**
+   * Calculate the complex acsch
+   *
+   * @returns {Complex}
+   */
+  'acsch': function () {
+
+    // acsch(c) = log((1+sqrt(1+c^2))/c) = = asinh(1 / z)
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (b === 0) {
+
+      // z = a real
+      if (a === 0) {
+        // acsch(0) -> +/- Infinity, we keep your previous behavior
+        return new Complex(Infinity, 0);
+      }
+
+      // acsch(a) = asinh(1/a) = log(1/a + sqrt(1/a^2 + 1))
+      const inv = 1 / a;
+      return new Complex(
+        Math.log(inv + Math.sqrt(inv * inv + 1)),
+        0
+      );
+    }
+
+    const d = a * a + b * b;
+
+    if (d !== 0) {
+      // 1/z = (a - i b) / (a^2 + b^2)
+      return new Complex(a / d, -b / d)['asinh']();
+    }
+
+    // Handle 0 + 0i or infinities in the same spirit as your existing code
+    return new Complex(
+      (a !== 0) ? a / 0 : 0,
+      (b !== 0) ? -b / 0 : 0)['asinh']();
+  },
+
+  /**
+   * Calculate the complex asech
+   *
+   * @returns {Complex}
+   */
+  'asech': function () {
+
+    // asech(z) = acosh(1 / z)
+
+    const a = this['re'];
+    const b = this['im'];
+
+    if (this['isZero']()) {
+      // asech(0) = acosh(∞) -> ∞
+      return Complex['INFINITY'];
+    }
+
+    const d = a * a + b * b;
+
+    if (d !== 0) {
+      // 1 / z = (a - i b) / (a^2 + b^2)
+      return new Complex(a / d, -b / d)['acosh']();
+    }
+
+    // Fallback for weird infinities/NaNs
+    return new Complex(
+      (a !== 0) ? a / 0 : 0,
+      (b !== 0) ? -b / 0 : 0)['acosh']();
+  },
+
+  /**
+   * Calculate the complex inverse 1/z
+   *
+   * @returns {Complex}
+   */
+  'inverse': function () {
+
+    if (Complex['IEEE']) {
+      return ANNEX_G['div'](1, 0, this['re'], this['im']);
+    }
+
+    // 1 / 0 = Infinity and 1 / Infinity = 0
+    if (this['isZero']()) {
+      return Complex['INFINITY'];
+    }
+
+    if (this['isInfinite']()) {
+      return Complex['ZERO'];
+    }
+
+    const a = this['re'];
     const b = this['im'];
 
-    return new Complex(
-      Math.cos(a) * cosh(b),
-      -Math.sin(a) * sinh(b));
-  },
+    const d = a * a + b * b;
+
+    return new Complex(a / d, -b / d);
+  },
+
+  /**
+   * Returns the complex conjugate
+   *
+   * @returns {Complex}
+   */
+  'conjugate': function () {
+
+    return new Complex(this['re'], -this['im']);
+  },
+
+  /**
+   * Gets the negated complex number
+   *
+   * @returns {Complex}
+   */
+  'neg': function () {
+
+    return new Complex(-this['re'], -this['im']);
+  },
+
+  /**
+   * Ceils the actual complex number
+   *
+   * @returns {Complex}
+   */
+  'ceil': function (places) {
+
+    places = Math.pow(10, places || 0);
+
+    return new Complex(
+      Math.ceil(this['re'] * places) / places,
+      Math.ceil(this['im'] * places) / places);
+  },
+
+  /**
+   * Floors the actual complex number
+   *
+   * @returns {Complex}
+   */
+  'floor': function (places) {
+
+    places = Math.pow(10, places || 0);
+
+    return new Complex(
+      Math.floor(this['re'] * places) / places,
+      Math.floor(this['im'] * places) / places);
+  },
+
+  /**
+   * Ceils the actual complex number
+   *
+   * @returns {Complex}
+   */
+  'round': function (places) {
+
+    places = Math.pow(10, places || 0);
+
+    return new Complex(
+      Math.round(this['re'] * places) / places,
+      Math.round(this['im'] * places) / places);
+  },
+
+  /**
+   * Compares two complex numbers
+   *
+   * **Note:** new Complex(Infinity).equals(Infinity) === false
+   *
+   * @returns {boolean}
+   */
+  'equals': function (a, b) {
+
+    const z = parse(a, b);
+
+    return Math.abs(z['re'] - this['re']) <= Complex['EPSILON'] &&
+      Math.abs(z['im'] - this['im']) <= Complex['EPSILON'];
+  },
+
+  /**
+   * Clones the actual object
+   *
+   * @returns {Complex}
+   */
+  'clone': function () {
+
+    return new Complex(this['re'], this['im']);
+  },
+
+  /**
+   * Gets a string of the actual complex number
+   *
+   * Options:
+   * precision - round to at most this number of decimal places
+   * fixedDigits - print exactly this number of decimal places
+   * significantDigits - print this number of significant digits
+   * unit - the imaginary unit, 'i' (default) or 'j'
+   * spacing - put spaces around the sign of the imaginary part (default true)
+   * form - 'rect' (default) for a + bi, 'polar' for r∠φ or 'exp' for r e^(iφ)
+   * angleUnit - 'rad' (default) or 'deg' for the angle of the polar form
+   * zeroThreshold - parts smaller than this are printed as zero (default Complex.EPSILON)
+   * dialect - 'python', 'matlab', 'mathematica', 'julia' or 'fortran' to write a literal of this language. Only
+   *           the digit options apply then and no part is dropped, unless a zeroThreshold is given
+   *
+   * @param {Object=} options
+   * @returns {string}
+   */
+  'toString': function (options) {
+
+    const opt = checkFormatOptions(options || {});
+
+    if (opt['dialect'] !== undefined) {
+      return dialectString(this, opt);
+    }
+    return joinParts(decompose(this, opt), opt);
+  },
+
+  /**
+   * Gets a string of the actual complex number with the number format of a locale, like 3,5 - 2,1i in de-DE
+   *
+   * Takes the options of toString() and of Intl.NumberFormat.
+   *
+   * @param {string|Array=} locale
+   * @param {Object=} options
+   * @returns {string}
+   */
+  'toLocaleString': function (locale, options) {
+
+    const opt = checkFormatOptions(options || {});
+
+    return joinParts(decompose(this, opt, localeFormat(locale, opt)), opt);
+  },
+
+  /**
+   * Gets a LaTeX string of the actual complex number, like 3 - 4i, 5 e^{-0.9273i} or 5 \angle -53.13^\circ
+   *
+   * Takes the same options as toString(), except for spacing.
+   *
+   * @param {Object=} options
+   * @returns {string}
+   */
+  'toLatex': function (options) {
+
+    const opt = checkFormatOptions(options || {});
+    const unit = opt['unit'] || 'i';
+    const p = decompose(this, opt);
+
+    switch (p.form) {
+
+      case FORM_SPECIAL:
+        return p.re === 'NaN' ? "\\mathrm{NaN}" : "\\infty";
+
+      case FORM_POLAR:
+        return latexNumber(p.re) + " \\angle " + latexNumber(p.phi) + (p.deg ? "^\\circ" : "");
+
+      case FORM_EXP:
+        return latexNumber(p.re) + " e^{" + p.sign + latexNumber(p.im) + unit + "}";
+    }
+
+    if (p.im === null) {
+      return latexNumber(p.re);
+    }
+
+    if (p.re === null) {
+      return p.sign + latexNumber(p.im) + unit;
+    }
+    return latexNumber(p.re) + " " + (p.sign || "+") + " " + latexNumber(p.im) + unit;
+  },
+
+  /**
+   * Gets a MathML string of the actual complex number, wrapped in a math element
+   *
+   * Takes the same options as toString(), except for spacing.
+   *
+   * @param {Object=} options
+   * @returns {string}
+   */
+  'toMathML': function (options) {
+
+    const opt = checkFormatOptions(options || {});
+    const unit = "<mi>" + (opt['unit'] || 'i') + "</mi>";
+    const p = decompose(this, opt);
+
+    // Coefficient of the imaginary unit, joined with an invisible times
+    const coeff = p.im ? mathmlNumber(p.im) + "<mo>&#x2062;</mo>" : "";
+
+    let ret;
+
+    switch (p.form) {
+
+      case FORM_SPECIAL:
+        ret = p.re === 'NaN' ? "<mi>NaN</mi>" : "<mi>&#x221E;</mi>";
+        break;
+
+      case FORM_POLAR:
+        ret = mathmlNumber(p.re) + "<mo>&#x2220;</mo>" + mathmlNumber(p.phi) + (p.deg ? "<mo>&#x00B0;</mo>" : "");
+        break;
+
+      case FORM_EXP:
+        ret = mathmlNumber(p.re) + "<mo>&#x2062;</mo><msup><mi>e</mi><mrow>" +
+          (p.sign ? "<mo>-</mo>" : "") + coeff + unit + "</mrow></msup>";
+        break;
+
+      default:
+        if (p.im === null) {
+          ret = mathmlNumber(p.re);
+        } else {
+          ret = (p.re === null ? "" : mathmlNumber(p.re) + "<mo>" + (p.sign || "+") + "</mo>") +
+            (p.re === null && p.sign ? "<mo>-</mo>" : "") + coeff + unit;
+        }
+    }
+    return "<math><mrow>" + ret + "</mrow></math>";
+  },
+
+  /**
+   * Returns a tagged object for JSON.stringify(). As JSON has no literals for them, NaN, ±Infinity and -0 are
+   * written as strings, like {"type": "Complex", "re": 1, "im": "NaN"}
+   *
+   * @returns {Object}
+   */
+  'toJSON': function () {
+
+    return {
+      'type': 'Complex',
+      're': toJSONPart(this['re']),
+      'im': toJSONPart(this['im'])
+    };
+  },
+
+  /**
+   * Returns the actual number as a vector
+   *
+   * @returns {Array}
+   */
+  'toVector': function () {
+
+    return [this['re'], this['im']];
+  },
+
+  /**
+   * Returns the actual real value of the current object
+   *
+   * @returns {number|null}
+   */
+  'valueOf': function () {
+
+    if (this['im'] === 0) {
+      return this['re'];
+    }
+    return null;
+  },
+
+  /**
+   * Determines whether a complex number is not on the Riemann sphere. With Complex.IEEE a number with an infinite part
+   * is an infinity and not NaN, even if the other part is NaN.
+   *
+   * @returns {boolean}
+   */
+  'isNaN': function () {
+    if (Complex['IEEE'] && this['isInfinite']()) {
+      return false;
+    }
+    return isNaN(this['re']) || isNaN(this['im']);
+  },
+
+  /**
+   * Determines whether or not a complex number is at the zero pole of the
+   * Riemann sphere.
+   *
+   * @returns {boolean}
+   */
+  'isZero': function () {
+    return this['im'] === 0 && this['re'] === 0;
+  },
+
+  /**
+   * Determines whether a complex number is not at the infinity pole of the
+   * Riemann sphere.
+   *
+   * @returns {boolean}
+   */
+  'isFinite': function () {
+    return isFinite(this['re']) && isFinite(this['im']);
+  },
+
+  /**
+   * Determines whether or not a complex number is at the infinity pole of the
+   * Riemann sphere. With Complex.IEEE only numbers with an infinite part are infinite.
+   *
+   * @returns {boolean}
+   */
+  'isInfinite': function () {
+    if (Complex['IEEE']) {
+      return Math.abs(this['re']) === Infinity || Math.abs(this['im']) === Infinity;
+    }
+    return !this['isFinite']();
+  }
+};
+
+Complex['ZERO'] = new Complex(0, 0);
+Complex['ONE'] = new Complex(1, 0);
+Complex['I'] = new Complex(0, 1);
+Complex['PI'] = new Complex(Math.PI, 0);
+Complex['E'] = new Complex(Math.E, 0);
+Complex['INFINITY'] = new Complex(Infinity, Infinity);
+Complex['NAN'] = new Complex(NaN, NaN);
+Complex['EPSILON'] = 1e-15;
+
+/**
+ * Switches the arithmetic and the elementary functions to C99 Annex G semantics, with signed zeros, infinities with a
+ * NaN part and Kahan's branch cuts, see ANNEX_G
+ *
+ * @type {boolean}
+ */
+Complex['IEEE'] = false;
+
+/**
+ * Evaluates an arithmetic expression with complex numbers
+ *
+ * Supports + - * / ^, parentheses, unary signs, the constants pi, e and i,
+ * variables passed in `scope` and every prototype method as a function, like sin(z) or pow(z, 2).
+ *
+ * Example:
+ *
+ * Complex.evaluate('(3+2i)*sqrt(-4)/e^(i*pi)', { z: new Complex(1, 2) });
+ *
+ * @param {string} expr
+ * @param {Object=} scope
+ * @returns {Complex}
+ */
+Complex['evaluate'] = function (expr, scope) {
+
+  if (typeof expr !== 'string') {
+    parser_exit('UNSUPPORTED_TYPE', expr);
+  }
+  return evaluate(expr, scope);
+};
+
+/**
+ * Parses the input without throwing
+ *
+ * Example:
+ *
+ * const res = Complex.tryParse('3 + 4x');
+ * // res.ok === false, res.error.reason === 'UNEXPECTED_TOKEN', res.error.offset === 5
+ *
+ * @param {*} input
+ * @returns {{ok: boolean, value: Complex|null, error: ComplexParseError|null}}
+ */
+Complex['tryParse'] = function (input) {
+
+  try {
+    return { 'ok': true, 'value': new Complex(input), 'error': null };
+  } catch (e) {
+    if (e instanceof ComplexParseError) {
+      return { 'ok': false, 'value': null, 'error': e };
+    }
+    throw e;
+  }
+};
+
+Complex['ComplexParseError'] = ComplexParseError;
+
+/**
+ * Parses a complex number, optionally written in the syntax of another language:
+ *
+ * python - (1+2j), 1e-3-4.5j, nanj
+ * matlab - 1 + 2i, 3 - 4*i, complex(1, NaN)
+ * mathematica - Complex[1, 2], 1 + 2 I, 1.5*^-3 I
+ * julia - 1 + 2im, 1.0 - Inf*im
+ * fortran - (1.0,2.0), (1.0D0, 2.5D-3)
+ *
+ * Without a dialect, the dialect is detected and all other input is parsed like the constructor does.
+ *
+ * @param {*} input
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['parse'] = function (input, options) {
+
+  const dialect = options ? options['dialect'] : undefined;
+
+  if (typeof input !== 'string') {
+    if (dialect !== undefined && dialect !== 'auto') {
+      parser_exit('UNSUPPORTED_TYPE', input);
+    }
+    return new Complex(input);
+  }
+
+  if (dialect === undefined || dialect === 'auto') {
+
+    for (let name of ['mathematica', 'fortran', 'julia', 'python', 'matlab']) {
+      const res = parseDialect(input, DIALECTS[name]);
+      if (res[0] !== null) {
+        return new Complex(res[0], res[1]);
+      }
+    }
+    return new Complex(input);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(DIALECTS, dialect)) {
+    throw Error('Unknown dialect: ' + dialect);
+  }
+
+  const res = parseDialect(input, DIALECTS[dialect]);
+
+  if (res[0] === null) {
+
+    let k = res[1];
+    while (k < input.length && /\s/.test(input[k])) k++;
+
+    if (k === input.length) {
+      parser_exit('MISSING_OPERAND', input, null, k);
+    }
+
+    if ((input[k] === '+' || input[k] === '-') && input.slice(k + 1).trim() === '') {
+      parser_exit('DANGLING_SIGN', input, input[k], k);
+    }
+    parser_exit('UNEXPECTED_TOKEN', input, input[k], k);
+  }
+  return new Complex(res[0], res[1]);
+};
+
+// The bidi marks LRM, RLM and ALM, which Intl puts around signs in right-to-left locales
+const BIDI_MARKS = /[\u200e\u200f\u061c]/g;
+
+/**
+ * Gets the symbols of the number format of a locale: the digits, the separators, the minus sign and the sizes
+ * of the digit groups, like 3 and 2 for 12,34,567 in en-IN
+ *
+ * @param {string|Array|undefined} locale
+ * @returns {Object}
+ */
+const localeSymbols = function (locale) {
+
+  const nf = new Intl.NumberFormat(locale);
+  const sym = { group: ',', decimal: '.', minus: '-', digits: {}, primary: 3, secondary: 3 };
+
+  const parts = nf.formatToParts(-1234567890.5);
+  const sizes = [];
+  for (let i = 0; i < parts.length; i++) {
+    const value = parts[i]['value'].replace(BIDI_MARKS, '');
+    switch (parts[i]['type']) {
+      case 'group':
+        sym.group = value;
+        break;
+      case 'decimal':
+        sym.decimal = value;
+        break;
+      case 'minusSign':
+        sym.minus = value;
+        break;
+      case 'integer':
+        sizes.push(value.length);
+        break;
+    }
+  }
+  if (sizes.length > 1) {
+    sym.primary = sizes[sizes.length - 1];
+    sym.secondary = sizes[sizes.length - 2];
+  }
+
+  for (let d = 0; d < 10; d++) {
+    sym.digits[nf.format(d).replace(BIDI_MARKS, '')] = String(d);
+  }
+  return sym;
+};
+
+/**
+ * Parses a string with the number format of a locale, like '3,5 + 2,1i' in de-DE or '1,234.5 - 2i' in en-US.
+ * The digits of the locale are read as well, and group separators must sit where the locale puts them.
+ *
+ * @param {string} str
+ * @param {string|Array=} locale
+ * @returns {Complex}
+ */
+Complex['parseLocale'] = function (str, locale) {
+
+  if (typeof str !== 'string') {
+    parser_exit('UNSUPPORTED_TYPE', str);
+  }
+
+  const sym = localeSymbols(locale);
+
+  const digit = c => c >= '0' && c <= '9' ? c : sym.digits[c];
+  const isGroup = c => c === sym.group || /\s/.test(sym.group) && /\s/.test(c);
+
+  // Rewrite the string in the format of the parser, remembering where every character came from
+  let norm = '';
+  const map = [];
+
+  for (let i = 0; i < str.length; i++) {
+
+    let c = str[i];
+    if (c === '\u200e' || c === '\u200f' || c === '\u061c') {
+      continue;
+    }
+
+    if (digit(c) !== undefined) {
+
+      // A run of digits, where the integer part may be grouped like 1,234,567 but the fraction may not
+      const fraction = norm[norm.length - 1] === '.';
+      const groups = [0];
+      const seps = [];
+      for (; i < str.length; i++) {
+        const d = digit(str[i]);
+        if (d !== undefined) {
+          norm += d;
+          map.push(i);
+          groups[groups.length - 1]++;
+        } else if (!fraction && isGroup(str[i]) && digit(str[i + 1] || '') !== undefined) {
+          groups.push(0);
+          seps.push(i);
+        } else {
+          break;
+        }
+      }
+      i--;
+
+      // The first group has 1 up to the secondary size, then come secondary groups and the last, primary one
+      for (let j = 1; j < groups.length; j++) {
+        const size = j === groups.length - 1 ? sym.primary : sym.secondary;
+        if (groups[j] !== size || j === 1 && groups[0] > sym.secondary) {
+          parser_exit('UNEXPECTED_TOKEN', str, str[seps[j - 1]], seps[j - 1]);
+        }
+      }
+      continue;
+    }
+
+    if (c === sym.decimal) {
+      c = '.';
+    } else if (c === sym.minus) {
+      c = '-';
+    }
+    norm += c;
+    map.push(i);
+  }
+
+  try {
+    return new Complex(norm);
+  } catch (e) {
+    if (!(e instanceof ComplexParseError) || e['offset'] < 0) {
+      throw e;
+    }
+
+    const start = e['offset'] < map.length ? map[e['offset']] : str.length;
+    const end = e['token'] === null ? start : map[e['offset'] + e['token'].length - 1] + 1;
+
+    parser_exit(e['reason'], str, e['token'] === null ? null : str.slice(start, end), start);
+  }
+};
+
+/**
+ * Restores a complex number from the output of toJSON(), either as object or as JSON string
+ *
+ * @param {Object|string} json
+ * @returns {Complex}
+ */
+Complex['fromJSON'] = function (json) {
+
+  let obj = json;
+  if (typeof json === 'string') {
+    try {
+      obj = JSON.parse(json);
+    } catch (e) {
+      // Most engines tell the offset as "position n" in the message, otherwise it stays unknown
+      const m = /position (\d+)/.exec(e.message);
+      const pos = m !== null ? +m[1] : -1;
+      parser_exit('UNEXPECTED_TOKEN', json, pos >= 0 && pos < json.length ? json[pos] : null, pos);
+    }
+  }
+
+  if (obj === null || typeof obj !== 'object' || !('re' in obj && 'im' in obj)) {
+    parser_exit('UNSUPPORTED_OBJECT', json);
+  }
+
+  // Only the keys of toJSON() are allowed, and the tag must be right if it is there
+  for (let key in obj) {
+    if (key === 'type' ? obj[key] !== 'Complex' : key !== 're' && key !== 'im') {
+      parser_exit('UNSUPPORTED_OBJECT', json);
+    }
+  }
+
+  return new Complex(
+    fromJSONPart(obj['re'], json),
+    fromJSONPart(obj['im'], json));
+};
+
+/**
+ * A reviver for JSON.parse(), which restores all complex numbers written by toJSON(), no matter how deep. Tagged
+ * objects which are no valid complex numbers are left unchanged, so that one of them doesn't spoil the whole document.
+ *
+ * Example:
+ *
+ * const data = JSON.parse(str, Complex.reviver);
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+Complex['reviver'] = function (key, value) {
+
+  if (isComplexJSON(value)) {
+    try {
+      return Complex['fromJSON'](value);
+    } catch (e) {
+      if (!(e instanceof ComplexParseError)) {
+        throw e;
+      }
+    }
+  }
+  return value;
+};
+
+/**
+ * Gets the branch option of log() and pow(), an integer k, or of sqrt(), a branch of 1 or -1. Like an invalid order
+ * of a root, an invalid value or any other option throws a RangeError.
+ *
+ * @param {Object|null|undefined} options
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+const branchOption = function (options, name) {
+
+  if (options === null || options === undefined) {
+    return undefined;
+  }
+
+  for (let key in options) {
+    if (key !== name && Object.prototype.hasOwnProperty.call(options, key)) {
+      throw RangeError('Unknown option: ' + key);
+    }
+  }
+
+  const v = options[name];
+  if (v !== undefined && (name === 'k' ? !Number.isInteger(v) : v !== 1 && v !== -1)) {
+    throw RangeError('Invalid branch: ' + v);
+  }
+  return v;
+};
+
+/**
+ * Gets the first and last sheet of a range of branches, [-1, 1] by default
+ *
+ * @param {Array<number>|undefined} kRange
+ * @returns {Array<number>}
+ */
+const branchRange = function (kRange) {
+
+  const range = kRange === undefined ? [-1, 1] : kRange;
+
+  if (!Array.isArray(range) || range.length !== 2 || !Number.isInteger(range[0]) || !Number.isInteger(range[1]) || range[0] > range[1]) {
+    throw RangeError('Invalid branch range: ' + kRange);
+  }
+  return range;
+};
+
+/**
+ * Creates the function that enumerates the values of an inverse function on the sheets k of a range. For each k it
+ * adds k times the period p to the principal value w, after the sign s^k, or to both w and -w if s is 0.
+ *
+ * @param {string} name
+ * @param {number} s
+ * @param {Complex} p
+ * @returns {function(*, Array<number>=):Array<Complex>}
+ */
+const inverseAll = function (name, s, p) {
+
+  return function (z, kRange) {
+
+    const range = branchRange(kRange);
+    const w = new Complex(z)[name]();
+
+    const res = [];
+    for (let k = range[0]; k <= range[1]; k++) {
+      const t = new Complex(p['re'] * k, p['im'] * k);
+      if (s === 0) {
+        res.push(w['add'](t), w['neg']()['add'](t));
+      } else {
+        res.push((s === -1 && k % 2 !== 0 ? w['neg']() : w)['add'](t));
+      }
+    }
+    return res;
+  };
+};
+
+/**
+ * Enumerate the values of the inverse functions on the sheets k of kRange = [first, last], [-1, 1] by default, which
+ * are all the solutions w of sin w = z and so on:
+ *
+ * asinAll: (-1)^k asin z + kπ
+ * acosAll: acos z + 2kπ and -acos z + 2kπ
+ * atanAll: atan z + kπ
+ * asinhAll: (-1)^k asinh z + kπi
+ * acoshAll: acosh z + 2kπi and -acosh z + 2kπi
+ * atanhAll: atanh z + kπi
+ *
+ * Example:
+ *
+ * Complex.asinAll(2, [0, 1]); // [asin 2, π - asin 2]
+ */
+Complex['asinAll'] = inverseAll('asin', -1, new Complex(Math.PI, 0));
+Complex['acosAll'] = inverseAll('acos', 0, new Complex(2 * Math.PI, 0));
+Complex['atanAll'] = inverseAll('atan', 1, new Complex(Math.PI, 0));
+Complex['asinhAll'] = inverseAll('asinh', -1, new Complex(0, Math.PI));
+Complex['acoshAll'] = inverseAll('acosh', 0, new Complex(0, 2 * Math.PI));
+Complex['atanhAll'] = inverseAll('atanh', 1, new Complex(0, Math.PI));
+
+/**
+ * Calculates the beta function B(a, b) = Γ(a) Γ(b) / Γ(a + b), which is Complex.INFINITY if a or b is a pole of Γ
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {Complex}
+ */
+Complex['beta'] = function (a, b) {
+
+  a = new Complex(a);
+  b = new Complex(b);
+
+  if (isGammaPole(a) || isGammaPole(b)) {
+    return Complex['INFINITY'];
+  }
+
+  const z = a['gamma']()['mul'](b['gamma']())['mul'](a['add'](b)['rgamma']());
+  if (z['isFinite']() && !z['isZero']()) {
+    return z;
+  }
+  // The factors overflow or underflow, while the result may not
+  return Complex['lbeta'](a, b)['exp']();
+};
+
+/**
+ * Calculates log B(a, b) = log Γ(a) + log Γ(b) - log Γ(a + b) with the principal branches of log Γ,
+ * which is a logarithm of B(a, b) that is continuous in a and b
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {Complex}
+ */
+Complex['lbeta'] = function (a, b) {
+
+  a = new Complex(a);
+  b = new Complex(b);
+
+  if (isGammaPole(a) || isGammaPole(b)) {
+    return Complex['INFINITY'];
+  }
+
+  if (a['abs']() < b['abs']()) {
+    [a, b] = [b, a];
+  }
+
+  const c = a['add'](b);
+
+  if (a['re'] > 0 && c['re'] > 0 && a['abs']() >= 10 && c['abs']() >= 10 && a['isFinite']() && b['isFinite']()) {
+    return b['lgamma']()['add'](lgammaRatio(a, b));
+  }
+  return a['lgamma']()['add'](b['lgamma']())['sub'](c['lgamma']());
+};
+
+/**
+ * Calculates the Hurwitz zeta function ζ(s, a) = sum (a + k)^-s over k = 0, 1, 2, ..., with the principal
+ * branch of the powers. It has a pole at s = 1 and is Complex.INFINITY for a = 0, -1, -2, ...
+ *
+ * @param {*} s
+ * @param {*} a
+ * @returns {Complex}
+ */
+Complex['hurwitzZeta'] = function (s, a) {
+
+  s = new Complex(s);
+  a = a === undefined ? Complex['ONE'] : new Complex(a);
+
+  if (s['re'] === 1 && s['im'] === 0 || isGammaPole(a)) {
+    return Complex['INFINITY'];
+  }
+
+  if (!s['isFinite']() || !a['isFinite']()) {
+    return Complex['NAN'];
+  }
+  return zetaEulerMaclaurin(s, a);
+};
+
+/**
+ * Sums z^k / ((a + 1) (a + 2) ... (a + k)) over k = 0, 1, 2, ..., where γ(a, z) = z^a exp(-z) / a times the sum.
+ * The terms only grow while |a + k| < |z|.
+ *
+ * @param {Complex} a
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const gammaincKummer = function (a, z) {
+
+  let t = Complex['ONE'];
+  let s = t;
+  for (let k = 1; k < 10000; k++) {
+    t = t['mul'](z)['div'](a['add'](k));
+    s = s['add'](t);
+    if (t['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+  return s;
+};
+
+/**
+ * Sums (-z)^k / (k! (a + k)) over k = 0, 1, 2, ..., where γ(a, z) = z^a times the sum. The terms grow to about
+ * exp(|z|) / |z| while the sum is about exp(-Re z) / |z|, which makes it the choice next to the negative real axis.
+ *
+ * @param {Complex} a
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const gammaincAlternating = function (a, z) {
+
+  const r = z['abs']();
+
+  let t = Complex['ONE'];
+  let s = a['inverse']();
+  for (let k = 1; k < 10000; k++) {
+    t = t['mul'](z)['div'](-k);
+    const u = t['div'](a['add'](k));
+    s = s['add'](u);
+    if (k > r && u['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+  return s;
+};
+
+/**
+ * Evaluates Legendre's continued fraction 1 / (z + 1 - a - 1 (1 - a) / (z + 3 - a - 2 (2 - a) / (z + 5 - a - ...)))
+ * with the modified Lentz method, where Γ(a, z) = z^a exp(-z) times the fraction
+ *
+ * @param {Complex} a
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const gammaincFraction = function (a, z) {
+
+  const tiny = 1e-150;
+  let q = z['sub'](a)['add'](1);
+  let c = new Complex(1 / tiny, 0);
+  let d = q['inverse']();
+  let h = d;
+  for (let i = 1; i < 10000; i++) {
+    const an = a['sub'](i)['mul'](i);
+    q = q['add'](2);
+    d = d['mul'](an)['add'](q);
+    if (d['isZero']()) {
+      d = new Complex(tiny, 0);
+    }
+    c = q['add'](c['inverse']()['mul'](an));
+    if (c['isZero']()) {
+      c = new Complex(tiny, 0);
+    }
+    d = d['inverse']();
+    const delta = c['mul'](d);
+    h = h['mul'](delta);
+    if (delta['sub'](1)['abs']() <= 1e-16) {
+      break;
+    }
+  }
+  return h;
+};
+
+/**
+ * Calculates the lower or the upper incomplete gamma function, optionally divided by Γ(a). Whichever of the two
+ * converges at (a, z) is calculated directly and the other one is Γ(a) or 1 minus it.
+ *
+ * @param {*} a
+ * @param {*} z
+ * @param {Object|undefined} options
+ * @param {boolean} upper
+ * @returns {Complex}
+ */
+const gammainc = function (a, z, options, upper) {
+
+  a = new Complex(a);
+  z = new Complex(z);
+
+  const regularized = !!(options && options['regularized']);
+
+  if (!a['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  if (isGammaPole(a)) {
+    // P(-n, z) = 1 in the limit, γ(-n, z) has a pole and Γ(-n, z) = z^-n E_n+1(z)
+    if (regularized) {
+      return upper ? Complex['ZERO'] : Complex['ONE'];
+    }
+    if (!upper || z['isZero']()) {
+      return Complex['INFINITY'];
+    }
+    return expintN(1 - a['re'], z)['mul'](z['pow'](a['re']));
+  }
+
+  if (z['isZero']()) {
+    if (a['re'] <= 0) {
+      return Complex['INFINITY'];
+    }
+    if (!upper) {
+      return Complex['ZERO'];
+    }
+    return regularized ? Complex['ONE'] : a['gamma']();
+  }
+
+  const r = z['abs']();
+
+  let l = a['mul'](z['log']());
+  let s;
+  let lower = true;
+  if (z['re'] < 0 && r + z['re'] < 5) {
+    s = gammaincAlternating(a, z);
+  } else if (r <= 1.5 || a['re'] > 0 && r < a['add'](1)['abs']()) {
+    s = gammaincKummer(a, z)['div'](a);
+    l = l['sub'](z);
+  } else {
+    s = gammaincFraction(a, z);
+    l = l['sub'](z);
+    lower = false;
+  }
+
+  if (regularized) {
+    l = l['sub'](a['lgamma']());
+  }
+  let w = l['exp']()['mul'](s);
+  if (lower === upper) {
+    w = (regularized ? Complex['ONE'] : a['gamma']())['sub'](w);
+  }
+
+  if (a['im'] === 0 && z['im'] === 0 && z['re'] > 0) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
+
+/**
+ * Calculates the lower incomplete gamma function γ(a, z) = ∫ t^(a-1) exp(-t) dt from 0 to z with the principal
+ * branch of z^a, or P(a, z) = γ(a, z) / Γ(a) with options.regularized
+ *
+ * @param {*} a
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['gammainc'] = function (a, z, options) {
+  return gammainc(a, z, options, false);
+};
+
+/**
+ * Calculates the upper incomplete gamma function Γ(a, z) = ∫ t^(a-1) exp(-t) dt from z to ∞ with the principal
+ * branch of z^a, or Q(a, z) = Γ(a, z) / Γ(a) with options.regularized
+ *
+ * @param {*} a
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['gammaincc'] = function (a, z, options) {
+  return gammainc(a, z, options, true);
+};
+
+/**
+ * Evaluates the continued fraction 1 / (1 + d_1 / (1 + d_2 / (1 + ...))) of the incomplete beta function with
+ * d_2m+1 = -(a + m) (a + b + m) x / ((a + 2m) (a + 2m + 1)) and d_2m = m (b - m) x / ((a + 2m - 1) (a + 2m)) with
+ * the modified Lentz method, where B(x; a, b) = x^a (1 - x)^b / a times the fraction
+ *
+ * @param {Complex} x
+ * @param {Complex} a
+ * @param {Complex} b
+ * @returns {Complex}
+ */
+const betaincFraction = function (x, a, b) {
+
+  const tiny = 1e-150;
+  const ab = a['add'](b);
+
+  let c = new Complex(1 / tiny, 0);
+  let d = Complex['ONE'];
+  let h = Complex['ONE'];
+  for (let i = 1; i < 20000; i++) {
+    const m = i >> 1;
+    const an = i % 2 === 0
+      ? x['mul'](b['sub'](m))['mul'](m)['div'](a['add'](2 * m - 1)['mul'](a['add'](2 * m)))
+      : x['mul'](a['add'](m))['mul'](ab['add'](m))['div'](a['add'](2 * m)['mul'](a['add'](2 * m + 1)))['neg']();
+    d = d['mul'](an)['add'](1);
+    if (d['isZero']()) {
+      d = new Complex(tiny, 0);
+    }
+    c = c['inverse']()['mul'](an)['add'](1);
+    if (c['isZero']()) {
+      c = new Complex(tiny, 0);
+    }
+    d = d['inverse']();
+    const delta = c['mul'](d);
+    h = h['mul'](delta);
+    if (delta['sub'](1)['abs']() <= 1e-16) {
+      break;
+    }
+  }
+  return h;
+};
+
+/**
+ * Calculates the incomplete beta function B(x; a, b) = ∫ t^(a-1) (1 - t)^(b-1) dt from 0 to x with the principal
+ * branches of x^a and (1 - x)^b, or I_x(a, b) = B(x; a, b) / B(a, b) with options.regularized. Where the continued
+ * fraction converges slowly, it takes B(x; a, b) = B(a, b) - B(1 - x; b, a).
+ *
+ * @param {*} x
+ * @param {*} a
+ * @param {*} b
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['betainc'] = function (x, a, b, options) {
+
+  x = new Complex(x);
+  a = new Complex(a);
+  b = new Complex(b);
+
+  const regularized = !!(options && options['regularized']);
+
+  if (!x['isFinite']() || !a['isFinite']() || !b['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  if (isGammaPole(a)) {
+    return regularized ? Complex['NAN'] : Complex['INFINITY'];
+  }
+
+  if (x['isZero']()) {
+    return a['re'] > 0 ? Complex['ZERO'] : Complex['INFINITY'];
+  }
+
+  const y = Complex['ONE']['sub'](x);
+
+  // The fraction converges quickly for x < (a + 1) / (a + b + 2) with a, b > 0, and otherwise the closer to 0 the better
+  const swap = !isGammaPole(b) && (a['re'] > 0 && b['re'] > 0
+    ? x['re'] > a['add'](1)['div'](a['add'](b)['add'](2))['re']
+    : y['abs']() < x['abs']());
+
+  let w;
+  if (swap) {
+    w = y['isZero']() ? Complex['ZERO'] : y['log']()['mul'](b)['add'](x['log']()['mul'](a))['exp']()
+      ['mul'](betaincFraction(y, b, a))['div'](b);
+  } else {
+    w = x['log']()['mul'](a)['add'](y['log']()['mul'](b))['exp']()['mul'](betaincFraction(x, a, b))['div'](a);
+  }
+
+  if (regularized) {
+    w = w['div'](Complex['beta'](a, b));
+    if (swap) {
+      w = Complex['ONE']['sub'](w);
+    }
+  } else if (swap) {
+    w = Complex['beta'](a, b)['sub'](w);
+  }
+
+  if (a['im'] === 0 && b['im'] === 0 && x['im'] === 0 && x['re'] > 0 && x['re'] < 1) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
+
+// The duplication below stops once the Taylor series of the last step is accurate to about 1e-16
+const CARLSON_TOLERANCE = 1e-16;
+
+/**
+ * Calculates Carlson's R_C(x, y) = R_F(x, y, y) with the duplication theorem, and the Cauchy principal value for
+ * y on the negative real axis
+ *
+ * @param {Complex} x
+ * @param {Complex} y
+ * @returns {Complex}
+ */
+const carlsonRC = function (x, y) {
+
+  if (y['im'] === 0 && y['re'] < 0) {
+    return x['div'](x['sub'](y))['sqrt']()['mul'](carlsonRC(x['sub'](y), y['neg']()));
+  }
+
+  const a0 = x['add'](y['mul'](2))['div'](3);
+  const q = Math.pow(3 * CARLSON_TOLERANCE, -1 / 8) * a0['sub'](x)['abs']();
+
+  let a = a0;
+  let pow4 = 1;
+  for (let n = 0; n < 100 && pow4 * q >= a['abs'](); n++) {
+    const lambda = x['sqrt']()['mul'](y['sqrt']())['mul'](2)['add'](y);
+    x = x['add'](lambda)['div'](4);
+    y = y['add'](lambda)['div'](4);
+    a = a['add'](lambda)['div'](4);
+    pow4 /= 4;
+  }
+
+  // s = (y_0 - A_0) / (4^n A_n) and y_0 - A_0 = (y_0 - x_0) / 3 = 4^n (y_n - x_n) / 3
+  const s = y['sub'](x)['div'](a['mul'](3));
+  let p = new Complex(9 / 8, 0);
+  for (const c of [159 / 208, 9 / 22, 3 / 8, 1 / 7, 3 / 10, 0, 1]) {
+    p = p['mul'](s)['add'](c);
+  }
+  return p['div'](a['sqrt']());
+};
+
+/**
+ * Calculates Carlson's R_F(x, y, z) with the duplication theorem
+ *
+ * @param {Complex} x
+ * @param {Complex} y
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const carlsonRF = function (x, y, z) {
+
+  const a0 = x['add'](y)['add'](z)['div'](3);
+  const q = Math.pow(3 * CARLSON_TOLERANCE, -1 / 6) *
+    Math.max(a0['sub'](x)['abs'](), a0['sub'](y)['abs'](), a0['sub'](z)['abs']());
+
+  const x0 = x;
+  const y0 = y;
+
+  let a = a0;
+  let pow4 = 1;
+  for (let n = 0; n < 100 && pow4 * q >= a['abs'](); n++) {
+    const sx = x['sqrt']();
+    const sy = y['sqrt']();
+    const sz = z['sqrt']();
+    const lambda = sx['mul'](sy)['add'](sx['mul'](sz))['add'](sy['mul'](sz));
+    x = x['add'](lambda)['div'](4);
+    y = y['add'](lambda)['div'](4);
+    z = z['add'](lambda)['div'](4);
+    a = a['add'](lambda)['div'](4);
+    pow4 /= 4;
+  }
+
+  const t = a['inverse']()['mul'](pow4);
+  const X = a0['sub'](x0)['mul'](t);
+  const Y = a0['sub'](y0)['mul'](t);
+  const Z = X['add'](Y)['neg']();
+  const e2 = X['mul'](Y)['sub'](Z['mul'](Z));
+  const e3 = X['mul'](Y)['mul'](Z);
+
+  // 1 - E2 / 10 + E3 / 14 + E2² / 24 - 3 E2 E3 / 44
+  return e2['mul'](e2['div'](24)['sub'](e3['mul'](3 / 44))['sub'](0.1))['add'](e3['div'](14))['add'](1)
+    ['div'](a['sqrt']());
+};
+
+/**
+ * Calculates the sum of the Taylor series of the last duplication step of R_D and R_J, which is
+ * 1 - 3 E2 / 14 + E3 / 6 + 9 E2² / 88 - 3 E4 / 22 - 9 E2 E3 / 52 + 3 E5 / 26, divided by A^(3/2)
+ *
+ * @param {Complex} a
+ * @param {Complex} e2
+ * @param {Complex} e3
+ * @param {Complex} e4
+ * @param {Complex} e5
+ * @returns {Complex}
+ */
+const carlsonSeries = function (a, e2, e3, e4, e5) {
+
+  return e2['mul'](e2['mul'](9 / 88)['sub'](e3['mul'](9 / 52))['sub'](3 / 14))
+    ['add'](e3['div'](6))['sub'](e4['mul'](3 / 22))['add'](e5['mul'](3 / 26))['add'](1)
+    ['div'](a['sqrt']()['mul'](a));
+};
+
+/**
+ * Calculates Carlson's R_D(x, y, z) = R_J(x, y, z, z) with the duplication theorem
+ *
+ * @param {Complex} x
+ * @param {Complex} y
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const carlsonRD = function (x, y, z) {
+
+  const a0 = x['add'](y)['add'](z['mul'](3))['div'](5);
+  const q = Math.pow(CARLSON_TOLERANCE / 4, -1 / 6) *
+    Math.max(a0['sub'](x)['abs'](), a0['sub'](y)['abs'](), a0['sub'](z)['abs']());
+
+  const x0 = x;
+  const y0 = y;
+
+  let a = a0;
+  let pow4 = 1;
+  let s = Complex['ZERO'];
+  for (let n = 0; n < 100 && pow4 * q >= a['abs'](); n++) {
+    const sx = x['sqrt']();
+    const sy = y['sqrt']();
+    const sz = z['sqrt']();
+    const lambda = sx['mul'](sy)['add'](sx['mul'](sz))['add'](sy['mul'](sz));
+    s = s['add'](sz['mul'](z['add'](lambda))['inverse']()['mul'](pow4));
+    x = x['add'](lambda)['div'](4);
+    y = y['add'](lambda)['div'](4);
+    z = z['add'](lambda)['div'](4);
+    a = a['add'](lambda)['div'](4);
+    pow4 /= 4;
+  }
+
+  const t = a['inverse']()['mul'](pow4);
+  const X = a0['sub'](x0)['mul'](t);
+  const Y = a0['sub'](y0)['mul'](t);
+  const Z = X['add'](Y)['div'](-3);
+  const xy = X['mul'](Y);
+  const z2 = Z['mul'](Z);
+
+  const e2 = xy['sub'](z2['mul'](6));
+  const e3 = xy['mul'](3)['sub'](z2['mul'](8))['mul'](Z);
+  const e4 = xy['sub'](z2)['mul'](z2)['mul'](3);
+  const e5 = xy['mul'](z2)['mul'](Z);
+  return carlsonSeries(a, e2, e3, e4, e5)['mul'](pow4)['add'](s['mul'](3));
+};
+
+/**
+ * Calculates Carlson's R_J(x, y, z, p) with the duplication theorem, which is only guaranteed to find the right
+ * branch for some of the complex arguments
+ *
+ * @param {Complex} x
+ * @param {Complex} y
+ * @param {Complex} z
+ * @param {Complex} p
+ * @returns {Complex}
+ */
+const carlsonRJDuplication = function (x, y, z, p) {
+
+  const a0 = x['add'](y)['add'](z)['add'](p['mul'](2))['div'](5);
+  const delta = p['sub'](x)['mul'](p['sub'](y))['mul'](p['sub'](z));
+  const q = Math.pow(CARLSON_TOLERANCE / 4, -1 / 6) *
+    Math.max(a0['sub'](x)['abs'](), a0['sub'](y)['abs'](), a0['sub'](z)['abs'](), a0['sub'](p)['abs']());
+
+  const x0 = x;
+  const y0 = y;
+  const z0 = z;
+
+  let a = a0;
+  let pow4 = 1;
+  let s = Complex['ZERO'];
+  for (let n = 0; n < 100 && pow4 * q >= a['abs'](); n++) {
+    const sx = x['sqrt']();
+    const sy = y['sqrt']();
+    const sz = z['sqrt']();
+    const sp = p['sqrt']();
+    const lambda = sx['mul'](sy)['add'](sx['mul'](sz))['add'](sy['mul'](sz));
+    const d = sp['add'](sx)['mul'](sp['add'](sy))['mul'](sp['add'](sz));
+    const e = delta['mul'](pow4 * pow4 * pow4)['div'](d['mul'](d));
+    s = s['add'](carlsonRC(Complex['ONE'], e['add'](1))['div'](d)['mul'](pow4));
+    x = x['add'](lambda)['div'](4);
+    y = y['add'](lambda)['div'](4);
+    z = z['add'](lambda)['div'](4);
+    p = p['add'](lambda)['div'](4);
+    a = a['add'](lambda)['div'](4);
+    pow4 /= 4;
+  }
+
+  const t = a['inverse']()['mul'](pow4);
+  const X = a0['sub'](x0)['mul'](t);
+  const Y = a0['sub'](y0)['mul'](t);
+  const Z = a0['sub'](z0)['mul'](t);
+  const P = X['add'](Y)['add'](Z)['div'](-2);
+  const xyz = X['mul'](Y)['mul'](Z);
+  const p2 = P['mul'](P);
+
+  const e2 = X['mul'](Y)['add'](X['mul'](Z))['add'](Y['mul'](Z))['sub'](p2['mul'](3));
+  const e3 = xyz['add'](e2['mul'](P)['mul'](2))['add'](p2['mul'](P)['mul'](4));
+  const e4 = xyz['mul'](2)['add'](e2['mul'](P))['add'](p2['mul'](P)['mul'](3))['mul'](P);
+  const e5 = xyz['mul'](p2);
+  return carlsonSeries(a, e2, e3, e4, e5)['mul'](pow4)['add'](s['mul'](6));
+};
+
+// Nodes and weights of the 15-point Gauss-Kronrod rule on [-1, 1], of which every other node belongs to the 7-point
+// Gauss rule
+const KRONROD_NODES = [
+  0.991455371120812639, 0.949107912342758525, 0.864864423359769073, 0.741531185599394440,
+  0.586087235467691130, 0.405845151377397167, 0.207784955007898468, 0];
+const KRONROD_WEIGHTS = [
+  0.022935322010529225, 0.063092092629978553, 0.104790010322250184, 0.140653259715525919,
+  0.169004726639267903, 0.190350578064785410, 0.204432940075298892, 0.209482141084727828];
+const GAUSS_WEIGHTS = [0.129484966168869693, 0.279705391489276668, 0.381830050505118945, 0.417959183673469388];
+
+/**
+ * Applies the 15-point Gauss-Kronrod rule to f on the real interval [a, b], with the difference to the embedded
+ * 7-point Gauss rule as an estimate of the error
+ *
+ * @param {function(number):Complex} f
+ * @param {number} a
+ * @param {number} b
+ * @returns {Array}
+ */
+const gaussKronrodRule = function (f, a, b) {
+
+  const c = (a + b) / 2;
+  const h = (b - a) / 2;
+  const fc = f(c);
+
+  let k = fc['mul'](KRONROD_WEIGHTS[7]);
+  let g = fc['mul'](GAUSS_WEIGHTS[3]);
+  for (let i = 0; i < 7; i++) {
+    const v = f(c - h * KRONROD_NODES[i])['add'](f(c + h * KRONROD_NODES[i]));
+    k = k['add'](v['mul'](KRONROD_WEIGHTS[i]));
+    if (i % 2 === 1) {
+      g = g['add'](v['mul'](GAUSS_WEIGHTS[i >> 1]));
+    }
+  }
+  return [a, b, k['mul'](h), k['sub'](g)['abs']() * Math.abs(h)];
+};
+
+/**
+ * Integrates f over the real interval [a, b], splitting the interval with the largest error estimate until the
+ * estimates add up to less than eps times the result
+ *
+ * @param {function(number):Complex} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} eps
+ * @returns {Complex}
+ */
+const gaussKronrod = function (f, a, b, eps) {
+
+  const parts = [gaussKronrodRule(f, a, b)];
+  for (let n = 0; n < 200; n++) {
+    let sum = Complex['ZERO'];
+    let err = 0;
+    let worst = 0;
+    for (let i = 0; i < parts.length; i++) {
+      sum = sum['add'](parts[i][2]);
+      err += parts[i][3];
+      if (parts[i][3] > parts[worst][3]) {
+        worst = i;
+      }
+    }
+    if (err <= eps * sum['abs']()) {
+      break;
+    }
+    const [u, v] = parts[worst];
+    parts.splice(worst, 1, gaussKronrodRule(f, u, (u + v) / 2), gaussKronrodRule(f, (u + v) / 2, v));
+  }
+
+  return parts.reduce(function (sum, part) {
+    return sum['add'](part[2]);
+  }, Complex['ZERO']);
+};
+
+/**
+ * Calculates Carlson's R_J(x, y, z, p). Where the duplication is not known to be right, the integral from 0 to a
+ * point N is calculated numerically, on a path that keeps all the square roots of the integrand continuous, and the
+ * rest is R_J(x + N, y + N, z + N, p + N), whose arguments are all in the right half plane.
+ *
+ * @param {Complex} x
+ * @param {Complex} y
+ * @param {Complex} z
+ * @param {Complex} p
+ * @returns {Complex}
+ */
+const carlsonRJ = function (x, y, z, p) {
+
+  const args = [x, y, z, p];
+
+  const same = function (a) {
+    return a['re'] === p['re'] && a['im'] === p['im'];
+  };
+  const conj = function (a, b, c) {
+    return a['im'] === 0 && a['re'] >= 0 && b['re'] === c['re'] && b['im'] === -c['im'];
+  };
+
+  if (x['re'] >= 0 && y['re'] >= 0 && z['re'] >= 0 && p['re'] > 0 || same(x) || same(y) || same(z) ||
+    (p['im'] !== 0 || p['re'] >= 0) && (conj(x, y, z) || conj(y, x, z) || conj(z, x, y))) {
+    return carlsonRJDuplication(x, y, z, p);
+  }
+
+  // Go around the singularities at -x, -y, -z and -p through the upper or the lower half plane
+  let margin;
+  if (args.every(function (t) { return t['im'] >= 0 || t['re'] > 0; })) {
+    margin = 1;
+  } else if (args.every(function (t) { return t['im'] < 0 || t['re'] > 0; })) {
+    margin = -1;
+  } else {
+    margin = 1;
+    for (const t of args) {
+      if (t['im'] < 0 && t['re'] <= 0) {
+        margin = Math.min(margin, -t['im'] / 2);
+      }
+    }
+  }
+  const n = new Complex(Math.ceil(-Math.min(x['re'], y['re'], z['re'], p['re'])) + 1, margin);
+
+  // t = n s², which removes the singularity of a vanishing argument at t = 0
+  const f = function (s) {
+    const t = n['mul'](s * s);
+    return t['add'](x)['sqrt']()['mul'](t['add'](y)['sqrt']())['mul'](t['add'](z)['sqrt']())['mul'](t['add'](p))
+      ['inverse']()['mul'](n)['mul'](3 * s);
+  };
+
+  const w = carlsonRJDuplication(x['add'](n), y['add'](n), z['add'](n), p['add'](n));
+  return gaussKronrod(f, 0, 1, 1e-15)['add'](w);
+};
+
+/**
+ * Checks the arguments of Carlson's integrals, which are Complex.NAN if one is NaN, 0 if one is infinite and
+ * Complex.INFINITY if too many vanish
+ *
+ * @param {Array<Complex>} args
+ * @param {number} zeros
+ * @returns {Complex|null}
+ */
+const carlsonSpecial = function (args, zeros) {
+
+  if (args.some(function (x) { return x['isNaN'](); })) {
+    return Complex['NAN'];
+  }
+  if (args.some(function (x) { return x['isInfinite'](); })) {
+    return Complex['ZERO'];
+  }
+  if (args.filter(function (x) { return x['isZero'](); }).length > zeros) {
+    return Complex['INFINITY'];
+  }
+  return null;
+};
+
+/**
+ * Calculates Carlson's symmetric elliptic integral of the first kind
+ * R_F(x, y, z) = 1/2 ∫ ((t + x) (t + y) (t + z))^(-1/2) dt from 0 to ∞
+ *
+ * @param {*} x
+ * @param {*} y
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['RF'] = function (x, y, z) {
+
+  x = new Complex(x);
+  y = new Complex(y);
+  z = new Complex(z);
+
+  return carlsonSpecial([x, y, z], 1) || carlsonRF(x, y, z);
+};
+
+/**
+ * Calculates Carlson's degenerate integral R_C(x, y) = R_F(x, y, y), or its Cauchy principal value for y < 0
+ *
+ * @param {*} x
+ * @param {*} y
+ * @returns {Complex}
+ */
+Complex['RC'] = function (x, y) {
+
+  x = new Complex(x);
+  y = new Complex(y);
+
+  if (y['isZero']()) {
+    return x['isNaN']() ? Complex['NAN'] : Complex['INFINITY'];
+  }
+  return carlsonSpecial([x, y], 1) || carlsonRC(x, y);
+};
+
+/**
+ * Calculates Carlson's symmetric elliptic integral of the second kind R_D(x, y, z) = R_J(x, y, z, z)
+ *
+ * @param {*} x
+ * @param {*} y
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['RD'] = function (x, y, z) {
+
+  x = new Complex(x);
+  y = new Complex(y);
+  z = new Complex(z);
+
+  if (z['isZero']()) {
+    return x['isNaN']() || y['isNaN']() ? Complex['NAN'] : Complex['INFINITY'];
+  }
+  return carlsonSpecial([x, y, z], 1) || carlsonRD(x, y, z);
+};
+
+/**
+ * Calculates Carlson's symmetric elliptic integral of the third kind
+ * R_J(x, y, z, p) = 3/2 ∫ (t + p)^-1 ((t + x) (t + y) (t + z))^(-1/2) dt from 0 to ∞
+ *
+ * @param {*} x
+ * @param {*} y
+ * @param {*} z
+ * @param {*} p
+ * @returns {Complex}
+ */
+Complex['RJ'] = function (x, y, z, p) {
+
+  x = new Complex(x);
+  y = new Complex(y);
+  z = new Complex(z);
+  p = new Complex(p);
+
+  if (p['isZero']()) {
+    return x['isNaN']() || y['isNaN']() || z['isNaN']() ? Complex['NAN'] : Complex['INFINITY'];
+  }
+  return carlsonSpecial([x, y, z, p], 1) || carlsonRJ(x, y, z, p);
+};
+
+/**
+ * Calculates the complete elliptic integral of the first kind K(m) = R_F(0, 1 - m, 1) with the parameter m = k²,
+ * which has a cut along m > 1
+ *
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['ellipK'] = function (m) {
+
+  m = new Complex(m);
+
+  if (m['re'] === 1 && m['im'] === 0) {
+    return Complex['INFINITY'];
+  }
+  if (!m['isFinite']()) {
+    return m['isNaN']() ? Complex['NAN'] : Complex['ZERO'];
+  }
+
+  const w = carlsonRF(Complex['ZERO'], Complex['ONE']['sub'](m), Complex['ONE']);
+  return m['im'] === 0 && m['re'] < 1 ? new Complex(w['re'], 0) : w;
+};
+
+/**
+ * Reduces the amplitude φ of an incomplete elliptic integral to |Re φ| <= π/2 with f(φ + jπ) = f(φ) + 2j f(π/2)
+ * and calculates the integral of the reduced amplitude from sin φ, cos φ and 1 - m sin² φ
+ *
+ * @param {Complex} phi
+ * @param {Complex} m
+ * @param {function(Complex, Complex, Complex):Complex} fn
+ * @param {function():Complex} complete
+ * @param {boolean} real
+ * @returns {Complex}
+ */
+const ellipIncomplete = function (phi, m, fn, complete, real) {
+
+  if (!phi['isFinite']() || !m['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  const j = Math.round(phi['re'] / Math.PI);
+  if (j !== 0) {
+    phi = phi['sub'](j * Math.PI);
+  }
+
+  const s = phi['sin']();
+  const c = phi['cos']();
+  let w = fn(s, c['mul'](c), Complex['ONE']['sub'](m['mul'](s)['mul'](s)));
+  if (j !== 0) {
+    const k = complete();
+    w = k['isInfinite']() ? Complex['INFINITY'] : w['add'](k['mul'](2 * j));
+  }
+  return real && phi['im'] === 0 && m['im'] === 0 && m['re'] <= 1 && w['isFinite']() ? new Complex(w['re'], 0) : w;
+};
+
+/**
+ * Calculates the complete elliptic integral of the second kind E(m) = R_F(0, 1 - m, 1) - m R_D(0, 1 - m, 1) / 3,
+ * or the incomplete E(φ, m) = ∫ sqrt(1 - m sin² t) dt from 0 to φ when called with two arguments
+ *
+ * @param {*} phi
+ * @param {*=} m
+ * @returns {Complex}
+ */
+Complex['ellipE'] = function (phi, m) {
+
+  if (m === undefined) {
+    m = new Complex(phi);
+    if (!m['isFinite']()) {
+      return m['isNaN']() ? Complex['NAN'] : Complex['INFINITY'];
+    }
+    if (m['re'] === 1 && m['im'] === 0) {
+      return Complex['ONE'];
+    }
+
+    const y = Complex['ONE']['sub'](m);
+    const w = carlsonRF(Complex['ZERO'], y, Complex['ONE'])['sub'](m['mul'](carlsonRD(Complex['ZERO'], y, Complex['ONE']))['div'](3));
+    return m['im'] === 0 && m['re'] < 1 ? new Complex(w['re'], 0) : w;
+  }
+
+  phi = new Complex(phi);
+  m = new Complex(m);
+
+  return ellipIncomplete(phi, m, function (s, c2, d2) {
+    return s['mul'](carlsonRF(c2, d2, Complex['ONE']))
+      ['sub'](m['mul'](s['pow'](3))['mul'](carlsonRD(c2, d2, Complex['ONE']))['div'](3));
+  }, function () {
+    return Complex['ellipE'](m);
+  }, true);
+};
+
+/**
+ * Calculates the incomplete elliptic integral of the first kind F(φ, m) = ∫ (1 - m sin² t)^(-1/2) dt from 0 to φ,
+ * with F(φ + jπ, m) = F(φ, m) + 2j K(m)
+ *
+ * @param {*} phi
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['ellipF'] = function (phi, m) {
+
+  phi = new Complex(phi);
+  m = new Complex(m);
+
+  return ellipIncomplete(phi, m, function (s, c2, d2) {
+    return s['isZero']() ? s : s['mul'](carlsonRF(c2, d2, Complex['ONE']));
+  }, function () {
+    return Complex['ellipK'](m);
+  }, true);
+};
+
+/**
+ * Calculates the complete elliptic integral of the third kind Π(n, m) = Π(n; π/2, m), or the incomplete
+ * Π(n; φ, m) = ∫ (1 - n sin² t)^-1 (1 - m sin² t)^(-1/2) dt from 0 to φ when called with three arguments
+ *
+ * @param {*} n
+ * @param {*} phi
+ * @param {*=} m
+ * @returns {Complex}
+ */
+Complex['ellipPi'] = function (n, phi, m) {
+
+  n = new Complex(n);
+
+  if (m === undefined) {
+    m = new Complex(phi);
+    if (n['isNaN']() || m['isNaN']()) {
+      return Complex['NAN'];
+    }
+    if (n['re'] === 1 && n['im'] === 0 || m['re'] === 1 && m['im'] === 0) {
+      return Complex['INFINITY'];
+    }
+    if (n['isInfinite']() || m['isInfinite']()) {
+      return Complex['ZERO'];
+    }
+
+    const y = Complex['ONE']['sub'](m);
+    const w = carlsonRF(Complex['ZERO'], y, Complex['ONE'])
+      ['add'](n['mul'](carlsonRJ(Complex['ZERO'], y, Complex['ONE'], Complex['ONE']['sub'](n)))['div'](3));
+    return n['im'] === 0 && n['re'] < 1 && m['im'] === 0 && m['re'] < 1 ? new Complex(w['re'], 0) : w;
+  }
+
+  phi = new Complex(phi);
+  m = new Complex(m);
+
+  if (!n['isFinite']()) {
+    return n['isNaN']() ? Complex['NAN'] : Complex['ZERO'];
+  }
+
+  return ellipIncomplete(phi, m, function (s, c2, d2) {
+    if (s['isZero']()) {
+      return s;
+    }
+    const s2 = s['mul'](s);
+    return s['mul'](carlsonRF(c2, d2, Complex['ONE']))
+      ['add'](n['mul'](s2)['mul'](s)['mul'](carlsonRJ(c2, d2, Complex['ONE'], Complex['ONE']['sub'](n['mul'](s2))))['div'](3));
+  }, function () {
+    return Complex['ellipPi'](n, m);
+  }, n['im'] === 0 && n['re'] * Math.pow(Math.sin(phi['re']), 2) < 1 && Math.abs(phi['re']) <= Math.PI / 2);
+};
+
+/**
+ * Calculates the Jacobi elliptic functions sn(u | m), cn(u | m) and dn(u | m) as quotients of theta functions
+ * with the nome q = exp(-π K(1 - m) / K(m)). The argument is reduced by the periods 4K and 4iK' first, which keeps the
+ * terms of the theta series bounded.
+ *
+ * @param {Complex} u
+ * @param {Complex} m
+ * @returns {Array<Complex>}
+ */
+const jacobi = function (u, m) {
+
+  if (m['isZero']()) {
+    return [u['sin'](), u['cos'](), Complex['ONE']];
+  }
+  if (m['re'] === 1 && m['im'] === 0) {
+    const sech = u['cosh']()['inverse']();
+    return [u['tanh'](), sech, sech];
+  }
+
+  const k = Complex['ellipK'](m);
+  const tau = Complex['ellipK'](Complex['ONE']['sub'](m))['div'](k)['mul'](Complex['I']);
+  const q = tau['mul'](new Complex(0, Math.PI))['exp']();
+
+  // z = π u / 2K = 2π (α + β τ) with real α and β, of which the integer parts are periods
+  let z = u['mul'](Math.PI)['div'](k['mul'](2));
+  const w = z['div'](2 * Math.PI);
+  const b = w['im'] / tau['im'];
+  const beta = Math.round(b);
+  const alpha = Math.round(w['re'] - b * tau['re']);
+  z = z['sub'](tau['mul'](beta)['add'](alpha)['mul'](2 * Math.PI));
+
+  // θ1(z) / q^1/4, θ2(z) / q^1/4, θ3(z) and θ4(z) and their values at z = 0
+  let t1 = Complex['ZERO'];
+  let t2 = Complex['ZERO'];
+  let t3 = Complex['ONE'];
+  let t4 = Complex['ONE'];
+  let t20 = Complex['ZERO'];
+  let t30 = Complex['ONE'];
+  let t40 = Complex['ONE'];
+
+  // q^(n² + n) for θ1 and θ2, and q^(n²) for θ3 and θ4
+  let qh = Complex['ONE'];
+  let qi = Complex['ONE'];
+  let qn = Complex['ONE'];
+  for (let n = 0; n < 1000; n++) {
+    if (n > 0) {
+      const prev = qn;
+      qn = qn['mul'](q);
+      qh = qh['mul'](qn)['mul'](qn);
+      qi = qi['mul'](qn)['mul'](prev);
+    }
+    const sign = n % 2 === 0 ? 1 : -1;
+    const a = z['mul'](2 * n + 1);
+    const u1 = qh['mul'](a['sin']())['mul'](2 * sign);
+    const u2 = qh['mul'](a['cos']())['mul'](2);
+    t1 = t1['add'](u1);
+    t2 = t2['add'](u2);
+    t20 = t20['add'](qh['mul'](2));
+
+    let u3 = Complex['ZERO'];
+    if (n > 0) {
+      u3 = qi['mul'](z['mul'](2 * n)['cos']())['mul'](2);
+      t3 = t3['add'](u3);
+      t4 = t4['add'](u3['mul'](sign));
+      t30 = t30['add'](qi['mul'](2));
+      t40 = t40['add'](qi['mul'](2 * sign));
+    }
+
+    if (n > 0 && qh['abs']() <= 1e-17 && u1['abs']() <= 1e-17 * t1['abs']() && u2['abs']() <= 1e-17 * t2['abs']() &&
+      u3['abs']() <= 1e-17 * Math.min(t3['abs'](), t4['abs']())) {
+      break;
+    }
+  }
+
+  const sn = t30['mul'](t1)['div'](t20['mul'](t4));
+  const cn = t40['mul'](t2)['div'](t20['mul'](t4));
+  const dn = t40['mul'](t3)['div'](t30['mul'](t4));
+  return [sn, cn, dn];
+};
+
+/**
+ * Calculates a Jacobi elliptic function, which is real for real u and m
+ *
+ * @param {*} u
+ * @param {*} m
+ * @param {number} index
+ * @returns {Complex}
+ */
+const jacobiElliptic = function (u, m, index) {
+
+  u = new Complex(u);
+  m = new Complex(m);
+
+  if (!u['isFinite']() || !m['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  const w = jacobi(u, m)[index];
+  return u['im'] === 0 && m['im'] === 0 ? new Complex(w['re'], 0) : w;
+};
+
+/**
+ * Calculates the Jacobi elliptic function sn(u | m) = sin am(u | m) with the parameter m = k²
+ *
+ * @param {*} u
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['sn'] = function (u, m) {
+  return jacobiElliptic(u, m, 0);
+};
+
+/**
+ * Calculates the Jacobi elliptic function cn(u | m) = cos am(u | m)
+ *
+ * @param {*} u
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['cn'] = function (u, m) {
+  return jacobiElliptic(u, m, 1);
+};
+
+/**
+ * Calculates the Jacobi elliptic function dn(u | m) = sqrt(1 - m sn²(u | m))
+ *
+ * @param {*} u
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['dn'] = function (u, m) {
+  return jacobiElliptic(u, m, 2);
+};
+
+/**
+ * Calculates the Jacobi amplitude am(u | m), the inverse of φ -> F(φ, m) for |Re φ| <= π/2, which grows by π
+ * with every 2K(m) along the real axis
+ *
+ * @param {*} u
+ * @param {*} m
+ * @returns {Complex}
+ */
+Complex['am'] = function (u, m) {
+
+  u = new Complex(u);
+  m = new Complex(m);
+
+  if (!u['isFinite']() || !m['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  let w;
+  if (m['re'] === 1 && m['im'] === 0) {
+    w = u['sinh']()['atan']();
+  } else {
+    // am(u) = am(u - 2jK) + jπ, where sn and cn change their sign j times
+    const j = Math.round(u['div'](Complex['ellipK'](m)['mul'](2))['re']);
+    const [sn, cn] = jacobi(u, m);
+    w = cn['add'](sn['mul'](Complex['I']))['mul'](j % 2 === 0 ? 1 : -1)['log']()['mul'](new Complex(0, -1))['add'](j * Math.PI);
+  }
+  return u['im'] === 0 && m['im'] === 0 && m['re'] <= 1 ? new Complex(w['re'], 0) : w;
+};
+
+/**
+ * Calculates exp(iπsν) with exact values where sν is an integer or half an integer
+ *
+ * @param {Complex} nu
+ * @param {number} s
+ * @returns {Complex}
+ */
+const expPiI = function (nu, s) {
+
+  const e = Math.exp(-Math.PI * s * nu['im']);
+  return new Complex(e * cosPi(s * nu['re']), e * sinPi(s * nu['re']));
+};
+
+/**
+ * Calculates the sum of the asymptotic series of Hankel sum (±1)^k a_k(ν) / z^k, where
+ * a_k(ν) = (4ν² - 1²) (4ν² - 3²) ... (4ν² - (2k - 1)²) / (k! 8^k), until the terms stop decreasing
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @param {number} sign
+ * @returns {Complex}
+ */
+const besselAsymptotic = function (nu, z, sign) {
+
+  const mu = nu['mul'](nu)['mul'](4);
+  const w = z['inverse']()['mul'](sign);
+
+  let t = Complex['ONE'];
+  let s = t;
+  for (let k = 1; k < 200; k++) {
+    const u = t['mul'](mu['sub']((2 * k - 1) * (2 * k - 1)))['mul'](w)['div'](8 * k);
+    if (u['abs']() > t['abs']()) {
+      break;
+    }
+    t = u;
+    s = s['add'](t);
+    if (t['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+  return s;
+};
+
+// LGAMMA_TAYLOR continued up to k = 130 with ζ(k) = 1 + 2^-k + 3^-k + ..., which is enough for |z| < 3/4
+const LGAMMA_TAYLOR_LONG = LGAMMA_TAYLOR.concat(Array.from({ length: 105 }, function (_, i) {
+  const k = i + 26;
+  return (k % 2 === 0 ? 1 : -1) * (1 + Math.pow(2, -k) + Math.pow(3, -k)) / k;
+}));
+
+/**
+ * Calculates 1 / Γ(1 - μ) - 1 / Γ(1 + μ) divided by 2μ and their mean, which Temme's series needs without the
+ * cancellation for small μ. With log Γ(1 + μ) = E(μ) + O(μ) split into the even and the odd part, they are
+ * exp(-E) sinh(O) / μ and exp(-E) cosh(O).
+ *
+ * @param {Complex} mu
+ * @returns {Array<Complex>}
+ */
+const temmeGamma = function (mu) {
+
+  if (mu['abs']() >= 0.75) {
+    const p = Complex['ONE']['sub'](mu)['rgamma']();
+    const q = Complex['ONE']['add'](mu)['rgamma']();
+    return [p['sub'](q)['div'](mu['mul'](2)), p['add'](q)['div'](2)];
+  }
+
+  const m2 = mu['mul'](mu);
+
+  let even = Complex['ZERO'];
+  let odd = Complex['ZERO'];
+  for (let k = LGAMMA_TAYLOR_LONG.length; k >= 1; k--) {
+    if (k % 2 === 0) {
+      even = even['mul'](m2)['add'](LGAMMA_TAYLOR_LONG[k - 1]);
+    } else {
+      odd = odd['mul'](m2)['add'](LGAMMA_TAYLOR_LONG[k - 1]);
+    }
+  }
+  even = even['mul'](m2)['neg']()['exp']();
+
+  // O(μ) = μ odd
+  const o = odd['mul'](mu);
+  const sinhc = o['isZero']() ? Complex['ONE'] : o['sinh']()['div'](o);
+
+  return [even['mul'](sinhc)['mul'](odd), even['mul'](o['cosh']())];
+};
+
+/**
+ * Calculates exp(z) K_μ(z) and exp(z) K_μ+1(z) for |z| <= 2 and |Re μ| <= 1/2 with Temme's series
+ *
+ * @param {Complex} mu
+ * @param {Complex} z
+ * @returns {Array<Complex>}
+ */
+const besselKTemme = function (mu, z) {
+
+  const x2 = z['div'](2);
+  const pimu = mu['mul'](Math.PI);
+  const fact = pimu['abs']() < 1e-4 ? pimu['mul'](pimu)['div'](6)['add'](1) : pimu['div'](pimu['sin']());
+
+  const d = x2['log']()['neg']();
+  const e = mu['mul'](d);
+  const fact2 = e['abs']() < 1e-4 ? e['mul'](e)['div'](6)['add'](1) : e['sinh']()['div'](e);
+
+  const [gam1, gam2] = temmeGamma(mu);
+  // 1 / Γ(1 + μ) and 1 / Γ(1 - μ)
+  const gampl = gam2['sub'](mu['mul'](gam1));
+  const gammi = gam2['add'](mu['mul'](gam1));
+
+  let f = fact['mul'](gam1['mul'](e['cosh']())['add'](gam2['mul'](fact2)['mul'](d)));
+  let p = e['exp']()['div'](gampl)['div'](2);
+  let q = e['neg']()['exp']()['div'](gammi)['div'](2);
+  let c = Complex['ONE'];
+
+  const w = x2['mul'](x2);
+  const m2 = mu['mul'](mu);
+
+  let sum = f;
+  let sum1 = p;
+  for (let i = 1; i < 100; i++) {
+    f = f['mul'](i)['add'](p)['add'](q)['div'](m2['neg']()['add'](i * i));
+    c = c['mul'](w)['div'](i);
+    p = p['div'](mu['neg']()['add'](i));
+    q = q['div'](mu['add'](i));
+    const del = c['mul'](f);
+    sum = sum['add'](del);
+    sum1 = sum1['add'](c['mul'](p['sub'](f['mul'](i))));
+    if (del['abs']() <= 1e-17 * sum['abs']()) {
+      break;
+    }
+  }
+
+  const ez = z['exp']();
+  return [sum['mul'](ez), sum1['mul'](ez)['div'](x2)];
+};
+
+/**
+ * Calculates exp(z) K_μ(z) and exp(z) K_μ+1(z) for |z| > 2, Re z >= 0 and |Re μ| <= 1/2 with Steed's
+ * method for the continued fraction of K_μ+1 / K_μ
+ *
+ * @param {Complex} mu
+ * @param {Complex} z
+ * @returns {Array<Complex>}
+ */
+const besselKSteed = function (mu, z) {
+
+  let b = z['add'](1)['mul'](2);
+  let d = b['inverse']();
+  let h = d;
+  let delh = d;
+  let q1 = Complex['ZERO'];
+  let q2 = Complex['ONE'];
+
+  const a1 = mu['mul'](mu)['neg']()['add'](0.25);
+  let a = a1['neg']();
+  let c = a1;
+  let q = a1;
+  let s = q['mul'](delh)['add'](1);
+
+  for (let i = 2; i < 10000; i++) {
+    a = a['sub'](2 * (i - 1));
+    c = a['neg']()['mul'](c)['div'](i);
+    if (c['abs']() > 1e150) {
+      // Only the products of c and the q's matter, which would overflow only close to the imaginary axis
+      c = c['mul'](1e-150);
+      q1 = q1['mul'](1e150);
+      q2 = q2['mul'](1e150);
+    }
+    const qnew = q1['sub'](b['mul'](q2))['div'](a);
+    q1 = q2;
+    q2 = qnew;
+    q = q['add'](c['mul'](qnew));
+    b = b['add'](2);
+    d = b['add'](a['mul'](d))['inverse']();
+    delh = b['mul'](d)['sub'](1)['mul'](delh);
+    h = h['add'](delh);
+    const dels = q['mul'](delh);
+    s = s['add'](dels);
+    if (dels['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+
+  const k = z['mul'](2 / Math.PI)['sqrt']()['mul'](s)['inverse']();
+  return [k, k['mul'](mu['add'](z)['add'](0.5)['sub'](a1['mul'](h)))['div'](z)];
+};
+
+/**
+ * Calculates exp(-|Re z|) I_ν(z) with the power series for small |z|
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const besselISeries = function (nu, z) {
+
+  // The leading terms vanish for negative integer orders, where I_-n = I_n
+  if (nu['im'] === 0 && nu['re'] < 0 && nu['re'] === Math.round(nu['re'])) {
+    nu = nu['neg']();
+  }
+
+  const w = z['mul'](z)['div'](4);
+
+  // Sum relative to the leading term, which can be too small for the stopping criterion
+  let t = Complex['ONE'];
+  let s = t;
+  for (let k = 1; k < 100; k++) {
+    t = t['mul'](w)['div'](nu['add'](k)['mul'](k));
+    s = s['add'](t);
+    if (t['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+  return z['div'](2)['log']()['mul'](nu)['sub'](Math.abs(z['re']))['exp']()['mul'](nu['add'](1)['rgamma']())['mul'](s);
+};
+
+/**
+ * Calculates I_ν+1(z) / I_ν(z) = 1 / (2(ν + 1) / z + 1 / (2(ν + 2) / z + ...)) with the modified Lentz method
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const besselIRatio = function (nu, z) {
+
+  // Small enough to not disturb the result, but with a square that does not underflow in inverse()
+  const tiny = 1e-150;
+  const w = z['inverse']()['mul'](2);
+
+  let f = new Complex(tiny, 0);
+  let c = f;
+  let d = Complex['ZERO'];
+
+  for (let k = 1; k < 100000; k++) {
+    const b = nu['add'](k)['mul'](w);
+    d = b['add'](d);
+    d = d['isZero']() ? new Complex(1 / tiny, 0) : d['inverse']();
+    c = b['add'](c['inverse']());
+    if (c['isZero']()) {
+      c = new Complex(tiny, 0);
+    }
+    const delta = c['mul'](d);
+    f = f['mul'](delta);
+    if (delta['sub'](1)['abs']() <= 1e-16) {
+      break;
+    }
+  }
+  return f;
+};
+
+/**
+ * Calculates exp(-|Re z|) I_ν(z) and exp(z) K_ν(z) for Re z >= 0 and z != 0
+ *
+ * For large |z| the asymptotic expansions are used, where the subdominant part of I_ν(z) is kept for the
+ * oscillation close to the imaginary axis. Otherwise K_μ and K_μ+1 with ±ν - μ a nonnegative integer and
+ * |Re μ| <= 1/2 come from Temme's series or Steed's method and are recurred upwards, which is stable for K, and
+ * K_-ν = K_ν gives the negative orders. I_ν(z) comes from its power series for small |z| and from the Wronskian
+ * I_ν K_ν+1 + I_ν+1 K_ν = 1/z otherwise, which keeps the accuracy for negative orders, where
+ * I_-ν = I_ν + 2/π sin(πν) K_ν cancels.
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Array<Complex>}
+ */
+const besselIKRight = function (nu, z) {
+
+  const r = z['abs']();
+  const m = nu['abs']();
+
+  if (r > 30 + m * m) {
+
+    const q = z['mul'](2 * Math.PI)['sqrt']();
+    const sp = besselAsymptotic(nu, z, 1);
+    const sm = besselAsymptotic(nu, z, -1);
+
+    // The subdominant part is exp(-z) times i exp(iπν) above and -i exp(-iπν) below the real axis
+    const c = z['im'] >= 0 ? expPiI(nu, 1)['mul'](Complex['I']) : expPiI(nu, -1)['mul'](Complex['I'])['neg']();
+    const i = new Complex(0, z['im'])['exp']()['mul'](sm)
+      ['add'](c['mul'](new Complex(-2 * z['re'], -z['im'])['exp']())['mul'](sp))['div'](q);
+
+    return [i, sp['mul'](Math.PI)['div'](q)];
+  }
+
+  const rho = nu['re'] < 0 ? nu['neg']() : nu;
+  const n = Math.round(rho['re']);
+  const mu = rho['sub'](n);
+
+  let [k0, k1] = r <= 2 ? besselKTemme(mu, z) : besselKSteed(mu, z);
+  let km = k1['sub'](mu['mul'](2)['div'](z)['mul'](k0));
+  for (let j = 1; j <= n; j++) {
+    [km, k0, k1] = [k0, k1, k0['add'](mu['add'](j)['mul'](2)['div'](z)['mul'](k1))];
+  }
+
+  if (r <= 2) {
+    return [besselISeries(nu, z), k0];
+  }
+
+  const e = new Complex(0, z['im'])['exp']();
+  const t = besselIRatio(rho, z)['mul'](k0);
+  const i = e['div'](z['mul'](k1['add'](t)));
+
+  if (nu['re'] >= 0) {
+    return [i, k0];
+  }
+
+  // I_ν = I_-ν + 2/π sin(-πν) K_-ν cancels where I_ν is small. The Wronskian with K_ν+1 = K_-ν-1 is used then,
+  // unless it cancels even more, but its continued fraction also loses accuracy for |ν| > |z|.
+  const v = sinPiComplex(rho['re'], rho['im'])['mul'](2 / Math.PI)['mul'](new Complex(-2 * z['re'], -z['im'])['exp']())['mul'](k0);
+  const j = i['add'](v);
+  const c = Math.max(i['abs'](), v['abs']()) / j['abs']();
+
+  if (c > 100) {
+    const u = besselIRatio(nu, z)['mul'](k0);
+    const w = km['add'](u);
+
+    if (Math.max(km['abs'](), u['abs']()) < c * w['abs']()) {
+      return [e['div'](z['mul'](w)), k0];
+    }
+  }
+  return [j, k0];
+};
+
+/**
+ * Calculates exp(-|Re z|) I_ν(z) and exp(z) K_ν(z) for z != 0 with I_ν(-z e^±iπ) = e^±iπν I_ν(-z) in the left
+ * half plane. K_ν(-z e^±iπ) = e^∓iπν K_ν(-z) ∓ πi I_ν(-z) cancels for complex orders, where
+ * K_ν = π/2 (I_-ν - I_ν) / sin(πν) does not, so the one with the smaller terms is taken.
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Array<Complex>}
+ */
+const besselIK = function (nu, z) {
+
+  if (z['re'] >= 0) {
+    return besselIKRight(nu, z);
+  }
+
+  const s = z['im'] >= 0 ? 1 : -1;
+  const [i, k] = besselIKRight(nu, z['neg']());
+  const e = new Complex(0, z['im'])['exp']();
+
+  const ip = expPiI(nu, s)['mul'](i);
+  const ka = expPiI(nu, -s)['mul'](z['mul'](2)['exp']())['mul'](k);
+  const kb = new Complex(0, s * Math.PI)['mul'](e)['mul'](i);
+
+  const sin = sinPiComplex(nu['re'], nu['im']);
+  if (sin['isZero']()) {
+    return [ip, ka['sub'](kb)];
+  }
+
+  const im = expPiI(nu, -s)['mul'](besselIKRight(nu['neg'](), z['neg']())[0]);
+  const f = e['mul'](Math.PI / 2)['div'](sin);
+
+  if (Math.max(im['abs'](), ip['abs']()) * f['abs']() < Math.max(ka['abs'](), kb['abs']())) {
+    return [ip, im['sub'](ip)['mul'](f)];
+  }
+  return [ip, ka['sub'](kb)];
+};
+
+/**
+ * Calculates exp(-|Im z|) J_ν(z) with J_ν(z) = e^±iπν/2 I_ν(∓iz) for Im z >= 0 and Im z < 0
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const besselJScaled = function (nu, z) {
+
+  const s = z['im'] >= 0 ? 1 : -1;
+  return expPiI(nu, s / 2)['mul'](besselIK(nu, new Complex(s * z['im'], -s * z['re']))[0]);
+};
+
+/**
+ * Calculates exp(-iz) H⁽¹⁾_ν(z) for kind 1 or exp(iz) H⁽²⁾_ν(z) for kind 2
+ *
+ * H⁽¹⁾_ν(z) = -2i/π e^-iπν/2 K_ν(-iz) for -π/2 < arg z <= π and H⁽²⁾_ν(z) = 2i/π e^iπν/2 K_ν(iz) for
+ * -π < arg z <= π/2. In the remaining quadrant it is 2 J_ν(z) minus the function of the other kind, or
+ * ±(J_-ν(z) - e^∓iπν J_ν(z)) / i sin(πν), whichever cancels less.
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @param {number} kind
+ * @returns {Complex}
+ */
+const hankelScaled = function (nu, z, kind) {
+
+  const s = kind === 1 ? 1 : -1;
+  const x = z['re'];
+  const y = z['im'];
+
+  if (x > 0 || x === 0 && s * y >= 0 || x < 0 && (s === 1 ? y >= 0 : y < 0)) {
+    const k = besselIK(nu, new Complex(s * y, -s * x))[1];
+    return expPiI(nu, -s / 2)['mul'](new Complex(0, -2 * s / Math.PI))['mul'](k);
+  }
+
+  // e^∓ix is what is left of the scaling of both and of J_ν(z), e^∓2iz of the other kind
+  const e = new Complex(0, -s * x)['exp']();
+  const j = besselJScaled(nu, z);
+  const a = e['mul'](j)['mul'](2);
+  const b = new Complex(2 * s * y, -2 * s * x)['exp']()['mul'](hankelScaled(nu, z, 3 - kind));
+
+  const sin = sinPiComplex(nu['re'], nu['im']);
+  if (!sin['isZero']()) {
+
+    const jm = besselJScaled(nu['neg'](), z);
+    const jp = expPiI(nu, -s)['mul'](j);
+    const f = new Complex(0, s)['mul'](sin);
+
+    if (Math.max(jm['abs'](), jp['abs']()) < Math.max(a['abs'](), b['abs']()) * f['abs']()) {
+      return e['mul'](jm['sub'](jp))['div'](f);
+    }
+  }
+  return a['sub'](b);
+};
+
+/**
+ * Calculates exp(-|Im z|) Y_ν(z) as ±i (J_ν(z) - H_ν(z)) with the first kind above and the second kind below the
+ * real axis, or as (J_ν(z) cos(πν) - J_-ν(z)) / sin(πν), whichever cancels less
+ *
+ * @param {Complex} nu
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const besselYScaled = function (nu, z) {
+
+  const s = z['im'] >= 0 ? 1 : -1;
+  const x = z['re'];
+  const y = z['im'];
+
+  const j = besselJScaled(nu, z);
+  const h = new Complex(-2 * s * y, s * x)['exp']()['mul'](hankelScaled(nu, z, s === 1 ? 1 : 2));
+
+  const sin = sinPiComplex(nu['re'], nu['im']);
+  if (!sin['isZero']()) {
+
+    const jm = besselJScaled(nu['neg'](), z);
+    const jc = j['mul'](cosPiComplex(nu['re'], nu['im']));
+
+    if (Math.max(jm['abs'](), jc['abs']()) < Math.max(j['abs'](), h['abs']()) * sin['abs']()) {
+      return jc['sub'](jm)['div'](sin);
+    }
+  }
+  return j['sub'](h)['mul'](new Complex(0, s));
+};
+
+/**
+ * Calculates J_ν(0) and I_ν(0), which are 1 for ν = 0, 0 for Re ν > 0 or integer ν and infinite otherwise
+ *
+ * @param {Complex} nu
+ * @returns {Complex}
+ */
+const besselAtZero = function (nu) {
+
+  if (nu['isZero']()) {
+    return new Complex(1, 0);
+  }
+
+  if (nu['re'] > 0 || nu['im'] === 0 && nu['re'] % 1 === 0) {
+    return new Complex(0, 0);
+  }
+  return nu['re'] === 0 ? Complex['NAN'] : Complex['INFINITY'];
+};
+
+/**
+ * Finds J_ν(x), Y_ν(x), I_ν(x) or K_ν(x) of real order for x > 0 where the calculation went out of range. For
+ * μ >= 0 the exponent η of the uniform asymptotic expansions, with I_μ(x) ~ e^η and K_μ(x) ~ e^-η, tells
+ * overflow from underflow, and below x = μ J_μ(x) underflows to 0 while Y_μ(x) overflows to -∞. The negative
+ * orders follow from J_-μ = cos(πμ) J_μ - sin(πμ) Y_μ, Y_-μ = sin(πμ) J_μ + cos(πμ) Y_μ and
+ * I_-μ = I_μ + 2/π sin(πμ) K_μ, where the term with a zero factor is dropped.
+ *
+ * @param {function(Complex, Complex):Complex} fn
+ * @param {number} nu
+ * @param {number} x
+ * @param {Object|undefined} options
+ * @returns {number}
+ */
+const besselOutOfRange = function (fn, nu, x, options) {
+
+  const mu = Math.abs(nu);
+  const scaled = !!(options && options['scaled']);
+  const term = (a, u) => a === 0 ? 0 : a * u;
+
+  const r = Math.hypot(mu, x);
+  const eta = r + mu * Math.log(x / (mu + r));
+
+  if (nu >= 0 || fn === besselKScaled) {
+
+    const e = scaled ? eta - x : eta;
+
+    switch (fn) {
+      case besselJScaled:
+        return x < mu ? 0 : NaN;
+      case besselYScaled:
+        return x < mu ? -Infinity : NaN;
+      case besselIScaled:
+        return e > 0 ? Infinity : 0;
+    }
+    return e < 0 ? Infinity : 0;
+  }
+
+  const s = sinPi(mu);
+  const c = cosPi(mu);
+
+  if (fn === besselIScaled) {
+
+    // Where K_μ(x) overflows, e^-x K_μ(x) ~ sqrt(π / 2r) e^(-η-x) may not
+    let k = Complex['besselK'](mu, x)['re'];
+    if (scaled) {
+      k = isFinite(k) ? k * Math.exp(-x) : Math.log(Math.PI / (2 * r)) / 2 - eta - x > Math.log(Number.MAX_VALUE) ? Infinity : NaN;
+    }
+    return Complex['besselI'](mu, x, options)['re'] + term(2 / Math.PI * s, k);
+  }
+
+  const j = Complex['besselJ'](mu, x, options)['re'];
+  const y = Complex['besselY'](mu, x, options)['re'];
+  return fn === besselJScaled ? term(c, j) - term(s, y) : term(s, j) + term(c, y);
+};
+
+/**
+ * Evaluates one of the scaled Bessel functions after checking the arguments and undoes the scaling unless the
+ * options ask for it. The functions that are real for real ν and z > 0 drop the rounding in the imaginary part.
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object|undefined} options
+ * @param {function(Complex, Complex):Complex} fn
+ * @param {function(Complex):Complex} scale
+ * @param {boolean} real
+ * @returns {Complex}
+ */
+const bessel = function (nu, z, options, fn, scale, real) {
+
+  nu = new Complex(nu);
+  z = new Complex(z);
+
+  if (!nu['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  if (z['isZero']()) {
+    return fn === besselJScaled || fn === besselIScaled ? besselAtZero(nu) : Complex['INFINITY'];
+  }
+
+  let w = fn(nu, z);
+  if (!(options && options['scaled'])) {
+    w = w['mul'](scale(z));
+  }
+
+  if (real && nu['im'] === 0 && z['im'] === 0 && z['re'] > 0) {
+    return new Complex(isFinite(w['re']) ? w['re'] : besselOutOfRange(fn, nu['re'], z['re'], options), 0);
+  }
+  return w;
+};
+
+const besselIScaled = function (nu, z) {
+  return besselIK(nu, z)[0];
+};
+
+const besselKScaled = function (nu, z) {
+  return besselIK(nu, z)[1];
+};
+
+/**
+ * Calculates the Bessel function of the first kind J_ν(z) of complex order and argument, with the principal
+ * branch of z^ν. With options.scaled it returns exp(-|Im z|) J_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['besselJ'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, besselJScaled, z => new Complex(Math.exp(Math.abs(z['im'])), 0), true);
+};
+
+/**
+ * Calculates the Bessel function of the second kind Y_ν(z) of complex order and argument. With options.scaled
+ * it returns exp(-|Im z|) Y_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['besselY'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, besselYScaled, z => new Complex(Math.exp(Math.abs(z['im'])), 0), true);
+};
+
+/**
+ * Calculates the modified Bessel function of the first kind I_ν(z) of complex order and argument. With
+ * options.scaled it returns exp(-|Re z|) I_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['besselI'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, besselIScaled, z => new Complex(Math.exp(Math.abs(z['re'])), 0), true);
+};
+
+/**
+ * Calculates the modified Bessel function of the second kind K_ν(z) of complex order and argument. With
+ * options.scaled it returns exp(z) K_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['besselK'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, besselKScaled, z => z['neg']()['exp'](), true);
+};
+
+/**
+ * Calculates the Hankel function of the first kind H⁽¹⁾_ν(z) = J_ν(z) + i Y_ν(z). With options.scaled it
+ * returns exp(-iz) H⁽¹⁾_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['hankel1'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, (nu, z) => hankelScaled(nu, z, 1), z => new Complex(-z['im'], z['re'])['exp'](), false);
+};
+
+/**
+ * Calculates the Hankel function of the second kind H⁽²⁾_ν(z) = J_ν(z) - i Y_ν(z). With options.scaled it
+ * returns exp(iz) H⁽²⁾_ν(z).
+ *
+ * @param {*} nu
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['hankel2'] = function (nu, z, options) {
+
+  return bessel(nu, z, options, (nu, z) => hankelScaled(nu, z, 2), z => new Complex(z['im'], -z['re'])['exp'](), false);
+};
+
+// Ai(0) and -Ai'(0)
+const AIRY_C1 = 0.355028053887817239;
+const AIRY_C2 = 0.258819403792806798;
+
+/**
+ * Calculates c1 f(z) and c2 g(z) of the Maclaurin series Ai(z) = c1 f(z) - c2 g(z) and Bi(z) = √3 (c1 f(z) + c2 g(z)),
+ * or their derivatives, with f(z) = 1 + z³/(2·3) + z⁶/(2·3·5·6) + ... and g(z) = z + z⁴/(3·4) + z⁷/(3·4·6·7) + ...
+ *
+ * @param {Complex} z
+ * @param {boolean} derivative
+ * @returns {Array<Complex>}
+ */
+const airySeries = function (z, derivative) {
+
+  const z3 = z['mul'](z)['mul'](z);
+
+  let f = derivative ? z['mul'](z)['div'](2) : Complex['ONE'];
+  let g = derivative ? Complex['ONE'] : z;
+  let sf = f;
+  let sg = g;
+  // f' starts with z²/2, so k counts the terms of f' and g' from 2 and 1 on
+  for (let k = derivative ? 2 : 1; k < 100; k++) {
+    f = f['mul'](z3)['div'](derivative ? (3 * k - 3) * (3 * k - 1) : (3 * k - 1) * 3 * k);
+    g = g['mul'](z3)['div'](derivative ? (3 * k - 5) * (3 * k - 3) : 3 * k * (3 * k + 1));
+    sf = sf['add'](f);
+    sg = sg['add'](g);
+    if (f['abs']() + g['abs']() <= 1e-17 * (sf['abs']() + sg['abs']())) {
+      break;
+    }
+  }
+  return [sf['mul'](AIRY_C1), sg['mul'](AIRY_C2)];
+};
+
+/**
+ * Evaluates Ai(z), Ai'(z), Bi(z) or Bi'(z) with ζ = 2/3 z^3/2. The scaled Ai and Ai' are multiplied with exp(ζ), the
+ * scaled Bi and Bi' with exp(-|Re ζ|). Small arguments use the Maclaurin series and the rest the Bessel functions
+ * of order 1/3 or 2/3, of ζ in the right half plane and of 2/3 (-z)^3/2 in the left.
+ *
+ * @param {*} z
+ * @param {Object|undefined} options
+ * @param {boolean} bi
+ * @param {boolean} derivative
+ * @returns {Complex}
+ */
+const airy = function (z, options, bi, derivative) {
+
+  z = new Complex(z);
+
+  if (!z['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  const scaled = options && options['scaled'];
+  const zeta = z['mul'](z['sqrt']())['mul'](2 / 3);
+  const nu = derivative ? 2 / 3 : 1 / 3;
+
+  let w;
+  if (z['abs']() <= 1) {
+
+    const [f, g] = airySeries(z, derivative);
+    w = bi ? f['add'](g)['mul'](Math.sqrt(3)) : f['sub'](g);
+
+    if (scaled) {
+      w = w['mul'](bi ? new Complex(Math.exp(-Math.abs(zeta['re'])), 0) : zeta['exp']());
+    }
+
+  } else if (z['re'] >= 0) {
+
+    // Ai(z) = √(z/3) K_1/3(ζ) / π and Ai'(z) = -z K_2/3(ζ) / (π√3), which are scaled like Ai already
+    // Bi(z) = √(z/3) (I_-1/3(ζ) + I_1/3(ζ)) and Bi'(z) = z (I_-2/3(ζ) + I_2/3(ζ)) / √3, scaled like Bi
+    const c = derivative ? z['div'](Math.sqrt(3)) : z['div'](3)['sqrt']();
+    const n = new Complex(nu, 0);
+
+    if (bi) {
+      w = c['mul'](besselIScaled(n['neg'](), zeta)['add'](besselIScaled(n, zeta)));
+    } else {
+      w = c['mul'](besselIK(n, zeta)[1])['mul'](derivative ? -1 / Math.PI : 1 / Math.PI);
+    }
+
+    if (!scaled) {
+      w = w['mul'](bi ? new Complex(Math.exp(Math.abs(zeta['re'])), 0) : zeta['neg']()['exp']());
+    }
+
+  } else {
+
+    // Ai(-x) = √x (J_1/3(ξ) + J_-1/3(ξ)) / 3 and Ai'(-x) = x (J_2/3(ξ) - J_-2/3(ξ)) / 3,
+    // Bi(-x) = √(x/3) (J_-1/3(ξ) - J_1/3(ξ)) and Bi'(-x) = x (J_-2/3(ξ) + J_2/3(ξ)) / √3 with ξ = 2/3 x^3/2
+    const x = z['neg']();
+    const xi = x['mul'](x['sqrt']())['mul'](2 / 3);
+    const jp = besselJScaled(new Complex(nu, 0), xi);
+    const jm = besselJScaled(new Complex(-nu, 0), xi);
+
+    if (bi) {
+      w = derivative ? jm['add'](jp)['mul'](x)['div'](Math.sqrt(3)) : jm['sub'](jp)['mul'](x['div'](3)['sqrt']());
+    } else {
+      w = derivative ? jp['sub'](jm)['mul'](x)['div'](3) : jp['add'](jm)['mul'](x['sqrt']())['div'](3);
+    }
+
+    // The Bessel functions are scaled with exp(-|Im ξ|)
+    const e = Math.abs(xi['im']);
+    if (!scaled) {
+      w = w['mul'](Math.exp(e));
+    } else if (bi) {
+      w = w['mul'](Math.exp(e - Math.abs(zeta['re'])));
+    } else {
+      w = w['mul'](zeta['add'](e)['exp']());
+    }
+  }
+
+  if (z['im'] === 0) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
+
+/**
+ * Calculates the Airy function Ai(z). With options.scaled it returns exp(ζ) Ai(z), with ζ = 2/3 z^3/2.
+ *
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['airyAi'] = function (z, options) {
+
+  return airy(z, options, false, false);
+};
+
+/**
+ * Calculates the derivative Ai'(z) of the Airy function. With options.scaled it returns exp(ζ) Ai'(z), with
+ * ζ = 2/3 z^3/2.
+ *
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['airyAiPrime'] = function (z, options) {
+
+  return airy(z, options, false, true);
+};
+
+/**
+ * Calculates the Airy function Bi(z). With options.scaled it returns exp(-|Re ζ|) Bi(z), with ζ = 2/3 z^3/2.
+ *
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['airyBi'] = function (z, options) {
+
+  return airy(z, options, true, false);
+};
+
+/**
+ * Calculates the derivative Bi'(z) of the Airy function. With options.scaled it returns exp(-|Re ζ|) Bi'(z),
+ * with ζ = 2/3 z^3/2.
+ *
+ * @param {*} z
+ * @param {Object=} options
+ * @returns {Complex}
+ */
+Complex['airyBiPrime'] = function (z, options) {
+
+  return airy(z, options, true, true);
+};
+
+/**
+ * Checks if one of the lower parameters bs is a pole 0, -1, -2, ... that the series reaches before it ends at a
+ * zero of the upper parameters as
+ *
+ * @param {Array<Complex>} as
+ * @param {Array<Complex>} bs
+ * @returns {boolean}
+ */
+const hypPole = function (as, bs) {
+
+  return bs.some(b => isGammaPole(b) && !as.some(a => isGammaPole(a) && a['re'] >= b['re']));
+};
+
+/**
+ * Sums the hypergeometric series Σ (a1)_k ... (ap)_k / ((b1)_k ... (bq)_k) z^k / k! over k = 0, 1, 2, ..., which
+ * ends at the first upper parameter -n. It must converge, so p <= q or p = q + 1 and |z| < 1.
+ *
+ * @param {Array<Complex>} as
+ * @param {Array<Complex>} bs
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const hypSeries = function (as, bs, z) {
+
+  let t = Complex['ONE'];
+  let s = t;
+  for (let k = 0; k < 1000000; k++) {
+    let u = z['div'](k + 1);
+    for (let i = 0; i < as.length; i++) {
+      const f = as[i]['add'](k);
+      if (f['isZero']()) {
+        return s;
+      }
+      u = u['mul'](f);
+    }
+    for (let i = 0; i < bs.length; i++) {
+      u = u['div'](bs[i]['add'](k));
+    }
+    t = t['mul'](u);
+    s = s['add'](t);
+    if (u['abs']() < 1 && t['abs']() <= 1e-17 * s['abs']()) {
+      break;
+    }
+  }
+  return s;
+};
+
+/**
+ * Calculates the Bernoulli polynomial B_n(x) = Σ C(n, j) B_j x^(n-j) for 1 <= n <= 21
+ *
+ * @param {number} n
+ * @param {Complex} x
+ * @returns {Complex}
+ */
+const bernoulliPoly = function (n, x) {
+
+  let r = Complex['ONE'];
+  let c = 1;
+  for (let j = 1; j <= n; j++) {
+    c = c * (n - j + 1) / j;
+    r = r['mul'](x);
+    if (j === 1) {
+      r = r['sub'](c / 2);
+    } else if (j % 2 === 0) {
+      r = r['add'](c * BERNOULLI[j / 2 - 1]);
+    }
+  }
+  return r;
+};
+
+/**
+ * Sums the series pFq with p = q + 1 on the unit circle, where the terms fall only like k^(-1-s) with
+ * s = Σ b - Σ a. The first N terms are added up and the tail uses the asymptotic expansion
+ *
+ * t_k ~ A k^(-1-s) Σ c_m k^-m,  log Σ c_m k^-m = Σ (-1)^(n+1) (Σ B_n+1(a) - Σ B_n+1(b) - B_n+1(1)) / (n (n+1) k^n)
+ *
+ * which leaves A Σ c_m z^N Φ(z, 1+s+m, N). At z = 1 this needs re s > 0, elsewhere Φ continues the series.
+ * N grows with the parameters, and parameters that would need more than 100000 terms give NaN.
+ *
+ * @param {Array<Complex>} as
+ * @param {Array<Complex>} bs
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const hypUnitCircle = function (as, bs, z) {
+
+  const M = 16;
+
+  let N = 32;
+  let s = Complex['ONE'];
+  for (let i = 0; i < as.length; i++) {
+    N = Math.max(N, Math.ceil(4 * as[i]['abs']()));
+    s = s['sub'](as[i]);
+  }
+  for (let i = 0; i < bs.length; i++) {
+    N = Math.max(N, Math.ceil(4 * bs[i]['abs']()));
+    s = s['add'](bs[i]);
+  }
+  // s is 1 + Σ b - Σ a from here on
+
+  if (!(N <= 100000)) {
+    return Complex['NAN'];
+  }
+
+  let t = Complex['ONE'];
+  let sum = Complex['ZERO'];
+  for (let k = 0; k < N; k++) {
+    sum = sum['add'](t);
+    let u = z['div'](k + 1);
+    for (let i = 0; i < as.length; i++) {
+      u = u['mul'](as[i]['add'](k));
+    }
+    for (let i = 0; i < bs.length; i++) {
+      u = u['div'](bs[i]['add'](k));
+    }
+    t = t['mul'](u);
+  }
+
+  const e = [];
+  for (let n = 1; n <= M; n++) {
+    let d = bernoulliPoly(n + 1, Complex['ONE'])['neg']();
+    for (let i = 0; i < as.length; i++) {
+      d = d['add'](bernoulliPoly(n + 1, as[i]));
+    }
+    for (let i = 0; i < bs.length; i++) {
+      d = d['sub'](bernoulliPoly(n + 1, bs[i]));
+    }
+    e.push(d['mul']((n % 2 === 1 ? 1 : -1) / (n * (n + 1))));
+  }
+
+  // c_m of exp(Σ e_n x^n), the value of the expansion at k = N fixes A with the exact term t_N
+  const c = [Complex['ONE']];
+  let en = Complex['ONE'];
+  let tail = Complex['lerchPhi'](z, s, N);
+  for (let m = 1; m <= M; m++) {
+    let cm = Complex['ZERO'];
+    for (let n = 1; n <= m; n++) {
+      cm = cm['add'](e[n - 1]['mul'](c[m - n])['mul'](n));
+    }
+    cm = cm['div'](m);
+    c.push(cm);
+    en = en['add'](cm['div'](Math.pow(N, m)));
+    tail = tail['add'](cm['mul'](Complex['lerchPhi'](z, s['add'](m), N)));
+  }
+  return sum['add'](t['mul'](new Complex(N, 0)['pow'](s))['div'](en)['mul'](tail));
+};
+
+/**
+ * Sums the divergent series 2F0(a, b; ; z) = Σ (a)_k (b)_k z^k / k! up to its smallest term, the asymptotic
+ * expansion for small z. It returns null if the smallest term is above 1e-15 of the sum, unless the series ends.
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @param {Complex} z
+ * @returns {Complex|null}
+ */
+const hyp2f0Asymptotic = function (a, b, z) {
+
+  let t = Complex['ONE'];
+  let s = t;
+  let m = 1;
+  for (let k = 0; k < 1000; k++) {
+    const f = a['add'](k)['mul'](b['add'](k));
+    if (f['isZero']()) {
+      return s;
+    }
+    t = t['mul'](f)['mul'](z)['div'](k + 1);
+    const n = t['abs']();
+    if (n > m) {
+      return m <= 1e-15 * s['abs']() ? s : null;
+    }
+    s = s['add'](t);
+    if (n <= 1e-17 * s['abs']()) {
+      return s;
+    }
+    m = n;
+  }
+  return null;
+};
+
+/**
+ * Calculates the confluent hypergeometric limit function 0F1(; b; z) = Σ z^k / ((b)_k k!)
+ *
+ * @param {*} b
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['hyp0f1'] = function (b, z) {
+
+  b = new Complex(b);
+  z = new Complex(z);
+
+  if (!b['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  if (z['isZero']()) {
+    return Complex['ONE'];
+  }
+
+  if (isGammaPole(b)) {
+    return Complex['INFINITY'];
+  }
+
+  let w;
+  if (z['abs']() <= 4 + b['abs']()) {
+    w = hypSeries([], [b], z);
+  } else {
+    // 0F1(; b; z) = Γ(b) z^((1-b)/2) I_b-1(2 √z), where the series cancels
+    const r = z['sqrt']();
+    w = besselIK(b['sub'](1), r['mul'](2))[0]['mul'](b['gamma']())
+      ['mul'](r['log']()['mul'](Complex['ONE']['sub'](b))['add'](2 * r['re'])['exp']());
+  }
+
+  if (b['im'] === 0 && z['im'] === 0) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
+
+/**
+ * Continues a solution of Kummer's equation z w'' + (b - z) w' - a w = 0 with w(x) = f and w'(x) = g along the
+ * line from x to z, in Taylor steps half way to the singular point 0 and at most 2 long. The Taylor series of
+ * exp(h) cancels for longer steps.
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @param {Complex} x
+ * @param {Complex} f
+ * @param {Complex} g
+ * @param {Complex} z
+ * @returns {Array<Complex>} w(z) and w'(z)
+ */
+const kummerContinuation = function (a, b, x, f, g, z) {
+
+  for (let i = 0; i < 1000; i++) {
+
+    let h = z['sub'](x);
+    const d = h['abs']();
+    const r = Math.min(x['abs']() / 2, 2);
+    if (d > r) {
+      h = h['mul'](r / d);
+    }
+
+    // w = Σ e_k with e_k = f_k h^k and the Taylor coefficients f_k+2 (k+1) (k+2) x = (a + k) f_k - (k+1) (b + k - x) f_k+1
+    const h2 = h['mul'](h);
+    let e0 = f;
+    let e1 = g['mul'](h);
+    let u = e0['add'](e1);
+    let v = e1;
+    for (let k = 0; k < 1000; k++) {
+      const e2 = a['add'](k)['mul'](e0)['mul'](h2)
+        ['sub'](b['add'](k)['sub'](x)['mul'](e1)['mul'](h)['mul'](k + 1))['div'](x['mul']((k + 1) * (k + 2)));
+      u = u['add'](e2);
+      v = v['add'](e2['mul'](k + 2));
+      e0 = e1;
+      e1 = e2;
+      if (Math.max(e0['abs'](), e1['abs']()) <= 1e-17 * u['abs']()) {
+        break;
+      }
+    }
+    f = u;
+    g = v['div'](h);
+    x = x['add'](h);
+
+    if (d <= r) {
+      break;
+    }
+  }
+  return [f, g];
+};
 
-  /**
-   * Calculate the tangent
-   *
-   * @returns {Complex}
-   */
-  'tan': function () {
+/**
+ * Calculates exp(e) 1F1(a; b; z) for Re z >= 0, with the factor taken into the exponentials. Where the asymptotic
+ * expansion does not reach double precision, the series is continued outwards from |z| = 2, along which 1F1 is
+ * the dominant solution.
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @param {Complex} z
+ * @param {Complex} e
+ * @returns {Complex}
+ */
+const hyp1f1Right = function (a, b, z, e) {
 
-    // tan(z) = sin(z) / cos(z) 
-    //        = ( e^iz - e^-iz ) / ( i( e^iz + e^-iz ) )
-    //        = ( e^2iz - 1 ) / i( e^2iz + 1 )
-    //        = ( sin(2a) + i sinh(2b) ) / ( cos(2a) + cosh(2b) )
+  const r = z['abs']();
 
-    const a = 2 * this['re'];
-    const b = 2 * this['im'];
-    const d = Math.cos(a) + cosh(b);
+  if (r > 2) {
 
-    return new Complex(
-      Math.sin(a) / d,
-      sinh(b) / d);
-  },
+    // 1F1 = Γ(b) (exp(z) z^(a-b) / Γ(a) 2F0(b-a, 1-a; ; 1/z) + (-z)^-a / Γ(b-a) 2F0(a, a-b+1; ; -1/z))
+    const ra = a['rgamma']();
+    const rb = b['sub'](a)['rgamma']();
+    const s1 = ra['isZero']() ? Complex['ZERO'] : hyp2f0Asymptotic(b['sub'](a), Complex['ONE']['sub'](a), z['inverse']());
+    const s2 = rb['isZero']() ? Complex['ZERO'] : hyp2f0Asymptotic(a, a['sub'](b)['add'](1), z['inverse']()['neg']());
 
-  /**
-   * Calculate the cotangent
-   *
-   * @returns {Complex}
-   */
-  'cot': function () {
+    if (s1 !== null && s2 !== null) {
+      return z['add'](e)['add'](z['log']()['mul'](a['sub'](b)))['exp']()['mul'](ra)['mul'](s1)
+        ['add'](e['sub'](z['neg']()['log']()['mul'](a))['exp']()['mul'](rb)['mul'](s2))['mul'](b['gamma']());
+    }
 
-    // cot(c) = i(e^(ci) + e^(-ci)) / (e^(ci) - e^(-ci))
+    const x = z['mul'](2 / r);
+    const g = hypSeries([a['add'](1)], [b['add'](1)], x)['mul'](a)['div'](b);
+    return e['exp']()['mul'](kummerContinuation(a, b, x, hypSeries([a], [b], x), g, z)[0]);
+  }
+  return e['exp']()['mul'](hypSeries([a], [b], z));
+};
 
-    const a = 2 * this['re'];
-    const b = 2 * this['im'];
-    const d = Math.cos(a) - cosh(b);
+/**
+ * Calculates Kummer's confluent hypergeometric function 1F1(a; b; z) = M(a, b, z) = Σ (a)_k / (b)_k z^k / k!
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['hyp1f1'] = function (a, b, z) {
 
-    return new Complex(
-      -Math.sin(a) / d,
-      sinh(b) / d);
-  },
+  a = new Complex(a);
+  b = new Complex(b);
+  z = new Complex(z);
 
-  /**
-   * Calculate the secant
-   *
-   * @returns {Complex}
-   */
-  'sec': function () {
+  if (!a['isFinite']() || !b['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-    // sec(c) = 2 / (e^(ci) + e^(-ci))
+  if (z['isZero']()) {
+    return Complex['ONE'];
+  }
 
-    const a = this['re'];
-    const b = this['im'];
-    const d = 0.5 * cosh(2 * b) + 0.5 * Math.cos(2 * a);
+  if (hypPole([a], [b])) {
+    return Complex['INFINITY'];
+  }
 
-    return new Complex(
-      Math.cos(a) * cosh(b) / d,
-      Math.sin(a) * sinh(b) / d);
-  },
+  let w;
+  if (isGammaPole(a)) {
+    w = hypSeries([a], [b], z);
+  } else if (z['re'] < 0) {
+    // Kummer's transformation M(a, b, z) = exp(z) M(b - a, b, -z)
+    w = hyp1f1Right(b['sub'](a), b, z['neg'](), z);
+  } else {
+    w = hyp1f1Right(a, b, z, Complex['ZERO']);
+  }
 
-  /**
-   * Calculate the cosecans
-   *
-   * @returns {Complex}
-   */
-  'csc': function () {
+  if (a['im'] === 0 && b['im'] === 0 && z['im'] === 0) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
 
-    // csc(c) = 2i / (e^(ci) - e^(-ci))
+/**
+ * Calculates U(a, n + 1, z) for n = 0, 1, 2, ... with the logarithmic series
+ *
+ * U = (-1)^(n+1) / (n! Γ(a-n)) Σ (a)_k / ((n+1)_k k!) z^k (log z + ψ(a+k) - ψ(1+k) - ψ(n+k+1))
+ *   + 1 / Γ(a) Σ (k-1)! (1-a+k)_(n-k) / (n-k)! z^-k, with k = 1, ..., n in the second sum
+ *
+ * @param {Complex} a
+ * @param {number} n
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const hyperULog = function (a, n, z) {
+
+  let w = Complex['ZERO'];
+
+  const c = a['sub'](n)['rgamma']();
+  if (!c['isZero']()) {
+    const l = z['log']();
+    let p = a['digamma']();
+    let q = -0.5772156649015329;
+    let r = q;
+    for (let k = 1; k <= n; k++) {
+      r += 1 / k;
+    }
 
-    const a = this['re'];
-    const b = this['im'];
-    const d = 0.5 * cosh(2 * b) - 0.5 * Math.cos(2 * a);
+    let t = Complex['ONE'];
+    let s = l['add'](p)['sub'](q + r);
+    for (let k = 0; k < 10000; k++) {
+      t = t['mul'](a['add'](k))['mul'](z)['div']((n + k + 1) * (k + 1));
+      p = p['add'](a['add'](k)['inverse']());
+      q += 1 / (k + 1);
+      r += 1 / (n + k + 1);
+      const u = t['mul'](l['add'](p)['sub'](q + r));
+      s = s['add'](u);
+      if (k > z['abs']() && u['abs']() <= 1e-17 * s['abs']()) {
+        break;
+      }
+    }
+    let f = 1;
+    for (let k = 2; k <= n; k++) {
+      f *= k;
+    }
+    w = s['mul'](c)['div'](n % 2 ? f : -f);
+  }
 
-    return new Complex(
-      Math.sin(a) * cosh(b) / d,
-      -Math.cos(a) * sinh(b) / d);
-  },
+  // The finite sum, (1-a+k)_(n-k) built from k = n downwards
+  let u = Complex['ZERO'];
+  let p = Complex['ONE'];
+  let f = 1;
+  for (let k = n; k >= 1; k--) {
+    if (k < n) {
+      p = p['mul'](Complex['ONE']['sub'](a)['add'](k));
+      f *= n - k;
+    }
+    let g = 1;
+    for (let j = 2; j < k; j++) {
+      g *= j;
+    }
+    u = u['add'](p['mul'](g / f)['mul'](z['pow'](-k)));
+  }
+  return w['add'](u['mul'](a['rgamma']()));
+};
 
-  /**
-   * Calculate the complex arcus sinus
-   *
-   * @returns {Complex}
-   */
-  'asin': function () {
+/**
+ * Calculates U(a, b, z) ~ z^-a 2F0(a, a-b+1; ; -1/z) for large z, or null if it does not reach double precision
+ *
+ * @param {Complex} a
+ * @param {Complex} c a - b + 1
+ * @param {Complex} z
+ * @returns {Complex|null}
+ */
+const hyperUAsymptotic = function (a, c, z) {
 
-    // asin(c) = -i * log(ci + sqrt(1 - c^2))
+  const s = hyp2f0Asymptotic(a, c, z['inverse']()['neg']());
+  return s === null ? null : z['log']()['mul'](a)['neg']()['exp']()['mul'](s);
+};
 
-    const a = this['re'];
-    const b = this['im'];
+/**
+ * Calculates Tricomi's confluent hypergeometric function U(a, b, z), the solution of Kummer's equation that
+ * decays like z^-a for |z| -> ∞ with |arg z| < 3π/2, with the principal branch of z^-a
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['hyperU'] = function (a, b, z) {
 
-    const t1 = new Complex(
-      b * b - a * a + 1,
-      -2 * a * b)['sqrt']();
+  a = new Complex(a);
+  b = new Complex(b);
+  z = new Complex(z);
 
-    const t2 = new Complex(
-      t1['re'] - b,
-      t1['im'] + a)['log']();
+  if (!a['isFinite']() || !b['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-    return new Complex(t2['im'], -t2['re']);
-  },
+  const real = a['im'] === 0 && b['im'] === 0 && z['im'] === 0 && z['re'] > 0;
+  const c = a['sub'](b)['add'](1);
 
-  /**
-   * Calculate the complex arcus cosinus
-   *
-   * @returns {Complex}
-   */
-  'acos': function () {
+  let w;
+  if (z['isZero']()) {
+    if (isGammaPole(a)) {
+      // U(-m, b, 0) = (-1)^m (b)_m
+      w = Complex['ONE'];
+      for (let k = 0; k < -a['re']; k++) {
+        w = w['mul'](b['add'](k)['neg']());
+      }
+    } else if (b['re'] >= 1) {
+      return Complex['INFINITY'];
+    } else {
+      w = Complex['ONE']['sub'](b)['gamma']()['mul'](c['rgamma']());
+    }
+  } else if (isGammaPole(a) || isGammaPole(c)) {
+    // The asymptotic series z^-a 2F0(a, a-b+1; ; -1/z) ends
+    w = hypSeries([a, c], [], z['inverse']()['neg']())['mul'](z['pow'](a['neg']()));
+  } else if (z['abs']() <= 0.25) {
+    if (b['im'] === 0 && b['re'] % 1 === 0) {
+      // U(a, b, z) = z^(1-b) U(a-b+1, 2-b, z) for b = 0, -1, -2, ...
+      w = b['re'] >= 1 ? hyperULog(a, b['re'] - 1, z) : hyperULog(c, 1 - b['re'], z)['mul'](z['pow'](1 - b['re']));
+    } else {
+      // U = Γ(1-b) / Γ(a-b+1) M(a, b, z) + Γ(b-1) / Γ(a) z^(1-b) M(a-b+1, 2-b, z)
+      const d = Complex['ONE']['sub'](b);
+      w = d['gamma']()['mul'](c['rgamma']())['mul'](Complex['hyp1f1'](a, b, z))
+        ['add'](b['sub'](1)['gamma']()['mul'](a['rgamma']())['mul'](z['pow'](d))['mul'](Complex['hyp1f1'](c, d['add'](1), z)));
+    }
+  } else {
+    w = hyperUAsymptotic(a, c, z);
+
+    if (w === null) {
+      // Start at y + R to the right, where the expansion converges, and go left to y, along which U is the dominant
+      // solution, and then to z. y = z unless the line passes next to 0 or the cut. U'(z) = -a U(a+1, b+1, z).
+      const y = z['re'] < 0 && Math.abs(z['im']) < 2 ? new Complex(z['re'], Math.atan2(z['im'], z['re']) < 0 ? -2 : 2) : z;
+      for (let R = z['abs']() + 10; R < 1e6; R *= 2) {
+        const x = y['add'](R);
+        const f = hyperUAsymptotic(a, c, x);
+        const g = hyperUAsymptotic(a['add'](1), c, x);
+        if (f !== null && g !== null) {
+          w = kummerContinuation(a, b, x, f, g['mul'](a)['neg'](), y);
+          w = y === z ? w[0] : kummerContinuation(a, b, y, w[0], w[1], z)[0];
+          break;
+        }
+      }
+      if (w === null) {
+        return Complex['NAN'];
+      }
+    }
+  }
 
-    // acos(c) = i * log(c - i * sqrt(1 - c^2))
+  if (real) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
 
-    const a = this['re'];
-    const b = this['im'];
+/**
+ * Checks if z is within 1e-3 of an integer, where the connection formulas of 2F1 around 1 or ∞ cancel
+ *
+ * @param {Complex} z
+ * @returns {boolean}
+ */
+const isNearInteger = function (z) {
 
-    const t1 = new Complex(
-      b * b - a * a + 1,
-      -2 * a * b)['sqrt']();
+  return Math.abs(z['im']) + Math.abs(z['re'] - Math.round(z['re'])) < 1e-3;
+};
 
-    const t2 = new Complex(
-      t1['re'] - b,
-      t1['im'] + a)['log']();
+/**
+ * Continues 2F1(a, b; c; z) analytically from 0.5 ± 0.5i to z with Taylor steps of the hypergeometric equation
+ * z (1 - z) F'' + (c - (a + b + 1) z) F' - ab F = 0, each half way to the singular point 0 or 1. The path passes
+ * below 1 for real z.
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @param {Complex} c
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const hyp2f1Continuation = function (a, b, c, z) {
 
-    return new Complex(Math.PI / 2 - t2['im'], t2['re']);
-  },
+  let x = new Complex(0.5, z['im'] > 0 ? 0.5 : -0.5);
+  let f = hypSeries([a, b], [c], x);
+  let g = hypSeries([a['add'](1), b['add'](1)], [c['add'](1)], x)['mul'](a)['mul'](b)['div'](c);
 
-  /**
-   * Calculate the complex arcus tangent
-   *
-   * @returns {Complex}
-   */
-  'atan': function () {
+  for (let i = 0; i < 1000; i++) {
 
-    // atan(c) = i / 2 log((i + x) / (i - x))
+    let h = z['sub'](x);
+    const d = h['abs']();
+    const r = Math.min(x['abs'](), x['sub'](1)['abs']()) / 2;
+    if (d > r) {
+      h = h['mul'](r / d);
+    }
 
-    const a = this['re'];
-    const b = this['im'];
+    // F = Σ e_k with e_k = f_k h^k and the Taylor coefficients f_k+2 (k+1) (k+2) x (1 - x)
+    //   = (a + k) (b + k) f_k - (k + 1) ((1 - 2x) k + c - (a + b + 1) x) f_k+1
+    const p = x['mul'](Complex['ONE']['sub'](x));
+    const q = Complex['ONE']['sub'](x['mul'](2));
+    const s = c['sub'](a['add'](b)['add'](1)['mul'](x));
+    const h2 = h['mul'](h);
+    let e0 = f;
+    let e1 = g['mul'](h);
+    let u = e0['add'](e1);
+    let v = e1;
+    for (let k = 0; k < 1000; k++) {
+      const e2 = a['add'](k)['mul'](b['add'](k))['mul'](e0)['mul'](h2)
+        ['sub'](q['mul'](k)['add'](s)['mul'](e1)['mul'](h)['mul'](k + 1))['div'](p['mul']((k + 1) * (k + 2)));
+      u = u['add'](e2);
+      v = v['add'](e2['mul'](k + 2));
+      e0 = e1;
+      e1 = e2;
+      if (Math.max(e0['abs'](), e1['abs']()) <= 1e-17 * u['abs']()) {
+        break;
+      }
+    }
+    f = u;
+    g = v['div'](h);
+    x = x['add'](h);
 
-    if (a === 0) {
+    if (d <= r) {
+      break;
+    }
+  }
+  return f;
+};
 
-      if (b === 1) {
-        return new Complex(0, Infinity);
+/**
+ * Calculates 2F1(a, b; c; z) off the unit disk and next to its edge with the transformation to whichever of z,
+ * z/(z-1), 1-z, 1-1/z, 1/z or 1/(1-z) is the smallest. The ones around 1 are skipped for c - a - b near an integer
+ * and the ones around ∞ for a - b near an integer, and where nothing is below 0.8 the equation is integrated.
+ *
+ * @param {Complex} a
+ * @param {Complex} b
+ * @param {Complex} c
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+const hyp2f1 = function (a, b, c, z) {
+
+  const one = Complex['ONE'];
+  const y = one['sub'](z);
+  const s = c['sub'](a)['sub'](b);
+
+  const around1 = !isNearInteger(s);
+  const aroundInf = !isNearInteger(a['sub'](b));
+
+  const m = [
+    z['abs'](),
+    z['abs']() / y['abs'](),
+    around1 ? y['abs']() : Infinity,
+    around1 ? y['abs']() / z['abs']() : Infinity,
+    aroundInf ? 1 / z['abs']() : Infinity,
+    aroundInf ? 1 / y['abs']() : Infinity];
+
+  let j = 0;
+  for (let i = 1; i < m.length; i++) {
+    if (m[i] < m[j]) {
+      j = i;
+    }
+  }
+
+  if (m[j] > 0.8) {
+    return hyp2f1Continuation(a, b, c, z);
+  }
+
+  const series = (a, b, c, z) => hypSeries([a, b], [c], z);
+  const gc = c['gamma']();
+
+  switch (j) {
+    case 0:
+      return series(a, b, c, z);
+    case 1:
+      // Pfaff's transformation (1-z)^-a F(a, c-b; c; z/(z-1))
+      return y['pow'](a['neg']())['mul'](series(a, c['sub'](b), c, z['div'](z['sub'](1))));
+    case 2:
+    case 3: {
+      // Γ(c) Γ(c-a-b) / (Γ(c-a) Γ(c-b)) F(a, b; a+b-c+1; 1-z)
+      //   + (1-z)^(c-a-b) Γ(c) Γ(a+b-c) / (Γ(a) Γ(b)) F(c-a, c-b; c-a-b+1; 1-z), or with 1-1/z
+      const p = gc['mul'](s['gamma']())['mul'](c['sub'](a)['rgamma']())['mul'](c['sub'](b)['rgamma']());
+      const q = gc['mul'](s['neg']()['gamma']())['mul'](a['rgamma']())['mul'](b['rgamma']())['mul'](y['pow'](s));
+      if (j === 2) {
+        return p['mul'](series(a, b, one['sub'](s), y))['add'](q['mul'](series(c['sub'](a), c['sub'](b), s['add'](1), y)));
+      }
+      const v = one['sub'](z['inverse']());
+      return p['mul'](z['pow'](a['neg']()))['mul'](series(a, a['sub'](c)['add'](1), one['sub'](s), v))
+        ['add'](q['mul'](z['pow'](a['sub'](c)))['mul'](series(c['sub'](a), one['sub'](a), s['add'](1), v)));
+    }
+    default: {
+      // Γ(c) Γ(b-a) / (Γ(b) Γ(c-a)) (-z)^-a F(a, a-c+1; a-b+1; 1/z) + (a <-> b), or with 1/(1-z) and
+      // (1-z)^-a F(a, c-b; a-b+1; 1/(1-z))
+      const d = b['sub'](a);
+      const p = gc['mul'](d['gamma']())['mul'](b['rgamma']())['mul'](c['sub'](a)['rgamma']());
+      const q = gc['mul'](d['neg']()['gamma']())['mul'](a['rgamma']())['mul'](c['sub'](b)['rgamma']());
+      if (j === 4) {
+        const v = z['inverse']();
+        const t = z['neg']();
+        return p['mul'](t['pow'](a['neg']()))['mul'](series(a, a['sub'](c)['add'](1), one['sub'](d), v))
+          ['add'](q['mul'](t['pow'](b['neg']()))['mul'](series(b, b['sub'](c)['add'](1), d['add'](1), v)));
       }
+      const v = y['inverse']();
+      return p['mul'](y['pow'](a['neg']()))['mul'](series(a, c['sub'](b), one['sub'](d), v))
+        ['add'](q['mul'](y['pow'](b['neg']()))['mul'](series(b, c['sub'](a), d['add'](1), v)));
+    }
+  }
+};
 
-      if (b === -1) {
-        return new Complex(0, -Infinity);
+/**
+ * Calculates the Gauss hypergeometric function 2F1(a, b; c; z) = Σ (a)_k (b)_k / (c)_k z^k / k!, continued
+ * analytically to the plane cut along z > 1, where it takes the limit from below
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {*} c
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['hyp2f1'] = function (a, b, c, z) {
+
+  a = new Complex(a);
+  b = new Complex(b);
+  c = new Complex(c);
+  z = new Complex(z);
+
+  if (!a['isFinite']() || !b['isFinite']() || !c['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
+
+  if (z['isZero']()) {
+    return Complex['ONE'];
+  }
+
+  if (hypPole([a, b], [c])) {
+    return Complex['INFINITY'];
+  }
+
+  if (z['im'] === 0) {
+    if (z['re'] === 1 && !isGammaPole(a) && !isGammaPole(b)) {
+      // Gauss's theorem Γ(c) Γ(c-a-b) / (Γ(c-a) Γ(c-b))
+      const s = c['sub'](a)['sub'](b);
+      if (s['re'] <= 0) {
+        return Complex['INFINITY'];
       }
+      const w = c['gamma']()['mul'](s['gamma']())['mul'](c['sub'](a)['rgamma']())['mul'](c['sub'](b)['rgamma']());
+      return a['im'] === 0 && b['im'] === 0 && c['im'] === 0 ? new Complex(w['re'], 0) : w;
     }
+    if (z['re'] > 1) {
+      z = new Complex(z['re'], -0);
+    }
+  }
 
-    const d = a * a + (1.0 - b) * (1.0 - b);
+  const w = isGammaPole(a) || isGammaPole(b) ? hypSeries([a, b], [c], z) : hyp2f1(a, b, c, z);
 
-    const t1 = new Complex(
-      (1 - b * b - a * a) / d,
-      -2 * a / d).log();
+  if (a['im'] === 0 && b['im'] === 0 && c['im'] === 0 && z['im'] === 0 && z['re'] < 1) {
+    return new Complex(w['re'], 0);
+  }
+  return w;
+};
 
-    return new Complex(-0.5 * t1['im'], 0.5 * t1['re']);
-  },
+/**
+ * Calculates the generalized hypergeometric function pFq(a1, ..., ap; b1, ..., bq; z) =
+ * Σ (a1)_k ... (ap)_k / ((b1)_k ... (bq)_k) z^k / k!. The series is summed for p <= q and for p = q + 1 inside the
+ * unit disk and on the unit circle, where z = 1 is a pole unless re(Σ b - Σ a) > 0. 2F1 is continued outside of it
+ * and 2F0 is taken as (-1/z)^a U(a, 1+a-b, -1/z). Other divergent series give NaN unless an upper parameter is
+ * 0, -1, -2, ...
+ *
+ * @param {Array<*>} as
+ * @param {Array<*>} bs
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['hypPFQ'] = function (as, bs, z) {
 
-  /**
-   * Calculate the complex arcus cotangent
-   *
-   * @returns {Complex}
-   */
-  'acot': function () {
+  as = as.map(a => new Complex(a));
+  bs = bs.map(b => new Complex(b));
+  z = new Complex(z);
 
-    // acot(c) = i / 2 log((c - i) / (c + i))
+  const p = as.length;
+  const q = bs.length;
 
-    const a = this['re'];
-    const b = this['im'];
+  if (!as.every(a => a['isFinite']()) || !bs.every(b => b['isFinite']()) || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-    if (b === 0) {
-      return new Complex(Math.atan2(1, a), 0);
-    }
+  if (p === 0 && q === 0) {
+    return z['exp']();
+  }
+  if (p === 0 && q === 1) {
+    return Complex['hyp0f1'](bs[0], z);
+  }
+  if (p === 1 && q === 1) {
+    return Complex['hyp1f1'](as[0], bs[0], z);
+  }
+  if (p === 2 && q === 1) {
+    return Complex['hyp2f1'](as[0], as[1], bs[0], z);
+  }
 
-    const d = a * a + b * b;
-    return (d !== 0)
-      ? new Complex(
-        a / d,
-        -b / d).atan()
-      : new Complex(
-        (a !== 0) ? a / 0 : 0,
-        (b !== 0) ? -b / 0 : 0).atan();
-  },
+  if (z['isZero']()) {
+    return Complex['ONE'];
+  }
+
+  if (hypPole(as, bs)) {
+    return Complex['INFINITY'];
+  }
+
+  const real = as.every(a => a['im'] === 0) && bs.every(b => b['im'] === 0) && z['im'] === 0;
 
-  /**
-   * Calculate the complex arcus secant
-   *
-   * @returns {Complex}
-   */
-  'asec': function () {
+  const r = z['abs']();
 
-    // asec(c) = -i * log(1 / c + sqrt(1 - i / c^2))
+  let w;
+  if (as.some(isGammaPole) || p <= q || p === q + 1 && r <= 0.99) {
+    w = hypSeries(as, bs, z);
+  } else if (p === q + 1 && r <= 1 + 1e-15) {
+    // Near the unit circle the series converges too slowly, at z = 1 it diverges like Gauss's 2F1 for re s <= 0
+    if (z['re'] === 1 && z['im'] === 0 && bs.reduce((s, b) => s + b['re'], 0) <= as.reduce((s, a) => s + a['re'], 0)) {
+      return Complex['INFINITY'];
+    }
+    w = hypUnitCircle(as, bs, z);
+  } else if (p === 1 && q === 0) {
+    // 1F0(a; ; z) = (1-z)^-a, below the cut for real z > 1
+    w = Complex['ONE']['sub'](z)['pow'](as[0]['neg']());
+    return real && z['re'] < 1 ? new Complex(w['re'], 0) : w;
+  } else if (p === 2 && q === 0) {
+    const t = z['inverse']()['neg']();
+    w = t['pow'](as[0])['mul'](Complex['hyperU'](as[0], as[0]['sub'](as[1])['add'](1), t));
+    return real && z['re'] < 0 ? new Complex(w['re'], 0) : w;
+  } else {
+    return Complex['NAN'];
+  }
 
-    const a = this['re'];
-    const b = this['im'];
+  return real ? new Complex(w['re'], 0) : w;
+};
 
-    if (a === 0 && b === 0) {
-      return new Complex(0, Infinity);
+/**
+ * Sums the series Φ(z, s, a) = Σ z^k (a + k)^-s over k = 0, 1, 2, ... for |z| <= 3/4. The terms can grow for
+ * k < 4 |s| before the factor z^k takes over.
+ *
+ * @param {Complex} z
+ * @param {Complex} s
+ * @param {Complex} a
+ * @returns {Complex}
+ */
+const lerchSeries = function (z, s, a) {
+
+  const ms = s['neg']();
+  const n = 4 * s['abs']();
+
+  let p = Complex['ONE'];
+  let sum = Complex['ZERO'];
+  for (let k = 0; k < 100000; k++) {
+    const t = p['mul'](new Complex(a['re'] + k, a['im'])['pow'](ms));
+    sum = sum['add'](t);
+    if (k > n && t['abs']() <= 1e-17 * sum['abs']()) {
+      break;
     }
+    p = p['mul'](z);
+  }
+  return sum;
+};
 
-    const d = a * a + b * b;
-    return (d !== 0)
-      ? new Complex(
-        a / d,
-        -b / d).acos()
-      : new Complex(
-        (a !== 0) ? a / 0 : 0,
-        (b !== 0) ? -b / 0 : 0).acos();
-  },
+/**
+ * Calculates Φ(z, s, a) for re a >= 1 and z != 0 with the Abel-Plana formula
+ *
+ *   Φ(z, s, a) = a^-s / 2 + ∫ z^t (a + t)^-s dt + i ∫ (z^(it) (a + it)^-s - z^(-it) (a - it)^-s) / (exp(2πt) - 1) dt
+ *
+ * over t from 0 to ∞. With L = -log z the first integral is z^-a L^(s-1) Γ(1 - s, aL), where aL is taken on the
+ * branch of arg a + arg L, and the second decays like exp(-(2π - |arg z|) t). Unlike the Euler-Maclaurin formula
+ * it doesn't lose digits to cancellation for ζ(s, a) = Φ(1, s, a) with re s < 0.
+ *
+ * @param {Complex} z
+ * @param {Complex} s
+ * @param {Complex} a
+ * @returns {Complex}
+ */
+const lerchAbelPlana = function (z, s, a) {
+
+  // On the cut z > 1 this is the limit from below
+  const L = z['im'] === 0 && z['re'] >= 1 ? new Complex(-Math.log(z['re']), 0) : z['log']()['neg']();
+  const b = Complex['ONE']['sub'](s);
+
+  let g;
+  if (L['isZero']()) {
+    // The first integral is a^(1-s) / (s - 1), which is Hermite's formula for ζ(s, a)
+    g = a['pow'](b)['div'](new Complex(s['re'] - 1, s['im']));
+  } else {
+    const aL = a['mul'](L);
+    g = Complex['gammaincc'](b, aL);
+    const k = Math.round((a['arg']() + L['arg']() - aL['arg']()) / (2 * Math.PI));
+    if (k !== 0 && !(b['im'] === 0 && Number.isInteger(b['re']))) {
+      // Γ(b, x exp(2πik)) = exp(2πikb) Γ(b, x) + (1 - exp(2πikb)) Γ(b)
+      const e = new Complex(-2 * Math.PI * k * b['im'], 2 * Math.PI * k * b['re'])['exp']();
+      g = e['mul'](g)['add'](Complex['ONE']['sub'](e)['mul'](b['gamma']()));
+    }
+    g = aL['exp']()['mul'](L['pow'](new Complex(s['re'] - 1, s['im'])))['mul'](g);
+  }
 
-  /**
-   * Calculate the complex arcus cosecans
-   *
-   * @returns {Complex}
-   */
-  'acsc': function () {
+  const ms = s['neg']();
+  const c = 2 * Math.PI - Math.abs(L['im']);
+  const f = function (t) {
+    const d = -Math.expm1(-2 * Math.PI * t);
+    const u = new Complex(0, -t * L['re'])['add'](t * L['im'] - 2 * Math.PI * t)['exp']()['div'](d);
+    const v = new Complex(0, t * L['re'])['sub'](t * L['im'] + 2 * Math.PI * t)['exp']()['div'](d);
+    const w = u['mul'](new Complex(a['re'], a['im'] + t)['pow'](ms))['sub'](v['mul'](new Complex(a['re'], a['im'] - t)['pow'](ms)));
+    return new Complex(-w['im'], w['re']);
+  };
+
+  return a['pow'](ms)['div'](2)['add'](g)['add'](gaussKronrod(f, 0, (40 + 2 * s['abs']()) / c, 1e-15));
+};
 
-    // acsc(c) = -i * log(i / c + sqrt(1 - 1 / c^2))
+/**
+ * Calculates Φ(z, s, a) for z != 0 with the Abel-Plana formula, after Φ(z, s, a) = Σ z^k (a + k)^-s over k < m
+ * plus z^m Φ(z, s, a + m) moved a to re a >= 1
+ *
+ * @param {Complex} z
+ * @param {Complex} s
+ * @param {Complex} a
+ * @returns {Complex}
+ */
+const lerchShifted = function (z, s, a) {
+
+  const m = Math.max(0, Math.ceil(1 - a['re']));
+  let p = Complex['ONE'];
+  let sum = Complex['ZERO'];
+  for (let k = 0; k < m; k++) {
+    sum = sum['add'](p['mul'](new Complex(a['re'] + k, a['im'])['pow'](s['neg']())));
+    p = p['mul'](z);
+  }
+  return sum['add'](p['mul'](lerchAbelPlana(z, s, new Complex(a['re'] + m, a['im']))));
+};
 
-    const a = this['re'];
-    const b = this['im'];
+/**
+ * Calculates the Lerch transcendent Φ(z, s, a) = Σ z^k (a + k)^-s over k = 0, 1, 2, ..., continued to the plane cut
+ * along z > 1, where it takes the limit from below. It is Complex.INFINITY for a = 0, -1, -2, ...
+ *
+ * @param {*} z
+ * @param {*} s
+ * @param {*} a
+ * @returns {Complex}
+ */
+Complex['lerchPhi'] = function (z, s, a) {
 
-    if (a === 0 && b === 0) {
-      return new Complex(Math.PI / 2, Infinity);
-    }
+  z = new Complex(z);
+  s = new Complex(s);
+  a = new Complex(a);
 
-    const d = a * a + b * b;
-    return (d !== 0)
-      ? new Complex(
-        a / d,
-        -b / d).asin()
-      : new Complex(
-        (a !== 0) ? a / 0 : 0,
-        (b !== 0) ? -b / 0 : 0).asin();
-  },
+  if (isGammaPole(a)) {
+    return Complex['INFINITY'];
+  }
 
-  /**
-   * Calculate the complex sinh
-   *
-   * @returns {Complex}
-   */
-  'sinh': function () {
+  if (!z['isFinite']() || !s['isFinite']() || !a['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-    // sinh(c) = (e^c - e^-c) / 2
+  if (z['isZero']()) {
+    return a['pow'](s['neg']());
+  }
 
-    const a = this['re'];
-    const b = this['im'];
+  if (z['re'] === 1 && z['im'] === 0) {
+    return Complex['hurwitzZeta'](s, a);
+  }
 
-    return new Complex(
-      sinh(a) * Math.cos(b),
-      cosh(a) * Math.sin(b));
-  },
+  if (z['abs']() <= 0.75) {
+    const w = lerchSeries(z, s, a);
+    return z['im'] === 0 && s['im'] === 0 && a['im'] === 0 && a['re'] > 0 ? new Complex(w['re'], 0) : w;
+  }
 
-  /**
-   * Calculate the complex cosh
-   *
-   * @returns {Complex}
-   */
-  'cosh': function () {
+  const w = lerchShifted(z, s, a);
+  return z['im'] === 0 && z['re'] < 1 && s['im'] === 0 && a['im'] === 0 && a['re'] > 0 ? new Complex(w['re'], 0) : w;
+};
 
-    // cosh(c) = (e^c + e^-c) / 2
+/**
+ * Calculates the polylogarithm Li_s(z) = Σ z^k / k^s over k = 1, 2, 3, ..., continued to the plane cut along
+ * z > 1, where it takes the limit from below like Li₁(z) = -log(1 - z). Outside of the annulus 3/4 < |z| < 7/5
+ * the series converges quickly or Jonquière's inversion formula leads back to it, in the annulus it is z Φ(z, s, 1).
+ *
+ * @param {*} s
+ * @param {*} z
+ * @returns {Complex}
+ */
+Complex['polylog'] = function (s, z) {
 
-    const a = this['re'];
-    const b = this['im'];
+  s = new Complex(s);
+  z = new Complex(z);
 
-    return new Complex(
-      cosh(a) * Math.cos(b),
-      sinh(a) * Math.sin(b));
-  },
+  if (!s['isFinite']() || !z['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-  /**
-   * Calculate the complex tanh
-   *
-   * @returns {Complex}
-   */
-  'tanh': function () {
+  if (z['isZero']()) {
+    return Complex['ZERO'];
+  }
 
-    // tanh(c) = (e^c - e^-c) / (e^c + e^-c)
+  if (z['im'] === 0) {
+    if (z['re'] === 1) {
+      return s['zeta']();
+    }
+    if (z['re'] === -1) {
+      return s['eta']()['neg']();
+    }
+    if (z['re'] > 1) {
+      z = new Complex(z['re'], -0);
+    }
+  }
 
-    const a = 2 * this['re'];
-    const b = 2 * this['im'];
-    const d = cosh(a) + Math.cos(b);
+  if (s['im'] === 0) {
+    if (s['re'] === 0) {
+      return z['div'](Complex['ONE']['sub'](z));
+    }
+    if (s['re'] === 1) {
+      return Complex['ONE']['sub'](z)['log']()['neg']();
+    }
+    if (s['re'] === 2) {
+      return z['dilog']();
+    }
+  }
 
-    return new Complex(
-      sinh(a) / d,
-      Math.sin(b) / d);
-  },
+  const r = z['abs']();
+  let w;
+  if (r <= 0.75) {
+    w = z['mul'](lerchSeries(z, s, Complex['ONE']));
+  } else if (r < 1.4 || s['re'] < 0 && r < 100) {
+    // For re s < 0 the inversion formula below cancels more than this
+    w = z['mul'](lerchAbelPlana(z, s, Complex['ONE']));
+  } else {
+    // Li_s(z) + exp(iπs) Li_s(1/z) = (2π)^s exp(iπs/2) / Γ(s) ζ(1 - s, 1/2 + log(-z) / (2πi)), where re (1 - s)
+    // is mostly negative
+    const y = z['neg']()['log']()['div'](new Complex(0, 2 * Math.PI))['add'](0.5);
+    const f = s['mul'](new Complex(Math.log(2 * Math.PI), Math.PI / 2))['exp']()['mul'](s['rgamma']());
+    const e = new Complex(-Math.PI * s['im'], Math.PI * s['re'])['exp']();
+    const v = z['inverse']();
+    w = f['mul'](lerchShifted(Complex['ONE'], Complex['ONE']['sub'](s), y))['sub'](e['mul'](v['mul'](lerchSeries(v, s, Complex['ONE']))));
+  }
+  return z['im'] === 0 && z['re'] < 1 && s['im'] === 0 ? new Complex(w['re'], 0) : w;
+};
 
-  /**
-   * Calculate the complex coth
-   *
-   * @returns {Complex}
-   */
-  'coth': function () {
+/**
+ * Calculates the Clausen function Cl_s(θ) = Σ sin(kθ) / k^s over k = 1, 2, 3, ..., which is Cl₂(θ) when called
+ * with only θ. For complex arguments it is (Li_s(exp(iθ)) - Li_s(exp(-iθ))) / 2i.
+ *
+ * @param {*} s
+ * @param {*=} theta
+ * @returns {Complex}
+ */
+Complex['clausen'] = function (s, theta) {
 
-    // coth(c) = (e^c + e^-c) / (e^c - e^-c)
+  if (theta === undefined) {
+    theta = s;
+    s = 2;
+  }
 
-    const a = 2 * this['re'];
-    const b = 2 * this['im'];
-    const d = cosh(a) - Math.cos(b);
+  s = new Complex(s);
+  theta = new Complex(theta);
 
-    return new Complex(
-      sinh(a) / d,
-      -Math.sin(b) / d);
-  },
+  if (!s['isFinite']() || !theta['isFinite']()) {
+    return Complex['NAN'];
+  }
 
-  /**
-   * Calculate the complex csch
-   *
-   * @returns {Complex}
-   */
-  'csch': function () {
+  if (s['im'] === 0 && theta['im'] === 0) {
+    // Im Li_s(exp(iθ)) with θ reduced to [-π, π]
+    const t = theta['re'] - 2 * Math.PI * Math.round(theta['re'] / (2 * Math.PI));
+    if (t === 0) {
+      return Complex['ZERO'];
+    }
+    return new Complex(Complex['polylog'](s, new Complex(Math.cos(t), Math.sin(t)))['im'], 0);
+  }
 
-    // csch(c) = 2 / (e^c - e^-c)
+  const e = new Complex(-theta['im'], theta['re'])['exp']();
+  return Complex['polylog'](s, e)['sub'](Complex['polylog'](s, e['inverse']()))['div'](new Complex(0, 2));
+};
 
-    const a = this['re'];
-    const b = this['im'];
-    const d = Math.cos(2 * b) - cosh(2 * a);
+const LAYOUT_INTERLEAVED = 'interleaved';
+const LAYOUT_SPLIT = 'split';
 
-    return new Complex(
-      -2 * sinh(a) * Math.cos(b) / d,
-      2 * cosh(a) * Math.sin(b) / d);
-  },
+/**
+ * Points a ComplexArray to its buffers, either one interleaved buffer [re0, im0, re1, im1, ...]
+ * or two split buffers [re0, re1, ...] and [im0, im1, ...]
+ *
+ * @param {ComplexArray} x
+ * @param {Float64Array} re
+ * @param {Float64Array=} im
+ * @returns {ComplexArray}
+ */
+const wrapBuffers = function (x, re, im) {
 
-  /**
-   * Calculate the complex sech
-   *
-   * @returns {Complex}
-   */
-  'sech': function () {
+  const split = im !== undefined;
 
-    // sech(c) = 2 / (e^c + e^-c)
+  x.r = re;
+  x.i = split ? im : re;
+  x.o = split ? 0 : 1; // Offset of the imaginary part
+  x.s = split ? 1 : 2; // Stride between two elements
 
-    const a = this['re'];
-    const b = this['im'];
-    const d = Math.cos(2 * b) + cosh(2 * a);
+  x['length'] = split ? re.length : re.length / 2;
+  x['layout'] = split ? LAYOUT_SPLIT : LAYOUT_INTERLEAVED;
+  x['data'] = split ? null : re;
+  x['real'] = split ? re : null;
+  x['imag'] = split ? im : null;
+  return x;
+};
 
-    return new Complex(
-      2 * cosh(a) * Math.cos(b) / d,
-      -2 * sinh(a) * Math.sin(b) / d);
-  },
+const checkLength = function (x, n) {
 
-  /**
-   * Calculate the complex asinh
-   *
-   * @returns {Complex}
-   */
-  'asinh': function () {
+  if (x['length'] !== n) {
+    throw RangeError('ComplexArray length mismatch: ' + x['length'] + ' != ' + n);
+  }
+};
 
-    // asinh(z) = log(z + sqrt(z^2 + 1))
+/**
+ * Returns the given output array or a new one in the layout of x
+ *
+ * @param {ComplexArray} x
+ * @param {ComplexArray=} out
+ * @returns {ComplexArray}
+ */
+const outputArray = function (x, out) {
 
-    const a = this['re'];
-    const b = this['im'];
+  if (out === undefined) {
+    return new ComplexArray(x['length'], { 'layout': x['layout'] });
+  }
+  if (!(out instanceof ComplexArray)) {
+    throw TypeError('Output must be a ComplexArray');
+  }
+  checkLength(out, x['length']);
+  return out;
+};
 
-    if (b === 0) {
+// The kernels write their result here, the methods work on the scratch number S
+const K = { 're': 0, 'im': 0 };
+const S = new Complex(0, 0);
 
-      if (a === 0) {
-        return new Complex(0, 0);
-      }
+/**
+ * Fast paths for finite arguments. A kernel returns false to leave the element to the scalar method,
+ * so that all the special cases of Complex apply to arrays the same way.
+ */
+const ARRAY_KERNELS = {
+  'add': function (a, b, c, d) {
+    K['re'] = a + c;
+    K['im'] = b + d;
+    return true;
+  },
+  'sub': function (a, b, c, d) {
+    K['re'] = a - c;
+    K['im'] = b - d;
+    return true;
+  },
+  'mul': function (a, b, c, d) {
+    if (b === 0 && d === 0) {
+      K['re'] = a * c;
+      K['im'] = 0;
+    } else {
+      K['re'] = a * c - b * d;
+      K['im'] = a * d + b * c;
+    }
+    return true;
+  },
+  'div': function (a, b, c, d) {
 
-      // Use |a| to keep asinh(-a) = -asinh(a) and avoid cancellation for large -a
-      const x = Math.abs(a);
-      const r = Math.log(x + Math.sqrt(x * x + 1));
+    if (a === 0 && b === 0 || c === 0 && d === 0) {
+      return false;
+    }
 
-      return new Complex(a < 0 ? -r : r, 0);
+    if (d === 0) {
+      K['re'] = a / c;
+      K['im'] = b / c;
+    } else if (Math.abs(c) < Math.abs(d)) {
+      const x = c / d;
+      const t = c * x + d;
+      K['re'] = (a * x + b) / t;
+      K['im'] = (b * x - a) / t;
+    } else {
+      const x = d / c;
+      const t = d * x + c;
+      K['re'] = (a + b * x) / t;
+      K['im'] = (b - a * x) / t;
+    }
+    return true;
+  },
+  'exp': function (a, b) {
+    const er = Math.exp(a);
+    if (b === 0) {
+      K['re'] = er;
+      K['im'] = 0;
+    } else {
+      K['re'] = er * Math.cos(b);
+      K['im'] = er * Math.sin(b);
+    }
+    return true;
+  },
+  'log': function (a, b) {
+    if (b === 0 && a > 0) {
+      K['re'] = Math.log(a);
+      K['im'] = 0;
+    } else {
+      K['re'] = logHypot(a, b);
+      K['im'] = Math.atan2(b, a);
     }
+    return true;
+  },
+  'conjugate': function (a, b) {
+    K['re'] = a;
+    K['im'] = -b;
+    return true;
+  },
+  'neg': function (a, b) {
+    K['re'] = -a;
+    K['im'] = -b;
+    return true;
+  }
+};
 
-    // z^2 + 1 = (a^2 - b^2 + 1) + i (2ab)
-    const re2 = a * a - b * b + 1;
-    const im2 = 2 * a * b;
+/**
+ * Creates the array version of a binary prototype method, like x.mul(y, out)
+ *
+ * @param {string} name
+ * @returns {Function}
+ */
+const arrayBinary = function (name) {
 
-    const t = new Complex(re2, im2)['sqrt'](); // sqrt(z^2 + 1)
+  const kernel = ARRAY_KERNELS[name];
 
-    return new Complex(a + t['re'], b + t['im'])['log']();
-  },
+  return function (w, out) {
 
-  /**
-   * Calculate the complex acosh
-   *
-   * @returns {Complex}
-   */
-  'acosh': function () {
+    const n = this['length'];
+    const x = this;
+    const y = w instanceof ComplexArray ? w : null;
 
-    // acosh(z)= log(z + sqrt(z^2 - 1)) = log(z + sqrt(z - 1) * sqrt(z + 1))
+    let c, d;
+    if (y === null) {
+      const z = parse(w);
+      c = z['re'];
+      d = z['im'];
+    } else {
+      checkLength(y, n);
+    }
 
-    const a = this['re'];
-    const b = this['im'];
+    out = outputArray(this, out);
+
+    for (let k = 0; k < n; k++) {
 
-    if (b === 0) {
+      const a = x.r[k * x.s];
+      const b = x.i[k * x.s + x.o];
 
-      // z = a is real
-      if (a > 1) {
-        // acosh(a) = log(a + sqrt(a - 1) * sqrt(a + 1)),  a > 1
-        return new Complex(
-          Math.log(a + Math.sqrt(a - 1) * Math.sqrt(a + 1)), 0);
+      if (y !== null) {
+        c = y.r[k * y.s];
+        d = y.i[k * y.s + y.o];
       }
 
-      if (a < -1) {
-        // acosh(a) = log(-a + sqrt(a^2 - 1)) + i*pi,  a < -1
-        const t = Math.sqrt(a * a - 1);
-        return new Complex(Math.log(-a + t), Math.PI);
+      if (kernel === undefined || Complex['IEEE'] || !(isFinite(a) && isFinite(b) && isFinite(c) && isFinite(d) && kernel(a, b, c, d))) {
+        S['re'] = a;
+        S['im'] = b;
+        const z = S[name](c, d);
+        K['re'] = z['re'];
+        K['im'] = z['im'];
       }
-
-      // -1 <= a <= 1 : purely imaginary
-      // acosh(a) = i * acos(a)
-      return new Complex(0, Math.acos(a));
+      out.r[k * out.s] = K['re'];
+      out.i[k * out.s + out.o] = K['im'];
     }
+    return out;
+  };
+};
 
-    const t1 = new Complex(a - 1, b)['sqrt'](); // sqrt(z - 1)
-    const t2 = new Complex(a + 1, b)['sqrt'](); // sqrt(z + 1)
+/**
+ * Creates the array version of a unary prototype method, like x.sin(out)
+ *
+ * @param {string} name
+ * @returns {Function}
+ */
+const arrayUnary = function (name) {
 
-    return new Complex(
-      a + t1['re'] * t2['re'] - t1['im'] * t2['im'],
-      b + t1['re'] * t2['im'] + t1['im'] * t2['re']
-    )['log']();
-  },
+  const kernel = ARRAY_KERNELS[name];
 
-  /**
-   * Calculate the complex atanh
-   *
-   * @returns {Complex}
-   */
-  'atanh': function () {
+  return function (out) {
 
-    // atanh(z) = log((1 + z) / (1 - z)) / 2
+    const n = this['length'];
+    const x = this;
 
-    const a = this['re'];
-    const b = this['im'];
+    out = outputArray(this, out);
 
-    if (b === 0) {
+    for (let k = 0; k < n; k++) {
 
-      if (a === 0) {
-        return new Complex(0, 0);
-      }
+      const a = x.r[k * x.s];
+      const b = x.i[k * x.s + x.o];
 
-      if (a === 1) {
-        // limit x -> 1^- atanh(x) = +Infinity
-        return new Complex(Infinity, 0);
+      if (kernel === undefined || Complex['IEEE'] || !kernel(a, b)) {
+        S['re'] = a;
+        S['im'] = b;
+        const z = S[name]();
+        K['re'] = z['re'];
+        K['im'] = z['im'];
       }
+      out.r[k * out.s] = K['re'];
+      out.i[k * out.s + out.o] = K['im'];
+    }
+    return out;
+  };
+};
 
-      if (a === -1) {
-        // limit x -> -1^+ atanh(x) = -Infinity
-        return new Complex(-Infinity, 0);
-      }
+/**
+ * Creates the array version of a prototype method returning a real number, like x.abs(out)
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ */
+const arrayReal = function (fn) {
 
-      if (-1 < a && a < 1) {
-        // Purely real
-        return new Complex(
-          0.5 * Math.log((1 + a) / (1 - a)),
-          0
-        );
-      }
+  return function (out) {
 
-      if (a > 1) {
-        // Our branch: Im(atanh(a)) = -π/2 for a > 1
-        const t = (a + 1) / (a - 1); // > 0
-        return new Complex(
-          0.5 * Math.log(t),
-          -Math.PI / 2
-        );
-      }
+    const n = this['length'];
+    const x = this;
 
-      // a < -1: Im(atanh(a)) = +π/2
-      const t = (1 + a) / (1 - a); // < 0
-      return new Complex(
-        0.5 * Math.log(-t), // log((1 - a)/(1 + a))
-        Math.PI / 2
-      );
+    if (out === undefined) {
+      out = new Float64Array(n);
+    } else if (out.length !== n) {
+      throw RangeError('ComplexArray length mismatch: ' + out.length + ' != ' + n);
     }
 
-    // Use atanh(z) = 0.5 * Log((1+z)/(1-z)) with principal Log.
-    const oneMinus = 1 - a;
-    const onePlus = 1 + a;
-    const d = oneMinus * oneMinus + b * b; // |1 - z|^2
+    for (let k = 0; k < n; k++) {
+      out[k] = fn(x.r[k * x.s], x.i[k * x.s + x.o]);
+    }
+    return out;
+  };
+};
 
-    if (d === 0) {
-      // (1 - z) == 0 for finite z only at z = 1+0i, already handled above.
-      // If we ever get here, just propagate infinities consistently:
-      return new Complex(
-        (a !== -1) ? (a / 0) : 0,
-        (b !== 0) ? (b / 0) : 0
-      );
+/**
+ * An array of complex numbers stored in Float64Arrays, without a Complex object per element.
+ *
+ * The layout is either 'interleaved' (default), where `data` holds [re0, im0, re1, im1, ...],
+ * or 'split', where `real` and `imag` hold the parts separately.
+ *
+ * Example:
+ *
+ * const x = Complex.ComplexArray.from(['1+2i', 3, [0, 1]]);
+ * const y = x.mul(x).exp();
+ * x.sin(x); // in place
+ *
+ * @constructor
+ * @param {number|Array|ComplexArray} a The length or the values
+ * @param {Object=} options
+ * @returns {ComplexArray}
+ */
+function ComplexArray(a, options) {
+
+  if (!(this instanceof ComplexArray)) {
+    return new ComplexArray(a, options);
+  }
+
+  const layout = options && options['layout'] || LAYOUT_INTERLEAVED;
+  const n = typeof a === 'number' ? a : a['length'];
+
+  // Like for typed arrays, the length must be a non-negative integer
+  if (!(Number.isSafeInteger(n) && n >= 0)) {
+    throw RangeError('Invalid ComplexArray length: ' + n);
+  }
+
+  if (layout === LAYOUT_INTERLEAVED) {
+    wrapBuffers(this, new Float64Array(2 * n));
+  } else if (layout === LAYOUT_SPLIT) {
+    wrapBuffers(this, new Float64Array(n), new Float64Array(n));
+  } else {
+    throw Error('Unknown layout: ' + layout);
+  }
+
+  if (a instanceof ComplexArray) {
+    for (let k = 0; k < n; k++) {
+      this.r[k * this.s] = a.r[k * a.s];
+      this.i[k * this.s + this.o] = a.i[k * a.s + a.o];
     }
+  } else if (typeof a !== 'number') {
+    for (let k = 0; k < n; k++) {
+      this['set'](k, a[k]);
+    }
+  }
+}
 
-    // (1 + z) / (1 - z) with a single complex division
-    const xr = (onePlus * oneMinus - b * b) / d;
-    const xi = (b * oneMinus + onePlus * b) / d;
+ComplexArray.prototype = {
 
-    // 0.5 * log(xr + i xi)
-    return new Complex(
-      logHypot(xr, xi) / 2,
-      Math.atan2(xi, xr) / 2
-    );
-  },
+  'length': 0,
+  'layout': LAYOUT_INTERLEAVED,
 
   /**
-   * Calculate the complex acoth
+   * Gets the element at an index as Complex, or undefined if the index is out of range
    *
-   * @returns {Complex}
+   * @param {number} k
+   * @returns {Complex|undefined}
    */
-  'acoth': function () {
-
-    // acoth(z) = log((z + 1) / (z - 1)) / 2 = atanh(1 / z)
-
-    const a = this['re'];
-    const b = this['im'];
+  'get': function (k) {
 
-    // z = 0 -> acoth(0) = i * π / 2  (log((1+0)/(1-0))/2 = log(-1)/2)
-    if (a === 0 && b === 0) {
-      return new Complex(0, Math.PI / 2);
+    if (!(k >= 0 && k < this['length'])) {
+      return undefined;
     }
+    return new Complex(this.r[k * this.s], this.i[k * this.s + this.o]);
+  },
 
-    const d = a * a + b * b;
+  /**
+   * Sets the element at an index to anything the Complex constructor accepts
+   *
+   * @returns {ComplexArray}
+   */
+  'set': function (k, a, b) {
 
-    if (d !== 0) {
-      // 1 / z = (a - i b) / (a^2 + b^2)
-      return new Complex(a / d, -b / d)['atanh']();
+    if (!(k >= 0 && k < this['length'])) {
+      throw RangeError('ComplexArray index out of range: ' + k);
     }
 
-    // Fallback for weird infinities/NaNs: mirror other functions' style
-    return new Complex(
-      (a !== 0) ? a / 0 : 0,
-      (b !== 0) ? -b / 0 : 0
-    )['atanh']();
+    const z = parse(a, b);
+
+    this.r[k * this.s] = z['re'];
+    this.i[k * this.s + this.o] = z['im'];
+    return this;
   },
 
   /**
-   * Calculate the complex acsch
+   * Applies a function to every element. The function gets the element as Complex and its index
+   * and returns anything the Complex constructor accepts
    *
-   * @returns {Complex}
+   * @param {function(Complex, number):*} fn
+   * @param {ComplexArray=} out
+   * @returns {ComplexArray}
    */
-  'acsch': function () {
-
-    // acsch(c) = log((1+sqrt(1+c^2))/c) = = asinh(1 / z)
+  'map': function (fn, out) {
 
-    const a = this['re'];
-    const b = this['im'];
+    const n = this['length'];
 
-    if (b === 0) {
+    out = outputArray(this, out);
 
-      // z = a real
-      if (a === 0) {
-        // acsch(0) -> +/- Infinity, we keep your previous behavior
-        return new Complex(Infinity, 0);
-      }
+    for (let k = 0; k < n; k++) {
+      out['set'](k, fn(this['get'](k), k));
+    }
+    return out;
+  },
 
-      // acsch(a) = asinh(1/a) = log(1/a + sqrt(1/a^2 + 1))
-      const inv = 1 / a;
-      return new Complex(
-        Math.log(inv + Math.sqrt(inv * inv + 1)),
-        0
-      );
+  /**
+   * Calculate the magnitude of every element
+   *
+   * @returns {Float64Array}
+   */
+  'abs': arrayReal(function (a, b) {
+    if (Complex['IEEE'] && (Math.abs(a) === Infinity || Math.abs(b) === Infinity)) {
+      return Infinity;
     }
+    return hypot(a, b);
+  }),
 
-    const d = a * a + b * b;
+  /**
+   * Calculate the angle of every element
+   *
+   * @returns {Float64Array}
+   */
+  'arg': arrayReal(function (a, b) {
+    return Math.atan2(b, a);
+  }),
 
-    if (d !== 0) {
-      // 1/z = (a - i b) / (a^2 + b^2)
-      return new Complex(a / d, -b / d)['asinh']();
-    }
+  /**
+   * Gets a copy with the same or another layout
+   *
+   * @param {Object=} options
+   * @returns {ComplexArray}
+   */
+  'clone': function (options) {
 
-    // Handle 0 + 0i or infinities in the same spirit as your existing code
-    return new Complex(
-      (a !== 0) ? a / 0 : 0,
-      (b !== 0) ? -b / 0 : 0)['asinh']();
+    return new ComplexArray(this, options || { 'layout': this['layout'] });
   },
 
   /**
-   * Calculate the complex asech
+   * Gets the elements as an array of Complex
    *
-   * @returns {Complex}
+   * @returns {Array<Complex>}
    */
-  'asech': function () {
+  'toArray': function () {
 
-    // asech(z) = acosh(1 / z)
+    const res = new Array(this['length']);
+    for (let k = 0; k < res.length; k++) {
+      res[k] = this['get'](k);
+    }
+    return res;
+  }
+};
 
-    const a = this['re'];
-    const b = this['im'];
+ComplexArray.prototype[Symbol.iterator] = function* () {
 
-    if (this['isZero']()) {
-      // asech(0) = acosh(∞) -> ∞
-      return Complex['INFINITY'];
-    }
+  for (let k = 0; k < this['length']; k++) {
+    yield this['get'](k);
+  }
+};
 
-    const d = a * a + b * b;
+['add', 'sub', 'mul', 'div', 'pow'].forEach(function (name) {
+  ComplexArray.prototype[name] = arrayBinary(name);
+});
 
-    if (d !== 0) {
-      // 1 / z = (a - i b) / (a^2 + b^2)
-      return new Complex(a / d, -b / d)['acosh']();
+['exp', 'expm1', 'log', 'log1p', 'log10', 'log2', 'sqrt', 'cbrt', 'sign', 'inverse', 'conjugate', 'neg',
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'asin', 'acos', 'atan', 'acot', 'asec', 'acsc',
+  'sinh', 'cosh', 'tanh', 'coth', 'csch', 'sech', 'asinh', 'acosh', 'atanh', 'acoth', 'acsch', 'asech'].forEach(function (name) {
+    ComplexArray.prototype[name] = arrayUnary(name);
+  });
+
+/**
+ * Creates a ComplexArray from an iterable or array-like of anything the Complex constructor accepts,
+ * or from a string of numbers separated by commas, semicolons or line breaks
+ *
+ * Example:
+ *
+ * Complex.ComplexArray.from('1+2i, 3-i; 4');
+ *
+ * @param {string|Iterable|Array} values
+ * @param {Object=} options
+ * @returns {ComplexArray}
+ */
+ComplexArray['from'] = function (values, options) {
+
+  if (typeof values === 'string') {
+    values = values.trim() === '' ? [] : values.split(/[,;\n]/);
+  } else if (!(values instanceof ComplexArray) && typeof values[Symbol.iterator] === 'function') {
+    values = Array.from(values);
+  }
+  return new ComplexArray(values, options);
+};
+
+/**
+ * Creates an interleaved ComplexArray on [re0, im0, re1, im1, ...]. A Float64Array is used
+ * as buffer directly, so changes are visible on both sides; other arrays are copied
+ *
+ * @param {Float64Array|Array<number>} data
+ * @returns {ComplexArray}
+ */
+ComplexArray['fromInterleaved'] = function (data) {
+
+  if (data.length % 2 !== 0) {
+    throw RangeError('Interleaved data needs an even length: ' + data.length);
+  }
+  return wrapBuffers(Object.create(ComplexArray.prototype),
+    data instanceof Float64Array ? data : Float64Array.from(data));
+};
+
+/**
+ * Creates a split ComplexArray on the real and imaginary parts. Float64Arrays are used
+ * as buffers directly; other arrays are copied. Without imaginary parts, they are zero
+ *
+ * @param {Float64Array|Array<number>} re
+ * @param {(Float64Array|Array<number>)=} im
+ * @returns {ComplexArray}
+ */
+ComplexArray['fromSplit'] = function (re, im) {
+
+  re = re instanceof Float64Array ? re : Float64Array.from(re);
+  im = im === undefined ? new Float64Array(re.length) : im instanceof Float64Array ? im : Float64Array.from(im);
+
+  if (re.length !== im.length) {
+    throw RangeError('ComplexArray length mismatch: ' + im.length + ' != ' + re.length);
+  }
+  return wrapBuffers(Object.create(ComplexArray.prototype), re, im);
+};
+
+Complex['ComplexArray'] = ComplexArray;
+
+/**
+ * Copies the input of a transform into two new buffers. A ComplexArray is taken as it is, typed arrays
+ * are real samples and everything else is a list of values the Complex constructor accepts
+ *
+ * @param {*} input
+ * @returns {{re: Float64Array, im: Float64Array}}
+ */
+const splitInput = function (input) {
+
+  if (input instanceof ComplexArray) {
+    const n = input['length'];
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      re[k] = input.r[k * input.s];
+      im[k] = input.i[k * input.s + input.o];
     }
+    return { re, im };
+  }
 
-    // Fallback for weird infinities/NaNs
-    return new Complex(
-      (a !== 0) ? a / 0 : 0,
-      (b !== 0) ? -b / 0 : 0)['acosh']();
-  },
+  if (ArrayBuffer.isView(input) && !(input instanceof DataView)) {
+    return { re: Float64Array.from(input), im: new Float64Array(input.length) };
+  }
 
-  /**
-   * Calculate the complex inverse 1/z
-   *
-   * @returns {Complex}
-   */
-  'inverse': function () {
+  if (input === null || typeof input !== 'object') {
+    throw TypeError('Transform input must be an array, a typed array or a ComplexArray');
+  }
 
-    // 1 / 0 = Infinity and 1 / Infinity = 0
-    if (this['isZero']()) {
-      return Complex['INFINITY'];
+  const values = Array.isArray(input) ? input : Array.from(input);
+  const re = new Float64Array(values.length);
+  const im = new Float64Array(values.length);
+  for (let k = 0; k < values.length; k++) {
+    const z = parse(values[k]);
+    re[k] = z['re'];
+    im[k] = z['im'];
+  }
+  return { re, im };
+};
+
+/**
+ * In place radix-2 FFT of two buffers, whose length is a power of two
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {number} sign -1 for the forward and 1 for the inverse transform
+ */
+const fftRadix2 = function (re, im, sign) {
+
+  const n = re.length;
+
+  // Bit reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
     }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+
+    const half = len >> 1;
+    const step = sign * 2 * Math.PI / len;
 
-    if (this['isInfinite']()) {
-      return Complex['ZERO'];
-    }
+    for (let k = 0; k < half; k++) {
 
-    const a = this['re'];
-    const b = this['im'];
+      // Exact at a quarter turn, where cos(π/2) is not zero in floating point
+      const wr = 4 * k === len ? 0 : Math.cos(step * k);
+      const wi = 4 * k === len ? sign : Math.sin(step * k);
 
-    const d = a * a + b * b;
+      for (let i = k; i < n; i += len) {
+        const j = i + half;
+        const tr = re[j] * wr - im[j] * wi;
+        const ti = re[j] * wi + im[j] * wr;
+        re[j] = re[i] - tr;
+        im[j] = im[i] - ti;
+        re[i] += tr;
+        im[i] += ti;
+      }
+    }
+  }
+};
 
-    return new Complex(a / d, -b / d);
-  },
+/**
+ * In place FFT of any length with Bluestein's algorithm, which writes the transform as a convolution
+ * with the chirp exp(sign * iπk²/n) and evaluates the convolution with radix-2 transforms
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {number} sign
+ */
+const fftBluestein = function (re, im, sign) {
 
-  /**
-   * Returns the complex conjugate
-   *
-   * @returns {Complex}
-   */
-  'conjugate': function () {
+  const n = re.length;
 
-    return new Complex(this['re'], -this['im']);
-  },
+  let m = 1;
+  while (m < 2 * n - 1) {
+    m <<= 1;
+  }
 
-  /**
-   * Gets the negated complex number
-   *
-   * @returns {Complex}
-   */
-  'neg': function () {
+  const wr = new Float64Array(n);
+  const wi = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    // k² mod 2n keeps the angle small and accurate
+    const phi = sign * Math.PI * ((k * k) % (2 * n)) / n;
+    wr[k] = Math.cos(phi);
+    wi[k] = Math.sin(phi);
+  }
 
-    return new Complex(-this['re'], -this['im']);
-  },
+  const ar = new Float64Array(m);
+  const ai = new Float64Array(m);
+  const br = new Float64Array(m);
+  const bi = new Float64Array(m);
 
-  /**
-   * Ceils the actual complex number
-   *
-   * @returns {Complex}
-   */
-  'ceil': function (places) {
+  for (let k = 0; k < n; k++) {
+    ar[k] = re[k] * wr[k] - im[k] * wi[k];
+    ai[k] = re[k] * wi[k] + im[k] * wr[k];
+  }
 
-    places = Math.pow(10, places || 0);
+  br[0] = wr[0];
+  bi[0] = -wi[0];
+  for (let k = 1; k < n; k++) {
+    br[k] = br[m - k] = wr[k];
+    bi[k] = bi[m - k] = -wi[k];
+  }
 
-    return new Complex(
-      Math.ceil(this['re'] * places) / places,
-      Math.ceil(this['im'] * places) / places);
-  },
+  fftRadix2(ar, ai, -1);
+  fftRadix2(br, bi, -1);
 
-  /**
-   * Floors the actual complex number
-   *
-   * @returns {Complex}
-   */
-  'floor': function (places) {
+  for (let k = 0; k < m; k++) {
+    const t = ar[k] * br[k] - ai[k] * bi[k];
+    ai[k] = ar[k] * bi[k] + ai[k] * br[k];
+    ar[k] = t;
+  }
 
-    places = Math.pow(10, places || 0);
+  fftRadix2(ar, ai, 1);
 
-    return new Complex(
-      Math.floor(this['re'] * places) / places,
-      Math.floor(this['im'] * places) / places);
-  },
+  for (let k = 0; k < n; k++) {
+    const cr = ar[k] / m;
+    const ci = ai[k] / m;
+    re[k] = cr * wr[k] - ci * wi[k];
+    im[k] = cr * wi[k] + ci * wr[k];
+  }
+};
 
-  /**
-   * Ceils the actual complex number
-   *
-   * @returns {Complex}
-   */
-  'round': function (places) {
+/**
+ * In place DFT for input with infinite or NaN values, where the result must follow the rules of Complex
+ * arithmetic instead of IEEE arithmetic. A term x_j exp(±2πijk/n) is infinite exactly when x_j is, so every
+ * output is the same sum and only depends on which x_j are infinite, which takes O(n) instead of O(n²).
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+const dftNonFinite = function (re, im) {
 
-    places = Math.pow(10, places || 0);
+  const n = re.length;
 
-    return new Complex(
-      Math.round(this['re'] * places) / places,
-      Math.round(this['im'] * places) / places);
-  },
+  let sum = Complex['ZERO'];
+  for (let j = 0; j < n; j++) {
+    sum = sum['add'](isFinite(re[j]) && isFinite(im[j]) ? Complex['ZERO'] : Complex['INFINITY']);
+  }
+  re.fill(sum['re']);
+  im.fill(sum['im']);
+};
 
-  /**
-   * Compares two complex numbers
-   *
-   * **Note:** new Complex(Infinity).equals(Infinity) === false
-   *
-   * @returns {boolean}
-   */
-  'equals': function (a, b) {
+/**
+ * The scale factor of a transform with the given normalization
+ *
+ * backward - no scaling of the forward transform and 1/n for the inverse (default)
+ * ortho - 1/sqrt(n) for both
+ * forward - 1/n for the forward transform and no scaling of the inverse
+ *
+ * @param {Object|undefined} options
+ * @param {number} n
+ * @param {number} sign
+ * @returns {number}
+ */
+const fftScale = function (options, n, sign) {
 
-    const z = parse(a, b);
+  const norm = options && options['norm'] || 'backward';
 
-    return Math.abs(z['re'] - this['re']) <= Complex['EPSILON'] &&
-      Math.abs(z['im'] - this['im']) <= Complex['EPSILON'];
-  },
+  switch (norm) {
+    case 'backward':
+      return sign < 0 ? 1 : 1 / n;
+    case 'ortho':
+      return 1 / Math.sqrt(n);
+    case 'forward':
+      return sign < 0 ? 1 / n : 1;
+  }
+  throw Error('Unknown normalization: ' + norm);
+};
 
-  /**
-   * Clones the actual object
-   *
-   * @returns {Complex}
-   */
-  'clone': function () {
+/**
+ * In place transform of two buffers of any length, scaled by the given factor
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {number} sign
+ * @param {number} scale
+ */
+const fftInPlace = function (re, im, sign, scale) {
 
-    return new Complex(this['re'], this['im']);
-  },
+  const n = re.length;
 
-  /**
-   * Gets a string of the actual complex number
-   *
-   * @returns {string}
-   */
-  'toString': function () {
+  let finite = true;
+  for (let k = 0; k < n && finite; k++) {
+    finite = isFinite(re[k]) && isFinite(im[k]);
+  }
 
-    let a = this['re'];
-    let b = this['im'];
-    let ret = "";
+  // Under Complex.IEEE the infinities and NaNs simply propagate through the butterflies
+  if (!finite && !Complex['IEEE']) {
+    dftNonFinite(re, im);
+  } else if ((n & (n - 1)) === 0) {
+    fftRadix2(re, im, sign);
+  } else {
+    fftBluestein(re, im, sign);
+  }
 
-    if (this['isNaN']()) {
-      return 'NaN';
+  if (scale !== 1) {
+    for (let k = 0; k < n; k++) {
+      re[k] *= scale;
+      im[k] *= scale;
     }
+  }
+};
 
-    if (this['isInfinite']()) {
-      return 'Infinity';
-    }
+/**
+ * Transforms the input and writes the result into options.out, or into a new ComplexArray
+ *
+ * @param {*} input
+ * @param {Object|undefined} options
+ * @param {number} sign
+ * @returns {ComplexArray}
+ */
+const fft = function (input, options, sign) {
 
-    if (Math.abs(a) < Complex['EPSILON']) {
-      a = 0;
-    }
+  const x = splitInput(input);
+  const n = x.re.length;
 
-    if (Math.abs(b) < Complex['EPSILON']) {
-      b = 0;
-    }
+  fftInPlace(x.re, x.im, sign, fftScale(options, n, sign));
 
-    // If is real number
-    if (b === 0) {
-      return ret + a;
+  const out = options && options['out'];
+  if (out === undefined) {
+    if (input instanceof ComplexArray && input['layout'] === LAYOUT_INTERLEAVED) {
+      return new ComplexArray(ComplexArray['fromSplit'](x.re, x.im));
     }
+    return ComplexArray['fromSplit'](x.re, x.im);
+  }
 
-    if (a !== 0) {
-      ret += a;
-      ret += " ";
-      if (b < 0) {
-        b = -b;
-        ret += "-";
-      } else {
-        ret += "+";
-      }
-      ret += " ";
-    } else if (b < 0) {
-      b = -b;
-      ret += "-";
+  if (!(out instanceof ComplexArray)) {
+    throw TypeError('Output must be a ComplexArray');
+  }
+  checkLength(out, n);
+  for (let k = 0; k < n; k++) {
+    out.r[k * out.s] = x.re[k];
+    out.i[k * out.s + out.o] = x.im[k];
+  }
+  return out;
+};
+
+/**
+ * Transforms the rows and then the columns of a matrix, given as a list of rows
+ *
+ * @param {Array} rows
+ * @param {Object|undefined} options
+ * @param {number} sign
+ * @returns {Array<ComplexArray>}
+ */
+const fft2 = function (rows, options, sign) {
+
+  const x = Array.from(rows, splitInput);
+  const m = x.length;
+  const n = m > 0 ? x[0].re.length : 0;
+
+  for (let j = 0; j < m; j++) {
+    if (x[j].re.length !== n) {
+      throw RangeError('All rows of a 2-D transform need the same length');
     }
+    fftInPlace(x[j].re, x[j].im, sign, fftScale(options, n, sign));
+  }
 
-    if (1 !== b) { // b is the absolute imaginary part
-      ret += b;
+  const cr = new Float64Array(m);
+  const ci = new Float64Array(m);
+  const scale = fftScale(options, m, sign);
+
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j < m; j++) {
+      cr[j] = x[j].re[k];
+      ci[j] = x[j].im[k];
     }
-    return ret + "i";
-  },
+    fftInPlace(cr, ci, sign, scale);
+    for (let j = 0; j < m; j++) {
+      x[j].re[k] = cr[j];
+      x[j].im[k] = ci[j];
+    }
+  }
+  return x.map(function (row) {
+    return ComplexArray['fromSplit'](row.re, row.im);
+  });
+};
 
-  /**
-   * Returns the actual number as a vector
-   *
-   * @returns {Array}
-   */
-  'toVector': function () {
+/**
+ * Calculates the discrete Fourier transform X[k] = sum x[j] exp(-2πijk/n) of a sequence of any length
+ *
+ * The input is a list of anything the constructor accepts, a ComplexArray or a typed array of real samples.
+ *
+ * Options:
+ * norm - 'backward' (default), 'ortho' or 'forward', see Complex.ifft
+ * out - a ComplexArray of the same length to write the result into
+ *
+ * Example:
+ *
+ * Complex.fft([1, 2, 3, 4]).toArray(); // [10, -2 + 2i, -2, -2 - 2i]
+ *
+ * @param {*} input
+ * @param {Object=} options
+ * @returns {ComplexArray}
+ */
+Complex['fft'] = function (input, options) {
 
-    return [this['re'], this['im']];
-  },
+  return fft(input, options, -1);
+};
 
-  /**
-   * Returns the actual real value of the current object
-   *
-   * @returns {number|null}
-   */
-  'valueOf': function () {
+/**
+ * Calculates the inverse discrete Fourier transform x[j] = 1/n sum X[k] exp(2πijk/n)
+ *
+ * Options:
+ * norm - where the factor 1/n goes: 'backward' (default) into the inverse, 'forward' into the forward transform
+ *        or 'ortho' for 1/sqrt(n) in both
+ * out - a ComplexArray of the same length to write the result into
+ *
+ * @param {*} input
+ * @param {Object=} options
+ * @returns {ComplexArray}
+ */
+Complex['ifft'] = function (input, options) {
 
-    if (this['im'] === 0) {
-      return this['re'];
+  return fft(input, options, 1);
+};
+
+/**
+ * Calculates the transform of real samples, which is only returned for the frequencies 0 to n/2,
+ * since the others are the conjugates X[n - k]. For even lengths, a transform of half the length is used.
+ *
+ * @param {*} input
+ * @param {Object=} options
+ * @returns {ComplexArray}
+ */
+Complex['rfft'] = function (input, options) {
+
+  const x = splitInput(input);
+  const n = x.re.length;
+  const h = n >> 1;
+
+  for (let k = 0; k < n; k++) {
+    if (x.im[k] !== 0) {
+      throw TypeError('rfft needs real input');
     }
-    return null;
-  },
+  }
 
-  /**
-   * Determines whether a complex number is not on the Riemann sphere.
-   *
-   * @returns {boolean}
-   */
-  'isNaN': function () {
-    return isNaN(this['re']) || isNaN(this['im']);
-  },
+  const scale = fftScale(options, n, -1);
+  const re = new Float64Array(h + 1);
+  const im = new Float64Array(h + 1);
 
-  /**
-   * Determines whether or not a complex number is at the zero pole of the
-   * Riemann sphere.
-   *
-   * @returns {boolean}
-   */
-  'isZero': function () {
-    return this['im'] === 0 && this['re'] === 0;
-  },
+  let finite = true;
+  for (let k = 0; k < n && finite; k++) {
+    finite = isFinite(x.re[k]);
+  }
 
-  /**
-   * Determines whether a complex number is not at the infinity pole of the
-   * Riemann sphere.
-   *
-   * @returns {boolean}
-   */
-  'isFinite': function () {
-    return isFinite(this['re']) && isFinite(this['im']);
-  },
+  if (n % 2 !== 0 || n === 0 || !finite) {
+    fftInPlace(x.re, x.im, -1, scale);
+    return ComplexArray['fromSplit'](x.re.slice(0, h + 1), x.im.slice(0, h + 1));
+  }
 
-  /**
-   * Determines whether or not a complex number is at the infinity pole of the
-   * Riemann sphere.
-   *
-   * @returns {boolean}
-   */
-  'isInfinite': function () {
-    return !this['isFinite']();
+  // Pack the even and odd samples into one complex sequence z[j] = x[2j] + i x[2j + 1]
+  const zr = new Float64Array(h);
+  const zi = new Float64Array(h);
+  for (let j = 0; j < h; j++) {
+    zr[j] = x.re[2 * j];
+    zi[j] = x.re[2 * j + 1];
+  }
+  fftInPlace(zr, zi, -1, 1);
+
+  // X[k] = E[k] + exp(-2πik/n) O[k] with E[k] = (Z[k] + conj(Z[h - k])) / 2 and O[k] = (Z[k] - conj(Z[h - k])) / 2i
+  for (let k = 0; k <= h; k++) {
+    const ar = zr[k % h];
+    const ai = zi[k % h];
+    const br = zr[(h - k) % h];
+    const bi = -zi[(h - k) % h];
+
+    const er = (ar + br) / 2;
+    const ei = (ai + bi) / 2;
+    const or = (ai - bi) / 2;
+    const oi = (br - ar) / 2;
+
+    const wr = Math.cos(-2 * Math.PI * k / n);
+    const wi = Math.sin(-2 * Math.PI * k / n);
+
+    re[k] = (er + wr * or - wi * oi) * scale;
+    im[k] = (ei + wr * oi + wi * or) * scale;
   }
+  return ComplexArray['fromSplit'](re, im);
 };
 
-Complex['ZERO'] = new Complex(0, 0);
-Complex['ONE'] = new Complex(1, 0);
-Complex['I'] = new Complex(0, 1);
-Complex['PI'] = new Complex(Math.PI, 0);
-Complex['E'] = new Complex(Math.E, 0);
-Complex['INFINITY'] = new Complex(Infinity, Infinity);
-Complex['NAN'] = new Complex(NaN, NaN);
-Complex['EPSILON'] = 1e-15;
+/**
+ * Calculates the real samples back from the output of rfft. The length of the result is 2 (m - 1) for m
+ * frequencies, unless options.n gives it, and the imaginary parts of the frequencies 0 and n/2 are ignored.
+ *
+ * @param {*} input
+ * @param {Object=} options
+ * @returns {Float64Array}
+ */
+Complex['irfft'] = function (input, options) {
+
+  const x = splitInput(input);
+  const m = x.re.length;
+  const n = options && options['n'] !== undefined ? options['n'] : 2 * (m - 1);
+
+  if (!(n >= 0 && n % 1 === 0)) {
+    throw RangeError('Invalid length: ' + n);
+  }
+
+  // Rebuild the full spectrum, which is hermitian for real samples
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let k = 0; k <= n >> 1; k++) {
+    if (k < m) {
+      re[k] = x.re[k];
+      im[k] = k === 0 || 2 * k === n ? 0 : x.im[k];
+      if (k > 0) {
+        re[n - k] = re[k];
+        im[n - k] = -im[k];
+      }
+    }
+  }
+
+  fftInPlace(re, im, 1, fftScale(options, n, 1));
+  return re;
+};
+
+/**
+ * Calculates the 2-D discrete Fourier transform of a matrix, given as a list of rows
+ *
+ * @param {Array} rows
+ * @param {Object=} options
+ * @returns {Array<ComplexArray>}
+ */
+Complex['fft2'] = function (rows, options) {
+
+  return fft2(rows, options, -1);
+};
+
+/**
+ * Calculates the inverse 2-D discrete Fourier transform of a matrix, given as a list of rows
+ *
+ * @param {Array} rows
+ * @param {Object=} options
+ * @returns {Array<ComplexArray>}
+ */
+Complex['ifft2'] = function (rows, options) {
+
+  return fft2(rows, options, 1);
+};
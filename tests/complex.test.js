@@ -2,6 +2,13 @@
 var Complex = require("complex.js");
 var assert = require("assert");
 
+// Checks that actual is within the relative distance eps of expected
+function close(actual, expected, eps) {
+  expected = new Complex(expected);
+  var d = actual.sub(expected).abs() / Math.max(1e-300, expected.abs());
+  assert(d <= eps, actual.toString() + " != " + expected.toString());
+}
+
 var functionTests = [{
   set: Complex.I,
   fn: "mul",
@@ -217,6 +224,72 @@ var functionTests = [{
   set: "1.2e-7 - 2e-6i",
   fn: "expm1",
   expect: "1.1999800719976027e-7 - 0.000002000000239998681i"
+}, {
+  set: "1e-10 + 2e-10i",
+  fn: "log1p",
+  expect: "1.0000000001499999e-10 + 1.9999999998e-10i"
+}, {
+  set: "-3",
+  fn: "log1p",
+  expect: "0.6931471805599453 + 3.141592653589793i"
+}, {
+  set: "3 + 4i",
+  fn: "log1p",
+  expect: "1.7328679513998633 + 0.7853981633974483i"
+}, {
+  set: "-1000",
+  fn: "log10",
+  expect: "3 + 1.3643763538418412i"
+}, {
+  set: "100i",
+  fn: "log10",
+  expect: "2 + 0.6821881769209206i"
+}, {
+  set: "1024",
+  fn: "log2",
+  expect: "10"
+}, {
+  set: "-8i",
+  fn: "log2",
+  expect: "3 - 2.266180070913597i"
+}, {
+  set: "81",
+  fn: "logBase",
+  param: 3,
+  expect: "4"
+}, {
+  set: "-1",
+  fn: "logBase",
+  param: "i",
+  expect: "2"
+}, {
+  set: "-8",
+  fn: "cbrt",
+  expect: "1 + 1.7320508075688772i"
+}, {
+  set: "8i",
+  fn: "cbrt",
+  expect: "1.7320508075688772 + i"
+}, {
+  set: "32",
+  fn: "nthRoot",
+  param: 5,
+  expect: "2"
+}, {
+  set: "-16",
+  fn: "nthRoot",
+  param: 4,
+  expect: "1.4142135623730951 + 1.4142135623730951i"
+}, {
+  set: "16",
+  fn: "nthRoot",
+  param: -4,
+  expect: "0.5"
+}, {
+  set: "8",
+  fn: "nthRoot",
+  param: "3",
+  expect: "2"
 }, {
   set: "3",
   fn: "pow",
@@ -818,6 +891,21 @@ var constructorTests = [{
 }, {
   set: "1000_000i",
   expect: "1000000i"
+}, {
+  set: "∠90°",
+  expect: "i"
+}, {
+  set: "e^(iπ)",
+  expect: "-1"
+}, {
+  set: "2∠0",
+  expect: "2"
+}, {
+  set: "2∠1+i",
+  error: "SyntaxError: Invalid Param"
+}, {
+  set: "2exp(i) + 1",
+  error: "SyntaxError: Invalid Param"
 }
 ];
 
@@ -993,6 +1081,19 @@ describe("Complex Details", function () {
     }
   });
 
+  it('should parse polar and exponential strings like the polar object form', function () {
+    assert.strictEqual(Complex("2∠45°").toString(), Complex({ abs: 2, arg: Math.PI / 4 }).toString());
+    assert.strictEqual(Complex("2∠0.785").toString(), Complex({ abs: 2, arg: 0.785 }).toString());
+    assert.strictEqual(Complex("-2 ∠ -π/4").toString(), Complex({ abs: -2, arg: -Math.PI / 4 }).toString());
+    assert.strictEqual(Complex("3e^(iπ/4)").toString(), Complex({ abs: 3, arg: Math.PI / 4 }).toString());
+    assert.strictEqual(Complex("3 * e^(iπ/4)").toString(), Complex.evaluate("3 * e^(iπ/4)").toString());
+    assert.throws(function () { Complex("3 * e^iπ/4"); }, Complex.ComplexParseError);
+    assert.strictEqual(Complex("3*exp(1.2i)").toString(), Complex({ abs: 3, arg: 1.2 }).toString());
+    assert.strictEqual(Complex("5 cis 30deg").toString(), Complex({ abs: 5, arg: Math.PI / 6 }).toString());
+    assert.strictEqual(Complex("1.5 cis 2 rad").toString(), Complex({ abs: 1.5, arg: 2 }).toString());
+    assert.strictEqual(Complex("exp(1 + i)").toString(), Complex(1, 1).exp().toString());
+  });
+
   it('should handle get real part', function () {
     assert.strictEqual(Complex({ abs: 1, arg: Math.PI / 4 }).re, Math.SQRT2 / 2);
   });
@@ -1087,3 +1188,1676 @@ describe("Complex Details", function () {
   });
 
 });
+
+describe("Complex evaluate", function () {
+
+  it("should respect operator precedence", function () {
+    assert.strictEqual(Complex.evaluate("1 + 2 * 3").toString(), "7");
+    assert.strictEqual(Complex.evaluate("(1 + 2) * 3").toString(), "9");
+    assert.strictEqual(Complex.evaluate("2 ^ 3 ^ 2").toString(), "512");
+    assert.strictEqual(Complex.evaluate("-2 ^ 2").toString(), "-4");
+    assert.strictEqual(Complex.evaluate("2 ^ -1").toString(), "0.5");
+    assert.strictEqual(Complex.evaluate("8 / 2 / 2").toString(), "2");
+    assert.strictEqual(Complex.evaluate("- - 3").toString(), "3");
+  });
+
+  it("should handle implicit multiplication", function () {
+    assert.strictEqual(Complex.evaluate("3 - 2i").toString(), "3 - 2i");
+    assert.strictEqual(Complex.evaluate("2i ^ 2").toString(), "-2");
+    assert.strictEqual(Complex.evaluate("(1 + i)(1 - i)").toString(), "2");
+    assert.strictEqual(Complex.evaluate("2pi").toString(), String(2 * Math.PI));
+  });
+
+  it("should evaluate constants and functions", function () {
+    assert(Complex.evaluate("e^(i*pi)").equals(-1, 1.2246467991473532e-16));
+    assert(Complex.evaluate("(3+2i)*sqrt(-4)/e^(i*pi)").equals(Complex(3, 2).mul(Complex(-4).sqrt()).div(Complex(0, Math.PI).exp())));
+    assert(Complex.evaluate("3e^(iπ/4)").equals({ abs: 3, arg: Math.PI / 4 }));
+    assert.strictEqual(Complex.evaluate("pow(1 + i, 2)").toString(), "2i");
+    assert.strictEqual(Complex.evaluate("abs(3 + 4i)").toString(), "5");
+    assert.strictEqual(Complex.evaluate("acosh(2)").toString(), Complex(2).acosh().toString());
+    assert.strictEqual(Complex.evaluate("round(1.234 + 5.678i, 1)").toString(), "1.2 + 5.7i");
+  });
+
+  it("should stay on the same side of the branch cuts as the methods", function () {
+    assert.strictEqual(Object.is(Complex.evaluate("-1").im, 0), true);
+    assert.strictEqual(Complex.evaluate("log(-1)").toString(), new Complex(-1).log().toString());
+    assert.strictEqual(Complex.evaluate("sqrt(-4)").toString(), new Complex(-4).sqrt().toString());
+    assert.strictEqual(Complex.evaluate("(-8)^(1/3)").toString(), new Complex(-8).pow(1 / 3).toString());
+  });
+
+  it("should only call the mathematical methods", function () {
+    for (var name of ["constructor", "clone", "valueOf", "toString", "toJSON", "equals", "isZero", "roots"]) {
+      assert.throws(function () { Complex.evaluate(name + "(1)"); }, function (e) {
+        return e instanceof Complex.ComplexParseError && e.reason === "UNKNOWN_NAME" && e.token === name;
+      });
+    }
+  });
+
+  it("should check the number of arguments of functions", function () {
+    [["pow(2)", "MISSING_OPERAND", ")", 5], ["add(1)", "MISSING_OPERAND", ")", 5], ["sqrt(4, -1)", "UNEXPECTED_TOKEN", ",", 6],
+      ["log(1, 1)", "UNEXPECTED_TOKEN", ",", 5], ["sin(1, 2, 3)", "UNEXPECTED_TOKEN", ",", 5], ["round(1, 2, 3)", "UNEXPECTED_TOKEN", ",", 10]].forEach(function (c) {
+      assert.throws(function () { Complex.evaluate(c[0]); }, function (e) {
+        return e instanceof Complex.ComplexParseError && e.reason === c[1] && e.token === c[2] && e.offset === c[3];
+      }, c[0]);
+    });
+    assert.strictEqual(Complex.evaluate("round(1.26, 1) + lambertW(0)").toString(), "1.3");
+    assert.strictEqual(Complex.evaluate("pow(2, 3)").toString(), "8");
+  });
+
+  it("should resolve variables from the scope", function () {
+    assert.strictEqual(Complex.evaluate("z * conjugate(z)", { z: Complex(1, 2) }).toString(), "5");
+    assert.strictEqual(Complex.evaluate("a + b", { a: "1+i", b: [2, 3] }).toString(), "3 + 4i");
+    assert.strictEqual(Complex.evaluate("2e", { e: 5 }).toString(), "10");
+  });
+
+  it("should reject malformed expressions", function () {
+    for (var expr of ["", "1 +", "4 5", "(1 + i", "sin(", "x", "toString(1)", "1 ? 2"]) {
+      assert.throws(function () { Complex.evaluate(expr); }, /SyntaxError: Invalid Param/);
+    }
+  });
+});
+
+describe("Complex parse errors", function () {
+
+  function reasonOf(input) {
+    var res = Complex.tryParse(input);
+    assert.strictEqual(res.ok, false);
+    assert.strictEqual(res.value, null);
+    assert(res.error instanceof Complex.ComplexParseError);
+    assert(res.error instanceof SyntaxError);
+    return [res.error.reason, res.error.token, res.error.offset];
+  }
+
+  it("should report the offending token and its offset", function () {
+    assert.deepStrictEqual(reasonOf("3 + 4x"), ["UNEXPECTED_TOKEN", "x", 5]);
+    assert.deepStrictEqual(reasonOf("4 5i"), ["UNEXPECTED_TOKEN", "5", 2]);
+    assert.deepStrictEqual(reasonOf("2.2."), ["UNEXPECTED_TOKEN", ".", 3]);
+    assert.deepStrictEqual(reasonOf("1_000 + 2_0 x"), ["UNEXPECTED_TOKEN", "x", 12]);
+    assert.deepStrictEqual(reasonOf("2exp(i) + 1"), ["UNEXPECTED_TOKEN", "+", 8]);
+  });
+
+  it("should report dangling signs and missing operands", function () {
+    assert.deepStrictEqual(reasonOf("1 + "), ["DANGLING_SIGN", "+", 2]);
+    assert.deepStrictEqual(reasonOf("-"), ["DANGLING_SIGN", "-", 0]);
+    assert.deepStrictEqual(reasonOf(""), ["MISSING_OPERAND", null, 0]);
+    assert.deepStrictEqual(reasonOf("  "), ["MISSING_OPERAND", null, 2]);
+  });
+
+  it("should report unsupported inputs", function () {
+    assert.deepStrictEqual(reasonOf({ foo: 1 }), ["UNSUPPORTED_OBJECT", null, -1]);
+    assert.deepStrictEqual(reasonOf(true), ["UNSUPPORTED_TYPE", null, -1]);
+  });
+
+  it("should report expression errors", function () {
+    var e = null;
+    try {
+      Complex.evaluate("2 * (x + 1)");
+    } catch (err) {
+      e = err;
+    }
+    assert.strictEqual(e.reason, "UNKNOWN_NAME");
+    assert.strictEqual(e.token, "x");
+    assert.strictEqual(e.offset, 5);
+    assert.strictEqual(e.input, "2 * (x + 1)");
+    assert.strictEqual(e.toString(), "SyntaxError: Invalid Param");
+  });
+
+  it("should return the value on success", function () {
+    var res = Complex.tryParse("3 + 4i");
+    assert.strictEqual(res.ok, true);
+    assert.strictEqual(res.error, null);
+    assert.strictEqual(res.value.toString(), "3 + 4i");
+  });
+});
+
+describe("Complex toString options", function () {
+
+  it("should keep the default format", function () {
+    assert.strictEqual(Complex(3, -4).toString({}), "3 - 4i");
+    assert.strictEqual(Complex(1e-16, 1).toString({}), "i");
+  });
+
+  it("should round and pad the parts", function () {
+    assert.strictEqual(Complex(3, -4).toString({ fixedDigits: 2, unit: 'j' }), "3.00 - 4.00j");
+    assert.strictEqual(Complex(1 / 3, 2 / 3).toString({ precision: 3 }), "0.333 + 0.667i");
+    assert.strictEqual(Complex(1 / 3, 1).toString({ significantDigits: 2 }), "0.33 + 1.0i");
+    assert.strictEqual(Complex(2, 0.0001).toString({ fixedDigits: 2 }), "2.00");
+    assert.strictEqual(Complex(-0.0001, 1).toString({ precision: 2 }), "i");
+  });
+
+  it("should control spacing and the zero threshold", function () {
+    assert.strictEqual(Complex(3, -4).toString({ spacing: false }), "3-4i");
+    assert.strictEqual(Complex(1e-16, 1).toString({ zeroThreshold: 0 }), "1e-16 + i");
+    assert.strictEqual(Complex(0.01, 1).toString({ zeroThreshold: 0.1 }), "i");
+  });
+
+  it("should reject invalid options", function () {
+    [{ form: 'foo' }, { angleUnit: 'grad' }, { fixedDigits: 101 }, { fixedDigits: -1 }, { precision: 1.5 },
+      { significantDigits: 0 }, { zeroThreshold: -1 }, { dialect: 'cobol' }].forEach(function (opt) {
+      assert.throws(function () { Complex(3, -4).toString(opt); }, RangeError, JSON.stringify(opt));
+      assert.throws(function () { Complex(3, -4).toLatex(opt); }, RangeError, JSON.stringify(opt));
+    });
+    assert.throws(function () { Complex(3, -4).toLocaleString("en-US", { form: 'foo' }); }, /Unknown form: foo/);
+    assert.throws(function () { Complex(3, -4).toMathML({ fixedDigits: 200 }); }, /Invalid fixedDigits: 200/);
+  });
+
+  it("should print the polar and exponential form", function () {
+    assert.strictEqual(Complex(3, -4).toString({ form: 'polar', angleUnit: 'deg', precision: 2 }), "5∠-53.13°");
+    assert.strictEqual(Complex(0, 2).toString({ form: 'polar' }), "2∠" + Math.PI / 2);
+    assert.strictEqual(Complex(3, -4).toString({ form: 'exp', precision: 4 }), "5e^(-0.9273i)");
+    assert.strictEqual(Complex(0, 2).toString({ form: 'exp', unit: 'j' }), "2e^(" + Math.PI / 2 + "j)");
+    assert.strictEqual(Complex(0, 0).toString({ form: 'polar' }), "0");
+    assert.strictEqual(Complex.NAN.toString({ form: 'polar' }), "NaN");
+    assert.strictEqual(Complex.INFINITY.toString({ form: 'exp' }), "Infinity");
+  });
+
+  it("should read its own polar and exponential output", function () {
+    var z = Complex(3, -4);
+    assert(Complex(z.toString({ form: 'polar' })).equals(z.re, z.im));
+    assert(Complex(z.toString({ form: 'polar', angleUnit: 'deg' })).sub(z).abs() < 1e-14);
+    assert(Complex(z.toString({ form: 'exp' })).sub(z).abs() < 1e-14);
+  });
+});
+
+describe("Complex LaTeX and MathML", function () {
+
+  it("should write LaTeX", function () {
+    assert.strictEqual(Complex(3, -4).toLatex(), "3 - 4i");
+    assert.strictEqual(Complex(0, 1).toLatex(), "i");
+    assert.strictEqual(Complex(0, -1).toLatex({ unit: 'j' }), "-j");
+    assert.strictEqual(Complex(-3, 0).toLatex(), "-3");
+    assert.strictEqual(Complex(2, 1.5e-20).toLatex({ zeroThreshold: 0 }), "2 + 1.5 \\times 10^{-20}i");
+    assert.strictEqual(Complex(3, -4).toLatex({ form: 'polar', angleUnit: 'deg', precision: 2 }), "5 \\angle -53.13^\\circ");
+    assert.strictEqual(Complex(3, -4).toLatex({ form: 'exp', precision: 4 }), "5 e^{-0.9273i}");
+    assert.strictEqual(Complex.NAN.toLatex(), "\\mathrm{NaN}");
+    assert.strictEqual(Complex.INFINITY.toLatex(), "\\infty");
+  });
+
+  it("should write MathML", function () {
+    assert.strictEqual(Complex(3, -4).toMathML(),
+      "<math><mrow><mn>3</mn><mo>-</mo><mn>4</mn><mo>&#x2062;</mo><mi>i</mi></mrow></math>");
+    assert.strictEqual(Complex(0, -1).toMathML(),
+      "<math><mrow><mo>-</mo><mi>i</mi></mrow></math>");
+    assert.strictEqual(Complex(1e21, 0).toMathML(),
+      "<math><mrow><mn>1</mn><mo>&#x00D7;</mo><msup><mn>10</mn><mn>21</mn></msup></mrow></math>");
+    assert.strictEqual(Complex(3, -4).toMathML({ form: 'polar', angleUnit: 'deg', precision: 2 }),
+      "<math><mrow><mn>5</mn><mo>&#x2220;</mo><mo>-</mo><mn>53.13</mn><mo>&#x00B0;</mo></mrow></math>");
+    assert.strictEqual(Complex(0, 2).toMathML({ form: 'exp', precision: 2 }),
+      "<math><mrow><mn>2</mn><mo>&#x2062;</mo><msup><mi>e</mi><mrow><mn>1.57</mn><mo>&#x2062;</mo><mi>i</mi></mrow></msup></mrow></math>");
+    assert.strictEqual(Complex.NAN.toMathML(), "<math><mrow><mi>NaN</mi></mrow></math>");
+    assert.strictEqual(Complex.INFINITY.toMathML(), "<math><mrow><mi>&#x221E;</mi></mrow></math>");
+  });
+});
+
+describe("Complex JSON", function () {
+
+  function sameNumber(a, b) {
+    return Object.is(a, b);
+  }
+
+  it("should write tagged JSON", function () {
+    assert.strictEqual(JSON.stringify(Complex(1, 2)), '{"type":"Complex","re":1,"im":2}');
+    assert.strictEqual(JSON.stringify(Complex(1, NaN)), '{"type":"Complex","re":1,"im":"NaN"}');
+    assert.strictEqual(JSON.stringify(Complex(-Infinity, -0)), '{"type":"Complex","re":"-Infinity","im":"-0"}');
+  });
+
+  it("should restore special values", function () {
+    var values = [[1, 2], [1, NaN], [Infinity, -Infinity], [-0, 0], [0, -0], [NaN, NaN]];
+
+    for (var i = 0; i < values.length; i++) {
+      var z = Complex.fromJSON(JSON.stringify(Complex(values[i][0], values[i][1])));
+      assert(z instanceof Complex);
+      assert(sameNumber(z.re, values[i][0]) && sameNumber(z.im, values[i][1]), values[i].join());
+    }
+    assert.strictEqual(Complex.fromJSON({ re: 3, im: 4 }).toString(), "3 + 4i");
+  });
+
+  it("should revive nested values", function () {
+    var data = { result: [Complex(1, 2), { z: Complex.INFINITY }], name: "sim", n: 3 };
+    var revived = JSON.parse(JSON.stringify(data), Complex.reviver);
+
+    assert(revived.result[0] instanceof Complex);
+    assert.strictEqual(revived.result[0].toString(), "1 + 2i");
+    assert(revived.result[1].z.isInfinite());
+    assert.strictEqual(revived.name, "sim");
+    assert.strictEqual(revived.n, 3);
+  });
+
+  it("should leave values it cannot revive unchanged", function () {
+    var revived = JSON.parse('[{"type":"Complex","re":1,"im":2},{"type":"Complex","re":"x","im":0}]', Complex.reviver);
+    assert.strictEqual(revived[0].toString(), "1 + 2i");
+    assert.deepStrictEqual(revived[1], { type: "Complex", re: "x", im: 0 });
+  });
+
+  it("should reject invalid parts", function () {
+    assert.throws(function () { Complex.fromJSON({ type: "Complex", re: "x", im: 0 }); }, Complex.ComplexParseError);
+    assert.throws(function () { Complex.fromJSON("[1, 2]"); }, Complex.ComplexParseError);
+    assert.throws(function () { Complex.fromJSON({ type: "Quaternion", re: 1, im: 0 }); }, function (e) {
+      return e.reason === "UNSUPPORTED_OBJECT";
+    });
+    assert.throws(function () { Complex.fromJSON('{"re": 1, "im": 0, "j": 2}'); }, function (e) {
+      return e.reason === "UNSUPPORTED_OBJECT";
+    });
+    for (var json of ['{"re": 1, "im": }', '{"re": 1', "3 + 4i"]) {
+      assert.throws(function () { Complex.fromJSON(json); }, function (e) {
+        return e instanceof Complex.ComplexParseError && e.reason === "UNEXPECTED_TOKEN" && e.input === json;
+      });
+    }
+  });
+});
+
+describe("Complex locales", function () {
+
+  it("should format with a locale", function () {
+    assert.strictEqual(Complex(3.5, -2.1).toLocaleString("de-DE"), "3,5 - 2,1i");
+    assert.strictEqual(Complex(1234.5, 1).toLocaleString("en-US"), "1,234.5 + i");
+    assert.strictEqual(Complex(1234.5, -1).toLocaleString("de-DE", { fixedDigits: 2, unit: 'j' }), "1.234,50 - 1,00j");
+    assert.strictEqual(Complex(3, -4).toLocaleString("de-DE", { form: 'polar', angleUnit: 'deg', precision: 2 }), "5∠-53,13°");
+    assert.strictEqual(Complex(1234.5, 0).toLocaleString("en-US", { useGrouping: false }), "1234.5");
+    assert.strictEqual(Complex.NAN.toLocaleString("de-DE"), "NaN");
+  });
+
+  it("should parse with a locale", function () {
+    assert.strictEqual(Complex.parseLocale("3,5 + 2,1i", "de-DE").toString(), "3.5 + 2.1i");
+    assert.strictEqual(Complex.parseLocale("1.234,5 - 2i", "de-DE").toString(), "1234.5 - 2i");
+    assert.strictEqual(Complex.parseLocale("1,234.5 - 2i", "en-US").toString(), "1234.5 - 2i");
+    assert.strictEqual(Complex.parseLocale("1 234,5 + i", "fr-FR").toString(), "1234.5 + i");
+    assert.strictEqual(Complex.parseLocale("2∠90,0°", "de-DE").toString(), Complex("2∠90°").toString());
+  });
+
+  it("should read its own output", function () {
+    var z = Complex(-1234.5678, 98765.4321);
+    assert(Complex.parseLocale(z.toLocaleString("de-DE", { precision: 4 }), "de-DE").equals(z));
+  });
+
+  it("should read the digits and signs of other scripts", function () {
+    var z = Complex(-1234567.5, -6789.25);
+    ["ar-EG", "fa-IR", "bn-BD", "mr-IN", "th-TH-u-nu-thai", "en-IN", "de-CH"].forEach(function (locale) {
+      assert(Complex.parseLocale(z.toLocaleString(locale), locale).equals(z), locale);
+    });
+  });
+
+  it("should only accept group separators where the locale puts them", function () {
+    [["3,5", "en-US", 1], ["1.5", "de-DE", 1], ["1,23,456", "en-US", 1], ["1234,567", "en-US", 4], ["1.5,000", "en-US", 3]].forEach(function (c) {
+      assert.throws(function () { Complex.parseLocale(c[0], c[1]); }, function (e) {
+        return e.reason === "UNEXPECTED_TOKEN" && e.offset === c[2];
+      }, c[0]);
+    });
+    assert.strictEqual(Complex.parseLocale("12,34,567", "en-IN").toString(), "1234567");
+  });
+
+  it("should report errors at the position in the original string", function () {
+    assert.throws(function () { Complex.parseLocale("1.000.000,5 + x", "de-DE"); }, function (e) {
+      return e.reason === "UNEXPECTED_TOKEN" && e.token === "x" && e.offset === 14 && e.input === "1.000.000,5 + x";
+    });
+    assert.throws(function () { Complex.parseLocale("1.000,5 +", "de-DE"); }, function (e) {
+      return e.reason === "DANGLING_SIGN" && e.token === "+" && e.offset === 8;
+    });
+  });
+});
+
+describe("Complex dialects", function () {
+
+  function parts(z) {
+    return [z.re, z.im];
+  }
+
+  it("should parse the dialects", function () {
+    assert.deepStrictEqual(parts(Complex.parse("(1+2j)", { dialect: 'python' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("1e-3-4.5j", { dialect: 'python' })), [0.001, -4.5]);
+    assert.deepStrictEqual(parts(Complex.parse("(nan+infj)", { dialect: 'python' })), [NaN, Infinity]);
+    assert.deepStrictEqual(parts(Complex.parse("1 + 2i", { dialect: 'matlab' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("3 - 4*i", { dialect: 'matlab' })), [3, -4]);
+    assert.deepStrictEqual(parts(Complex.parse("Complex[1, 2]", { dialect: 'mathematica' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("1 + 2 I", { dialect: 'mathematica' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("1. - 1.5*^-3*I", { dialect: 'mathematica' })), [1, -0.0015]);
+    assert.deepStrictEqual(parts(Complex.parse("1 + 2im", { dialect: 'julia' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("1.0 - Inf*im", { dialect: 'julia' })), [1, -Infinity]);
+    assert.deepStrictEqual(parts(Complex.parse("(1.0,2.0)", { dialect: 'fortran' })), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("(1.0D0, 2.5D-3)", { dialect: 'fortran' })), [1, 0.0025]);
+  });
+
+  it("should detect the dialect", function () {
+    assert.deepStrictEqual(parts(Complex.parse("(1+2j)")), [1, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("3 - 4*i")), [3, -4]);
+    assert.deepStrictEqual(parts(Complex.parse("Complex[1, -2]")), [1, -2]);
+    assert.deepStrictEqual(parts(Complex.parse("2 I")), [0, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("-2.5im")), [0, -2.5]);
+    assert.deepStrictEqual(parts(Complex.parse("(1.E5,2.)")), [100000, 2]);
+    assert.deepStrictEqual(parts(Complex.parse("5 - i")), [5, -1]);
+    assert.strictEqual(Complex.parse("2∠90°").toString(), "2i");
+    assert.strictEqual(Complex.parse([3, 4]).toString(), "3 + 4i");
+  });
+
+  it("should report strings not in the dialect", function () {
+    assert.throws(function () { Complex.parse("(1+2i)", { dialect: 'python' }); }, function (e) {
+      return e instanceof Complex.ComplexParseError && e.reason === 'UNEXPECTED_TOKEN' && e.offset === 2;
+    });
+    assert.throws(function () { Complex.parse("1 +", { dialect: 'julia' }); }, function (e) {
+      return e.reason === 'DANGLING_SIGN' && e.offset === 2;
+    });
+    assert.throws(function () { Complex.parse("1", { dialect: 'cobol' }); }, /Unknown dialect/);
+  });
+
+  it("should write the dialects", function () {
+    assert.strictEqual(Complex(1, 2).toString({ dialect: 'python' }), "(1+2j)");
+    assert.strictEqual(Complex(0, -2).toString({ dialect: 'python' }), "-2j");
+    assert.strictEqual(Complex(1e-7, NaN).toString({ dialect: 'python' }), "(1e-07+nanj)");
+    assert.strictEqual(Complex(1, -2).toString({ dialect: 'matlab' }), "1 - 2i");
+    assert.strictEqual(Complex(1, NaN).toString({ dialect: 'matlab' }), "complex(1, NaN)");
+    assert.strictEqual(Complex(1, 2).toString({ dialect: 'mathematica' }), "Complex[1, 2]");
+    assert.strictEqual(Complex(1.5e-20, 1).toString({ dialect: 'mathematica' }), "Complex[1.5*^-20, 1]");
+    assert.strictEqual(Complex(1, -2).toString({ dialect: 'julia' }), "1.0 - 2.0im");
+    assert.strictEqual(Complex(Infinity, -Infinity).toString({ dialect: 'julia' }), "Inf - Inf*im");
+    assert.strictEqual(Complex(1, 2e-30).toString({ dialect: 'fortran' }), "(1.0,2E-30)");
+    assert.strictEqual(Complex(1 / 3, 2).toString({ dialect: 'fortran', precision: 3 }), "(0.333,2.0)");
+  });
+
+  it("should write the infinities of mathematica", function () {
+    var o = { dialect: 'mathematica' };
+    assert.strictEqual(Complex(NaN, 1).toString(o), "Indeterminate");
+    assert.strictEqual(Complex.INFINITY.toString(o), "ComplexInfinity");
+    assert.strictEqual(Complex(-Infinity, 0).toString(o), "DirectedInfinity[-1]");
+    assert.strictEqual(Complex(2, -Infinity).toString(o), "DirectedInfinity[-I]");
+    assert.strictEqual(Complex(-Infinity, Infinity).toString(o), "DirectedInfinity[-1 + I]");
+
+    var values = [Complex(NaN, NaN), Complex.INFINITY, Complex(Infinity, 0), Complex(-Infinity, 0), Complex(0, Infinity),
+      Complex(0, -Infinity), Complex(Infinity, -Infinity), Complex(-Infinity, -Infinity)];
+    for (var i = 0; i < values.length; i++) {
+      var z = Complex.parse(values[i].toString(o), o);
+      assert.deepStrictEqual([z.re, z.im], [values[i].re, values[i].im], values[i].toString(o));
+    }
+  });
+
+  it("should round trip exactly", function () {
+    var values = [Complex(1, 2), Complex(0, -2), Complex(-0, 1), Complex(0.1, 1e21), Complex(Math.PI, -Math.E), Complex(1.5e-20, -0)];
+    var dialects = ['python', 'julia', 'fortran'];
+
+    for (var i = 0; i < dialects.length; i++) {
+      for (var j = 0; j < values.length; j++) {
+        var z = Complex.parse(values[j].toString({ dialect: dialects[i] }), { dialect: dialects[i] });
+        assert(Object.is(z.re, values[j].re) && Object.is(z.im, values[j].im), dialects[i] + " " + values[j]);
+      }
+    }
+  });
+});
+
+describe("ComplexArray", function () {
+
+  var ComplexArray = Complex.ComplexArray;
+
+  function strings(x) {
+    return x.toArray().map(String);
+  }
+
+  it("should create arrays", function () {
+    var x = new ComplexArray(3);
+    assert.strictEqual(x.length, 3);
+    assert.strictEqual(x.layout, 'interleaved');
+    assert.deepStrictEqual(Array.from(x.data), [0, 0, 0, 0, 0, 0]);
+
+    x = ComplexArray.from(['1+2i', 3, [0, 1], { abs: 2, arg: Math.PI }], { layout: 'split' });
+    assert.deepStrictEqual(Array.from(x.real), [1, 3, 0, -2]);
+    assert.strictEqual(x.data, null);
+    assert.deepStrictEqual(strings(ComplexArray.from('1+2i, 3-i; 4\n-i')), ['1 + 2i', '3 - i', '4', '-i']);
+    assert.strictEqual(ComplexArray.from('').length, 0);
+    assert.deepStrictEqual(strings(ComplexArray.from(new Set([1, 'i']))), ['1', 'i']);
+    assert.deepStrictEqual(strings(new ComplexArray(x)), ['1 + 2i', '3', 'i', '-2']);
+    assert.strictEqual(x.clone({ layout: 'interleaved' }).data.length, 8);
+
+    assert.throws(function () { new ComplexArray(2, { layout: 'diagonal' }); }, /Unknown layout/);
+    [1.5, -1, NaN, Infinity].forEach(function (n) {
+      assert.throws(function () { new ComplexArray(n); }, RangeError, String(n));
+    });
+    assert.throws(function () { new ComplexArray({ length: -2 }); }, /Invalid ComplexArray length: -2/);
+    assert.strictEqual(new ComplexArray(0).length, 0);
+    assert.throws(function () { ComplexArray.from(['1+', 2]); }, Complex.ComplexParseError);
+  });
+
+  it("should share the buffers", function () {
+    var data = new Float64Array([1, 2, 3, 4]);
+    var x = ComplexArray.fromInterleaved(data);
+
+    assert.deepStrictEqual(strings(x), ['1 + 2i', '3 + 4i']);
+    x.set(1, '5i');
+    assert.deepStrictEqual(Array.from(data), [1, 2, 0, 5]);
+
+    var re = new Float64Array([1, 2]);
+    var y = ComplexArray.fromSplit(re);
+    y.set(0, 7, 8);
+    assert.strictEqual(re[0], 7);
+    assert.deepStrictEqual(Array.from(y.imag), [8, 0]);
+
+    assert.throws(function () { ComplexArray.fromInterleaved([1, 2, 3]); }, RangeError);
+    assert.throws(function () { ComplexArray.fromSplit([1, 2], [3]); }, RangeError);
+  });
+
+  it("should access elements", function () {
+    var x = ComplexArray.from([1, '2-i']);
+
+    assert(x.get(1).equals(2, -1));
+    assert.strictEqual(x.get(2), undefined);
+    assert.strictEqual(x.get(-1), undefined);
+    assert.throws(function () { x.set(2, 1); }, RangeError);
+    assert.deepStrictEqual(Array.from(x).map(String), ['1', '2 - i']);
+  });
+
+  it("should work like the scalar methods", function () {
+    var values = [0, 1, -2, '3-4i', '-0.5+0.25i', 'i', Infinity, Complex.INFINITY, NaN, [-0, 0]];
+    var names = ['exp', 'expm1', 'log', 'log1p', 'log10', 'log2', 'sqrt', 'cbrt', 'sign', 'inverse', 'conjugate', 'neg',
+      'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'asin', 'acos', 'atan', 'acot', 'asec', 'acsc',
+      'sinh', 'cosh', 'tanh', 'coth', 'csch', 'sech', 'asinh', 'acosh', 'atanh', 'acoth', 'acsch', 'asech'];
+    var x = ComplexArray.from(values);
+    var y = ComplexArray.from(values.slice().reverse(), { layout: 'split' });
+
+    function same(z, a) {
+      return Object.is(z.re, a.re) && Object.is(z.im, a.im);
+    }
+
+    for (var i = 0; i < names.length; i++) {
+      var res = x[names[i]]();
+      for (var k = 0; k < values.length; k++) {
+        assert(same(res.get(k), new Complex(values[k])[names[i]]()), names[i] + "(" + values[k] + ")");
+      }
+    }
+
+    ['add', 'sub', 'mul', 'div', 'pow'].forEach(function (name) {
+      var res = x[name](y);
+      for (var k = 0; k < values.length; k++) {
+        assert(same(res.get(k), x.get(k)[name](y.get(k))), name + " " + k);
+      }
+      res = y[name]('2-i');
+      for (var k = 0; k < values.length; k++) {
+        assert(same(res.get(k), y.get(k)[name]('2-i')), name + " " + k);
+      }
+    });
+
+    var abs = x.abs();
+    var arg = x.arg();
+    for (var k = 0; k < values.length; k++) {
+      assert(Object.is(abs[k], x.get(k).abs()));
+      assert(Object.is(arg[k], x.get(k).arg()));
+    }
+  });
+
+  it("should write into preallocated arrays", function () {
+    var x = ComplexArray.from([1, 'i', '1-i']);
+    var out = new ComplexArray(3, { layout: 'split' });
+
+    assert.strictEqual(x.mul(x, out), out);
+    assert.deepStrictEqual(strings(out), ['1', '-1', '-2i']);
+    assert.strictEqual(x.exp(x), x);
+    assert(x.get(0).equals(Math.E, 0));
+
+    var abs = new Float64Array(3);
+    assert.strictEqual(out.abs(abs), abs);
+    assert.deepStrictEqual(Array.from(abs), [1, 1, 2]);
+
+    assert.deepStrictEqual(strings(x.map(function (z, k) { return k; })), ['0', '1', '2']);
+    assert.throws(function () { x.add(new ComplexArray(2)); }, RangeError);
+    assert.throws(function () { x.add(1, new ComplexArray(4)); }, RangeError);
+    assert.throws(function () { x.abs(new Float64Array(2)); }, RangeError);
+  });
+});
+
+describe("Complex fft", function () {
+
+  function dft(x, sign) {
+    var n = x.length;
+    return x.map(function (_, k) {
+      var sum = Complex.ZERO;
+      for (var j = 0; j < n; j++) {
+        sum = sum.add(new Complex(x[j]).mul(new Complex(0, sign * 2 * Math.PI * ((j * k) % n) / n).exp()));
+      }
+      return sum;
+    });
+  }
+
+  // Compares the elements of a transform with the absolute distance eps
+  function closeAll(actual, expected, eps) {
+    assert.strictEqual(actual.length, expected.length);
+    for (var k = 0; k < expected.length; k++) {
+      var a = actual instanceof Complex.ComplexArray ? actual.get(k) : new Complex(actual[k]);
+      assert(a.sub(expected[k]).abs() < eps, k + ": " + a + " != " + expected[k]);
+    }
+  }
+
+  function signal(n) {
+    var x = [];
+    for (var i = 0; i < n; i++) {
+      x.push(new Complex(Math.sin(1.3 * i) + i % 3, Math.cos(i * i)));
+    }
+    return x;
+  }
+
+  it("should transform small sequences exactly", function () {
+    assert.deepStrictEqual(Complex.fft([1, 2, 3, 4]).toArray().map(String), ['10', '-2 + 2i', '-2', '-2 - 2i']);
+    assert.deepStrictEqual(Complex.fft(['i']).toArray().map(String), ['i']);
+    assert.strictEqual(Complex.fft([]).length, 0);
+  });
+
+  it("should agree with a naive DFT for any length", function () {
+    [2, 3, 5, 7, 8, 12, 16, 17, 64, 100].forEach(function (n) {
+      var x = signal(n);
+      closeAll(Complex.fft(x), dft(x, -1), 1e-12);
+      closeAll(Complex.ifft(Complex.fft(x)), x, 1e-13);
+    });
+  });
+
+  it("should take different inputs", function () {
+    var x = signal(6);
+    var X = dft(x, -1);
+    closeAll(Complex.fft(Complex.ComplexArray.from(x)), X, 1e-13);
+    closeAll(Complex.fft(Complex.ComplexArray.from(x, { layout: 'split' })), X, 1e-13);
+    closeAll(Complex.fft(x.map(String)), X, 1e-13);
+    closeAll(Complex.fft(new Float32Array([1, 2, 3])), dft([1, 2, 3], -1), 1e-13);
+
+    var out = new Complex.ComplexArray(6);
+    assert.strictEqual(Complex.fft(x, { out: out }), out);
+    closeAll(out, X, 1e-13);
+    assert.throws(function () { Complex.fft(x, { out: new Complex.ComplexArray(5) }); }, RangeError);
+    assert.throws(function () { Complex.fft(42); }, TypeError);
+  });
+
+  it("should normalize", function () {
+    var x = signal(5);
+    var X = dft(x, -1);
+    var s = 1 / Math.sqrt(5);
+
+    closeAll(Complex.fft(x, { norm: 'ortho' }), X.map(function (z) { return z.mul(s); }), 1e-13);
+    closeAll(Complex.fft(x, { norm: 'forward' }), X.map(function (z) { return z.div(5); }), 1e-13);
+    closeAll(Complex.ifft(Complex.fft(x, { norm: 'ortho' }), { norm: 'ortho' }), x, 1e-13);
+    closeAll(Complex.ifft(Complex.fft(x, { norm: 'forward' }), { norm: 'forward' }), x, 1e-13);
+    assert.throws(function () { Complex.fft(x, { norm: 'none' }); }, /Unknown normalization/);
+  });
+
+  it("should follow the rules of Complex for infinity and NaN", function () {
+    assert.deepStrictEqual(Complex.fft([1, Infinity, 3]).toArray().map(String), ['Infinity', 'Infinity', 'Infinity']);
+    assert.deepStrictEqual(Complex.fft([1, Infinity, Infinity, 2]).toArray().map(String), dft([1, Infinity, Infinity, 2], -1).map(String));
+    assert.deepStrictEqual(Complex.fft([NaN, 1]).toArray().map(String), dft([NaN, 1], -1).map(String));
+    assert.deepStrictEqual(Complex.fft([NaN, NaN, 1]).toArray().map(String), dft([NaN, NaN, 1], -1).map(String));
+    assert.deepStrictEqual(Complex.ifft([Infinity, 1, new Complex(1, NaN)]).toArray().map(String), dft([Infinity, 1, new Complex(1, NaN)], 1).map(String));
+  });
+
+  it("should stay fast for a single infinite sample", function () {
+    this.timeout(500);
+    var x = new Array(8192).fill(1);
+    x[100] = NaN;
+    var y = Complex.fft(x).toArray();
+    assert.strictEqual(y.length, 8192);
+    assert(y.every(function (z) { return z.toString() === "Infinity"; }));
+  });
+
+  it("should transform real samples", function () {
+    [1, 2, 5, 8, 9, 16, 30].forEach(function (n) {
+      var x = signal(n).map(function (z) { return z.re; });
+      var X = dft(x, -1).slice(0, (n >> 1) + 1);
+
+      closeAll(Complex.rfft(x), X, 1e-12);
+      closeAll(Complex.rfft(new Float64Array(x), { norm: 'ortho' }), X.map(function (z) { return z.div(Math.sqrt(n)); }), 1e-12);
+      closeAll(Complex.irfft(Complex.rfft(x), { n: n }), x, 1e-13);
+    });
+    assert(Complex.irfft(Complex.rfft([1, 2, 3, 4])) instanceof Float64Array);
+    assert.throws(function () { Complex.rfft(['1+i']); }, TypeError);
+  });
+
+  it("should transform matrices", function () {
+    var X = Complex.fft2([[1, 2], [3, 4]]);
+    assert.deepStrictEqual(X.map(function (row) { return row.toArray().map(String); }), [['10', '-2'], ['-4', '0']]);
+
+    var m = [signal(3), signal(4).slice(1), signal(5).slice(2)];
+    var Y = Complex.ifft2(Complex.fft2(m));
+    for (var j = 0; j < m.length; j++) {
+      closeAll(Y[j], m[j], 1e-13);
+    }
+
+    // Columns of the row transforms
+    var rows = m.map(function (row) { return dft(row, -1); });
+    var Z = Complex.fft2(m);
+    for (var k = 0; k < 3; k++) {
+      closeAll(Z.map(function (row) { return row.get(k); }), dft(rows.map(function (row) { return row[k]; }), -1), 1e-12);
+    }
+    assert.throws(function () { Complex.fft2([[1, 2], [3]]); }, RangeError);
+  });
+});
+
+describe("Complex gamma", function () {
+
+  it("should calculate gamma at known values", function () {
+    assert.strictEqual(new Complex(5).gamma().toString(), "24");
+    assert.strictEqual(new Complex(1).gamma().toString(), "1");
+    assert.strictEqual(new Complex(171).gamma().re, 7.257415615307994e306);
+    close(new Complex(0.5).gamma(), Math.sqrt(Math.PI), 1e-14);
+    close(new Complex(-0.5).gamma(), -2 * Math.sqrt(Math.PI), 1e-14);
+    close(new Complex(4.5).gamma(), 11.631728396567446, 1e-14);
+    close(Complex.I.gamma(), { re: -0.15494982830181069, im: -0.49801566811835604 }, 1e-14);
+    close(new Complex(1, 1).gamma(), { re: 0.49801566811835604, im: -0.15494982830181069 }, 1e-14);
+    close(new Complex(-1 + 1e-10).gamma(), -9999999173.019146, 1e-14);
+    close(new Complex(1e-8).gamma(), 99999999.42278434, 1e-14);
+  });
+
+  it("should satisfy the functional equations", function () {
+    var values = [new Complex(0.3, 0.2), new Complex(-3.7, 1.5), new Complex(2.5, -4), new Complex(-12.3, -0.7), new Complex(7, 9)];
+
+    for (var i = 0; i < values.length; i++) {
+      var z = values[i];
+      // Γ(z + 1) = z Γ(z)
+      close(z.add(1).gamma(), z.mul(z.gamma()), 1e-13);
+      // Γ(z) Γ(1 - z) = π / sin(πz)
+      close(z.gamma().mul(new Complex(1).sub(z).gamma()), new Complex(Math.PI).div(z.mul(Math.PI).sin()), 1e-13);
+      // Γ(conj z) = conj Γ(z)
+      close(z.conjugate().gamma(), z.gamma().conjugate(), 1e-15);
+      close(z.rgamma().mul(z.gamma()), 1, 1e-14);
+      close(z.factorial(), z.add(1).gamma(), 1e-15);
+    }
+  });
+
+  it("should handle poles, overflow and underflow", function () {
+    assert.strictEqual(Complex.ZERO.gamma(), Complex.INFINITY);
+    assert.strictEqual(new Complex(-3).gamma(), Complex.INFINITY);
+    assert.strictEqual(new Complex(-3).lgamma(), Complex.INFINITY);
+    assert.strictEqual(new Complex(-3).rgamma().toString(), "0");
+    assert.strictEqual(new Complex(200).gamma().re, Infinity);
+    assert.strictEqual(new Complex(200).rgamma().re, 0);
+    assert.deepStrictEqual([new Complex(-180.5).rgamma().re, new Complex(-180.5).rgamma().im], [-Infinity, 0]);
+    assert.deepStrictEqual([new Complex(-1000.5).rgamma().re, new Complex(-1000.5).rgamma().im], [-Infinity, 0]);
+    assert.deepStrictEqual([new Complex(-181.5).rgamma().re, new Complex(-181.5).rgamma().im], [Infinity, 0]);
+    close(new Complex(100.5).rgamma(), 1.0728505078643488e-157, 1e-14);
+    close(new Complex(100.5, 0.5).rgamma(), new Complex(-7.177803088757035e-158, -7.991750276304491e-158), 1e-14);
+    close(new Complex(150, -30).rgamma(), new Complex(4.851871016628531e-260, -1.9297377031998515e-260), 1e-14);
+    assert.notStrictEqual(new Complex(0.3, 250).gamma().re, 0);
+    assert.strictEqual(new Complex(Infinity).gamma().re, Infinity);
+    assert(Complex.NAN.gamma().isNaN());
+    assert(new Complex(-1).factorial() === Complex.INFINITY);
+  });
+
+  it("should calculate the principal branch of log gamma", function () {
+    close(new Complex(0.5).lgamma(), 0.5723649429247001, 1e-14);
+    close(new Complex(1).lgamma(), 0, 1e-17);
+    close(new Complex(2).lgamma(), 0, 1e-17);
+    close(new Complex(1.1).lgamma(), -0.04987244125983976, 2e-16);
+    close(new Complex(2.05).lgamma(), 0.02193709166717175, 1e-16);
+    close(new Complex(1, 1).lgamma(), { re: -0.6509231993018563, im: -0.3016403204675331 }, 1e-15);
+    close(new Complex(-0.5).lgamma(), { re: 1.2655121234846454, im: -Math.PI }, 1e-14);
+    close(new Complex(-2.5).lgamma(), { re: -0.05624371649767457, im: -3 * Math.PI }, 1e-14);
+    assert.strictEqual(new Complex(1e300).lgamma().re, 1e300 * (Math.log(1e300) - 1));
+
+    // log Γ(z + 1) = log Γ(z) + log z holds on the principal branch, unlike with log(Γ(z))
+    var values = [new Complex(-7.3, 0.2), new Complex(-7.3, -0.2), new Complex(-0.5, 3), new Complex(0.2, -12), new Complex(25, 1)];
+    for (var i = 0; i < values.length; i++) {
+      var z = values[i];
+      close(z.add(1).lgamma(), z.lgamma().add(z.log()), 1e-14);
+      close(z.lgamma().exp(), z.gamma(), 1e-13);
+    }
+  });
+});
+
+describe("Complex digamma and beta", function () {
+
+  var EULER = 0.5772156649015329;
+  var ZETA3 = 1.2020569031595942;
+
+  it("should calculate digamma at known values", function () {
+    close(new Complex(1).digamma(), -EULER, 1e-14);
+    close(new Complex(0.5).digamma(), -EULER - 2 * Math.LN2, 1e-15);
+    close(new Complex(-0.5).digamma(), 2 - EULER - 2 * Math.LN2, 1e-13);
+    close(new Complex(100).digamma(), 4.600161852738087, 1e-15);
+    // Im ψ(iy) = 1 / 2y + π / 2 coth(πy), the real part has no closed form
+    close(new Complex(0, 2).digamma(), new Complex(0.7145915153739775, 0.25 + Math.PI / 2 / Math.tanh(2 * Math.PI)), 1e-15);
+  });
+
+  it("should calculate polygamma at known values", function () {
+    close(new Complex(1).polygamma(1), Math.PI * Math.PI / 6, 1e-15);
+    close(new Complex(0.5).polygamma(2), -14 * ZETA3, 1e-14);
+    close(new Complex(1).polygamma(3), Math.pow(Math.PI, 4) / 15, 1e-14);
+    close(new Complex(0.8).polygamma(8), -300614.7698734006, 1e-14);
+    close(new Complex(1.8).polygamma(5), 3.832326083992484, 1e-14);
+    close(new Complex(2, 1).polygamma(0), new Complex(2, 1).digamma(), 0);
+    close(new Complex(2, 1).polygamma('1'), new Complex(2, 1).polygamma(1), 0);
+  });
+
+  it("should satisfy the recurrence and reflection", function () {
+    var values = [new Complex(0.3, 0.2), new Complex(-3.7, 1.5), new Complex(2.5, -4), new Complex(-12.3, -0.7), new Complex(7, 9)];
+    var fac = [1, 1, 2, 6, 24];
+
+    for (var i = 0; i < values.length; i++) {
+      var z = values[i];
+      for (var n = 0; n <= 4; n++) {
+        // ψ⁽ⁿ⁾(z + 1) = ψ⁽ⁿ⁾(z) + (-1)ⁿ n! / z^(n+1)
+        close(z.add(1).polygamma(n), z.polygamma(n).add(z.pow(-n - 1).mul(n % 2 ? -fac[n] : fac[n])), 1e-12);
+      }
+      // ψ(1 - z) - ψ(z) = π cot(πz)
+      close(new Complex(1).sub(z).digamma().sub(z.digamma()), z.mul(Math.PI).cot().mul(Math.PI), 1e-13);
+      close(z.conjugate().digamma(), z.digamma().conjugate(), 1e-15);
+    }
+  });
+
+  it("should handle poles and invalid orders", function () {
+    assert.strictEqual(Complex.ZERO.digamma(), Complex.INFINITY);
+    assert.strictEqual(new Complex(-4).digamma(), Complex.INFINITY);
+    assert.strictEqual(new Complex(-4).polygamma(2), Complex.INFINITY);
+    assert(new Complex(2).polygamma(-1).isNaN());
+    assert(new Complex(2).polygamma(1.5).isNaN());
+    assert(Complex.NAN.digamma().isNaN());
+    assert.strictEqual(new Complex(Infinity).digamma().re, Infinity);
+  });
+
+  it("should calculate beta", function () {
+    close(Complex.beta(2, 3), 1 / 12, 1e-15);
+    close(Complex.beta(0.5, 0.5), Math.PI, 1e-14);
+    close(Complex.beta(-0.5, 2), -4, 1e-14);
+    close(Complex.beta(new Complex(1, 1), new Complex(2, -1)), new Complex(1, 1).gamma().mul(new Complex(2, -1).gamma()).div(new Complex(3).gamma()), 1e-14);
+    close(Complex.beta(1e10, 2), 1 / (1e10 * (1e10 + 1)), 1e-14);
+    close(Complex.beta(300, 400), Complex.lbeta(300, 400).exp(), 1e-12);
+    assert(Complex.beta(300, 400).re > 0);
+    assert.strictEqual(Complex.beta(-1, 2), Complex.INFINITY);
+    assert.strictEqual(Complex.lbeta(0, 2), Complex.INFINITY);
+  });
+
+  it("should calculate log beta", function () {
+    close(Complex.lbeta(2, 3), -Math.log(12), 1e-15);
+    close(Complex.lbeta(1e10, 2), -Math.log(1e10) - Math.log(1e10 + 1), 1e-15);
+    close(Complex.lbeta('1e6+2i', 3), Complex.lbeta(3, '1e6+2i'), 0);
+    close(Complex.lbeta(new Complex(20, 5), new Complex(15, -3)), new Complex(20, 5).lgamma().add(new Complex(15, -3).lgamma()).sub(new Complex(35, 2).lgamma()), 1e-13);
+    close(Complex.lbeta(new Complex(0.5, 2), new Complex(-1.5, 1)).exp(), Complex.beta(new Complex(0.5, 2), new Complex(-1.5, 1)), 1e-13);
+  });
+});
+
+describe("Complex zeta", function () {
+
+  it("should calculate zeta at known values", function () {
+    close(new Complex(2).zeta(), Math.PI * Math.PI / 6, 1e-15);
+    close(new Complex(4).zeta(), Math.pow(Math.PI, 4) / 90, 1e-15);
+    close(new Complex(3).zeta(), 1.2020569031595942, 1e-15);
+    close(new Complex(0.5).zeta(), -1.4603545088095868, 1e-15);
+    close(new Complex(1.1).zeta(), 10.584448464950809, 1e-15);
+    close(new Complex(0).zeta(), -0.5, 1e-15);
+    close(new Complex(-1).zeta(), -1 / 12, 1e-15);
+    close(new Complex(-3).zeta(), 1 / 120, 1e-14);
+    close(new Complex(-11).zeta(), 691 / 32760, 1e-14);
+    close(new Complex(60).zeta(), 1, 0);
+    assert.strictEqual(new Complex(-2).zeta().toString(), "0");
+    assert.strictEqual(new Complex(-40).zeta().re, 0);
+    assert.strictEqual(new Complex(-7).zeta().im, 0);
+    assert.strictEqual(new Complex(1).zeta(), Complex.INFINITY);
+  });
+
+  it("should return quickly for large arguments", function () {
+    this.timeout(500);
+    assert.strictEqual(new Complex(1e7).zeta().toString(), "1");
+    assert.strictEqual(new Complex(1e15).zeta().toString(), "1");
+    assert.strictEqual(new Complex(1e300).zeta().toString(), "1");
+    assert.strictEqual(Complex.hurwitzZeta(1e15, 1).toString(), "1");
+    close(Complex.hurwitzZeta(80, 0.5), Math.pow(2, 80), 1e-15);
+    var z = new Complex(61, 3).zeta();
+    assert.strictEqual(z.re, 1);
+    close(new Complex(z.im), -3.7877907484687003e-19, 1e-15);
+    assert(new Complex(0, 1e300).zeta().isNaN());
+    assert(new Complex(-1e15).xi().isInfinite());
+  });
+
+  it("should find the zeros on the critical line", function () {
+    assert(new Complex(0.5, 14.134725141734693).zeta().abs() < 1e-14);
+    assert(new Complex(0.5, 21.022039638771555).zeta().abs() < 1e-14);
+    assert(new Complex(0.5, -25.010857580145688).zeta().abs() < 1e-14);
+    assert(new Complex(0.5, 14.2).zeta().abs() > 0.01);
+  });
+
+  it("should satisfy the functional equation", function () {
+    var values = [new Complex(-3.3, 5), new Complex(-0.5, -2), new Complex(-12.7, 0.1), new Complex(0.2, 30)];
+
+    for (var i = 0; i < values.length; i++) {
+      var s = values[i];
+      var t = new Complex(1).sub(s);
+      // ζ(s) = 2^s π^(s-1) sin(πs/2) Γ(1 - s) ζ(1 - s)
+      close(s.zeta(), new Complex(2).pow(s).mul(new Complex(Math.PI).pow(s.sub(1))).mul(s.mul(Math.PI / 2).sin()).mul(t.gamma()).mul(t.zeta()), 1e-12);
+      close(s.conjugate().zeta(), s.zeta().conjugate(), 1e-15);
+    }
+  });
+
+  it("should calculate eta and xi", function () {
+    close(new Complex(1).eta(), Math.LN2, 0);
+    close(new Complex(1 + 1e-9).eta(), Math.LN2, 1e-9);
+    close(new Complex(0).eta(), 0.5, 1e-15);
+    close(new Complex(2).eta(), Math.PI * Math.PI / 12, 1e-15);
+    close(new Complex(-1).eta(), 0.25, 1e-15);
+    close(new Complex(3, 4).eta(), new Complex(1).sub(new Complex(2).pow(new Complex(-2, -4))).mul(new Complex(3, 4).zeta()), 1e-15);
+
+    close(new Complex(0).xi(), 0.5, 0);
+    close(new Complex(1).xi(), 0.5, 0);
+    close(new Complex(2).xi(), Math.PI / 6, 1e-15);
+    close(new Complex(0.3, 2).xi(), new Complex(0.7, -2).xi(), 1e-15);
+    close(new Complex(-2).xi(), new Complex(3).xi(), 1e-15);
+    assert(new Complex(0.5, 14.134725141734693).xi().abs() < 1e-17);
+  });
+
+  it("should calculate the Hurwitz zeta function", function () {
+    close(Complex.hurwitzZeta(2, 1), Math.PI * Math.PI / 6, 1e-15);
+    close(Complex.hurwitzZeta(2), Math.PI * Math.PI / 6, 1e-15);
+    close(Complex.hurwitzZeta(2, 0.5), Math.PI * Math.PI / 2, 1e-15);
+    // ζ(s, 1/2) = (2^s - 1) ζ(s)
+    close(Complex.hurwitzZeta(new Complex(0.5, 3), 0.5), new Complex(2).pow(new Complex(0.5, 3)).sub(1).mul(new Complex(0.5, 3).zeta()), 1e-14);
+    // ζ(s, a) = ζ(s, a + 1) + a^-s
+    var s = new Complex(2.5, -1);
+    var a = new Complex(0.3, 0.7);
+    close(Complex.hurwitzZeta(s, a), Complex.hurwitzZeta(s, a.add(1)).add(a.pow(s.neg())), 1e-14);
+    close(Complex.hurwitzZeta(s, -2.5), Complex.hurwitzZeta(s, 0.5).add(new Complex(-2.5).pow(s.neg())).add(new Complex(-1.5).pow(s.neg())).add(new Complex(-0.5).pow(s.neg())), 1e-14);
+    // ψ⁽ⁿ⁾(z) = (-1)^(n+1) n! ζ(n + 1, z)
+    close(Complex.hurwitzZeta(3, new Complex(1.5, 2)).mul(-2), new Complex(1.5, 2).polygamma(2), 1e-14);
+
+    assert.strictEqual(Complex.hurwitzZeta(1, 2), Complex.INFINITY);
+    assert.strictEqual(Complex.hurwitzZeta(2, -3), Complex.INFINITY);
+    assert(Complex.hurwitzZeta(2, NaN).isNaN());
+  });
+});
+
+describe("Complex erf", function () {
+
+  it("should calculate erf and erfc on the real axis", function () {
+    close(new Complex(1).erf(), 0.8427007929497149, 1e-15);
+    close(new Complex(0.3).erf(), 0.32862675945912742, 1e-15);
+    close(new Complex(-2).erf(), -0.9953222650189527, 1e-15);
+    close(new Complex(1e-20).erf(), 1.1283791670955126e-20, 1e-15);
+    close(new Complex(5).erfc(), 1.5374597944280349e-12, 1e-14);
+    close(new Complex(10).erfc(), 2.088487583762545e-45, 1e-14);
+    close(new Complex(-1).erfc(), 1.8427007929497148, 1e-15);
+    assert.strictEqual(new Complex(0).erf().toString(), "0");
+    assert.strictEqual(new Complex(3).erf().im, 0);
+    assert.strictEqual(new Complex(Infinity, 0).erf().re, 1);
+    assert.strictEqual(new Complex(30).erfc().re, 0);
+  });
+
+  it("should calculate erf in the complex plane", function () {
+    close(new Complex(1, 1).erf(), new Complex(1.3161512816979476, 0.19045346923783471), 1e-15);
+    close(new Complex(-1, -1).erf(), new Complex(-1.3161512816979476, -0.19045346923783471), 1e-15);
+    close(new Complex(1, -1).erf(), new Complex(1.3161512816979476, -0.19045346923783471), 1e-15);
+    close(new Complex(0, 1).erf(), new Complex(0, 1.6504257587975428), 1e-15);
+    assert.strictEqual(new Complex(0, 3).erf().re, 0);
+  });
+
+  it("should keep the relative accuracy of erf close to the imaginary axis", function () {
+    // Re erf(x + iy) = 2x/√π exp(y²) (1 + O(x y)) for small x
+    var z = new Complex(1e-12, 5).erf();
+    assert(Math.abs(z.re / (2e-12 / Math.sqrt(Math.PI) * Math.exp(25)) - 1) < 1e-10);
+    close(new Complex(z.im), new Complex(0, 5).erf().im, 1e-15);
+  });
+
+  it("should satisfy erf(z) + erfc(z) = 1", function () {
+    var zs = [[0.2, 0.1], [1.5, -2], [-3, 0.5], [4, 4], [0.7, 6.5], [-0.1, -3]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      assert(z.erf().add(z.erfc()).sub(1).abs() <= 1e-15 * Math.max(1, z.erf().abs()), z.toString());
+    }
+  });
+
+  it("should calculate the Faddeeva function", function () {
+    assert.strictEqual(new Complex(0).faddeeva().toString(), "1");
+    close(new Complex(0, 1).faddeeva(), 0.42758357615580700, 1e-15);
+    close(new Complex(1).faddeeva(), new Complex(Math.exp(-1), 2 / Math.sqrt(Math.PI) * 0.5380795069127684), 1e-15);
+    close(new Complex(0, 10).faddeeva(), 0.05614099274382259, 1e-15);
+    assert.strictEqual(new Complex(0, 2).faddeeva().im, 0);
+    assert.strictEqual(new Complex(Infinity, 1).faddeeva().toString(), "0");
+    assert.strictEqual(new Complex(NaN, 1).faddeeva(), Complex.NAN);
+  });
+
+  it("should satisfy w'(z) = 2i/√π - 2z w(z)", function () {
+    var zs = [[0.3, 0.2], [2, 5.9], [2, 6.1], [-4, 1], [1, -1], [7, 0.01]];
+    for (var i = 0; i < zs.length; i++) {
+      var x = zs[i][0], y = zs[i][1], h = 1e-6;
+      var z = new Complex(x, y);
+      var d = new Complex(x + h, y).faddeeva().sub(new Complex(x - h, y).faddeeva()).div(2 * h);
+      close(d, new Complex(0, 2 / Math.sqrt(Math.PI)).sub(z.mul(2).mul(z.faddeeva())), 1e-8);
+    }
+  });
+
+  it("should calculate erfcx without overflow", function () {
+    close(new Complex(1).erfcx(), 0.42758357615580700, 1e-15);
+    close(new Complex(100).erfcx(), 0.005641613782989433, 1e-15);
+    close(new Complex(1e10).erfcx(), 1 / (1e10 * Math.sqrt(Math.PI)), 1e-15);
+    close(new Complex(-2).erfcx(), 2 * Math.exp(4) - 0.2553956763105057, 1e-15);
+  });
+
+  it("should calculate erfi and dawson", function () {
+    close(new Complex(1).erfi(), 1.6504257587975428, 1e-15);
+    close(new Complex(0, 1).erfi(), new Complex(0, 0.8427007929497149), 1e-15);
+    close(new Complex(1).dawson(), 0.5380795069127684, 1e-15);
+    close(new Complex(10).dawson(), 0.05025384718759853, 1e-15);
+    close(new Complex(-0.2).dawson(), -0.1947510333680280, 1e-15);
+    assert.strictEqual(new Complex(2).dawson().im, 0);
+
+    var zs = [[0.6, 0.4], [2, 1], [-3, 2], [1.5, -0.5]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      close(z.dawson(), z.mul(z).neg().exp().mul(z.erfi()).mul(Math.sqrt(Math.PI) / 2), 1e-14);
+    }
+  });
+
+  it("should keep the relative accuracy of dawson close to the real axis", function () {
+    // Im D(x + iy) = y D'(x) = y (1 - 2x D(x)) for small y
+    var x = 2, y = 1e-12, d = new Complex(x).dawson().re;
+    close(new Complex(new Complex(x, y).dawson().im), y * (1 - 2 * x * d), 1e-12);
+  });
+});
+
+describe("Complex bessel", function () {
+
+  it("should calculate the Bessel functions of real order and argument", function () {
+    close(Complex.besselJ(0, 1), 0.76519768655796655, 1e-15);
+    close(Complex.besselY(0, 1), 0.088256964215676958, 1e-14);
+    close(Complex.besselJ(1, 1), 0.44005058574493352, 1e-15);
+    close(Complex.besselI(0, 1), 1.2660658777520083, 1e-15);
+    close(Complex.besselK(0, 1), 0.42102443824070833, 1e-15);
+    close(Complex.besselK(1, 1), 0.60190723019723457, 1e-15);
+    close(Complex.besselJ(0, 10), -0.24593576445134834, 1e-14);
+    close(Complex.besselY(0, 10), 0.055671167283599391, 1e-14);
+    close(Complex.besselJ(0, 50), 0.055812327669251815, 1e-14);
+    close(Complex.besselJ(-3.5, 2), -1.6749282997520558, 1e-14);
+    close(Complex.besselJ(10, 1000), -0.024520622306036558, 1e-14);
+
+    assert.strictEqual(Complex.besselJ(0, 1).im, 0);
+    assert.strictEqual(Complex.besselY(2.5, 3).im, 0);
+    assert.strictEqual(Complex.besselK(0.5, 2).im, 0);
+  });
+
+  it("should calculate the Bessel functions of complex order and argument", function () {
+    close(Complex.besselJ(new Complex(2.5, 1), new Complex(3, -2)), new Complex(1.1599906399945581, -2.4588994924659258), 1e-14);
+    close(Complex.besselY(new Complex(2.5, 1), new Complex(3, -2)), new Complex(-2.4856359849123708, -1.1700630863441804), 1e-14);
+    close(Complex.besselI(new Complex(-1.5, 0.5), new Complex(-2, 1)), new Complex(0.19258454330118895, 0.1453954466247866), 1e-14);
+    close(Complex.besselK(new Complex(0.3, 2), new Complex(4, 5)), new Complex(0.0034061774996312279, 0.0071401118201187903), 1e-14);
+    close(Complex.hankel1(3, new Complex(-2, 0.5)), new Complex(-0.32404259063636552, 0.83750517872860052), 1e-14);
+    close(Complex.hankel2(0.5, new Complex(10, -1)), new Complex(-0.046438495497310803, -0.080102557501056725), 1e-14);
+    close(Complex.besselY(-2, "3i"), new Complex(0.039158774070505981, -2.2452124409299512), 1e-14);
+  });
+
+  it("should agree with the closed forms of half-integer orders", function () {
+    var zs = [[0.5, 0], [2, 1], [-3, 0.5], [7, -4], [0.1, 20]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      var f = z.mul(Math.PI / 2).sqrt().inverse();
+      close(Complex.besselJ(0.5, z), z.sin().mul(f), 1e-14);
+      close(Complex.besselJ(-0.5, z), z.cos().mul(f), 1e-14);
+      close(Complex.besselI(0.5, z), z.sinh().mul(f), 1e-14);
+      close(Complex.besselK(0.5, z), z.neg().exp().mul(Math.PI / 2).mul(f), 1e-14);
+    }
+  });
+
+  it("should satisfy the Wronskians", function () {
+    var cases = [[0, 0, 1, 0], [2.3, 0, 4, 3], [-1.7, 0.6, -2, 5], [5.5, -1, 30, -1], [0.4, 2, 0.3, 0.1]];
+    for (var i = 0; i < cases.length; i++) {
+      var nu = new Complex(cases[i][0], cases[i][1]);
+      var z = new Complex(cases[i][2], cases[i][3]);
+      var n1 = nu.add(1);
+
+      // J_ν+1 Y_ν - J_ν Y_ν+1 = 2 / (πz) and I_ν K_ν+1 + I_ν+1 K_ν = 1 / z
+      var w = Complex.besselJ(n1, z).mul(Complex.besselY(nu, z)).sub(Complex.besselJ(nu, z).mul(Complex.besselY(n1, z)));
+      close(w, z.mul(Math.PI / 2).inverse(), 1e-12);
+      w = Complex.besselI(nu, z).mul(Complex.besselK(n1, z)).add(Complex.besselI(n1, z).mul(Complex.besselK(nu, z)));
+      close(w, z.inverse(), 1e-12);
+      close(Complex.hankel1(nu, z).add(Complex.hankel2(nu, z)).div(2), Complex.besselJ(nu, z), 1e-12);
+    }
+  });
+
+  it("should calculate the scaled functions", function () {
+    close(Complex.besselI(1, 700, { scaled: true }), 0.015070519444716847, 1e-14);
+    close(Complex.besselK(2, 800, { scaled: true }), 0.044415257759424543, 1e-14);
+    close(Complex.besselJ(0, "800i", { scaled: true }), 0.014106945005869184, 1e-14);
+    assert(!Complex.besselI(1, 800).isFinite());
+
+    var nu = new Complex(1.5, 0.5);
+    var z = new Complex(3, 4);
+    close(Complex.besselJ(nu, z, { scaled: true }), Complex.besselJ(nu, z).mul(Math.exp(-4)), 1e-14);
+    close(Complex.besselY(nu, z, { scaled: true }), Complex.besselY(nu, z).mul(Math.exp(-4)), 1e-14);
+    close(Complex.besselI(nu, z, { scaled: true }), Complex.besselI(nu, z).mul(Math.exp(-3)), 1e-14);
+    close(Complex.besselK(nu, z, { scaled: true }), Complex.besselK(nu, z).mul(z.exp()), 1e-14);
+    close(Complex.hankel1(nu, z, { scaled: true }), Complex.hankel1(nu, z).mul(z.mul(Complex.I).neg().exp()), 1e-14);
+    close(Complex.hankel2(nu, z, { scaled: true }), Complex.hankel2(nu, z).mul(z.mul(Complex.I).exp()), 1e-14);
+  });
+
+  it("should overflow with the right sign for large orders", function () {
+    function re(w) {
+      assert.strictEqual(w.im, 0);
+      return w.re;
+    }
+    assert.strictEqual(re(Complex.besselY(1e6, 0.5)), -Infinity);
+    assert.strictEqual(re(Complex.besselY(1000, 0.5, { scaled: true })), -Infinity);
+    assert.strictEqual(re(Complex.besselY(-1001, 0.5)), Infinity);
+    assert.strictEqual(re(Complex.besselY(-300.3, 0.5)), -Infinity);
+    assert.strictEqual(re(Complex.besselY(-300.7, 0.5)), Infinity);
+    assert.strictEqual(re(Complex.besselY(-1000.5, 0.5)), 0);
+    assert.strictEqual(re(Complex.besselJ(1000, 0.5)), 0);
+    assert.strictEqual(re(Complex.besselJ(-300.3, 0.5)), Infinity);
+    assert.strictEqual(re(Complex.besselJ(-2000.75, 800)), Infinity);
+    assert.strictEqual(re(Complex.besselI(3000, 1000)), 0);
+    assert.strictEqual(re(Complex.besselI(-150.3, 0.5)), Infinity);
+    assert.strictEqual(re(Complex.besselK(3000, 1000)), Infinity);
+  });
+
+  it("should handle zero and invalid arguments", function () {
+    assert.strictEqual(Complex.besselJ(0, 0).toString(), "1");
+    assert.strictEqual(Complex.besselJ(2, 0).toString(), "0");
+    assert.strictEqual(Complex.besselI(-3, 0).toString(), "0");
+    assert.strictEqual(Complex.besselJ(-0.5, 0), Complex.INFINITY);
+    assert.strictEqual(Complex.besselY(1, 0), Complex.INFINITY);
+    assert.strictEqual(Complex.besselK(0, 0), Complex.INFINITY);
+    assert(Complex.besselJ(NaN, 1).isNaN());
+    assert(Complex.hankel1(1, new Complex(Infinity, 0)).isNaN());
+  });
+});
+
+describe("Complex lambertW", function () {
+
+  it("should calculate the real branches", function () {
+    close(new Complex(1).lambertW(), 0.56714329040978387, 1e-15);
+    close(new Complex(-0.3).lambertW(), -0.48940222718021493, 1e-15);
+    close(new Complex(-0.3).lambertW(-1), -1.7813370234216277, 1e-15);
+    close(new Complex(Math.E).lambertW(), 1, 1e-15);
+    close(new Complex(-Math.LN2 / 2).lambertW(-1), -Math.LN2 * 2, 1e-15);
+    assert.strictEqual(new Complex(-0.3).lambertW(-1).im, 0);
+    assert.strictEqual(new Complex(-0.1).lambertW().im, 0);
+    assert.strictEqual(new Complex(-1 / Math.E).lambertW().toString(), "-1");
+  });
+
+  it("should calculate all branches in the complex plane", function () {
+    close(new Complex(1, 2).lambertW(), new Complex(0.8237712167092305, 0.53292898679544161), 1e-15);
+    close(new Complex(1, 2).lambertW(1), new Complex(-0.94141438286555816, 5.6545633028326099), 1e-15);
+    close(new Complex(0, -3).lambertW(-1), new Complex(-0.72730975090267003, -6.1657685947216418), 1e-15);
+    close(new Complex(1e-300).lambertW(-1), new Complex(-697.32278648764653, -3.1461043130789431), 1e-15);
+    close(new Complex(1e300).lambertW(2), new Complex(684.24704075388942, 12.548034213732059), 1e-15);
+
+    var zs = [[0.5, 0.5], [-2, 0.1], [-0.36, 0.01], [30, -40], [1e-5, 0]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      for (var k = -3; k <= 3; k++) {
+        var w = z.lambertW(k);
+        close(w.mul(w.exp()), z, 1e-14);
+      }
+    }
+  });
+
+  it("should put the branch cuts on the negative real axis to the branch above", function () {
+    close(new Complex(-2).lambertW(), new Complex(0.17281600283999998, 1.6736864137408427), 1e-15);
+    close(new Complex(-2).lambertW(-1), new Complex(0.17281600283999998, -1.6736864137408427), 1e-15);
+    close(new Complex(-2, -1e-300).lambertW(), new Complex(0.17281600283999998, -1.6736864137408427), 1e-15);
+    close(new Complex(-0.3, -1e-300).lambertW(1), -1.7813370234216277, 1e-15);
+  });
+
+  it("should handle special values", function () {
+    assert.strictEqual(new Complex(0).lambertW().toString(), "0");
+    assert.strictEqual(new Complex(0).lambertW(-1), Complex.INFINITY);
+    assert.strictEqual(new Complex(Infinity, 0).lambertW(), Complex.INFINITY);
+    assert(new Complex(NaN, 0).lambertW().isNaN());
+    assert(new Complex(1).lambertW(0.5).isNaN());
+  });
+});
+
+describe("Complex airy", function () {
+
+  it("should calculate the Airy functions on the real axis", function () {
+    close(Complex.airyAi(0), 0.355028053887817239, 1e-15);
+    close(Complex.airyBi(0), 0.614926627446000736, 1e-15);
+    close(Complex.airyAiPrime(0), -0.258819403792806798, 1e-15);
+    close(Complex.airyAi(1), 0.13529241631288142, 1e-14);
+    close(Complex.airyBi(1), 1.2074235949528713, 1e-14);
+    close(Complex.airyAiPrime(1), -0.15914744129679321, 1e-14);
+    close(Complex.airyBiPrime(1), 0.93243593339277563, 1e-14);
+    close(Complex.airyAi(-10), 0.040241238486443191, 1e-13);
+    close(Complex.airyBi(-10), -0.31467982964383863, 1e-13);
+    close(Complex.airyAiPrime(-10), 0.99626504413279006, 1e-13);
+    assert.strictEqual(Complex.airyAi(-3).im, 0);
+    assert.strictEqual(Complex.airyBiPrime(2).im, 0);
+  });
+
+  it("should calculate the Airy functions in the complex plane", function () {
+    var z = new Complex(3, 4);
+    close(Complex.airyAi(z), new Complex(0.014554546690944635, -0.047435251515492836), 1e-14);
+    close(Complex.airyBi(z), new Complex(1.0363977946545909, 1.0513762825317121), 1e-14);
+    close(Complex.airyAiPrime(z), new Complex(-0.075209961195903029, 0.082364077155537795), 1e-14);
+    close(Complex.airyBiPrime(z), new Complex(0.78788923789635748, 2.999866887258376), 1e-14);
+
+    z = "-6 - 2i";
+    close(Complex.airyAi(z), new Complex(-18.015579029207557, -16.558336557727268), 1e-14);
+    close(Complex.airyBi(z), new Complex(-16.560367720808738, 18.013979417973106), 1e-14);
+    close(Complex.airyAiPrime(z), new Complex(47.484646192296877, -38.481818735390396), 1e-14);
+    close(Complex.airyBiPrime(z), new Complex(-38.486703180679764, -47.480279282254097), 1e-14);
+  });
+
+  it("should satisfy the Wronskian Ai Bi' - Ai' Bi = 1 / π", function () {
+    var zs = [[0.3, 0.2], [2, -1], [-4, 0.5], [1, 2], [-0.5, -3], [7, 0]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      var w = Complex.airyAi(z).mul(Complex.airyBiPrime(z)).sub(Complex.airyAiPrime(z).mul(Complex.airyBi(z)));
+      close(w, 1 / Math.PI, 1e-13);
+    }
+  });
+
+  it("should calculate the scaled Airy functions", function () {
+    close(Complex.airyAi(200, { scaled: true }), 0.075010416843816159, 1e-13);
+    close(Complex.airyBi(200, { scaled: true }), 0.15003188417417102, 1e-13);
+    assert.strictEqual(Complex.airyBi(200).re, Infinity);
+
+    var zs = [[0.5, 0.5], [3, 4], [-6, -2], [-2, 3]];
+    for (var i = 0; i < zs.length; i++) {
+      var z = new Complex(zs[i][0], zs[i][1]);
+      var zeta = z.mul(z.sqrt()).mul(2 / 3);
+      close(Complex.airyAi(z, { scaled: true }), Complex.airyAi(z).mul(zeta.exp()), 1e-14);
+      close(Complex.airyAiPrime(z, { scaled: true }), Complex.airyAiPrime(z).mul(zeta.exp()), 1e-14);
+      close(Complex.airyBi(z, { scaled: true }), Complex.airyBi(z).mul(Math.exp(-Math.abs(zeta.re))), 1e-14);
+      close(Complex.airyBiPrime(z, { scaled: true }), Complex.airyBiPrime(z).mul(Math.exp(-Math.abs(zeta.re))), 1e-14);
+    }
+    assert(Complex.airyAi(new Complex(Infinity, 0)).isNaN());
+  });
+});
+
+describe("Complex exponential integrals", function () {
+
+  it("should calculate E1 and expint", function () {
+    close(new Complex(1).E1(), 0.21938393439552027, 1e-15);
+    close(new Complex(1).expint(2), 0.14849550677592205, 1e-15);
+    close(new Complex(2, 3).expint(5), new Complex(-0.017756464836194128, 0.005923632685392827), 1e-14);
+    close(new Complex(-3, 4).E1(), new Complex(4.1540916516426898, 1.1528259664345642), 1e-14);
+    close(new Complex(30).expint(3), 2.8430743281403275e-15, 1e-14);
+    close(new Complex(2).expint(0), Math.exp(-2) / 2, 1e-15);
+    assert.strictEqual(new Complex(1).E1().im, 0);
+    assert.strictEqual(new Complex(0).expint(3).toString(), "0.5");
+    assert.strictEqual(new Complex(0).E1(), Complex.INFINITY);
+    assert(new Complex(1).expint(1.5).isNaN());
+  });
+
+  it("should put the branch cut of E1 on the negative real axis like log()", function () {
+    close(new Complex(-50, 0).E1(), new Complex(-1.0585636897131691e+20, -Math.PI), 1e-15);
+    assert(Math.abs(new Complex(-50, 0).E1().im + Math.PI) < 1e-12);
+    assert(Math.abs(new Complex(-50, -0).E1().im - Math.PI) < 1e-12);
+    assert(Math.abs(new Complex(-2, 0).E1().im + Math.PI) < 1e-15);
+    assert(Math.abs(new Complex(-2, -0).E1().im - Math.PI) < 1e-15);
+  });
+
+  it("should calculate Ei", function () {
+    close(new Complex(1).Ei(), 1.8951178163559368, 1e-15);
+    close(new Complex(-1).Ei(), -0.21938393439552027, 1e-15);
+    close(new Complex(50).Ei(), 1.0585636897131691e+20, 1e-14);
+    close(new Complex(2, -3).Ei(), new Complex(-0.3615519445996403, -5.2705484358136946), 1e-14);
+    assert.strictEqual(new Complex(-1).Ei().im, 0);
+    close(new Complex(-1, 1e-300).Ei(), new Complex(-0.21938393439552027, Math.PI), 1e-15);
+  });
+
+  it("should calculate the sine and cosine integrals", function () {
+    close(new Complex(1).Si(), 0.94608307036718301, 1e-15);
+    close(new Complex(20).Si(), 1.5482417010434398, 1e-15);
+    close(new Complex(-20).Si(), -1.5482417010434398, 1e-15);
+    close(new Complex(3, -4).Si(), new Complex(6.7479950814040321, 3.4986637211319095), 1e-14);
+    close(new Complex(1).Ci(), 0.33740392290096813, 1e-15);
+    close(new Complex(20).Ci(), 0.044419820845353317, 1e-14);
+    close(new Complex(-3, 4).Ci(), new Complex(-3.4957570339825683, 8.3174978687666016), 1e-14);
+    close(new Complex(-1).Ci(), new Complex(0.33740392290096813, Math.PI), 1e-15);
+    close(new Complex(0, 3).Ci(), new Complex(4.960392094765608, Math.PI / 2), 1e-14);
+    close(new Complex(0, 3).Si(), new Complex(0, 4.973440475859806), 1e-14);
+    assert.strictEqual(new Complex(Infinity, 0).Si().re, Math.PI / 2);
+  });
+
+  it("should calculate the hyperbolic sine and cosine integrals", function () {
+    close(new Complex(1).Shi(), 1.0572508753757285, 1e-15);
+    close(new Complex(2, 5).Shi(), new Complex(-0.60888490416819746, 1.2482232175376056), 1e-14);
+    close(new Complex(1).Chi(), 0.83786694098020824, 1e-15);
+    close(new Complex(2, 5).Chi(), new Complex(-0.63131069034703117, 1.2429755324047229), 1e-14);
+    close(new Complex(-1).Chi(), new Complex(0.83786694098020824, Math.PI), 1e-15);
+    assert.strictEqual(new Complex(1).Chi().im, 0);
+    assert.strictEqual(new Complex(-1).Shi().im, 0);
+  });
+
+  it("should calculate the logarithmic integral", function () {
+    close(new Complex(2).li(), 1.0451637801174928, 1e-15);
+    close(new Complex(10).li(), 6.1655995047872979, 1e-15);
+    close(new Complex(0.5).li(), -0.3786710430610881, 1e-15);
+    close(new Complex(3, 4).li(), new Complex(3.1343755504645775, 2.6769247817778742), 1e-14);
+    assert.strictEqual(new Complex(0).li().toString(), "0");
+    assert.strictEqual(new Complex(1).li(), Complex.INFINITY);
+  });
+});
+
+describe("Complex incomplete gamma and beta", function () {
+
+  it("should calculate the lower and upper incomplete gamma functions", function () {
+    close(Complex.gammainc(2.5, 3), 0.92227121230783402, 1e-15);
+    close(Complex.gammaincc(2.5, 3), 0.407069175871303, 1e-14);
+    close(Complex.gammaincc(0.5, 25), 2.7250765332463734e-12, 4e-15);
+    close(Complex.gammainc(0.5, 25), 1.772453850902791, 1e-14);
+    close(Complex.gammainc(new Complex(1, 2), new Complex(3, -4)), new Complex(0.047773766921057857, -0.20310218232040652), 1e-14);
+    close(Complex.gammaincc(new Complex(1, 2), new Complex(3, -4)), new Complex(0.10413023574897828, 0.22290706248226151), 1e-14);
+    close(Complex.gammaincc(new Complex(-1.5, 0.5), new Complex(-4, 1)), new Complex(0.61141549335495399, -0.45924676022392185), 1e-14);
+    close(Complex.gammaincc(-3, new Complex(2, 1)), new Complex(-0.0018620570469655614, -0.0011436888693130565), 1e-15);
+    assert.strictEqual(Complex.gammainc(2.5, 3).im, 0);
+  });
+
+  it("should calculate the regularized incomplete gamma functions", function () {
+    close(Complex.gammainc(2.5, 3, { regularized: true }), 0.6937810815867216, 1e-15);
+    close(Complex.gammaincc(2.5, 3, { regularized: true }), 0.3062189184132784, 1e-15);
+    close(Complex.gammaincc(new Complex(1, 2), new Complex(3, -4), { regularized: true }), new Complex(0.86216372514461807, 1.3550137561087145), 1e-14);
+    close(Complex.gammainc(30, 20, { regularized: true }), 0.02181821752555739, 1e-14);
+    close(Complex.gammaincc(30, 40, { regularized: true }), 0.043228682151735567, 1e-14);
+    close(Complex.gammainc(-2, 1, { regularized: true }), 1, 0);
+    close(Complex.gammaincc(-2, 1, { regularized: true }), 0, 0);
+  });
+
+  it("should handle the incomplete gamma functions at 0 and at the poles", function () {
+    close(Complex.gammainc(2.5, 0), 0, 0);
+    close(Complex.gammaincc(2.5, 0), 1.329340388179137, 1e-14);
+    close(Complex.gammaincc(2.5, 0, { regularized: true }), 1, 0);
+    assert.strictEqual(Complex.gammaincc(-2.5, 0), Complex.INFINITY);
+    assert.strictEqual(Complex.gammainc(-2, 1), Complex.INFINITY);
+    close(Complex.gammaincc(-2, 1), 0.10969196719776, 1e-13);
+    assert(Complex.gammainc(NaN, 1).isNaN());
+  });
+
+  it("should take the principal branch of z^a on the negative real axis", function () {
+    close(Complex.gammaincc(2.5, new Complex(-3, 0)), new Complex(1.32934038817914, -63.1533842104069), 1e-14);
+    close(Complex.gammaincc(2.5, new Complex(-3, -0)), new Complex(1.32934038817914, 63.1533842104069), 1e-14);
+  });
+
+  it("should calculate the incomplete beta function", function () {
+    close(Complex.betainc(0.4, 2, 3), 0.0437333333333333, 1e-15);
+    close(Complex.betainc(0.4, 2, 3, { regularized: true }), 0.5248, 1e-15);
+    close(Complex.betainc(new Complex(0.3, 0.4), new Complex(2, 1), new Complex(3, -1)), new Complex(0.024529316975678037, 0.0030938089929150834), 1e-14);
+    close(Complex.betainc(new Complex(0.8, -0.1), new Complex(2, 1), new Complex(3, -1), { regularized: true }), new Complex(1.0968168078826269, 0.02833728256759434), 1e-14);
+    close(Complex.betainc(0.6, 20, 30, { regularized: true }), 0.99783159007958186, 1e-14);
+    close(Complex.betainc(0.25, 0.5, 0.5, { regularized: true }), 1 / 3, 1e-14);
+    close(Complex.betainc(2, 2, 3), 2 / 3, 1e-15);
+    close(Complex.betainc(-1, 0.5, 0.5), new Complex(0, 1.76274717403909), 1e-14);
+    close(Complex.betainc(1, 2, 3), 1 / 12, 1e-15);
+    close(Complex.betainc(0, 2, 3), 0, 0);
+    assert.strictEqual(Complex.betainc(0.3, 0, 2), Complex.INFINITY);
+  });
+});
+
+describe("Complex elliptic integrals and functions", function () {
+
+  it("should calculate Carlson's symmetric integrals", function () {
+    close(Complex.RF(1, 2, 3), 0.7269459354689082, 1e-15);
+    close(Complex.RF(new Complex(1, -1), new Complex(0, 2), 0), new Complex(1.289365738745621, -0.29361468207665492), 1e-15);
+    close(Complex.RC(1, 2), Math.PI / 4, 1e-15);
+    close(Complex.RC(1, -2), 0.38017299815047317, 1e-15);
+    close(Complex.RD(1, 2, 3), 0.29046028102899064, 1e-15);
+    close(Complex.RJ(1, 2, 3, 4), 0.23984809974956776, 1e-15);
+    close(Complex.RJ(1, new Complex(2, 1), 3, new Complex(4, -2)), new Complex(0.2168889060146335, 0.040819126273666733), 1e-15);
+    assert.strictEqual(Complex.RF(0, 0, 1), Complex.INFINITY);
+    assert.strictEqual(Complex.RJ(1, 2, 3, 0), Complex.INFINITY);
+  });
+
+  it("should take the right branch of R_J where the duplication does not", function () {
+    var x = new Complex(-5.3670312988822859, -2.9893966562620289);
+    var y = new Complex(6.6294327162412783, -1.9819688710530878);
+    var p = new Complex(-18.031770079845348, 7.7936582782805024);
+    close(Complex.RJ(x, y, 1, p), new Complex(0.0089376834047316282, -0.10449216079753637), 1e-13);
+  });
+
+  it("should calculate the complete elliptic integrals", function () {
+    close(Complex.ellipK(0.5), 1.8540746773013719, 1e-15);
+    close(Complex.ellipK(2), new Complex(1.3110287771460599, -1.3110287771460599), 1e-15);
+    close(Complex.ellipK(new Complex(0.3, 0.5)), new Complex(1.6213689571965033, 0.24858013930993498), 1e-15);
+    close(Complex.ellipK(0), Math.PI / 2, 1e-15);
+    close(Complex.ellipE(0.5), 1.3506438810476755, 1e-15);
+    close(Complex.ellipE(2), new Complex(0.5990701173677961, 0.5990701173677961), 1e-15);
+    close(Complex.ellipE(1), 1, 0);
+    close(Complex.ellipPi(0.25, -0.5), 1.6229447609547416, 1e-15);
+    assert.strictEqual(Complex.ellipK(1), Complex.INFINITY);
+    assert.strictEqual(Complex.ellipK(0.5).im, 0);
+  });
+
+  it("should calculate the incomplete elliptic integrals", function () {
+    close(Complex.ellipF(0.5, 0.25), 0.50508872757864808, 1e-15);
+    close(Complex.ellipF(new Complex(1, 2), new Complex(0.3, -0.4)), new Complex(-0.0054336472057906375, 1.7951955752554372), 1e-14);
+    close(Complex.ellipF(7, 0.5), 8.1640069754329085, 1e-15);
+    close(Complex.ellipF(Math.PI / 2, 0.5), Complex.ellipK(0.5), 1e-15);
+    close(Complex.ellipE(0.5, 0.25), 0.49500170301641519, 1e-15);
+    close(Complex.ellipE(new Complex(1, 2), new Complex(0.3, -0.4)), new Complex(2.1498672358335647, 0.85649084219663726), 1e-14);
+    close(Complex.ellipPi(0.5, Math.PI / 4, 0.5), 0.91902273916569699, 1e-15);
+    close(Complex.ellipPi(0.25, 53 * Math.PI / 2, 0.75), 135.24086875789084, 1e-15);
+    close(Complex.ellipPi(0.5, new Complex(5 - 2 * Math.PI, 6), new Complex(-7, -8)), new Complex(-0.36128566200767477, 0.52177353399848078), 1e-14);
+    close(Complex.ellipPi(2, 1.2, 0.5), new Complex(0.25360427070150606, -1.8137993642342179), 1e-14);
+    assert.strictEqual(Complex.ellipF(2, 1), Complex.INFINITY);
+  });
+
+  it("should calculate the Jacobi elliptic functions", function () {
+    close(Complex.sn(0.7, 0.4), 0.62832448875116527, 1e-15);
+    close(Complex.cn(0.7, 0.4), 0.77795137176791892, 1e-15);
+    close(Complex.dn(0.7, 0.4), 0.91765098743162409, 1e-15);
+    close(Complex.sn(new Complex(1, 2), new Complex(0.3, 0.5)), new Complex(1.5044061746079983, -1.6400467128000235), 1e-14);
+    close(Complex.cn(new Complex(1, 2), new Complex(0.3, 0.5)), new Complex(-1.8115136232042464, -1.3620081956754463), 1e-14);
+    close(Complex.dn(new Complex(1, 2), new Complex(0.3, 0.5)), new Complex(-0.64026546079846752, -1.3226041271231284), 1e-14);
+    close(Complex.sn(2, 5), -0.40132689538903379, 1e-15);
+    close(Complex.sn(5, 0.999999), 0.99990945384100706, 1e-14);
+    close(Complex.sn(1, 0), Math.sin(1), 1e-15);
+    close(Complex.cn(1, 1), 1 / Math.cosh(1), 1e-15);
+    assert.strictEqual(Complex.sn(2, 5).im, 0);
+  });
+
+  it("should invert F with the amplitude", function () {
+    close(Complex.am(0.7, 0.4), 0.6793975853463284, 1e-15);
+    close(Complex.ellipF(Complex.am(0.7, 0.4), 0.4), 0.7, 1e-15);
+    close(Complex.ellipF(Complex.am(-10, 0.8), 0.8), -10, 1e-14);
+    close(Complex.ellipF(Complex.am(new Complex(0.5, 0.5), 0.5), 0.5), new Complex(0.5, 0.5), 1e-14);
+    close(Complex.am(20, 0), 20, 1e-15);
+    close(Complex.am(2, 1), Math.atan(Math.sinh(2)), 1e-15);
+  });
+});
+
+describe("Complex hypergeometric functions", function () {
+
+  it("should calculate 0F1", function () {
+    close(Complex.hyp0f1(1.5, 2), 2.980406103535168, 1e-15);
+    close(Complex.hyp0f1(new Complex(0.5, 1), new Complex(-3, 4)), new Complex(-2.1475992051370607, 3.14169044780353), 1e-14);
+    close(Complex.hyp0f1(2.5, -400), 0.0012854360449954605, 1e-14);
+    close(Complex.hyp0f1(0.5, -Math.PI * Math.PI / 4), Math.cos(Math.PI), 1e-15);
+    assert.strictEqual(Complex.hyp0f1(-2, 1), Complex.INFINITY);
+  });
+
+  it("should calculate Kummer's function 1F1", function () {
+    close(Complex.hyp1f1(0.5, 1.5, 2), 2.3644538928052095, 1e-15);
+    close(Complex.hyp1f1(new Complex(1, 2), new Complex(-0.5, 1), new Complex(3, -4)), new Complex(783.3988907779665, -246.4244237912352), 1e-14);
+    close(Complex.hyp1f1(1.5, 2.5, -100), 0.001329340388179137, 1e-14);
+    close(Complex.hyp1f1(0.3, 1.2, new Complex(5, 25)), new Complex(0.7176965197742003, -2.2751980362464734), 1e-14);
+    close(Complex.hyp1f1(1, 1, new Complex(2, 3)), new Complex(2, 3).exp(), 1e-15);
+    close(Complex.hyp1f1(-2, -3, 3), 1 + 2 + 1.5, 1e-15);
+    assert.strictEqual(Complex.hyp1f1(1, -2, 2), Complex.INFINITY);
+  });
+
+  it("should calculate Tricomi's function U", function () {
+    close(Complex.hyperU(0.5, 1.5, 2), Math.SQRT1_2, 1e-15);
+    close(Complex.hyperU(new Complex(1, 1), new Complex(0.5, -1), new Complex(-3, 4)), new Complex(-0.8509407354279809, 0.5605571758731339), 1e-14);
+    close(Complex.hyperU(1.5, 3, 0.2), 30.720638163543974, 1e-14);
+    close(Complex.hyperU(2, 0.3, -6), new Complex(0.06473741419293835, 0.07598312394971221), 1e-14);
+    close(Complex.hyperU(0.7, -2, new Complex(5, 8)), new Complex(0.15299781856989667, -0.0905997462582315), 1e-14);
+    close(Complex.hyperU(-2, 1.5, 3), -2.25, 1e-15);
+    close(Complex.hyperU(0.5, 0.3, 0), 1.4137437626714604, 1e-15);
+    assert.strictEqual(Complex.hyperU(1, 1, 0), Complex.INFINITY);
+  });
+
+  it("should calculate the Gauss function 2F1 in the whole plane", function () {
+    close(Complex.hyp2f1(0.5, 1, 1.5, 0.25), Math.log(3), 1e-15);
+    close(Complex.hyp2f1(new Complex(1, 1), 0.5, new Complex(2, -1), new Complex(0.5, 0.8)), new Complex(0.7953436493100484, 0.10965734340180718), 1e-14);
+    close(Complex.hyp2f1(0.3, 0.7, 1.5, 3), new Complex(0.9391383914829968, -0.5543367789877556), 1e-14);
+    close(Complex.hyp2f1(0.3, 0.6, 1.9, new Complex(-20, 5)), new Complex(0.6291290109112265, 0.029836709320948028), 1e-14);
+    close(Complex.hyp2f1(0.5, 0.5, 1, 0.99), 2.3527158167797424, 1e-14);
+    close(Complex.hyp2f1(1, 2, 3, new Complex(1.5, 1)), new Complex(0.20617601662782997, 1.1602878573663324), 1e-14);
+    close(Complex.hyp2f1(1, 3, 5, 1), 4, 1e-15);
+    close(Complex.hyp2f1(-2, 1, -3, 5), 38 / 3, 1e-15);
+    assert.strictEqual(Complex.hyp2f1(1, 1, 2, 1), Complex.INFINITY);
+    assert.strictEqual(Complex.hyp2f1(1, 1, -3, 0.5), Complex.INFINITY);
+  });
+
+  it("should continue 2F1 where the transformations degenerate", function () {
+    var z = new Complex(-40, 3);
+    close(Complex.hyp2f1(1, 1, 2, z), Complex.ONE.sub(z).log().div(z).neg(), 1e-14);
+    close(Complex.hyp2f1(1, 1, 2, 3), new Complex(-Math.log(2), -Math.PI).div(3), 1e-14);
+    close(Complex.hyp2f1(1, 1, 2, new Complex(3, 1e-300)), new Complex(-Math.log(2), Math.PI).div(3), 1e-14);
+    close(Complex.hyp2f1(0.5, 1, 1.5, new Complex(0.5, 0.866)), new Complex(0.5, 0.866).sqrt().atanh().div(new Complex(0.5, 0.866).sqrt()), 1e-14);
+  });
+
+  it("should calculate the generalized function pFq", function () {
+    close(Complex.hypPFQ([1, 2, 3], [4, 5], 0.5), 1.189874754256423, 1e-15);
+    close(Complex.hypPFQ([1, 2, 3], [4, 5], new Complex(0.3, -0.8)), new Complex(1.002807527183472, -0.2671725060905639), 1e-14);
+    close(Complex.hypPFQ([new Complex(1, 0.5), 2], [new Complex(3, -1), 4], new Complex(-2, 1)), new Complex(0.7198695912748055, -0.0884179943196507), 1e-15);
+    close(Complex.hypPFQ([0.5, 1.5], [], -0.05), 0.9655844558055086, 1e-15);
+    close(Complex.hypPFQ([], [], -30), Math.exp(-30), 1e-15);
+    close(Complex.hypPFQ([-2, 3, 4], [1], 5), 2881, 1e-15);
+    assert(Complex.hypPFQ([1, 2, 3], [4], 0.5).isNaN());
+    assert.strictEqual(Complex.hypPFQ([1, 2], [-2], 0.5), Complex.INFINITY);
+  });
+
+  it("should sum pFq on the unit circle", function () {
+    close(Complex.hypPFQ([1, 1, 1], [2, 2], 1), Math.PI * Math.PI / 6, 1e-14);
+    close(Complex.hypPFQ([1, 1, 1], [2, 2], -1), Math.PI * Math.PI / 12, 1e-14);
+    close(Complex.hypPFQ([0.5, 1.5, 2], [3, 1.25], new Complex(Math.cos(2), Math.sin(2))), new Complex(0.7881548165556766, 0.1974407025998595), 1e-14);
+    assert.strictEqual(Complex.hypPFQ([1, 1, 1], [2, 1], 1), Complex.INFINITY);
+    assert.strictEqual(Complex.hypPFQ([1, 1, 1], [1.5, 1.5], 1), Complex.INFINITY);
+    assert(Complex.hypPFQ([1, 1e300, 1], [2, 2], -1).isNaN());
+  });
+});
+
+describe("Complex polylogarithms", function () {
+
+  it("should calculate the dilogarithm", function () {
+    close(new Complex(0.5, 0).dilog(), Math.PI * Math.PI / 12 - Math.LN2 * Math.LN2 / 2, 1e-15);
+    close(new Complex(-1, 0).dilog(), -Math.PI * Math.PI / 12, 1e-15);
+    close(new Complex(1, 0).dilog(), Math.PI * Math.PI / 6, 1e-15);
+    close(new Complex(0.5, 0.5).dilog(), new Complex(0.4539852691502956, 0.6437673328892687), 1e-15);
+    close(new Complex(-3, 2).dilog(), new Complex(-2.0713071652315143, 0.8922731679007035), 1e-15);
+    close(new Complex(0.99, 0).dilog(), 1.5886254480763753, 1e-15);
+    close(new Complex(0, 1.5).dilog(), new Complex(-0.3927071122175517, 1.27496944849438), 1e-15);
+    close(new Complex(1e-10, 0).dilog(), 1e-10 + 2.5e-21, 1e-15);
+    close(new Complex(1e-9, 1e-9).dilog(), new Complex(1e-9, 1e-9 + 5e-19), 1e-15);
+  });
+
+  it("should take the limit from below on the cut of the dilogarithm", function () {
+    close(new Complex(3, 0).dilog(), new Complex(2.3201804233130984, -Math.PI * Math.log(3)), 1e-15);
+    close(new Complex(3, -1e-300).dilog(), new Complex(3, 0).dilog(), 1e-15);
+    close(new Complex(3, 1e-300).dilog(), new Complex(3, 0).dilog().conjugate(), 1e-15);
+  });
+
+  it("should calculate the polylogarithm", function () {
+    close(Complex.polylog(new Complex(3.5, 1), new Complex(0.5, -0.3)), new Complex(0.48920034381703443, -0.33051186319585674), 1e-15);
+    close(Complex.polylog(2.5, 3), new Complex(3.282822710891227, -2.7213246265012426), 1e-14);
+    close(Complex.polylog(1.5, -100), -7.889101914721549, 1e-14);
+    close(Complex.polylog(new Complex(-1.5, 0.5), new Complex(1.1, 0.2)), new Complex(-88.87123315673598, -151.65769919934465), 1e-14);
+    close(Complex.polylog(3, 10), new Complex(5.641811414751341, -8.32820207698027), 1e-14);
+    close(Complex.polylog(1, new Complex(0.5, 2)), Complex.ONE.sub(new Complex(0.5, 2)).log().neg(), 1e-15);
+    close(Complex.polylog(-2, 0.5), 6, 1e-14);
+    close(Complex.polylog(4, 1), Math.pow(Math.PI, 4) / 90, 1e-15);
+    close(Complex.polylog(3, -1), -0.75 * new Complex(3, 0).zeta().re, 1e-15);
+    assert.strictEqual(Complex.polylog(1, 1), Complex.INFINITY);
+  });
+
+  it("should calculate the Lerch transcendent", function () {
+    close(Complex.lerchPhi(0.5, 2, 0.5), 4.27714550058095, 1e-15);
+    close(Complex.lerchPhi(new Complex(-0.9, 0.2), new Complex(1.5, -1), new Complex(2, 1)), new Complex(0.11950720260637043, -0.005617589888254059), 1e-14);
+    close(Complex.lerchPhi(-3, 2, -2.5), -53.77916707691625, 1e-14);
+    close(Complex.lerchPhi(new Complex(1, 2), new Complex(3, -1), new Complex(4, 2)), new Complex(0.002025009957009909, 0.003327897536813559), 1e-14);
+    close(Complex.lerchPhi(1, 3, 2), Complex.hurwitzZeta(3, 2), 1e-15);
+    close(Complex.lerchPhi(new Complex(2, 1), 2.5, 1).mul(new Complex(2, 1)), Complex.polylog(2.5, new Complex(2, 1)), 1e-14);
+    assert.strictEqual(Complex.lerchPhi(0.5, 2, -1), Complex.INFINITY);
+  });
+
+  it("should calculate the Clausen function", function () {
+    close(Complex.clausen(1), 1.0139591323607685, 1e-15);
+    close(Complex.clausen(Math.PI / 3), 1.0149416064096536, 1e-15);
+    close(Complex.clausen(Math.PI / 3 + 4 * Math.PI), 1.0149416064096536, 1e-14);
+    close(Complex.clausen(3, 2), 0.8149421467733263, 1e-15);
+    close(Complex.clausen(1, 1), (Math.PI - 1) / 2, 1e-15);
+    close(Complex.clausen(1.5, new Complex(0.5, 0.2)), new Complex(1.0763639741820658, 0.05638882416153756), 1e-14);
+    close(Complex.clausen(0), 0, 1e-15);
+  });
+});
+
+describe("Complex roots", function () {
+
+  it("should return all roots ordered by argument", function () {
+    assert.deepStrictEqual(Complex.ONE.roots(4).map(String), ['-i', '1', 'i', '-1']);
+    assert.deepStrictEqual(new Complex(-8).roots(3).map(String), ['1 - 1.7320508075688772i', '1 + 1.7320508075688772i', '-2']);
+    assert.deepStrictEqual(Complex.ONE.roots(6).map(String), ['-0.5 - 0.8660254037844386i', '0.5 - 0.8660254037844386i', '1',
+      '0.5 + 0.8660254037844386i', '-0.5 + 0.8660254037844386i', '-1']);
+    assert.deepStrictEqual(new Complex(-1, -0).roots(2).map(String), ['-i', 'i']);
+    assert.deepStrictEqual(Complex.ZERO.roots(2).map(String), ['0', '0']);
+  });
+
+  it("should return roots whose powers give the number back", function () {
+    var z = new Complex(3, -4);
+    var roots = z.roots(5);
+    assert.strictEqual(roots.length, 5);
+    for (var k = 0; k < roots.length; k++) {
+      assert(roots[k].pow(5).sub(z).abs() < 1e-14 * z.abs());
+      assert(k === 0 || roots[k].arg() > roots[k - 1].arg());
+    }
+    assert(roots.some(function (w) { return w.equals(z.nthRoot(5)); }));
+  });
+
+  it("should throw for invalid orders", function () {
+    assert.throws(function () { Complex.ONE.roots(0); }, RangeError);
+    assert.throws(function () { Complex.ONE.roots(2.5); }, RangeError);
+    assert.throws(function () { Complex.ONE.roots(-2); }, RangeError);
+    assert.throws(function () { new Complex(2).nthRoot(1.5); }, RangeError);
+    assert.throws(function () { new Complex(2).nthRoot(0); }, RangeError);
+    assert.throws(function () { new Complex(2).nthRoot("2 + i"); }, /Invalid root: 2 \+ i/);
+  });
+
+  it("should return n roots of infinity and NaN", function () {
+    assert.deepStrictEqual(new Complex(Infinity, 1).roots(3), [Complex.INFINITY, Complex.INFINITY, Complex.INFINITY]);
+    assert.deepStrictEqual(Complex.NAN.roots(2).map(String), ["NaN", "NaN"]);
+    assert.strictEqual(new Complex(Infinity, 1).nthRoot(3), Complex.INFINITY);
+    assert.strictEqual(new Complex(-Infinity).nthRoot(-4).toString(), "0");
+    assert(Complex.NAN.nthRoot(-4).isNaN());
+  });
+
+  it("should take the order like any other number", function () {
+    assert.strictEqual(new Complex(8).nthRoot(new Complex(3, 0)).toString(), "2");
+    assert.strictEqual(Complex.evaluate("nthRoot(8, 3)").toString(), "2");
+    assert.deepStrictEqual(Complex.ONE.roots("2").map(String), ["1", "-1"]);
+  });
+});
+
+describe("Complex branches", function () {
+
+  it("should select branches of log, pow and sqrt", function () {
+    close(new Complex(-1).log({ k: 1 }), new Complex(0, 3 * Math.PI), 1e-15);
+    close(new Complex(2, 3).log({ k: -2 }), new Complex(2, 3).log().sub(new Complex(0, 4 * Math.PI)), 1e-15);
+    assert.strictEqual(new Complex(2, 3).log({ k: 0 }).toString(), new Complex(2, 3).log().toString());
+    assert.throws(function () { new Complex(2, 3).log({ k: 0.5 }); }, /Invalid branch: 0.5/);
+    assert.throws(function () { new Complex(2, 3).log({ branch: -1 }); }, /Unknown option: branch/);
+
+    assert.strictEqual(new Complex(4).pow(0.5, { k: 1 }).toString(), "-2");
+    close(new Complex(-8).pow(1 / 3, { k: -1 }), new Complex(1, -Math.sqrt(3)), 1e-15);
+    close(new Complex(2, 1).pow(new Complex(0.3, 0.2), { k: 1 }), new Complex(-0.19031531027545578, 0.26987998711731426), 1e-15);
+    assert.strictEqual(new Complex(2, 1).pow(3, { k: 5 }).toString(), new Complex(2, 1).pow(3).toString());
+    assert.throws(function () { new Complex(2, 1).pow(3, { k: 0.5 }); }, RangeError);
+    assert.throws(function () { new Complex(2).pow(0.5, { k: 0.5 }); }, RangeError);
+    assert.throws(function () { Complex.ZERO.pow(2, { k: "1" }); }, RangeError);
+
+    assert.strictEqual(new Complex(-4).sqrt({ branch: -1 }).toString(), "-2i");
+    assert.strictEqual(new Complex(-4).sqrt({ branch: 1 }).toString(), "2i");
+    assert.throws(function () { new Complex(-4).sqrt({ branch: 2 }); }, /Invalid branch: 2/);
+    assert.throws(function () { new Complex(-4).sqrt({ k: 1 }); }, /Unknown option: k/);
+  });
+
+  it("should enumerate the values of the inverse functions", function () {
+    var z = new Complex(0.5, -2);
+    var fns = { asinAll: 'sin', acosAll: 'cos', atanAll: 'tan', asinhAll: 'sinh', acoshAll: 'cosh', atanhAll: 'tanh' };
+    for (var name in fns) {
+      var values = Complex[name](z, [-2, 2]);
+      assert.strictEqual(values.length, name === 'acosAll' || name === 'acoshAll' ? 10 : 5, name);
+      for (var k = 0; k < values.length; k++) {
+        close(values[k][fns[name]](), z, 1e-13);
+      }
+    }
+    close(Complex.asinAll(2, [0, 1])[1], new Complex(Math.PI).sub(new Complex(2).asin()), 1e-15);
+    close(Complex.atanhAll(0.5)[0], new Complex(0.5).atanh().sub(new Complex(0, Math.PI)), 1e-15);
+    assert.strictEqual(Complex.acosAll(0.3).length, 6);
+  });
+
+  it("should continue a root along a path around the branch point", function () {
+    // Following sqrt(z) once around 0 ends on the other branch
+    var prev = Complex.ONE;
+    for (var i = 1; i <= 64; i++) {
+      var z = new Complex({ abs: 1, arg: 2 * Math.PI * i / 64 });
+      var a = z.sqrt();
+      var b = z.sqrt({ branch: -1 });
+      prev = a.sub(prev).abs() < b.sub(prev).abs() ? a : b;
+    }
+    close(prev, -1, 1e-15);
+  });
+
+  it("should throw for invalid ranges", function () {
+    assert.throws(function () { Complex.asinAll(1, [1, 0]); }, RangeError);
+    assert.throws(function () { Complex.acosAll(1, [0.5, 2]); }, RangeError);
+  });
+});
+
+describe("Complex IEEE mode", function () {
+
+  // Shows -0, so that assert.deepStrictEqual() tells the signed zeros apart
+  var parts = function (z) {
+    return [z.re, z.im].map(function (x) { return Object.is(x, -0) ? "-0" : String(x); });
+  };
+
+  beforeEach(function () {
+    Complex.IEEE = true;
+  });
+
+  afterEach(function () {
+    Complex.IEEE = false;
+  });
+
+  it("should keep the signed zeros on the branch cuts", function () {
+    assert.deepStrictEqual(parts(new Complex(-4, 0).sqrt()), ["0", "2"]);
+    assert.deepStrictEqual(parts(new Complex(-4, -0).sqrt()), ["0", "-2"]);
+    assert.deepStrictEqual(parts(new Complex(-1, -0).log()), ["0", String(-Math.PI)]);
+    assert.deepStrictEqual(parts(new Complex(-0, 0).log()), ["-Infinity", String(Math.PI)]);
+    assert.deepStrictEqual(parts(new Complex(2, -0).asin()), ["1.5707963267948966", "-1.3169578969248166"]);
+    assert.deepStrictEqual(parts(new Complex(2, 0).acos()), ["0", "-1.3169578969248166"]);
+    assert.deepStrictEqual(parts(new Complex(-0, 2).asinh()), ["-1.3169578969248166", "1.5707963267948966"]);
+    assert.deepStrictEqual(parts(new Complex(2, -0).atanh()), ["0.5493061443340549", "-1.5707963267948966"]);
+    assert.deepStrictEqual(parts(new Complex(0, -0).acos()), ["1.5707963267948966", "0"]);
+    assert.deepStrictEqual(parts(new Complex(-0, -0).sinh()), ["-0", "-0"]);
+    assert.deepStrictEqual(parts(new Complex(1, -0).exp()), [String(Math.E), "-0"]);
+  });
+
+  it("should raise to zero and integer powers like cpow", function () {
+    assert.deepStrictEqual(parts(Complex.ZERO.pow(0)), ["1", "0"]);
+    assert.deepStrictEqual(parts(new Complex(NaN, 1).pow(0)), ["1", "0"]);
+    assert.deepStrictEqual(parts(new Complex(1, 1).pow(2)), ["0", "2"]);
+    assert.deepStrictEqual(parts(new Complex(2, 0).pow(-2)), ["0.25", "0"]);
+    assert.deepStrictEqual(parts(new Complex(0, 1).pow(4)), ["1", "0"]);
+    close(new Complex(1, 1).pow(2.5), new Complex(1, 1).log().mul(2.5).exp(), 1e-15);
+  });
+
+  it("should read signed zeros from strings", function () {
+    assert.deepStrictEqual(parts(new Complex("-0")), ["-0", "0"]);
+    assert.deepStrictEqual(parts(new Complex("1 - 0i")), ["1", "-0"]);
+    assert.deepStrictEqual(parts(new Complex("-0 - 0i")), ["-0", "-0"]);
+    assert.deepStrictEqual(parts(new Complex("-4 - 0i").sqrt()), ["0", "-2"]);
+  });
+
+  it("should follow the special values of Annex G", function () {
+    assert.deepStrictEqual(parts(new Complex(NaN, Infinity).sqrt()), ["Infinity", "Infinity"]);
+    assert.deepStrictEqual(parts(new Complex(-Infinity, 1).sqrt()), ["0", "Infinity"]);
+    assert.deepStrictEqual(parts(new Complex(-Infinity, Infinity).log()), ["Infinity", String(3 * Math.PI / 4)]);
+    assert.deepStrictEqual(parts(new Complex(-Infinity, 2).exp()), ["-0", "0"]);
+    assert.deepStrictEqual(parts(new Complex(NaN, 0).exp()), ["NaN", "0"]);
+    assert.deepStrictEqual(parts(new Complex(Infinity, 1).tanh()), ["1", "0"]);
+    assert.deepStrictEqual(parts(new Complex(1, Infinity).acosh()), ["Infinity", String(Math.PI / 2)]);
+    assert.deepStrictEqual(parts(new Complex(NaN, Infinity).atanh()), ["0", String(Math.PI / 2)]);
+    assert.deepStrictEqual(parts(new Complex(1, 0).atanh()), ["Infinity", "0"]);
+    assert.deepStrictEqual(parts(new Complex(Infinity, NaN).acos()), ["NaN", "-Infinity"]);
+  });
+
+  it("should multiply and divide infinities like _Cmultd and _Cdivd", function () {
+    assert.deepStrictEqual(parts(new Complex(Infinity, NaN).mul(new Complex(1, 1))), ["Infinity", "Infinity"]);
+    assert.deepStrictEqual(parts(new Complex(1, 1).div(0)), ["Infinity", "Infinity"]);
+    assert.deepStrictEqual(parts(new Complex(1, 2).div(new Complex(Infinity, NaN))), ["0", "0"]);
+    assert.deepStrictEqual(parts(new Complex(1, -0).div(2)), ["0.5", "-0"]);
+    assert.deepStrictEqual(parts(new Complex(1e300, 1e300).div(new Complex(1e300, 1e300))), ["1", "0"]);
+    assert.deepStrictEqual(parts(new Complex(Infinity, 1).add(1)), ["Infinity", "1"]);
+    assert.deepStrictEqual(parts(new Complex(0, 0).inverse()), ["Infinity", "NaN"]);
+  });
+
+  it("should treat a number with an infinite part as infinite", function () {
+    var z = new Complex(Infinity, NaN);
+    assert(z.isInfinite());
+    assert(!z.isNaN());
+    assert.strictEqual(z.abs(), Infinity);
+    assert(new Complex(NaN, 1).isNaN());
+
+    Complex.IEEE = false;
+    assert(z.isNaN());
+  });
+
+  it("should be accurate where the default mode cancels", function () {
+    assert.strictEqual(new Complex(1, 1e-8).log().re, 5.0000000000000005e-17);
+    assert.strictEqual(new Complex(1, 1e300).log().re, 690.7755278982137);
+    assert.strictEqual(new Complex(1e-13, 1e-12).asinh().im, 1e-12);
+  });
+
+  it("should apply to ComplexArray", function () {
+    var x = Complex.ComplexArray.from([[-4, -0], [Infinity, NaN]]);
+    assert.deepStrictEqual(parts(x.sqrt().get(0)), ["0", "-2"]);
+    assert.deepStrictEqual(parts(x.mul(x).get(1)), ["Infinity", "NaN"]);
+    assert.deepStrictEqual(Array.from(x.abs()), [4, Infinity]);
+  });
+});